@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+/**
+ * Command line code review
+ * Reviews a commit range of a local git repository with the same pipeline as
+ * POST /api/review/git, without running the server
+ *
+ * Usage: code-review range <repo> <range> [options]
+ */
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+// Keep stdout clean for --json; constants.js loads dotenv again on require
+process.env.DOTENV_CONFIG_QUIET = 'true';
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const USAGE = `Usage: code-review range <repo> <range> [options]
+
+Review the changes of a commit range in a local git repository.
+
+Arguments:
+  repo                  Path to the repository (or a directory inside it)
+  range                 base..head, base...head (since the merge base) or a single commit
+
+Options:
+  -p, --path <path>     Limit the review to a path (repeatable)
+  -f, --framework <fw>  Framework context, e.g. express
+  -l, --language <lang> Language override (detected per file otherwise)
+      --profile <name>  Review profile: security-audit, performance, readability,
+                        beginner-friendly or strict
+      --json            Print the full review as JSON
+      --fail-on <sev>   Exit with code 2 when an issue of this severity or worse is found
+      --baseline <file> Leave out issues whose fingerprints are in this baseline file
+      --write-baseline <file>
+                        Write the fingerprints of every issue found (suppressed or not) to a baseline file
+      --no-cache        Do not read or write the review cache
+  -v, --verbose         Show service logs
+  -h, --help            Show this help`;
+
+// Most severe first; --fail-on matches its level and everything above it
+const SEVERITY_ORDER = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW', 'INFO'];
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} - { command, positionals, values }
+ */
+const parseCommandLine = (argv) => {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            path: { type: 'string', short: 'p', multiple: true, default: [] },
+            framework: { type: 'string', short: 'f' },
+            language: { type: 'string', short: 'l' },
+            profile: { type: 'string' },
+            json: { type: 'boolean', default: false },
+            'fail-on': { type: 'string' },
+            baseline: { type: 'string' },
+            'write-baseline': { type: 'string' },
+            'no-cache': { type: 'boolean', default: false },
+            verbose: { type: 'boolean', short: 'v', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    const [command, ...rest] = positionals;
+    return { command, positionals: rest, values };
+};
+
+/**
+ * Render a review as plain text grouped by file
+ * @param {Object} review - Result of gitRangeService.reviewRange
+ * @returns {string} - Report text
+ */
+const formatReview = (review) => {
+    const { repository } = review;
+    const lines = [
+        `Repository: ${repository.path}`,
+        `Range:      ${repository.range} (${repository.base.sha.slice(0, 8)}..${repository.head.sha.slice(0, 8)}, ${repository.commits.length} commits)`,
+        `Score:      ${review.overallScore}/10`,
+        '',
+        review.summary,
+        ''
+    ];
+
+    for (const file of review.files) {
+        const label = file.oldPath && file.oldPath !== file.filePath ? `${file.oldPath} -> ${file.filePath}` : file.filePath;
+        lines.push(`${label} [${file.change}, +${file.additions} -${file.deletions}]`);
+
+        if (file.status !== 'reviewed') {
+            lines.push(`  ${file.status}: ${file.reason || file.error?.message || 'not reviewed'}`, '');
+            continue;
+        }
+
+        const issues = review.issues.filter(issue => issue.filePath === file.filePath);
+        if (issues.length === 0) {
+            lines.push('  No issues found');
+        }
+
+        for (const issue of issues) {
+            const location = issue.line ? `:${issue.line}` : '';
+            const cwe = issue.security?.cwe ? ` [${issue.security.cwe}]` : '';
+            const linter = issue.analyzer ? ` [${issue.analyzer.name}${issue.analyzer.rule ? ` ${issue.analyzer.rule}` : ''}]` : '';
+            lines.push(`  ${issue.severity.padEnd(8)} ${file.filePath}${location} ${issue.title}${cwe}${linter} (${issue.changeType})`);
+            if (issue.suggestion) {
+                lines.push(`           ${issue.suggestion}`);
+            }
+        }
+        lines.push('');
+    }
+
+    if (review.profile) {
+        lines.push(`Profile: ${review.profile.name} (${review.profile.filtered} issue(s) outside its focus or below ${review.profile.minSeverity} left out)`, '');
+    }
+
+    if (review.baseline) {
+        lines.push(`Baseline: ${review.baseline.suppressed} known issue(s) suppressed (${review.baseline.entries} in baseline)`, '');
+    }
+
+    if (review.recommendations?.length) {
+        lines.push('Recommendations:', ...review.recommendations.map(item => `  - ${item}`));
+    }
+
+    return lines.join('\n');
+};
+
+/**
+ * Run the "range" command
+ * @param {Array<string>} positionals - <repo> <range>
+ * @param {Object} values - Parsed options
+ * @returns {Promise<number>} - Exit code
+ */
+const runRange = async (positionals, values) => {
+    const [repoPath, range] = positionals;
+    if (!repoPath || !range || positionals.length > 2) {
+        console.error(USAGE);
+        return 1;
+    }
+
+    const failOn = values['fail-on']?.toUpperCase();
+    if (failOn && !SEVERITY_ORDER.includes(failOn)) {
+        console.error(`Unknown severity for --fail-on: ${values['fail-on']} (use ${SEVERITY_ORDER.join(', ')})`);
+        return 1;
+    }
+
+    // Services read their configuration when first required
+    if (!values.verbose) {
+        process.env.ENABLE_REQUEST_LOGGING = 'false';
+    }
+
+    const { REVIEW_PROFILES } = require('../src/utils/constants');
+    const profile = values.profile?.toLowerCase();
+    if (profile && !REVIEW_PROFILES[profile]) {
+        console.error(`Unknown review profile: ${values.profile} (use ${Object.keys(REVIEW_PROFILES).join(', ')})`);
+        return 1;
+    }
+
+    const gitRangeService = require('../src/services/git.services');
+    const reviewCache = require('../src/services/cache.services');
+
+    // The CLI reads whatever repository its user can; GIT_REVIEW_ROOTS only guards the HTTP endpoint
+    const review = await gitRangeService.reviewRange(repoPath, range, {
+        paths: values.path,
+        language: values.language?.toLowerCase(),
+        framework: values.framework?.toLowerCase(),
+        profile,
+        cachePolicy: reviewCache.getRequestPolicy(values['no-cache'] ? 'no-cache, no-store' : undefined),
+        restrictToAllowedRoots: false
+    });
+
+    let result = review;
+    if (values.baseline) {
+        const issueBaseline = require('../src/services/baseline.services');
+        result = await issueBaseline.apply(review, JSON.parse(fs.readFileSync(values.baseline, 'utf8')));
+    }
+
+    if (values['write-baseline']) {
+        // Written from the unfiltered review so known issues stay in the updated baseline
+        const { getExporter } = require('../src/services/exporters');
+        const { OUTPUT_FORMATS } = require('../src/utils/constants');
+        fs.writeFileSync(values['write-baseline'], getExporter(OUTPUT_FORMATS.BASELINE).render(review) + '\n');
+    }
+
+    console.log(values.json ? JSON.stringify(result, null, 2) : formatReview(result));
+
+    if (failOn) {
+        const threshold = SEVERITY_ORDER.indexOf(failOn);
+        const failing = result.issues.filter(issue => SEVERITY_ORDER.indexOf(issue.severity) <= threshold);
+        if (failing.length > 0) {
+            console.error(`${failing.length} issue(s) at ${failOn} or above`);
+            return 2;
+        }
+    }
+
+    return 0;
+};
+
+/**
+ * Entry point
+ * @returns {Promise<number>} - Exit code: 0 ok, 1 error, 2 --fail-on threshold reached
+ */
+const main = async () => {
+    let parsed;
+    try {
+        parsed = parseCommandLine(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return 1;
+    }
+
+    const { command, positionals, values } = parsed;
+
+    if (values.help || !command) {
+        console.log(USAGE);
+        return values.help ? 0 : 1;
+    }
+
+    if (command !== 'range') {
+        console.error(`Unknown command: ${command}\n\n${USAGE}`);
+        return 1;
+    }
+
+    try {
+        return await runRange(positionals, values);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        if (values.verbose && error.details) {
+            console.error(JSON.stringify(error.details, null, 2));
+        }
+        return 1;
+    }
+};
+
+main().then(code => {
+    process.exitCode = code;
+});
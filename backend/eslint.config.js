@@ -0,0 +1,37 @@
+const js = require('@eslint/js');
+
+// Globals of the Node.js runtime the backend uses (require, module and exports come with sourceType: commonjs)
+const NODE_GLOBALS = Object.fromEntries([
+    'process', 'console', 'Buffer', '__dirname', '__filename',
+    'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'setImmediate', 'clearImmediate',
+    'queueMicrotask', 'structuredClone', 'fetch', 'AbortController', 'AbortSignal',
+    'TextDecoder', 'TextEncoder', 'URL', 'URLSearchParams'
+].map(name => [name, 'readonly']));
+
+module.exports = [
+    {
+        ignores: ['node_modules/**', '.cache/**', '.data/**', 'cassettes/**']
+    },
+    {
+        files: ['**/*.js'],
+        languageOptions: {
+            ecmaVersion: 'latest',
+            sourceType: 'commonjs',
+            globals: NODE_GLOBALS
+        },
+        rules: {
+            ...js.configs.recommended.rules,
+            // The rules the static-analysis pre-pass adds to eslint:recommended (STATIC_ANALYSIS_CONFIG.ESLINT_RULES).
+            // no-undef stays on: unlike a reviewed snippet, the backend's environment is known
+            eqeqeq: ['error', 'smart'],
+            'no-var': 'error',
+            'prefer-const': 'error',
+            'no-eval': 'error',
+            'no-implied-eval': 'error',
+            'no-new-func': 'error',
+            'no-script-url': 'error',
+            // Base classes document the parameters of methods they leave to subclasses
+            'no-unused-vars': ['error', { args: 'none', caughtErrors: 'none', ignoreRestSiblings: true }]
+        }
+    }
+];
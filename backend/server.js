@@ -1,8 +1,9 @@
 require('dotenv').config();
 const app = require('./src/app');
+const reviewHistory = require('./src/services/history.services');
 const { 
     API_CONFIG, 
-    RESPONSE_MESSAGES,
+    AI_SERVICE,
     LOGGING_CONFIG 
 } = require('./src/utils/constants');
 
@@ -123,8 +124,8 @@ class ServerManager {
     async closeResources() {
         const resources = [];
         
-        // Add any resource cleanup here
-        // Example: await database.close();
+        // Pending review history writes must reach the database file
+        resources.push(reviewHistory.flush());
         
         return Promise.allSettled(resources);
     }
@@ -254,13 +255,20 @@ class ServerManager {
 
 💡 Available Endpoints:
    POST /api/review     - Analyze code with AI
+   POST /api/review/stream - Stream code review (SSE)
+   POST /api/review/diff - Review a unified diff
+   POST /api/review/git - Review a local git commit range
+   POST /api/review/compare - Compare reviews of two versions of a file
+   POST /api/review/project - Multi-file project review
+   GET  /api/reviews    - Review history (GET/DELETE /api/reviews/:id)
    GET  /api/languages  - Get supported languages  
    GET  /api/frameworks - Get supported frameworks
    GET  /api/health     - Check service health
    GET  /api/status     - Get service status
 
 🔧 Configuration:
-   Max Code Size: ${API_CONFIG.MAX_CODE_LENGTH} chars
+   AI Provider: ${AI_SERVICE.PROVIDER}
+   Max Code Size: ${API_CONFIG.MAX_TOTAL_CODE_LENGTH} chars (chunks of ${API_CONFIG.MAX_CODE_LENGTH})
    Request Timeout: ${API_CONFIG.REQUEST_TIMEOUT}ms
    Rate Limiting: Enabled
    Logging: ${LOGGING_CONFIG.LEVEL}
@@ -38,8 +38,9 @@ app.use(helmet({
 // CORS configuration - FIXED: Remove problematic options
 app.use(cors({
     origin: API_CONFIG.FRONTEND_URL || ['http://localhost:5173', 'http://localhost:3000'],
-    methods: ['GET', 'POST'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    methods: ['GET', 'POST', 'DELETE'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'Cache-Control'],
+    exposedHeaders: ['X-Cache'],
     credentials: false
 }));
 
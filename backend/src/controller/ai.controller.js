@@ -1,12 +1,30 @@
-const aiService = require("../services/ai.services");;
+const { matchedData } = require('express-validator');
+const aiService = require("../services/ai.services");
+const reviewCache = require("../services/cache.services");
+const projectReviewService = require("../services/project.services");
+const diffReviewService = require("../services/diff.services");
+const gitRangeService = require("../services/git.services");
+const reviewComparisonService = require("../services/compare.services");
+const reviewHistory = require("../services/history.services");
+const issueBaseline = require("../services/baseline.services");
+const rulePackRegistry = require("../services/rulePack.services");
+const staticAnalysisService = require("../services/staticAnalysis.services");
+const codeMetricsService = require("../services/metrics.services");
+const { fingerprintIssues } = require("../utils/issueFingerprint");
+const { buildFixPatches } = require("../utils/fixPatches");
 const { 
     API_CONFIG, 
+    PROJECT_CONFIG,
     ERROR_CODES, 
     HTTP_STATUS, 
     RESPONSE_MESSAGES,
-    LOGGING_CONFIG,
-    createValidationError,
+    REVIEW_MODES,
+    HISTORY_CONFIG,
+    REVIEW_PROFILES,
+    LOGGING_CONFIG
 } = require("../utils/constants");
+const { createValidationError, createNotFoundError } = require("../middleware/errorHandler");
+const { getExporter, getExportMediaTypes, getExporterByMediaType } = require("../services/exporters");
 
 /**
  * @class AIController
@@ -16,6 +34,14 @@ class AIController {
     constructor() {
         // Bind methods to maintain 'this' context
         this.getCodeReview = this.getCodeReview.bind(this);
+        this.streamCodeReview = this.streamCodeReview.bind(this);
+        this.getProjectReview = this.getProjectReview.bind(this);
+        this.getDiffReview = this.getDiffReview.bind(this);
+        this.getGitRangeReview = this.getGitRangeReview.bind(this);
+        this.getReviewComparison = this.getReviewComparison.bind(this);
+        this.listReviews = this.listReviews.bind(this);
+        this.getStoredReview = this.getStoredReview.bind(this);
+        this.deleteStoredReview = this.deleteStoredReview.bind(this);
         this.getSupportedLanguages = this.getSupportedLanguages.bind(this);
         this.healthCheck = this.healthCheck.bind(this);
         this.getSupportedFrameworks = this.getSupportedFrameworks.bind(this);
@@ -29,17 +55,29 @@ class AIController {
      * @param {Function} next - Express next middleware function
      */
     async getCodeReview(req, res, next) {
+        // A unified diff switches to change review; code is then the original file content
+        if (req.body.diff !== undefined) {
+            return this.getDiffReview(req, res, next);
+        }
+
+        // Clients asking for server-sent events get the streaming variant
+        if (req.get('accept')?.includes('text/event-stream')) {
+            return this.streamCodeReview(req, res, next);
+        }
+
         const startTime = Date.now();
-        let requestId = this.generateRequestId();
+        const requestId = this.generateRequestId();
         
         try {
-            const { code, language, fileName, framework } = req.body;
+            const { code, language, fileName, framework, profile, fix = false } = req.body;
 
             // Log request for monitoring (without exposing sensitive code)
             if (LOGGING_CONFIG.ENABLE_REQUEST_LOGGING) {
                 console.log(`🔍 [${requestId}] Code Review Request`, {
                     language: language || 'auto',
                     framework: framework || 'none',
+                    profile: profile || 'none',
+                    fix,
                     codeLength: code.length,
                     fileName: fileName || 'none',
                     ip: req.ip,
@@ -50,13 +88,29 @@ class AIController {
             // Enhanced code validation
             this.validateCodeInput(code);
 
+            // Serve unchanged code from the review cache unless the client opts out
+            const cachePolicy = reviewCache.getRequestPolicy(req.get('cache-control'));
+            const cacheKey = this.buildReviewCacheKey(code, { language, fileName, framework, profile, fix });
+            const cached = cachePolicy.read ? await reviewCache.get(cacheKey) : null;
+
             // Perform AI code review with service configuration
-            const reviewResult = await aiService.generateContent(code, {
+            const generated = cached ? cached.review : await aiService.generateContent(code, {
                 language,
                 fileName,
                 framework,
+                profile,
+                fix,
                 timeout: API_CONFIG.REQUEST_TIMEOUT
             });
+
+            if (!cached && cachePolicy.write) {
+                await reviewCache.set(cacheKey, generated);
+            }
+
+            const reviewResult = {
+                ...generated,
+                issues: fingerprintIssues(generated.issues, { code, language: generated.language, filePath: fileName })
+            };
             
             const processingTime = Date.now() - startTime;
 
@@ -67,27 +121,28 @@ class AIController {
                     issuesCount: reviewResult.issues.length,
                     processingTime: `${processingTime}ms`,
                     language: reviewResult.language,
-                    framework: reviewResult.framework
+                    framework: reviewResult.framework,
+                    cached: Boolean(cached)
                 });
             }
 
             // Send success response
-            return res.status(HTTP_STATUS.OK).json({
-                success: true,
-                message: RESPONSE_MESSAGES.SUCCESS.CODE_REVIEW,
-                data: {
-                    ...reviewResult,
-                    metadata: {
-                        requestId: requestId,
-                        processingTime: `${processingTime}ms`,
-                        timestamp: new Date().toISOString(),
-                        codeSize: code.length,
-                        language: reviewResult.language,
-                        framework: reviewResult.framework,
-                        model: aiService.model.modelName
-                    }
+            res.set('X-Cache', cached ? 'HIT' : 'MISS');
+            return this.sendReview(req, res, RESPONSE_MESSAGES.SUCCESS.CODE_REVIEW, {
+                ...reviewResult,
+                metadata: {
+                    requestId: requestId,
+                    processingTime: `${processingTime}ms`,
+                    timestamp: new Date().toISOString(),
+                    codeSize: code.length,
+                    language: reviewResult.language,
+                    framework: reviewResult.framework,
+                    provider: aiService.getProviderName(),
+                    model: aiService.getModelName(),
+                    cached: Boolean(cached),
+                    cachedAt: cached?.cachedAt
                 }
-            });
+            }, { mode: REVIEW_MODES.CODE, source: code, fileName });
 
         } catch (error) {
             const processingTime = Date.now() - startTime;
@@ -114,6 +169,533 @@ class AIController {
         }
     }
 
+    /**
+     * @method streamCodeReview
+     * @description Stream a code review as server-sent events (progress, issue, summary, error)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    async streamCodeReview(req, res, next) {
+        const startTime = Date.now();
+        const requestId = this.generateRequestId();
+        const { code, language, fileName, framework, profile } = req.body;
+
+        try {
+            // Validate before switching to an event stream so errors keep the JSON format
+            this.validateCodeInput(code);
+        } catch (error) {
+            error.requestId = requestId;
+            return next(error);
+        }
+
+        if (LOGGING_CONFIG.ENABLE_REQUEST_LOGGING) {
+            console.log(`📡 [${requestId}] Streaming Code Review Request`, {
+                language: language || 'auto',
+                framework: framework || 'none',
+                profile: profile || 'none',
+                codeLength: code.length,
+                fileName: fileName || 'none',
+                ip: req.ip
+            });
+        }
+
+        res.status(HTTP_STATUS.OK);
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        // A client that leaves also ends the model request behind its review
+        let clientClosed = false;
+        const clientGone = new AbortController();
+        req.on('close', () => {
+            clientClosed = true;
+            clientGone.abort();
+        });
+
+        const sendEvent = (event, data) => {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+            // compression() buffers output unless flushed explicitly
+            res.flush?.();
+        };
+
+        try {
+            const cachePolicy = reviewCache.getRequestPolicy(req.get('cache-control'));
+            const cacheKey = this.buildReviewCacheKey(code, { language, fileName, framework, profile });
+            const cached = cachePolicy.read ? await reviewCache.get(cacheKey) : null;
+            const knownFingerprints = await issueBaseline.resolve(req.body.baseline);
+            const fingerprintSource = { code, language: language || aiService.detectLanguage(code, fileName), filePath: fileName };
+
+            // Cache hits are replayed as the same event sequence a live review produces
+            const stream = cached
+                ? this.replayCachedReview(cached.review)
+                : aiService.generateContentStream(code, {
+                    language,
+                    fileName,
+                    framework,
+                    profile,
+                    timeout: API_CONFIG.REQUEST_TIMEOUT,
+                    signal: clientGone.signal
+                });
+
+            for await (const event of stream) {
+                if (clientClosed) break;
+
+                if (event.type === 'summary') {
+                    if (!cached && cachePolicy.write) {
+                        await reviewCache.set(cacheKey, event.review);
+                    }
+
+                    const processingTime = Date.now() - startTime;
+                    const fingerprinted = {
+                        ...event.review,
+                        issues: fingerprintIssues(event.review.issues, fingerprintSource)
+                    };
+                    const summary = {
+                        ...issueBaseline.filter(fingerprinted, knownFingerprints),
+                        metadata: {
+                            requestId: requestId,
+                            processingTime: `${processingTime}ms`,
+                            timestamp: new Date().toISOString(),
+                            codeSize: code.length,
+                            language: event.review.language,
+                            framework: event.review.framework,
+                            provider: aiService.getProviderName(),
+                            model: aiService.getModelName(),
+                            streamed: true,
+                            cached: Boolean(cached),
+                            cachedAt: cached?.cachedAt
+                        }
+                    };
+                    await reviewHistory.record({ mode: REVIEW_MODES.CODE, data: summary, source: code, fileName });
+                    sendEvent('summary', summary);
+                } else if (event.type === 'issue') {
+                    // Issues are fingerprinted as they arrive so known ones never reach the client
+                    const [issue] = fingerprintIssues([event.issue], fingerprintSource);
+                    if (!knownFingerprints?.has(issue.fingerprint)) {
+                        sendEvent('issue', { index: event.index, issue });
+                    }
+                } else {
+                    const { type, ...data } = event;
+                    sendEvent(type, data);
+                }
+            }
+        } catch (error) {
+            console.error(`❌ [${requestId}] Streaming Code Review Error`, {
+                message: error.message,
+                processingTime: `${Date.now() - startTime}ms`,
+                stack: LOGGING_CONFIG.LEVEL === 'debug' ? error.stack : undefined
+            });
+
+            if (!clientClosed) {
+                sendEvent('error', {
+                    success: false,
+                    message: error.message,
+                    errorCode: error.errorCode || ERROR_CODES.AI_SERVICE_ERROR,
+                    details: error.details,
+                    requestId: requestId,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        }
+
+        res.end();
+    }
+
+    /**
+     * @method getProjectReview
+     * @description Review several files as one project: per-file reviews plus a cross-file summary
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    async getProjectReview(req, res, next) {
+        const startTime = Date.now();
+        const requestId = this.generateRequestId();
+
+        try {
+            const { files, framework, profile } = req.body;
+
+            if (LOGGING_CONFIG.ENABLE_REQUEST_LOGGING) {
+                console.log(`🗂️ [${requestId}] Project Review Request`, {
+                    files: files.length,
+                    framework: framework || 'none',
+                    totalSize: files.reduce((total, file) => total + file.code.length, 0),
+                    ip: req.ip,
+                    userAgent: req.get('user-agent')?.substring(0, 100)
+                });
+            }
+
+            // Same per-file checks as single reviews, reported with the offending path
+            for (const file of files) {
+                try {
+                    this.validateCodeInput(file.code);
+                } catch (error) {
+                    throw createValidationError(`Invalid file ${file.path}: ${error.message}`, [{
+                        field: 'files',
+                        message: error.message,
+                        value: file.path
+                    }]);
+                }
+            }
+
+            const projectReview = await projectReviewService.reviewProject(files, {
+                framework,
+                profile,
+                cachePolicy: reviewCache.getRequestPolicy(req.get('cache-control'))
+            });
+
+            const processingTime = Date.now() - startTime;
+            const cachedFiles = projectReview.files.filter(file => file.cached).length;
+
+            if (LOGGING_CONFIG.ENABLE_REQUEST_LOGGING) {
+                console.log(`✅ [${requestId}] Project Review Completed`, {
+                    score: projectReview.overallScore,
+                    files: projectReview.files.length,
+                    issuesCount: projectReview.issues.length,
+                    processingTime: `${processingTime}ms`,
+                    cachedFiles
+                });
+            }
+
+            return this.sendReview(req, res, RESPONSE_MESSAGES.SUCCESS.PROJECT_REVIEW, {
+                ...projectReview,
+                metadata: {
+                    requestId: requestId,
+                    processingTime: `${processingTime}ms`,
+                    timestamp: new Date().toISOString(),
+                    fileCount: files.length,
+                    failedFiles: projectReview.files.filter(file => file.status === 'failed').length,
+                    cachedFiles,
+                    codeSize: files.reduce((total, file) => total + file.code.length, 0),
+                    framework: projectReview.framework,
+                    provider: aiService.getProviderName(),
+                    model: aiService.getModelName()
+                }
+            }, { mode: REVIEW_MODES.PROJECT, source: JSON.stringify(files.map(file => [file.path, file.code])) });
+        } catch (error) {
+            const processingTime = Date.now() - startTime;
+
+            console.error(`❌ [${requestId}] Project Review Error`, {
+                message: error.message,
+                processingTime: `${processingTime}ms`,
+                url: req.originalUrl,
+                method: req.method,
+                ip: req.ip,
+                body: {
+                    files: req.body.files?.length,
+                    framework: req.body.framework
+                },
+                stack: LOGGING_CONFIG.LEVEL === 'debug' ? error.stack : undefined
+            });
+
+            error.requestId = requestId;
+            error.processingTime = processingTime;
+            next(error);
+        }
+    }
+
+    /**
+     * @method getDiffReview
+     * @description Review a change given as a unified diff, with or without the original file content
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    async getDiffReview(req, res, next) {
+        const startTime = Date.now();
+        const requestId = this.generateRequestId();
+
+        try {
+            const { diff, code, originals, language, framework, profile } = req.body;
+
+            if (LOGGING_CONFIG.ENABLE_REQUEST_LOGGING) {
+                console.log(`🧾 [${requestId}] Diff Review Request`, {
+                    diffLength: diff.length,
+                    withOriginal: typeof code === 'string' || Boolean(originals),
+                    language: language || 'auto',
+                    framework: framework || 'none',
+                    ip: req.ip,
+                    userAgent: req.get('user-agent')?.substring(0, 100)
+                });
+            }
+
+            const diffReview = await diffReviewService.reviewDiff(diff, {
+                original: code,
+                originals,
+                language,
+                framework,
+                profile,
+                cachePolicy: reviewCache.getRequestPolicy(req.get('cache-control'))
+            });
+
+            const processingTime = Date.now() - startTime;
+
+            if (LOGGING_CONFIG.ENABLE_REQUEST_LOGGING) {
+                console.log(`✅ [${requestId}] Diff Review Completed`, {
+                    score: diffReview.overallScore,
+                    files: diffReview.stats.files,
+                    issuesCount: diffReview.issues.length,
+                    processingTime: `${processingTime}ms`
+                });
+            }
+
+            return this.sendReview(req, res, RESPONSE_MESSAGES.SUCCESS.DIFF_REVIEW, {
+                ...diffReview,
+                metadata: {
+                    requestId: requestId,
+                    processingTime: `${processingTime}ms`,
+                    timestamp: new Date().toISOString(),
+                    mode: 'diff',
+                    diffSize: diff.length,
+                    framework: diffReview.framework,
+                    provider: aiService.getProviderName(),
+                    model: aiService.getModelName(),
+                    cachedFiles: diffReview.files.filter(file => file.cached).length
+                }
+            }, { mode: REVIEW_MODES.DIFF, source: diff });
+        } catch (error) {
+            const processingTime = Date.now() - startTime;
+
+            console.error(`❌ [${requestId}] Diff Review Error`, {
+                message: error.message,
+                processingTime: `${processingTime}ms`,
+                url: req.originalUrl,
+                method: req.method,
+                ip: req.ip,
+                body: {
+                    diffLength: req.body.diff?.length,
+                    framework: req.body.framework
+                },
+                stack: LOGGING_CONFIG.LEVEL === 'debug' ? error.stack : undefined
+            });
+
+            error.requestId = requestId;
+            error.processingTime = processingTime;
+            next(error);
+        }
+    }
+
+    /**
+     * @method getGitRangeReview
+     * @description Review the changes of a commit range in a local git repository
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    async getGitRangeReview(req, res, next) {
+        const startTime = Date.now();
+        const requestId = this.generateRequestId();
+
+        try {
+            const { repoPath, range, paths, language, framework, profile } = req.body;
+
+            if (LOGGING_CONFIG.ENABLE_REQUEST_LOGGING) {
+                console.log(`🌿 [${requestId}] Git Range Review Request`, {
+                    repoPath,
+                    range,
+                    paths: paths?.length || 0,
+                    language: language || 'auto',
+                    framework: framework || 'none',
+                    ip: req.ip,
+                    userAgent: req.get('user-agent')?.substring(0, 100)
+                });
+            }
+
+            const gitReview = await gitRangeService.reviewRange(repoPath, range, {
+                paths,
+                language,
+                framework,
+                profile,
+                cachePolicy: reviewCache.getRequestPolicy(req.get('cache-control'))
+            });
+
+            const processingTime = Date.now() - startTime;
+
+            if (LOGGING_CONFIG.ENABLE_REQUEST_LOGGING) {
+                console.log(`✅ [${requestId}] Git Range Review Completed`, {
+                    score: gitReview.overallScore,
+                    commits: gitReview.repository.commits.length,
+                    files: gitReview.stats.files,
+                    issuesCount: gitReview.issues.length,
+                    processingTime: `${processingTime}ms`
+                });
+            }
+
+            return this.sendReview(req, res, RESPONSE_MESSAGES.SUCCESS.GIT_REVIEW, {
+                ...gitReview,
+                metadata: {
+                    requestId: requestId,
+                    processingTime: `${processingTime}ms`,
+                    timestamp: new Date().toISOString(),
+                    mode: 'git',
+                    framework: gitReview.framework,
+                    provider: aiService.getProviderName(),
+                    model: aiService.getModelName(),
+                    cachedFiles: gitReview.files.filter(file => file.cached).length
+                }
+            }, { mode: REVIEW_MODES.GIT, source: [gitReview.repository.path, gitReview.repository.base.sha, gitReview.repository.head.sha, ...(paths || [])].join('\n') });
+        } catch (error) {
+            const processingTime = Date.now() - startTime;
+
+            console.error(`❌ [${requestId}] Git Range Review Error`, {
+                message: error.message,
+                processingTime: `${processingTime}ms`,
+                url: req.originalUrl,
+                method: req.method,
+                ip: req.ip,
+                body: {
+                    repoPath: req.body.repoPath,
+                    range: req.body.range
+                },
+                stack: LOGGING_CONFIG.LEVEL === 'debug' ? error.stack : undefined
+            });
+
+            error.requestId = requestId;
+            error.processingTime = processingTime;
+            next(error);
+        }
+    }
+
+    /**
+     * @method getReviewComparison
+     * @description Compare two versions of a file: fixed, new and persisting issues and the score change
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    async getReviewComparison(req, res, next) {
+        const startTime = Date.now();
+        const requestId = this.generateRequestId();
+
+        try {
+            const { before, after, language, fileName, framework } = req.body;
+
+            if (LOGGING_CONFIG.ENABLE_REQUEST_LOGGING) {
+                console.log(`⚖️ [${requestId}] Review Comparison Request`, {
+                    before: before.review ? 'review' : 'code',
+                    after: after.review ? 'review' : 'code',
+                    language: language || 'auto',
+                    framework: framework || 'none',
+                    fileName: fileName || 'none',
+                    ip: req.ip,
+                    userAgent: req.get('user-agent')?.substring(0, 100)
+                });
+            }
+
+            const comparison = await reviewComparisonService.compare(before, after, {
+                language,
+                fileName,
+                framework,
+                cachePolicy: reviewCache.getRequestPolicy(req.get('cache-control'))
+            });
+
+            const processingTime = Date.now() - startTime;
+
+            if (LOGGING_CONFIG.ENABLE_REQUEST_LOGGING) {
+                console.log(`✅ [${requestId}] Review Comparison Completed`, {
+                    scoreChange: comparison.overallScore.change,
+                    ...comparison.summary,
+                    processingTime: `${processingTime}ms`
+                });
+            }
+
+            return res.status(HTTP_STATUS.OK).json({
+                success: true,
+                message: RESPONSE_MESSAGES.SUCCESS.REVIEW_COMPARE,
+                data: {
+                    ...comparison,
+                    metadata: {
+                        requestId: requestId,
+                        processingTime: `${processingTime}ms`,
+                        timestamp: new Date().toISOString(),
+                        provider: aiService.getProviderName(),
+                        model: aiService.getModelName()
+                    }
+                }
+            });
+        } catch (error) {
+            const processingTime = Date.now() - startTime;
+
+            console.error(`❌ [${requestId}] Review Comparison Error`, {
+                message: error.message,
+                processingTime: `${processingTime}ms`,
+                url: req.originalUrl,
+                method: req.method,
+                ip: req.ip,
+                stack: LOGGING_CONFIG.LEVEL === 'debug' ? error.stack : undefined
+            });
+
+            error.requestId = requestId;
+            error.processingTime = processingTime;
+            next(error);
+        }
+    }
+
+    /**
+     * @method listReviews
+     * @description List stored reviews, newest first, with filters and pagination
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async listReviews(req, res) {
+        // Express 5 recomputes req.query on every access, so sanitized values come from matchedData
+        const {
+            page = 1,
+            limit = HISTORY_CONFIG.DEFAULT_PAGE_SIZE,
+            ...filters
+        } = matchedData(req, { locations: ['query'] });
+        const result = await reviewHistory.list(filters, { page, limit });
+
+        return res.status(HTTP_STATUS.OK).json({
+            success: true,
+            message: RESPONSE_MESSAGES.SUCCESS.HISTORY_LIST,
+            data: result
+        });
+    }
+
+    /**
+     * @method getStoredReview
+     * @description Get a stored review with its full result
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async getStoredReview(req, res) {
+        const stored = await reviewHistory.get(req.params.id);
+        if (!stored) {
+            throw createNotFoundError(`Review ${req.params.id} not found`);
+        }
+
+        return res.status(HTTP_STATUS.OK).json({
+            success: true,
+            message: RESPONSE_MESSAGES.SUCCESS.HISTORY_FETCH,
+            data: stored
+        });
+    }
+
+    /**
+     * @method deleteStoredReview
+     * @description Delete a stored review
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async deleteStoredReview(req, res) {
+        const deleted = await reviewHistory.delete(req.params.id);
+        if (!deleted) {
+            throw createNotFoundError(`Review ${req.params.id} not found`);
+        }
+
+        return res.status(HTTP_STATUS.OK).json({
+            success: true,
+            message: RESPONSE_MESSAGES.SUCCESS.HISTORY_DELETE,
+            data: { id: req.params.id }
+        });
+    }
+
     /**
      * @method getSupportedLanguages
      * @description Get list of supported programming languages
@@ -205,7 +787,8 @@ class AIController {
             const healthData = {
                 status: isHealthy ? 'healthy' : 'unhealthy',
                 timestamp: new Date().toISOString(),
-                service: 'gemini-ai',
+                service: `${aiService.getProviderName()}-ai`,
+                model: aiService.getModelName(),
                 responseTime: `${responseTime}ms`,
                 environment: API_CONFIG.NODE_ENV,
                 version: '1.0.0'
@@ -263,9 +846,9 @@ class AIController {
             throw createValidationError('Code cannot be empty or only whitespace');
         }
 
-        if (trimmedCode.length > API_CONFIG.MAX_CODE_LENGTH) {
+        if (trimmedCode.length > API_CONFIG.MAX_TOTAL_CODE_LENGTH) {
             throw createValidationError(
-                `Code exceeds maximum allowed size (${API_CONFIG.MAX_CODE_LENGTH} characters)`
+                `Code exceeds maximum allowed size (${API_CONFIG.MAX_TOTAL_CODE_LENGTH} characters)`
             );
         }
 
@@ -278,12 +861,103 @@ class AIController {
         // Basic check for potentially malicious content (very long lines)
         const lines = trimmedCode.split('\n');
         for (const line of lines) {
-            if (line.length > 1000) {
+            if (line.length > API_CONFIG.MAX_LINE_LENGTH) {
                 throw createValidationError('Code contains unusually long lines which may indicate malicious content');
             }
         }
     }
 
+    /**
+     * @method buildReviewCacheKey
+     * @description Build the review cache key for a request
+     * @param {string} code - Code to review
+     * @param {Object} options - Review options (language, fileName, framework, profile)
+     * @returns {string} - Cache key
+     */
+    buildReviewCacheKey(code, { language, fileName, framework, profile, fix = false }) {
+        return reviewCache.buildKey({
+            code,
+            language: language || aiService.detectLanguage(code, fileName),
+            framework,
+            provider: aiService.getProviderName(),
+            model: aiService.getModelName(),
+            extra: { profile, ...(fix ? { fix } : {}) }
+        });
+    }
+
+    /**
+     * @method replayCachedReview
+     * @description Turn a cached review into streaming events
+     * @param {Object} review - Cached review
+     * @returns {AsyncGenerator<Object>} - progress, issue and summary events
+     */
+    async *replayCachedReview(review) {
+        yield {
+            type: 'progress',
+            stage: 'started',
+            language: review.language,
+            framework: review.framework,
+            provider: aiService.getProviderName(),
+            model: aiService.getModelName(),
+            cached: true
+        };
+
+        for (const [index, issue] of review.issues.entries()) {
+            yield { type: 'issue', index, issue };
+        }
+
+        yield { type: 'summary', review };
+    }
+
+    /**
+     * @method resolveExporter
+     * @description Pick the exporter for a request: ?format= wins, then the Accept header
+     * @param {Object} req - Express request object
+     * @returns {BaseExporter|null} - Exporter, or null for the JSON envelope
+     */
+    resolveExporter(req) {
+        if (req.query.format) {
+            return getExporter(req.query.format);
+        }
+
+        // JSON is listed first so */* and a missing Accept header keep the envelope
+        const preferred = req.accepts(['application/json', ...getExportMediaTypes()]);
+        return preferred ? getExporterByMediaType(preferred) : null;
+    }
+
+    /**
+     * @method sendReview
+     * @description Drop baseline issues, build fix patches in fix mode, store the review in the history, then send it in the requested format (JSON envelope by default)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {string} message - Success message of the JSON envelope
+     * @param {Object} reviewData - Review data including metadata, with fingerprinted issues
+     * @param {Object} history - History entry fields { mode, source, fileName }
+     */
+    async sendReview(req, res, message, reviewData, history) {
+        let data = await issueBaseline.apply(reviewData, req.body.baseline);
+
+        // Patches cover the issues left after the baseline and apply to the file as submitted
+        if (req.body.fix && history.mode === REVIEW_MODES.CODE) {
+            data = buildFixPatches(data, { code: req.body.code, filePath: history.fileName });
+        }
+        await reviewHistory.record({ ...history, data });
+
+        const exporter = this.resolveExporter(req);
+        res.vary('Accept');
+
+        if (exporter) {
+            const body = exporter.render(data, { fileName: req.body.fileName });
+            return res.status(HTTP_STATUS.OK).type(exporter.contentType).send(body);
+        }
+
+        return res.status(HTTP_STATUS.OK).json({
+            success: true,
+            message,
+            data
+        });
+    }
+
     /**
      * @method generateRequestId
      * @description Generate unique request ID for tracking
@@ -314,9 +988,20 @@ class AIController {
                 capabilities: {
                     languages: Object.keys(supportedLanguages).length,
                     frameworks: supportedFrameworks.length,
-                    maxCodeSize: API_CONFIG.MAX_CODE_LENGTH,
+                    provider: aiService.getProviderName(),
+                    model: aiService.getModelName(),
+                    maxCodeSize: API_CONFIG.MAX_TOTAL_CODE_LENGTH,
+                    chunkSize: API_CONFIG.MAX_CODE_LENGTH,
+                    maxProjectFiles: PROJECT_CONFIG.MAX_FILES,
+                    profiles: Object.keys(REVIEW_PROFILES),
                     timeout: API_CONFIG.REQUEST_TIMEOUT
                 },
+                cache: await reviewCache.getStats(),
+                history: await reviewHistory.getStats(),
+                baseline: await issueBaseline.getStats(),
+                rulePacks: rulePackRegistry.getStats(),
+                staticAnalysis: staticAnalysisService.getStats(),
+                metrics: codeMetricsService.getStats(),
                 environment: API_CONFIG.NODE_ENV,
                 version: '1.0.0'
             };
@@ -345,6 +1030,14 @@ const aiController = new AIController();
 // Export async wrapped methods for better error handling
 module.exports = {
     getCodeReview: aiController.getCodeReview.bind(aiController),
+    streamCodeReview: aiController.streamCodeReview.bind(aiController),
+    getProjectReview: aiController.getProjectReview.bind(aiController),
+    getDiffReview: aiController.getDiffReview.bind(aiController),
+    getGitRangeReview: aiController.getGitRangeReview.bind(aiController),
+    getReviewComparison: aiController.getReviewComparison.bind(aiController),
+    listReviews: aiController.listReviews.bind(aiController),
+    getStoredReview: aiController.getStoredReview.bind(aiController),
+    deleteStoredReview: aiController.deleteStoredReview.bind(aiController),
     getSupportedLanguages: aiController.getSupportedLanguages.bind(aiController),
     getSupportedFrameworks: aiController.getSupportedFrameworks.bind(aiController),
     healthCheck: aiController.healthCheck.bind(aiController),
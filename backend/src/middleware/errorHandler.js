@@ -29,7 +29,7 @@ const errorHandler = (err, req, res, next) => {
     });
 
     // Default error response
-    let errorResponse = {
+    const errorResponse = {
         success: false,
         message: RESPONSE_MESSAGES.ERROR.CODE_REVIEW_FAILED,
         errorCode: ERROR_CODES.INTERNAL_ERROR,
@@ -57,6 +57,11 @@ const errorHandler = (err, req, res, next) => {
         statusCode = HTTP_STATUS.SERVICE_UNAVAILABLE;
         errorResponse.message = RESPONSE_MESSAGES.ERROR.SERVICE_UNAVAILABLE;
         errorResponse.errorCode = ERROR_CODES.SERVICE_UNAVAILABLE;
+    } else if (err.name === 'AppError' && err.statusCode >= 500) {
+        statusCode = err.statusCode;
+        errorResponse.message = err.message;
+        errorResponse.errorCode = err.errorCode;
+        errorResponse.details = err.details;
     } else if (err.statusCode && err.statusCode >= 400 && err.statusCode < 500) {
         statusCode = err.statusCode;
         errorResponse.message = err.message || 'Client error';
@@ -82,18 +87,18 @@ const errorHandler = (err, req, res, next) => {
         errorResponse.errorCode = ERROR_CODES.INVALID_INPUT;
     } else if (err.message.includes('too long')) {
         statusCode = HTTP_STATUS.PAYLOAD_TOO_LARGE;
-        errorResponse.message = `Code exceeds maximum allowed size (${API_CONFIG.MAX_CODE_LENGTH} characters)`;
+        errorResponse.message = `Code exceeds maximum allowed size (${API_CONFIG.MAX_TOTAL_CODE_LENGTH} characters)`;
         errorResponse.errorCode = ERROR_CODES.PAYLOAD_TOO_LARGE;
     }
 
     // Include additional details in development
     if (API_CONFIG.NODE_ENV === 'development') {
         errorResponse.stack = err.stack;
-        errorResponse.details = err.message;
+        errorResponse.details = errorResponse.details ?? err.message;
     }
 
     // Ensure error response is clean and consistent
-    res.status(statusCode).json(this.sanitizeErrorResponse(errorResponse));
+    res.status(statusCode).json(sanitizeErrorResponse(errorResponse));
 };
 
 /**
@@ -198,6 +203,60 @@ const createAIServiceError = (message) => {
     );
 };
 
+/**
+ * Create error for model output that stays invalid after the repair pass
+ * @param {Array<string>} details - Parse or schema validation errors
+ * @returns {AppError} - Invalid AI response error instance
+ */
+const createInvalidAIResponseError = (details = []) => {
+    const error = new AppError(
+        RESPONSE_MESSAGES.ERROR.INVALID_AI_RESPONSE,
+        ERROR_CODES.AI_INVALID_RESPONSE,
+        HTTP_STATUS.BAD_GATEWAY
+    );
+    error.details = details;
+    return error;
+};
+
+/**
+ * Create error for failed git commands and unusable repositories or ranges
+ * @param {string} message - Error message
+ * @returns {AppError} - Git error instance
+ */
+const createGitError = (message) => {
+    return new AppError(
+        message,
+        ERROR_CODES.GIT_ERROR,
+        HTTP_STATUS.BAD_REQUEST
+    );
+};
+
+/**
+ * Create forbidden error
+ * @param {string} message - Error message
+ * @returns {AppError} - Forbidden error instance
+ */
+const createForbiddenError = (message) => {
+    return new AppError(
+        message || 'Access denied',
+        ERROR_CODES.FORBIDDEN,
+        HTTP_STATUS.FORBIDDEN
+    );
+};
+
+/**
+ * Create error for a stored review that does not exist
+ * @param {string} message - Error message
+ * @returns {AppError} - Not found error instance
+ */
+const createNotFoundError = (message) => {
+    return new AppError(
+        message || RESPONSE_MESSAGES.ERROR.REVIEW_NOT_FOUND,
+        ERROR_CODES.REVIEW_NOT_FOUND,
+        HTTP_STATUS.NOT_FOUND
+    );
+};
+
 /**
  * Create rate limit error
  * @param {string} message - Error message
@@ -218,6 +277,10 @@ module.exports = {
     AppError,
     createValidationError,
     createAIServiceError,
+    createInvalidAIResponseError,
+    createGitError,
+    createForbiddenError,
+    createNotFoundError,
     createRateLimitError,
     sanitizeErrorResponse
 };
\ No newline at end of file
@@ -2,9 +2,7 @@ const rateLimit = require('express-rate-limit');
 const { 
     RATE_LIMIT_CONFIG, 
     ERROR_CODES, 
-    RESPONSE_MESSAGES,
-    API_CONFIG,
-    LOGGING_CONFIG
+    API_CONFIG
 } = require("../utils/constants");
 
 /**
@@ -1,11 +1,19 @@
-const { body } = require('express-validator');
+const { body, query, param, validationResult } = require('express-validator');
 const { 
     API_CONFIG, 
+    PROJECT_CONFIG,
+    DIFF_CONFIG,
+    GIT_REVIEW_CONFIG,
+    OUTPUT_FORMATS,
+    REVIEW_MODES,
+    HISTORY_CONFIG,
+    REVIEW_PROFILES,
     SUPPORTED_LANGUAGES, 
-    SUPPORTED_FRAMEWORKS,
-    ERROR_CODES,
-    createValidationError
+    SUPPORTED_FRAMEWORKS
 } = require("../utils/constants");
+const { createValidationError } = require("./errorHandler");
+const { validateReview } = require("../schemas/review.schema");
+const { parseBaseline } = require("../utils/issueFingerprint");
 
 /**
  * Custom validator for code content
@@ -21,8 +29,8 @@ const validateCodeContent = (value) => {
         throw new Error('Code cannot be empty or only whitespace');
     }
     
-    if (trimmedValue.length > API_CONFIG.MAX_CODE_LENGTH) {
-        throw new Error(`Code must not exceed ${API_CONFIG.MAX_CODE_LENGTH} characters`);
+    if (trimmedValue.length > API_CONFIG.MAX_TOTAL_CODE_LENGTH) {
+        throw new Error(`Code must not exceed ${API_CONFIG.MAX_TOTAL_CODE_LENGTH} characters`);
     }
     
     // Check for minimum meaningful code (at least some non-whitespace content)
@@ -46,7 +54,7 @@ const validateLanguage = (value) => {
     
     const normalizedLanguage = value.toLowerCase().trim();
     
-    if (!SUPPORTED_LANGUAGES.hasOwnProperty(normalizedLanguage)) {
+    if (!Object.hasOwn(SUPPORTED_LANGUAGES, normalizedLanguage)) {
         const supportedLanguages = Object.keys(SUPPORTED_LANGUAGES).join(', ');
         throw new Error(`Unsupported language. Supported languages: ${supportedLanguages}`);
     }
@@ -123,20 +131,217 @@ const validateFileName = (value) => {
     return true;
 };
 
+/**
+ * Custom validator for project file paths
+ */
+const validateFilePath = (value) => {
+    if (typeof value !== 'string') {
+        throw new Error('File path must be a string');
+    }
+
+    if (value.length === 0) {
+        throw new Error('File path cannot be empty');
+    }
+
+    if (value.length > PROJECT_CONFIG.MAX_FILE_PATH_LENGTH) {
+        throw new Error(`File path must not exceed ${PROJECT_CONFIG.MAX_FILE_PATH_LENGTH} characters`);
+    }
+
+    // Paths are labels only, but reject traversal and control characters outright
+    if (/[\p{Cc}<>:"|?*]/u.test(value) || value.split('/').includes('..')) {
+        throw new Error('File path contains invalid characters or segments');
+    }
+
+    return true;
+};
+
+/**
+ * Custom validator for the project file list as a whole
+ */
+const validateProjectFiles = (files) => {
+    if (!Array.isArray(files)) {
+        throw new Error('Files must be an array');
+    }
+
+    const paths = files.map(file => file?.path);
+    const duplicate = paths.find((path, index) => paths.indexOf(path) !== index);
+    if (duplicate) {
+        throw new Error(`Duplicate file path: ${duplicate}`);
+    }
+
+    const totalLength = files.reduce((total, file) => total + (typeof file?.code === 'string' ? file.code.length : 0), 0);
+    if (totalLength > PROJECT_CONFIG.MAX_TOTAL_CODE_LENGTH) {
+        throw new Error(`Project code must not exceed ${PROJECT_CONFIG.MAX_TOTAL_CODE_LENGTH} characters in total`);
+    }
+
+    return true;
+};
+
+/**
+ * Custom validator for unified diff content
+ */
+const validateDiffContent = (value) => {
+    if (typeof value !== 'string') {
+        throw new Error('Diff must be a string');
+    }
+
+    if (value.trim().length === 0) {
+        throw new Error('Diff cannot be empty or only whitespace');
+    }
+
+    if (value.length > DIFF_CONFIG.MAX_DIFF_LENGTH) {
+        throw new Error(`Diff must not exceed ${DIFF_CONFIG.MAX_DIFF_LENGTH} characters`);
+    }
+
+    if (!/^@@ -\d+(,\d+)? \+\d+(,\d+)? @@/m.test(value) && !/^diff --git /m.test(value)) {
+        throw new Error('Diff must be in unified diff format');
+    }
+
+    return true;
+};
+
+/**
+ * Custom validator for original file contents of a diff review (path -> content)
+ */
+const validateOriginals = (value) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error('Originals must be an object mapping file paths to their original content');
+    }
+
+    const contents = Object.values(value);
+    if (contents.some(content => typeof content !== 'string')) {
+        throw new Error('Original file contents must be strings');
+    }
+
+    const totalLength = contents.reduce((total, content) => total + content.length, 0);
+    if (totalLength > PROJECT_CONFIG.MAX_TOTAL_CODE_LENGTH) {
+        throw new Error(`Original file contents must not exceed ${PROJECT_CONFIG.MAX_TOTAL_CODE_LENGTH} characters in total`);
+    }
+
+    return true;
+};
+
+/**
+ * Unwrap an earlier review given as the full getCodeReview response ({ success, data })
+ */
+const unwrapReviewPayload = (version) => {
+    if (version?.review?.data && typeof version.review.data === 'object' && version.review.success !== undefined) {
+        return { ...version, review: version.review.data };
+    }
+    return version;
+};
+
+/**
+ * Custom validator for one version of a review comparison: { code } or { review }
+ */
+const validateCompareVersion = (version, { path }) => {
+    if (!version || typeof version !== 'object' || Array.isArray(version)) {
+        throw new Error(`${path} must be an object with either code or review`);
+    }
+
+    const hasCode = version.code !== undefined;
+    const hasReview = version.review !== undefined;
+    if (hasCode === hasReview) {
+        throw new Error(`${path} must contain exactly one of code or review`);
+    }
+
+    if (hasCode) {
+        return validateCodeContent(version.code);
+    }
+
+    if (!version.review || typeof version.review !== 'object' || Array.isArray(version.review)) {
+        throw new Error(`${path}.review must be a review object`);
+    }
+
+    // Coerces the stored review in place, like model output
+    const { valid, errors } = validateReview(version.review);
+    if (!valid) {
+        throw new Error(`${path}.review is not a valid review: ${errors.slice(0, 3).join('; ')}`);
+    }
+
+    return true;
+};
+
+// In diff mode `code` is the original file content and must reach the service untouched
+const isDiffRequest = (value, { req }) => req.body.diff !== undefined;
+const isCodeRequest = (value, { req }) => req.body.diff === undefined;
+
+/**
+ * Validation rule for the ?format= query parameter of review endpoints
+ */
+const outputFormatValidation = query('format')
+    .optional()
+    .isIn(Object.values(OUTPUT_FORMATS))
+    .withMessage(`Format must be one of: ${Object.values(OUTPUT_FORMATS).join(', ')}`);
+
+/**
+ * Validation rule for the suppression baseline of review endpoints
+ */
+const baselineValidation = body('baseline')
+    .optional()
+    .custom(value => {
+        parseBaseline(value);
+        return true;
+    });
+
+/**
+ * Validation rule for the review profile of review endpoints
+ */
+const profileValidation = body('profile')
+    .optional()
+    .isString()
+    .withMessage('Profile must be a string')
+    .bail()
+    .trim()
+    .toLowerCase()
+    .isIn(Object.keys(REVIEW_PROFILES))
+    .withMessage(`Profile must be one of: ${Object.keys(REVIEW_PROFILES).join(', ')}`);
+
+/**
+ * Validation rule for fix mode of POST /review (code reviews only)
+ */
+const fixValidation = body('fix')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Fix must be true or false')
+    .bail()
+    .custom((value, { req }) => !value || req.body.diff === undefined)
+    .withMessage('Fix mode reviews code, not a diff');
+
+/**
+ * Validation rules for the diff fields of a review request
+ */
+const diffFieldValidation = [
+    body('diff')
+        .optional()
+        .custom(validateDiffContent),
+
+    body('originals')
+        .optional()
+        .custom(validateOriginals),
+
+    body('code')
+        .if(isDiffRequest)
+        .optional()
+        .isString()
+        .withMessage('Original code must be a string')
+        .isLength({ max: API_CONFIG.MAX_TOTAL_CODE_LENGTH })
+        .withMessage(`Original code must not exceed ${API_CONFIG.MAX_TOTAL_CODE_LENGTH} characters`)
+];
+
 /**
  * Validation rules for code review requests
+ * Code is neither trimmed nor HTML-escaped: fix patches, anchoring, linting and metrics work on the file as submitted
  */
 const codeReviewValidation = [
     // Code validation
     body('code')
+        .if(isCodeRequest)
         .notEmpty()
         .withMessage('Code is required')
         .isString()
         .withMessage('Code must be a string')
-        .custom(validateCodeContent)
-        .bail() // Stop validation chain if previous validators failed
-        .trim()
-        .escape(),
+        .custom(validateCodeContent),
 
     // Language validation
     body('language')
@@ -158,6 +363,151 @@ const codeReviewValidation = [
         .trim(),
 
     // Framework validation
+    body('framework')
+        .optional()
+        .isString()
+        .withMessage('Framework must be a string')
+        .isLength({ max: API_CONFIG.MAX_FRAMEWORK_NAME_LENGTH })
+        .withMessage(`Framework name must not exceed ${API_CONFIG.MAX_FRAMEWORK_NAME_LENGTH} characters`)
+        .custom(validateFramework)
+        .bail()
+        .trim()
+        .toLowerCase(),
+
+    // Unified diff input (POST /review with a diff field)
+    ...diffFieldValidation,
+
+    baselineValidation,
+    profileValidation,
+    fixValidation,
+    outputFormatValidation
+];
+
+/**
+ * Validation rules for POST /review/diff (diff required)
+ */
+const diffReviewValidation = [
+    body('diff')
+        .exists()
+        .withMessage('Diff is required'),
+
+    ...diffFieldValidation,
+
+    body('language')
+        .optional()
+        .isString()
+        .withMessage('Language must be a string')
+        .custom(validateLanguage)
+        .bail()
+        .trim()
+        .toLowerCase(),
+
+    body('framework')
+        .optional()
+        .isString()
+        .withMessage('Framework must be a string')
+        .isLength({ max: API_CONFIG.MAX_FRAMEWORK_NAME_LENGTH })
+        .withMessage(`Framework name must not exceed ${API_CONFIG.MAX_FRAMEWORK_NAME_LENGTH} characters`)
+        .custom(validateFramework)
+        .bail()
+        .trim()
+        .toLowerCase(),
+
+    baselineValidation,
+    profileValidation,
+    outputFormatValidation
+];
+
+/**
+ * Validation rules for POST /review/git
+ * Refs and paths are checked again by the git service before reaching git
+ */
+const gitReviewValidation = [
+    body('repoPath')
+        .isString()
+        .withMessage('Repository path is required')
+        .bail()
+        .trim()
+        .notEmpty()
+        .withMessage('Repository path cannot be empty')
+        .isLength({ max: PROJECT_CONFIG.MAX_FILE_PATH_LENGTH })
+        .withMessage(`Repository path must not exceed ${PROJECT_CONFIG.MAX_FILE_PATH_LENGTH} characters`),
+
+    body('range')
+        .isString()
+        .withMessage('Range is required, e.g. main..feature')
+        .bail()
+        .trim()
+        .notEmpty()
+        .withMessage('Range cannot be empty')
+        .isLength({ max: 256 })
+        .withMessage('Range must not exceed 256 characters'),
+
+    body('paths')
+        .optional()
+        .isArray({ max: GIT_REVIEW_CONFIG.MAX_PATHS })
+        .withMessage(`Paths must be an array of at most ${GIT_REVIEW_CONFIG.MAX_PATHS} entries`),
+
+    body('paths.*')
+        .isString()
+        .withMessage('Each path must be a string')
+        .bail()
+        .custom(validateFilePath),
+
+    body('language')
+        .optional()
+        .isString()
+        .withMessage('Language must be a string')
+        .custom(validateLanguage)
+        .bail()
+        .trim()
+        .toLowerCase(),
+
+    body('framework')
+        .optional()
+        .isString()
+        .withMessage('Framework must be a string')
+        .isLength({ max: API_CONFIG.MAX_FRAMEWORK_NAME_LENGTH })
+        .withMessage(`Framework name must not exceed ${API_CONFIG.MAX_FRAMEWORK_NAME_LENGTH} characters`)
+        .custom(validateFramework)
+        .bail()
+        .trim()
+        .toLowerCase(),
+
+    baselineValidation,
+    profileValidation,
+    outputFormatValidation
+];
+
+/**
+ * Validation rules for POST /review/compare
+ * Code is not HTML-escaped here: it goes to the model as written, like project files
+ */
+const compareReviewValidation = [
+    body(['before', 'after'])
+        .exists()
+        .withMessage('Both before and after versions are required')
+        .bail()
+        .customSanitizer(unwrapReviewPayload)
+        .custom(validateCompareVersion),
+
+    body('language')
+        .optional()
+        .isString()
+        .withMessage('Language must be a string')
+        .custom(validateLanguage)
+        .bail()
+        .trim()
+        .toLowerCase(),
+
+    body('fileName')
+        .optional()
+        .isString()
+        .withMessage('File name must be a string')
+        .custom(validateFileName)
+        .bail()
+        .trim(),
+
     body('framework')
         .optional()
         .isString()
@@ -172,12 +522,9 @@ const codeReviewValidation = [
 
 /**
  * Sanitization middleware for code review
+ * Code is left as submitted (see codeReviewValidation)
  */
 const sanitizeCodeReview = [
-    body('code')
-        .trim()
-        .escape(),
-    
     body('language')
         .optional()
         .trim()
@@ -206,46 +553,182 @@ const sanitizeCodeReview = [
         })
 ];
 
+/**
+ * Validation rules for project review requests
+ * Code is not HTML-escaped here: the import graph and file excerpts need the source as written
+ */
+const projectReviewValidation = [
+    body('files')
+        .isArray({ min: 1, max: PROJECT_CONFIG.MAX_FILES })
+        .withMessage(`Files must be an array of 1 to ${PROJECT_CONFIG.MAX_FILES} files`)
+        .bail()
+        .custom(validateProjectFiles),
+
+    body('files.*.path')
+        .isString()
+        .withMessage('File path is required')
+        .bail()
+        .custom(validateFilePath),
+
+    body('files.*.code')
+        .isString()
+        .withMessage('File code must be a string')
+        .bail()
+        .custom(validateCodeContent),
+
+    body('files.*.language')
+        .optional()
+        .isString()
+        .withMessage('Language must be a string')
+        .custom(validateLanguage)
+        .bail()
+        .trim()
+        .toLowerCase(),
+
+    body('framework')
+        .optional()
+        .isString()
+        .withMessage('Framework must be a string')
+        .isLength({ max: API_CONFIG.MAX_FRAMEWORK_NAME_LENGTH })
+        .withMessage(`Framework name must not exceed ${API_CONFIG.MAX_FRAMEWORK_NAME_LENGTH} characters`)
+        .custom(validateFramework)
+        .bail()
+        .trim()
+        .toLowerCase(),
+
+    baselineValidation,
+    profileValidation,
+    outputFormatValidation
+];
+
+/**
+ * Sanitization middleware for project review
+ */
+const sanitizeProjectReview = [
+    body('files.*.path')
+        .optional()
+        .customSanitizer(value => {
+            if (typeof value !== 'string') return value;
+            // Normalize to forward slashes relative to the project root
+            return value.trim().replace(/\\/g, '/').replace(/^(\.\/|\/)+/, '');
+        }),
+
+    body('files.*.language')
+        .optional()
+        .trim()
+        .toLowerCase(),
+
+    body('framework')
+        .optional()
+        .trim()
+        .toLowerCase()
+];
+
+/**
+ * Validation rules for GET /reviews filters and pagination
+ */
+const reviewHistoryQueryValidation = [
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive integer')
+        .toInt(),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: HISTORY_CONFIG.MAX_PAGE_SIZE })
+        .withMessage(`Limit must be between 1 and ${HISTORY_CONFIG.MAX_PAGE_SIZE}`)
+        .toInt(),
+
+    query('mode')
+        .optional()
+        .isIn(Object.values(REVIEW_MODES))
+        .withMessage(`Mode must be one of: ${Object.values(REVIEW_MODES).join(', ')}`),
+
+    query(['language', 'framework', 'provider', 'model'])
+        .optional()
+        .isString()
+        .isLength({ min: 1, max: API_CONFIG.MAX_FRAMEWORK_NAME_LENGTH })
+        .withMessage(`Filters must be 1 to ${API_CONFIG.MAX_FRAMEWORK_NAME_LENGTH} characters`)
+        .trim(),
+
+    query(['language', 'framework'])
+        .optional()
+        .toLowerCase(),
+
+    query('codeHash')
+        .optional()
+        .matches(/^[a-f0-9]{64}$/i)
+        .withMessage('Code hash must be a sha256 hex digest')
+        .toLowerCase(),
+
+    query(['minScore', 'maxScore'])
+        .optional()
+        .isFloat({ min: 0, max: 10 })
+        .withMessage('Scores must be between 0 and 10')
+        .toFloat(),
+
+    query(['from', 'to'])
+        .optional()
+        .isISO8601()
+        .withMessage('Dates must be ISO 8601 timestamps')
+        .bail()
+        .customSanitizer(value => new Date(value).toISOString())
+];
+
+/**
+ * Validation rule for the :id of a stored review
+ */
+const reviewIdValidation = [
+    param('id')
+        .isLength({ min: 1, max: 64 })
+        .matches(/^[\w-]+$/)
+        .withMessage('Invalid review ID')
+];
+
 /**
  * Custom validation error formatter
  */
 const formatValidationError = (req, res, next) => {
-    const errorFormatter = ({ location, msg, param, value, nestedErrors }) => {
+    const errorFormatter = ({ location, msg, path, value }) => {
         return {
-            field: param,
+            field: path,
             message: msg,
             value: value,
             location: location
         };
     };
 
-    return (req, res, next) => {
-        const errors = validationResult(req).formatWith(errorFormatter);
+    const errors = validationResult(req).formatWith(errorFormatter);
+    
+    if (!errors.isEmpty()) {
+        const validationErrors = errors.array();
         
-        if (!errors.isEmpty()) {
-            const validationErrors = errors.array();
-            
-            // Log validation errors for monitoring
-            console.warn('🔍 Validation Failed:', {
-                url: req.originalUrl,
-                ip: req.ip,
-                errors: validationErrors.map(err => `${err.field}: ${err.message}`)
-            });
-            
-            return next(createValidationError(
-                'Request validation failed',
-                validationErrors
-            ));
-        }
+        // Log validation errors for monitoring
+        console.warn('🔍 Validation Failed:', {
+            url: req.originalUrl,
+            ip: req.ip,
+            errors: validationErrors.map(err => `${err.field}: ${err.message}`)
+        });
         
-        next();
-    };
+        return next(createValidationError(
+            'Request validation failed',
+            validationErrors
+        ));
+    }
+    
+    next();
 };
 
 /**
  * Validate that at least code is provided
  */
 const validateRequiredFields = (req, res, next) => {
+    // Diff reviews are validated by the diff rules; code is optional there
+    if (req.body.diff !== undefined) {
+        return next();
+    }
+
     if (!req.body.code) {
         return next(createValidationError('Code field is required'));
     }
@@ -281,10 +764,22 @@ const validateRateLimitHeaders = (req, res, next) => {
 module.exports = {
     codeReviewValidation,
     sanitizeCodeReview,
+    projectReviewValidation,
+    sanitizeProjectReview,
+    diffReviewValidation,
+    gitReviewValidation,
+    compareReviewValidation,
+    reviewHistoryQueryValidation,
+    reviewIdValidation,
     validateCodeContent,
     validateLanguage,
     validateFramework,
     validateFileName,
+    validateFilePath,
+    validateProjectFiles,
+    validateDiffContent,
+    validateOriginals,
+    validateCompareVersion,
     formatValidationError,
     validateRequiredFields,
     validateRateLimitHeaders
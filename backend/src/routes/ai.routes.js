@@ -1,6 +1,14 @@
 const express = require('express');
 const { 
     getCodeReview, 
+    streamCodeReview,
+    getProjectReview,
+    getDiffReview,
+    getGitRangeReview,
+    getReviewComparison,
+    listReviews,
+    getStoredReview,
+    deleteStoredReview,
     getSupportedLanguages, 
     getSupportedFrameworks, 
     healthCheck, 
@@ -9,6 +17,13 @@ const {
 const { 
     codeReviewValidation, 
     sanitizeCodeReview, 
+    projectReviewValidation,
+    sanitizeProjectReview,
+    diffReviewValidation,
+    gitReviewValidation,
+    compareReviewValidation,
+    reviewHistoryQueryValidation,
+    reviewIdValidation,
     formatValidationError,
     validateRequiredFields 
 } = require("../middleware/validation");
@@ -19,17 +34,43 @@ const {
     getRateLimitStats 
 } = require("../middleware/rateLimiter");
 const { asyncHandler } = require("../middleware/errorHandler");
+const { EXPORTERS } = require("../services/exporters");
+const { getCheckedLanguages } = require("../services/syntaxCheckers");
+const { METRICS_COLLECTORS } = require("../services/metrics");
+const {
+    API_CONFIG,
+    PROJECT_CONFIG,
+    DIFF_CONFIG,
+    GIT_REVIEW_CONFIG,
+    OUTPUT_FORMATS,
+    REVIEW_MODES,
+    HISTORY_CONFIG,
+    BASELINE_CONFIG,
+    REVIEW_PROFILES,
+    ANCHOR_CONFIG,
+    SYNTAX_CHECK_CONFIG,
+    STATIC_ANALYSIS_CONFIG,
+    METRICS_CONFIG,
+    ISSUE_SOURCES
+} = require("../utils/constants");
 
 const router = express.Router();
 
 /**
  * @route   POST /api/review
- * @description Perform AI-powered code review
+ * @description Perform AI-powered code review; issues silenced by ai-review-* comments in the code
+ *              (e.g. // ai-review-ignore-next-line SECURITY) are returned under suppressed
  * @access  Public
  * @body    {string} code - Source code to review (required)
  * @body    {string} [language] - Programming language (auto-detected if not provided)
  * @body    {string} [fileName] - File name for language detection
  * @body    {string} [framework] - Framework context for better analysis
+ * @body    {string} [diff] - Unified diff to review instead of a whole file (code then holds the original content)
+ * @body    {Object} [originals] - Original content by file path for multi-file diffs
+ * @body    {Object|Array} [baseline] - Fingerprints of known issues to leave out of the result
+ * @body    {string} [profile] - Review profile: security-audit, performance, readability, beginner-friendly or strict
+ * @body    {boolean} [fix] - Fix mode: fixable issues carry a unified diff patch, plus one combined patch
+ * @query   {string} [format] - json (default), sarif, checkstyle, junit, codequality, markdown, html, baseline or patch (or choose with Accept)
  * @returns {Object} Code review results with issues and recommendations
  */
 router.post(
@@ -42,6 +83,170 @@ router.post(
     asyncHandler(getCodeReview) // Main controller with error handling
 );
 
+/**
+ * @route   POST /api/review/stream
+ * @description Stream an AI-powered code review as server-sent events
+ *              (also available as POST /api/review with Accept: text/event-stream)
+ * @access  Public
+ * @body    Same fields as POST /api/review
+ * @returns {EventStream} progress, issue, summary and error events
+ */
+router.post(
+    "/review/stream",
+    codeReviewLimiter,
+    sanitizeCodeReview,
+    validateRequiredFields,
+    codeReviewValidation,
+    formatValidationError,
+    asyncHandler(streamCodeReview)
+);
+
+/**
+ * @route   POST /api/review/diff
+ * @description Review a change given as a unified diff; issues point at new-file lines and carry
+ *              changeType introduced | touched | pre-existing context
+ *              (also available as POST /api/review with a diff field)
+ * @access  Public
+ * @body    {string} diff - Unified diff, one or more files (required)
+ * @body    {string} [code] - Original content of the file for a single-file diff
+ * @body    {Object} [originals] - Original content by file path for multi-file diffs
+ * @body    {string} [language] - Language override (detected per file otherwise)
+ * @body    {string} [framework] - Framework context for better analysis
+ * @body    {Object|Array} [baseline] - Fingerprints of known issues to leave out of the result
+ * @body    {string} [profile] - Review profile: security-audit, performance, readability, beginner-friendly or strict
+ * @query   {string} [format] - json (default), sarif, checkstyle, junit, codequality, markdown, html or baseline (or choose with Accept)
+ * @returns {Object} Diff review with per-file results and tagged issues
+ */
+router.post(
+    "/review/diff",
+    codeReviewLimiter,
+    diffReviewValidation,
+    formatValidationError,
+    asyncHandler(getDiffReview)
+);
+
+/**
+ * @route   POST /api/review/git
+ * @description Review the changes of a commit range in a local git repository through the diff
+ *              review pipeline, with the base version of every changed file as context.
+ *              Disabled unless GIT_REVIEW_ROOTS lists the directories repositories may live in
+ * @access  Public
+ * @body    {string} repoPath - Path to the repository on the server (required)
+ * @body    {string} range - Commit range: base..head, base...head or a single commit (required)
+ * @body    {Array<string>} [paths] - Limit the review to these paths
+ * @body    {string} [language] - Language override (detected per file otherwise)
+ * @body    {string} [framework] - Framework context for better analysis
+ * @body    {Object|Array} [baseline] - Fingerprints of known issues to leave out of the result
+ * @body    {string} [profile] - Review profile: security-audit, performance, readability, beginner-friendly or strict
+ * @query   {string} [format] - json (default), sarif, checkstyle, junit, codequality, markdown, html or baseline (or choose with Accept)
+ * @returns {Object} Diff review with a repository block (resolved commits and commit list)
+ */
+router.post(
+    "/review/git",
+    codeReviewLimiter,
+    gitReviewValidation,
+    formatValidationError,
+    asyncHandler(getGitRangeReview)
+);
+
+/**
+ * @route   POST /api/review/compare
+ * @description Compare two versions of a file. Each version is code (reviewed like POST /api/review)
+ *              or an earlier review; issues are matched by category and normalized code snippet,
+ *              so moved lines still count as the same issue
+ * @access  Public
+ * @body    {Object} before - Earlier version: { code } or { review } (required)
+ * @body    {Object} after - Later version: { code } or { review } (required)
+ * @body    {string} [language] - Programming language (auto-detected if not provided)
+ * @body    {string} [fileName] - File name for context
+ * @body    {string} [framework] - Framework context for better analysis
+ * @returns {Object} Fixed, new and persisting issues with the overall score change
+ */
+router.post(
+    "/review/compare",
+    codeReviewLimiter,
+    compareReviewValidation,
+    formatValidationError,
+    asyncHandler(getReviewComparison)
+);
+
+/**
+ * @route   POST /api/review/project
+ * @description Review several files as one project: per-file reviews plus a cross-file
+ *              summary of shared anti-patterns, inconsistent conventions and risky module boundaries
+ * @access  Public
+ * @body    {Array<Object>} files - Files { path, code, language? } (required)
+ * @body    {string} [framework] - Framework context for better analysis
+ * @body    {Object|Array} [baseline] - Fingerprints of known issues to leave out of the result
+ * @body    {string} [profile] - Review profile: security-audit, performance, readability, beginner-friendly or strict
+ * @query   {string} [format] - json (default), sarif, checkstyle, junit, codequality, markdown, html or baseline (or choose with Accept)
+ * @returns {Object} Project review with per-file results, issues tagged with filePath and cross-file findings
+ */
+router.post(
+    "/review/project",
+    codeReviewLimiter,
+    sanitizeProjectReview,
+    projectReviewValidation,
+    formatValidationError,
+    asyncHandler(getProjectReview)
+);
+
+/**
+ * @route   GET /api/reviews
+ * @description List stored reviews, newest first
+ * @access  Public
+ * @query   {number} [page] - Page number (default 1)
+ * @query   {number} [limit] - Page size (default 20, max 100)
+ * @query   {string} [mode] - code, diff, project or git
+ * @query   {string} [language] - Language
+ * @query   {string} [framework] - Framework
+ * @query   {string} [provider] - AI provider
+ * @query   {string} [model] - Model name
+ * @query   {string} [codeHash] - sha256 of the reviewed input
+ * @query   {number} [minScore] - Lowest overall score
+ * @query   {number} [maxScore] - Highest overall score
+ * @query   {string} [from] - ISO 8601 timestamp, inclusive
+ * @query   {string} [to] - ISO 8601 timestamp, inclusive
+ * @returns {Object} Review summaries and pagination
+ */
+router.get(
+    "/reviews",
+    generalLimiter,
+    reviewHistoryQueryValidation,
+    formatValidationError,
+    asyncHandler(listReviews)
+);
+
+/**
+ * @route   GET /api/reviews/:id
+ * @description Get a stored review with its full result
+ * @access  Public
+ * @param   {string} id - Request ID of the review
+ * @returns {Object} Review summary fields and the review as originally returned
+ */
+router.get(
+    "/reviews/:id",
+    generalLimiter,
+    reviewIdValidation,
+    formatValidationError,
+    asyncHandler(getStoredReview)
+);
+
+/**
+ * @route   DELETE /api/reviews/:id
+ * @description Delete a stored review
+ * @access  Public
+ * @param   {string} id - Request ID of the review
+ * @returns {Object} ID of the deleted review
+ */
+router.delete(
+    "/reviews/:id",
+    generalLimiter,
+    reviewIdValidation,
+    formatValidationError,
+    asyncHandler(deleteStoredReview)
+);
+
 /**
  * @route   GET /api/languages
  * @description Get list of supported programming languages and frameworks
@@ -129,6 +334,63 @@ router.get(
                         framework: 'string (optional)'
                     }
                 },
+                reviewStream: {
+                    method: 'POST',
+                    path: '/api/review/stream',
+                    description: 'Stream AI code review as server-sent events',
+                    events: ['progress', 'issue', 'summary', 'error']
+                },
+                reviewDiff: {
+                    method: 'POST',
+                    path: '/api/review/diff',
+                    description: 'Review a unified diff (also POST /api/review with a diff field)',
+                    body: {
+                        diff: 'string (required)',
+                        code: 'string (optional, original content of a single-file diff)',
+                        originals: 'Object<path, string> (optional)',
+                        language: 'string (optional)',
+                        framework: 'string (optional)'
+                    }
+                },
+                reviewGit: {
+                    method: 'POST',
+                    path: '/api/review/git',
+                    description: 'Review a commit range of a local git repository (requires GIT_REVIEW_ROOTS)',
+                    body: {
+                        repoPath: 'string (required)',
+                        range: 'string (required, e.g. main..feature)',
+                        paths: 'Array<string> (optional)',
+                        language: 'string (optional)',
+                        framework: 'string (optional)'
+                    }
+                },
+                reviewCompare: {
+                    method: 'POST',
+                    path: '/api/review/compare',
+                    description: 'Compare two versions of a file: fixed, new and persisting issues and the score change',
+                    body: {
+                        before: '{ code: string } | { review: Object } (required)',
+                        after: '{ code: string } | { review: Object } (required)',
+                        language: 'string (optional)',
+                        fileName: 'string (optional)',
+                        framework: 'string (optional)'
+                    }
+                },
+                reviewProject: {
+                    method: 'POST',
+                    path: '/api/review/project',
+                    description: 'Review multiple files with a cross-file summary',
+                    body: {
+                        files: 'Array<{ path: string, code: string, language?: string }> (required)',
+                        framework: 'string (optional)'
+                    }
+                },
+                reviews: {
+                    method: 'GET',
+                    path: '/api/reviews',
+                    description: 'List stored reviews (GET/DELETE /api/reviews/:id for one review)',
+                    query: 'page, limit, mode, language, framework, provider, model, codeHash, minScore, maxScore, from, to'
+                },
                 languages: {
                     method: 'GET',
                     path: '/api/languages',
@@ -177,13 +439,82 @@ router.get(
             endpoints: {
                 'POST /review': {
                     description: 'Analyze code and provide AI-powered review',
+                    teamRules: {
+                        description: 'Rule packs (JSON files in REVIEW_RULE_PACKS_DIR, loaded at startup) add a team\'s own rules to the prompt for the languages and frameworks they are scoped to. Issues that violate a rule carry its ruleId and rulePack and take the rule\'s category and severity. GET /status lists the registered packs. Applies to /review, /review/stream, /review/diff, /review/git, /review/compare and /review/project',
+                        schema: {
+                            name: 'string (lowercase, e.g. acme-style)',
+                            description: 'string',
+                            languages: 'Array<string> (empty: all languages)',
+                            frameworks: 'Array<string> (empty: all frameworks)',
+                            rules: 'Array<{ id, title, description, category, severity, languages?, frameworks?, examples?: Array<{ bad?, good?, note? }> }>'
+                        }
+                    },
+                    securityDetails: {
+                        description: 'SECURITY issues carry a security block for triage. The model fills it in; the bundled offline CWE catalogue checks the CWE, names it and sets the OWASP Top 10 2021 category of catalogued CWEs (corrections lists what was changed). Other categories have no security block. Applies to every review endpoint; SARIF exports add external/cwe tags and security-severity',
+                        schema: {
+                            cwe: 'string|null (e.g. CWE-89)',
+                            cweName: 'string|null (from the catalogue)',
+                            owasp: 'string|null (e.g. A03:2021)',
+                            owaspName: 'string|null',
+                            exploitability: 'HIGH|MEDIUM|LOW|null',
+                            dataFlow: '{ source, sink }|null',
+                            score: 'number|null (CVSS-like, 0-10)',
+                            verified: 'boolean (the CWE is in the catalogue)',
+                            corrections: 'Array<string>'
+                        }
+                    },
+                    issueAnchoring: {
+                        description: 'Each codeSnippet is looked up in the reviewed code (whitespace-insensitive) and line/endLine are corrected to where it is. anchor.status is verified (snippet at the reported line), corrected (line moved; reportedLine keeps the model\'s line), unmatched (snippet not in the code, or line past the end of the file) or unchecked (no snippet). REVIEW_UNANCHORED_ISSUES=flag (default) keeps unmatched issues; drop moves them to unanchored. Applies to every review endpoint',
+                        policy: ANCHOR_CONFIG.UNMATCHED,
+                        schema: {
+                            status: 'verified|corrected|unmatched|unchecked',
+                            reportedLine: 'number (line the model reported, 0 when none)'
+                        }
+                    },
+                    staticAnalysis: {
+                        description: 'Before the model is called, local analysers run in-process: ESLint (eslint:recommended plus a few safety rules) for JavaScript/TypeScript and Stylelint (stylelint-config-recommended) for CSS. Their findings are merged into issues with source: static and listed in the prompt so the model does not repeat them; model issues carry source: ai. Code an analyser cannot parse is left to the model. Diff reviews lint files whose full new content is known and keep findings on changed lines. REVIEW_STATIC_ANALYSIS=false turns the pre-pass off',
+                        enabled: STATIC_ANALYSIS_CONFIG.ENABLED,
+                        schema: {
+                            source: `${Object.values(ISSUE_SOURCES).join('|')}`,
+                            analyzer: '{ name: eslint|stylelint, rule } (static issues only)'
+                        }
+                    },
+                    metrics: {
+                        description: 'Every review carries metrics computed in-process, independent of the model: line counts, comment ratio and duplicate blocks for every language (comments found by the comment syntax of the language), plus cyclomatic complexity, length and nesting depth per function and the deepest nesting of the file for JavaScript/TypeScript (Babel) and Python (Lezer). /review/project lists them per file; /review/diff and /review/git per file whose full new content is known. REVIEW_METRICS=false turns them off',
+                        enabled: METRICS_CONFIG.ENABLED,
+                        collectors: METRICS_COLLECTORS.map(({ name, languages }) => ({ name, languages })),
+                        thresholds: METRICS_CONFIG.THRESHOLDS,
+                        schema: {
+                            language: 'string',
+                            collector: 'babel|python|null (null: line-based metrics only)',
+                            lines: '{ total, code, comment, blank } (a code line with a trailing comment is a code line)',
+                            commentRatio: 'comment lines / (code + comment lines)',
+                            functions: `{ count, averageComplexity, maxComplexity, averageLength, maxLength, overThreshold: { complexity, length, nesting }, items: Array<{ name, line, endLine, length, complexity, nesting }> (at most ${METRICS_CONFIG.MAX_FUNCTIONS}, most complex kept) } | null`,
+                            nesting: '{ max, line } | null',
+                            duplicates: `{ blocks, duplicatedLines, ratio, items: Array<{ lines, occurrences: Array<{ line, endLine }> }> (at most ${METRICS_CONFIG.MAX_DUPLICATE_BLOCKS}, longest first; blocks of ${METRICS_CONFIG.DUPLICATE_MIN_LINES}+ code lines, compared without comments and whitespace) }`
+                        }
+                    },
+                    suggestionSyntax: {
+                        description: 'The code in each suggestion (fenced blocks, or the whole suggestion unless it is prose) is parsed with a pure-JS parser: Babel for JavaScript/TypeScript, JSON.parse, Lezer grammars for CSS, HTML and Python, and node-sql-parser (MySQL, PostgreSQL, SQLite, T-SQL) for SQL. A fence tag (```json) picks the parser, otherwise the language of the review. syntaxValid is true, false (syntaxError tells why) or null when nothing could be checked. With REVIEW_SYNTAX_REPROMPT=true the model is asked once to correct suggestions that do not parse; corrections that parse replace them and carry syntaxRepaired: true (not on /review/stream). Applies to every review endpoint',
+                        languages: getCheckedLanguages(),
+                        reprompt: SYNTAX_CHECK_CONFIG.REPROMPT,
+                        schema: {
+                            syntaxValid: 'boolean|null',
+                            syntaxError: '{ message, line, column, language } (only when syntaxValid is false; line and column count from the start of the suggested code)',
+                            syntaxRepaired: 'true (only when the suggestion was corrected after a re-prompt)'
+                        }
+                    },
+                    inlineSuppressions: {
+                        description: 'Comments in the reviewed code silence issues: ai-review-ignore-line, ai-review-ignore-next-line, ai-review-disable and ai-review-enable (ESLint-style disable-line and disable-next-line work too), written with the comment syntax of the language. Optional categories follow the directive (all categories when none are named) and text after " -- " is a reason. Silenced issues are listed under suppressed. Also honoured by /review/stream, /review/diff, /review/git, /review/compare and /review/project',
+                        examples: ['// ai-review-ignore-next-line SECURITY -- input is validated upstream', '# ai-review-disable PERFORMANCE', '/* ai-review-enable */']
+                    },
                     parameters: {
                         body: {
                             code: {
                                 type: 'string',
                                 required: true,
-                                description: 'Source code to analyze',
-                                maxLength: 15000
+                                description: 'Source code to analyze (inputs over maxChunkLength are split at function/class boundaries and reviewed in chunks)',
+                                maxLength: API_CONFIG.MAX_TOTAL_CODE_LENGTH
                             },
                             language: {
                                 type: 'string',
@@ -202,23 +533,277 @@ router.get(
                                 required: false,
                                 description: 'Framework for better analysis',
                                 examples: ['react', 'django', 'springboot']
+                            },
+                            baseline: {
+                                type: '{ issues: Array<{ fingerprint }> } | { fingerprints: Array<string> } | Array<string>',
+                                required: false,
+                                description: 'Known issues to suppress, e.g. an earlier format=baseline export. Combined with REVIEW_BASELINE_FILE; the response reports baseline: { entries, suppressed, fingerprints }. Also accepted by /review/diff, /review/git and /review/project',
+                                maxItems: BASELINE_CONFIG.MAX_ENTRIES
+                            },
+                            profile: {
+                                type: 'string',
+                                required: false,
+                                description: 'Focus the review: each profile has its own system instruction, reported categories (by weight), minimum severity and tone. Without a profile every category and severity is reported. Also accepted by /review/stream, /review/diff, /review/git and /review/project',
+                                enum: Object.keys(REVIEW_PROFILES),
+                                profiles: Object.fromEntries(Object.entries(REVIEW_PROFILES).map(([name, profile]) => [name, {
+                                    focus: profile.focus,
+                                    categoryWeights: profile.categoryWeights,
+                                    minSeverity: profile.minSeverity
+                                }]))
+                            },
+                            fix: {
+                                type: 'boolean',
+                                required: false,
+                                description: 'Fix mode (code reviews only, not diffs or streams): the model attaches the exact lines to replace and their replacement to every issue a local edit can fix. Each fix becomes a minimal unified diff against the submitted code that is checked to apply; fixes that do not are listed under fixes.rejected. The fixes that touch different lines are combined into fixes.combined.patch (most severe first), also available as format=patch for git apply'
                             }
+                        },
+                        headers: {
+                            'Cache-Control': {
+                                required: false,
+                                description: 'no-cache forces a fresh review (and refreshes the cache), no-store bypasses the cache entirely'
+                            }
+                        },
+                        query: {
+                            format: {
+                                type: 'string',
+                                required: false,
+                                enum: Object.values(OUTPUT_FORMATS),
+                                description: 'Export the review instead of returning the JSON envelope: sarif (SARIF 2.1.0), checkstyle (Checkstyle XML), junit (JUnit XML, one test case per issue) codequality (GitLab Code Quality JSON), markdown (Markdown report), html (standalone HTML report), baseline (fingerprints of every issue, to send back as baseline later) or patch (the combined patch of a fix mode review). Also accepted by /review/diff, /review/git and /review/project'
+                            }
+                        },
+                        contentNegotiation: {
+                            description: 'Without ?format= the Accept header picks the format',
+                            mediaTypes: Object.fromEntries(Object.values(EXPORTERS).map(exporter => [exporter.format, exporter.mediaTypes]))
                         }
                     },
                     responses: {
                         200: {
-                            description: 'Successful code review',
+                            description: 'Successful code review (metadata.cached tells whether it came from the review cache)',
                             schema: {
                                 overallScore: 'number (0-10)',
                                 summary: 'string',
-                                issues: 'Array<Issue>',
+                                issues: 'Array<Issue & { symbol, fingerprint, source, anchor, syntaxValid, syntaxError?, analyzer?, ruleId?, rulePack?, security? }> (source: ai or static, see staticAnalysis; fingerprint: stable across line shifts, from category, normalized snippet, enclosing symbol and file; anchor: { status, reportedLine }, see issueAnchoring; syntaxValid: whether the suggested code parses, see suggestionSyntax; ruleId: team rule the issue violates; security: SECURITY issues only, see securityDetails)',
                                 positiveAspects: 'Array<string>',
-                                recommendations: 'Array<string>'
+                                recommendations: 'Array<string>',
+                                suppressed: 'Array<Issue & { suppressedBy: { directive, line } }> (issues silenced by inline directives)',
+                                unanchored: 'Array<Issue> (only with REVIEW_UNANCHORED_ISSUES=drop: issues whose snippet is not in the code)',
+                                profile: '{ name, minSeverity, categories, filtered } (only with a profile; filtered counts the issues left out)',
+                                baseline: '{ entries, suppressed, fingerprints } (only when a baseline applies)',
+                                fixes: '{ patches, rejected: Array<{ fingerprint, title, line, reason }>, combined: { patch, issues, conflicts } | null } (fix mode only; fixable issues carry fix: { startLine, endLine, replacement, patch })',
+                                metrics: 'Code metrics of the reviewed file, see metrics (absent with REVIEW_METRICS=false)'
                             }
                         },
                         400: 'Validation error',
                         429: 'Rate limit exceeded',
-                        500: 'Internal server error'
+                        500: 'Internal server error',
+                        502: 'AI model output did not match the review schema after a repair attempt (AI_INVALID_RESPONSE)'
+                    }
+                },
+                'POST /review/stream': {
+                    description: 'Stream a code review as server-sent events. Same body as POST /review; POST /review with Accept: text/event-stream is equivalent',
+                    events: {
+                        progress: '{ stage: started|generating|parsing, ... }',
+                        issue: '{ index: number, issue: Issue } - sent as soon as each issue parses',
+                        summary: 'Full review object with metadata (same shape as POST /review data)',
+                        error: '{ success: false, message, errorCode }'
+                    }
+                },
+                'POST /review/diff': {
+                    description: 'Review a change from a unified diff. The prompt focuses on added and modified hunks; without the original content only the hunks are reviewed. POST /review with a diff field is equivalent',
+                    parameters: {
+                        body: {
+                            diff: {
+                                type: 'string',
+                                required: true,
+                                description: 'Unified diff (git diff or diff -u), one or more files',
+                                maxLength: DIFF_CONFIG.MAX_DIFF_LENGTH
+                            },
+                            code: {
+                                type: 'string',
+                                required: false,
+                                description: 'Original content of the file (single-file diffs); the diff must apply to it'
+                            },
+                            originals: {
+                                type: 'Object<string, string>',
+                                required: false,
+                                description: 'Original content by old file path (multi-file diffs)'
+                            }
+                        }
+                    },
+                    responses: {
+                        200: {
+                            description: 'Diff review; issue lines refer to the new file',
+                            schema: {
+                                overallScore: 'number (0-10, weighted by lines changed)',
+                                summary: 'string',
+                                files: 'Array<{ filePath, oldPath, change, status: reviewed|failed|skipped, additions, deletions, fullContent, issues, ... }>',
+                                issues: "Array<Issue & { filePath, changeType: 'introduced'|'touched'|'pre-existing context' }>",
+                                suppressed: 'Array<Issue & { filePath, suppressedBy }> (issues silenced by inline directives, also per file)',
+                                stats: '{ files, reviewed, additions, deletions, changeTypes }'
+                            }
+                        },
+                        400: 'Validation error (including diffs that do not apply to the given original content)',
+                        502: 'AI model output did not match the review schema after a repair attempt'
+                    }
+                },
+                'POST /review/git': {
+                    description: 'Review the changes of a commit range in a repository on the server. The diff and the base version of each changed file are read with git and reviewed like POST /review/diff. Only repositories under GIT_REVIEW_ROOTS are accepted; the endpoint answers 403 when it is not set',
+                    parameters: {
+                        body: {
+                            repoPath: {
+                                type: 'string',
+                                required: true,
+                                description: 'Repository path (or a directory inside it)'
+                            },
+                            range: {
+                                type: 'string',
+                                required: true,
+                                description: 'base..head, base...head (changes since the merge base) or a single commit (compared with its parent)'
+                            },
+                            paths: {
+                                type: 'Array<string>',
+                                required: false,
+                                description: 'Limit the diff to these paths',
+                                maxItems: GIT_REVIEW_CONFIG.MAX_PATHS
+                            }
+                        }
+                    },
+                    responses: {
+                        200: {
+                            description: 'Diff review of the range',
+                            schema: {
+                                '...': 'Same fields as POST /review/diff',
+                                repository: '{ path, range, base: { ref, sha }, head: { ref, sha }, commits: Array<{ sha, author, date, subject }> }'
+                            }
+                        },
+                        400: 'Validation error, unknown revision, empty or oversized diff',
+                        403: 'Git review disabled or repository outside GIT_REVIEW_ROOTS'
+                    }
+                },
+                'POST /review/compare': {
+                    description: 'Compare two versions of a file. A version given as code is reviewed (through the review cache); a version given as review is used as is, e.g. the data of an earlier POST /review response (the whole response is accepted too). Issues are matched by category and code snippet with whitespace and HTML escaping normalized, never by line number; issues without a snippet are matched by title',
+                    parameters: {
+                        body: {
+                            before: {
+                                type: '{ code: string } | { review: Object }',
+                                required: true,
+                                description: 'Earlier version of the file'
+                            },
+                            after: {
+                                type: '{ code: string } | { review: Object }',
+                                required: true,
+                                description: 'Later version of the file'
+                            },
+                            language: {
+                                type: 'string',
+                                required: false,
+                                description: 'Language of code versions (detected when omitted)'
+                            },
+                            fileName: {
+                                type: 'string',
+                                required: false,
+                                description: 'File name for context'
+                            },
+                            framework: {
+                                type: 'string',
+                                required: false,
+                                description: 'Framework for better analysis'
+                            }
+                        }
+                    },
+                    responses: {
+                        200: {
+                            description: 'Comparison of the two reviews',
+                            schema: {
+                                overallScore: '{ before, after, change }',
+                                summary: '{ fixed, new, persisting, severity: { [severity]: { before, after } } }',
+                                fixed: 'Array<Issue> (from the earlier review)',
+                                new: 'Array<Issue> (from the later review)',
+                                persisting: 'Array<Issue & { previousLine, previousSeverity }> (from the later review)',
+                                versions: '{ before, after }: { source: "code" | "review", overallScore, issueCount, summary, cached, codeSize, requestId, metrics } (metrics: see POST /review, null for reviews without them)'
+                            }
+                        },
+                        400: 'Validation error (a version without code or review, or a review that does not match the review schema)',
+                        502: 'AI model output did not match the review schema after a repair attempt'
+                    }
+                },
+                'POST /review/project': {
+                    description: 'Review several files as one project. Each file is reviewed on its own (through the review cache), then the model summarizes cross-file problems',
+                    parameters: {
+                        body: {
+                            files: {
+                                type: 'Array<{ path, code, language? }>',
+                                required: true,
+                                description: 'Project files; language is detected from each path when omitted',
+                                maxItems: PROJECT_CONFIG.MAX_FILES,
+                                maxTotalLength: PROJECT_CONFIG.MAX_TOTAL_CODE_LENGTH
+                            },
+                            framework: {
+                                type: 'string',
+                                required: false,
+                                description: 'Framework for better analysis'
+                            }
+                        }
+                    },
+                    responses: {
+                        200: {
+                            description: 'Project review (files that could not be reviewed are listed with status "failed")',
+                            schema: {
+                                overallScore: 'number (0-10, weighted by file size)',
+                                summary: 'string',
+                                files: 'Array<{ filePath, language, status, overallScore, summary, issues, ... }>',
+                                issues: 'Array<Issue & { filePath }>',
+                                suppressed: 'Array<Issue & { filePath, suppressedBy }> (issues silenced by inline directives, also per file)',
+                                crossFile: '{ sharedAntiPatterns, inconsistentConventions, riskyBoundaries }: Array<{ title, description, severity, files, suggestion }>',
+                                dependencyGraph: '{ edges, cycles, fanIn, fanOut }',
+                                recommendations: 'Array<string>'
+                            }
+                        },
+                        400: 'Validation error',
+                        502: 'AI model output did not match the expected schema after a repair attempt'
+                    }
+                },
+                'GET /reviews': {
+                    description: 'List stored reviews, newest first. Every completed review (including exported and streamed ones) is stored with its request ID',
+                    parameters: {
+                        query: {
+                            page: { type: 'integer', required: false, default: 1 },
+                            limit: { type: 'integer', required: false, default: HISTORY_CONFIG.DEFAULT_PAGE_SIZE, max: HISTORY_CONFIG.MAX_PAGE_SIZE },
+                            mode: { type: 'string', required: false, enum: Object.values(REVIEW_MODES) },
+                            language: { type: 'string', required: false },
+                            framework: { type: 'string', required: false },
+                            provider: { type: 'string', required: false },
+                            model: { type: 'string', required: false },
+                            codeHash: { type: 'string', required: false, description: 'sha256 of the reviewed code (or diff)' },
+                            minScore: { type: 'number', required: false },
+                            maxScore: { type: 'number', required: false },
+                            from: { type: 'string', required: false, description: 'ISO 8601 timestamp' },
+                            to: { type: 'string', required: false, description: 'ISO 8601 timestamp' }
+                        }
+                    },
+                    responses: {
+                        200: {
+                            description: 'Review summaries',
+                            schema: {
+                                reviews: 'Array<{ id, createdAt, mode, codeHash, fileName, fileCount, language, framework, provider, model, overallScore, issueCount, criticalCount, highCount, processingTimeMs, cached }>',
+                                pagination: '{ page, limit, total, totalPages }'
+                            }
+                        },
+                        400: 'Validation error'
+                    }
+                },
+                'GET /reviews/:id': {
+                    description: 'Get a stored review: the summary fields plus review, the data object of the original response',
+                    responses: {
+                        200: 'Stored review',
+                        404: 'Review not found'
+                    }
+                },
+                'DELETE /reviews/:id': {
+                    description: 'Delete a stored review',
+                    responses: {
+                        200: 'Review deleted',
+                        404: 'Review not found'
                     }
                 },
                 'GET /languages': {
@@ -248,9 +833,15 @@ router.get(
                 'General': '100 requests per 15 minutes'
             },
             limits: {
-                maxCodeLength: 15000,
+                maxCodeLength: API_CONFIG.MAX_TOTAL_CODE_LENGTH,
+                maxChunkLength: API_CONFIG.MAX_CODE_LENGTH,
+                maxLineLength: API_CONFIG.MAX_LINE_LENGTH,
                 maxFileNameLength: 255,
                 maxFrameworkLength: 100,
+                maxProjectFiles: PROJECT_CONFIG.MAX_FILES,
+                maxDiffLength: DIFF_CONFIG.MAX_DIFF_LENGTH,
+                maxDiffFiles: DIFF_CONFIG.MAX_FILES,
+                maxProjectCodeLength: PROJECT_CONFIG.MAX_TOTAL_CODE_LENGTH,
                 requestTimeout: '45 seconds'
             }
         });
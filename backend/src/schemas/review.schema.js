@@ -0,0 +1,126 @@
+const Ajv = require('ajv');
+const { ISSUE_CATEGORIES, SEVERITY_LEVELS } = require("../utils/constants");
+
+/**
+ * JSON Schema for a single review issue
+ */
+const ISSUE_SCHEMA = {
+    $id: 'https://code-review-ai/schemas/issue.json',
+    type: 'object',
+    required: ['category', 'severity', 'title', 'description'],
+    properties: {
+        category: { type: 'string', enum: Object.values(ISSUE_CATEGORIES) },
+        severity: { type: 'string', enum: Object.values(SEVERITY_LEVELS) },
+        title: { type: 'string', minLength: 1 },
+        description: { type: 'string' },
+        line: { type: 'integer', minimum: 0, default: 0 },
+        endLine: { type: 'integer', minimum: 0 },
+        codeSnippet: { type: 'string', default: '' },
+        suggestion: { type: 'string', default: '' },
+        reasoning: { type: 'string', default: '' },
+        ruleId: { type: 'string' },
+        // SECURITY issues only; checked against the CWE catalogue after validation (see utils/securityDetails)
+        security: { type: ['object', 'null'] },
+        // Fix mode only: { original, replacement }, turned into patches by utils/fixPatches
+        fix: { type: ['object', 'null'] }
+    },
+    additionalProperties: true
+};
+
+/**
+ * JSON Schema for the review object returned by the model
+ */
+const REVIEW_SCHEMA = {
+    $id: 'https://code-review-ai/schemas/review.json',
+    type: 'object',
+    required: ['overallScore', 'summary', 'language', 'issues'],
+    properties: {
+        overallScore: { type: 'number', minimum: 0, maximum: 10 },
+        summary: { type: 'string', minLength: 1 },
+        language: { type: 'string' },
+        framework: { type: 'string' },
+        issues: { type: 'array', items: ISSUE_SCHEMA },
+        positiveAspects: { type: 'array', items: { type: 'string' }, default: [] },
+        recommendations: { type: 'array', items: { type: 'string' }, default: [] }
+    },
+    additionalProperties: true
+};
+
+/**
+ * JSON Schema for one cross-file finding of a project review
+ * (no $id: it is embedded three times in PROJECT_SUMMARY_SCHEMA)
+ */
+const PROJECT_FINDING_SCHEMA = {
+    type: 'object',
+    required: ['title', 'description'],
+    properties: {
+        title: { type: 'string', minLength: 1 },
+        description: { type: 'string' },
+        severity: { type: 'string', enum: Object.values(SEVERITY_LEVELS), default: SEVERITY_LEVELS.MEDIUM },
+        files: { type: 'array', items: { type: 'string' }, default: [] },
+        suggestion: { type: 'string', default: '' }
+    },
+    additionalProperties: true
+};
+
+/**
+ * JSON Schema for the cross-file summary returned by the model
+ */
+const PROJECT_SUMMARY_SCHEMA = {
+    $id: 'https://code-review-ai/schemas/project-summary.json',
+    type: 'object',
+    required: ['summary', 'sharedAntiPatterns', 'inconsistentConventions', 'riskyBoundaries'],
+    properties: {
+        summary: { type: 'string', minLength: 1 },
+        sharedAntiPatterns: { type: 'array', items: PROJECT_FINDING_SCHEMA },
+        inconsistentConventions: { type: 'array', items: PROJECT_FINDING_SCHEMA },
+        riskyBoundaries: { type: 'array', items: PROJECT_FINDING_SCHEMA },
+        recommendations: { type: 'array', items: { type: 'string' }, default: [] }
+    },
+    additionalProperties: true
+};
+
+// coerceTypes turns "7" into 7 and "12" line numbers into integers; useDefaults fills optional fields
+const ajv = new Ajv({ allErrors: true, coerceTypes: true, useDefaults: true });
+const validateReviewSchema = ajv.compile(REVIEW_SCHEMA);
+const validateProjectSummarySchema = ajv.compile(PROJECT_SUMMARY_SCHEMA);
+
+/**
+ * Run a compiled validator and format its errors
+ * @param {Function} validate - Compiled ajv validator
+ * @param {Object} data - Parsed model output (coerced in place)
+ * @returns {Object} - { valid, errors } where errors are readable strings
+ */
+const runValidator = (validate, data) => {
+    const valid = validate(data);
+
+    return {
+        valid,
+        errors: valid ? [] : validate.errors.map(error =>
+            `${error.instancePath || '/'} ${error.message}${error.params?.allowedValues ? `: ${error.params.allowedValues.join(', ')}` : ''}`
+        )
+    };
+};
+
+/**
+ * Validate (and coerce in place) a parsed review
+ * @param {Object} review - Parsed model output
+ * @returns {Object} - { valid, errors } where errors are readable strings
+ */
+const validateReview = (review) => runValidator(validateReviewSchema, review);
+
+/**
+ * Validate (and coerce in place) a parsed cross-file project summary
+ * @param {Object} summary - Parsed model output
+ * @returns {Object} - { valid, errors } where errors are readable strings
+ */
+const validateProjectSummary = (summary) => runValidator(validateProjectSummarySchema, summary);
+
+module.exports = {
+    ISSUE_SCHEMA,
+    REVIEW_SCHEMA,
+    PROJECT_FINDING_SCHEMA,
+    PROJECT_SUMMARY_SCHEMA,
+    validateReview,
+    validateProjectSummary
+};
@@ -0,0 +1,99 @@
+const Ajv = require('ajv');
+const {
+    ISSUE_CATEGORIES,
+    SEVERITY_LEVELS,
+    SUPPORTED_LANGUAGES,
+    SUPPORTED_FRAMEWORKS,
+    RULE_PACK_CONFIG
+} = require("../utils/constants");
+
+/**
+ * Language and framework scope shared by packs and rules (empty means all)
+ */
+const SCOPE_PROPERTIES = {
+    languages: {
+        type: 'array',
+        items: { type: 'string', enum: Object.keys(SUPPORTED_LANGUAGES) },
+        uniqueItems: true,
+        default: []
+    },
+    frameworks: {
+        type: 'array',
+        items: { type: 'string', enum: SUPPORTED_FRAMEWORKS },
+        uniqueItems: true,
+        default: []
+    }
+};
+
+/**
+ * JSON Schema for one team rule
+ */
+const RULE_SCHEMA = {
+    type: 'object',
+    required: ['id', 'title', 'description', 'category', 'severity'],
+    properties: {
+        id: { type: 'string', pattern: '^[A-Za-z][\\w.-]{0,63}$' },
+        title: { type: 'string', minLength: 1 },
+        description: { type: 'string', minLength: 1 },
+        category: { type: 'string', enum: Object.values(ISSUE_CATEGORIES) },
+        severity: { type: 'string', enum: Object.values(SEVERITY_LEVELS) },
+        ...SCOPE_PROPERTIES,
+        examples: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    bad: { type: 'string', maxLength: RULE_PACK_CONFIG.MAX_EXAMPLE_LENGTH },
+                    good: { type: 'string', maxLength: RULE_PACK_CONFIG.MAX_EXAMPLE_LENGTH },
+                    note: { type: 'string' }
+                },
+                anyOf: [{ required: ['bad'] }, { required: ['good'] }],
+                additionalProperties: false
+            },
+            default: []
+        }
+    },
+    additionalProperties: false
+};
+
+/**
+ * JSON Schema for a rule pack: named rules scoped to languages and frameworks
+ */
+const RULE_PACK_SCHEMA = {
+    $id: 'https://code-review-ai/schemas/rule-pack.json',
+    type: 'object',
+    required: ['name', 'rules'],
+    properties: {
+        name: { type: 'string', pattern: '^[a-z0-9][\\w.-]{0,63}$' },
+        description: { type: 'string', default: '' },
+        ...SCOPE_PROPERTIES,
+        rules: { type: 'array', items: RULE_SCHEMA, minItems: 1 }
+    },
+    additionalProperties: false
+};
+
+// useDefaults fills empty scopes and example lists; no coercion, rule packs are written by hand
+const ajv = new Ajv({ allErrors: true, useDefaults: true });
+const validateRulePackSchema = ajv.compile(RULE_PACK_SCHEMA);
+
+/**
+ * Validate (and fill defaults of) a rule pack
+ * @param {Object} pack - Parsed rule pack
+ * @returns {Object} - { valid, errors } where errors are readable strings
+ */
+const validateRulePack = (pack) => {
+    const valid = validateRulePackSchema(pack);
+
+    return {
+        valid,
+        errors: valid ? [] : validateRulePackSchema.errors.map(error =>
+            `${error.instancePath || '/'} ${error.message}${error.params?.allowedValues ? `: ${error.params.allowedValues.join(', ')}` : ''}`
+        )
+    };
+};
+
+module.exports = {
+    RULE_SCHEMA,
+    RULE_PACK_SCHEMA,
+    validateRulePack
+};
@@ -1,38 +1,61 @@
-const { GoogleGenerativeAI } = require("@google/generative-ai");
+const { createProvider, describeProvider, CassetteProvider } = require("./providers");
+const IssueStreamParser = require("../utils/issueStreamParser");
+const { parseJsonLenient } = require("../utils/jsonRepair");
+const { splitCode } = require("../utils/codeChunker");
+const { mapWithConcurrency } = require("../utils/concurrency");
+const { applyInlineSuppressions, createSuppressionMatcher } = require("../utils/inlineSuppressions");
+const { normalizeSecurityDetails } = require("../utils/securityDetails");
+const { anchorIssues, createIssueAnchor, isAnchorKept, applyAnchorPolicy } = require("../utils/issueAnchoring");
+const { checkSuggestionSyntax } = require("../utils/suggestionSyntax");
+const rulePackRegistry = require("./rulePack.services");
+const staticAnalysisService = require("./staticAnalysis.services");
+const codeMetricsService = require("./metrics.services");
+const {
+    getReviewProfile,
+    getFocusCategories,
+    isReportedByProfile,
+    applyReviewProfile
+} = require("../utils/reviewProfiles");
+const {
+    REVIEW_SCHEMA,
+    PROJECT_SUMMARY_SCHEMA,
+    validateReview,
+    validateProjectSummary
+} = require("../schemas/review.schema");
+const { AppError, createInvalidAIResponseError } = require("../middleware/errorHandler");
 const { 
     AI_SERVICE, 
+    CASSETTE_MODES,
     API_CONFIG, 
     SUPPORTED_LANGUAGES, 
     SUPPORTED_FRAMEWORKS,
-    ERROR_CODES,
+    SEVERITY_LEVELS,
+    CHUNKING_CONFIG,
+    PROJECT_CONFIG,
     RESPONSE_MESSAGES,
+    SYNTAX_CHECK_CONFIG,
+    STATIC_ANALYSIS_CONFIG,
+    ISSUE_SOURCES,
     LOGGING_CONFIG 
 } = require("../utils/constants");
 
+// Emit a "generating" progress event roughly every this many characters
+const STREAM_PROGRESS_INTERVAL = 1000;
+
+// Longest slice of a malformed answer echoed back in the repair prompt
+const REPAIR_MAX_ECHO_LENGTH = 12000;
+
 /**
  * Multi-language AI service for comprehensive code review
  * Uses centralized configuration from constants.js
  */
 class AIService {
     constructor() {
-        // Validate AI configuration on startup
-        if (!AI_SERVICE.API_KEY) {
-            throw new Error('GEMINI_API_KEY is required. Please check your .env file');
-        }
-
-        // Initialize Gemini AI with configuration from constants
-        this.genAI = new GoogleGenerativeAI(AI_SERVICE.API_KEY);
-        this.model = this.genAI.getGenerativeModel({
-            model: AI_SERVICE.MODEL_NAME,
-            generationConfig: {
-                temperature: AI_SERVICE.TEMPERATURE,
-                topP: AI_SERVICE.TOP_P,
-                topK: AI_SERVICE.TOP_K,
-                maxOutputTokens: AI_SERVICE.MAX_OUTPUT_TOKENS,
-            },
-            safetySettings: AI_SERVICE.SAFETY_SETTINGS,
-            systemInstruction: this.getSystemInstruction()
-        });
+        // Initialize the configured LLM provider (gemini, openai, ollama, llamacpp)
+        this.provider = this._createProvider(this.getSystemInstruction());
+
+        // Review profiles get their own provider, created on first use, with a profile-specific system instruction
+        this.profileProviders = new Map();
 
         this.maxRetries = API_CONFIG.MAX_RETRY_ATTEMPTS;
         this.timeout = API_CONFIG.REQUEST_TIMEOUT;
@@ -40,11 +63,48 @@ class AIService {
         this.supportedFrameworks = SUPPORTED_FRAMEWORKS;
     }
 
+    /**
+     * Create a provider of the configured type
+     * @param {string} systemInstruction - System instruction for the model
+     * @returns {BaseProvider} - Provider, wrapped in a cassette when a cassette mode is enabled
+     */
+    _createProvider(systemInstruction) {
+        const { MODE, DIR } = AI_SERVICE.CASSETTE;
+
+        if (MODE === CASSETTE_MODES.OFF) {
+            return createProvider(AI_SERVICE.PROVIDER, { systemInstruction });
+        }
+
+        // Record/replay AI calls to disk; replays run offline, so the provider is only described
+        const provider = MODE === CASSETTE_MODES.REPLAY
+            ? describeProvider(AI_SERVICE.PROVIDER, { systemInstruction })
+            : createProvider(AI_SERVICE.PROVIDER, { systemInstruction });
+
+        return new CassetteProvider(provider, { mode: MODE, dir: DIR });
+    }
+
+    /**
+     * Get the provider for a review profile
+     * @param {Object|null} profile - Profile from getReviewProfile
+     * @returns {BaseProvider} - Profile provider, or the default provider without a profile
+     */
+    _getProvider(profile) {
+        if (!profile) {
+            return this.provider;
+        }
+
+        if (!this.profileProviders.has(profile.name)) {
+            this.profileProviders.set(profile.name, this._createProvider(this.getSystemInstruction(profile)));
+        }
+        return this.profileProviders.get(profile.name);
+    }
+
     /**
      * Get system instruction for AI model
+     * @param {Object|null} profile - Review profile that narrows the review (from getReviewProfile)
      * @returns {string} - System instruction
      */
-    getSystemInstruction() {
+    getSystemInstruction(profile = null) {
         return `
 # Senior Code Reviewer AI (Multi-Language Expert)
 
@@ -104,6 +164,14 @@ You are proficient in analyzing code across all programming paradigms:
 - Data encryption and protection
 - Common vulnerabilities (OWASP Top 10)
 
+### Security Findings
+Every SECURITY issue carries a "security" object for the security team's triage:
+- **cwe**: the most specific CWE ID of the weakness (e.g. "CWE-89")
+- **owasp**: its OWASP Top 10 2021 category (e.g. "A03:2021")
+- **exploitability**: HIGH (reachable with untrusted input, no preconditions), MEDIUM (needs specific conditions or access) or LOW (theoretical or hard to trigger)
+- **dataFlow**: where untrusted data enters ("source") and where it is used unsafely ("sink"); omit when no data flow is involved
+- **score**: a CVSS-like base score from 0.0 to 10.0, consistent with the severity
+
 ### Performance (All Languages)
 - Algorithm complexity analysis
 - Memory usage optimization
@@ -115,7 +183,7 @@ You are proficient in analyzing code across all programming paradigms:
 - Documentation and comments
 - Testing coverage and strategy
 - Dependency management
-
+${this._formatRulePackInstruction()}
 ## Response Structure
 
 ### Required Output Format:
@@ -133,7 +201,14 @@ You are proficient in analyzing code across all programming paradigms:
       "line": 10,
       "codeSnippet": "problematic code",
       "suggestion": "improved code",
-      "reasoning": "Why this change is important"
+      "reasoning": "Why this change is important",
+      "security": {
+        "cwe": "CWE-89",
+        "owasp": "A03:2021",
+        "exploitability": "HIGH|MEDIUM|LOW",
+        "dataFlow": { "source": "req.query.id", "sink": "db.query()" },
+        "score": 8.6
+      }
     }
   ],
   "positiveAspects": [
@@ -144,13 +219,15 @@ You are proficient in analyzing code across all programming paradigms:
   ]
 }
 \`\`\`
+The "security" object is only for SECURITY issues; omit it for every other category.
+When a "suggestion" contains code, it must be complete, syntactically valid code in the reviewed language (balanced brackets, whole statements, no placeholders such as "..."). Suggestions that do not parse are flagged to the developer.
 
 ## Tone & Approach
 - Be language-agnostic in principles but language-specific in implementation
 - Provide context-aware suggestions
 - Consider the domain (web, mobile, systems, etc.)
 - Balance theoretical best practices with practical constraints
-`;
+${this._formatProfileInstruction(profile)}`;
     }
 
     /**
@@ -160,6 +237,10 @@ You are proficient in analyzing code across all programming paradigms:
      * @param {string} options.language - Programming language
      * @param {string} options.fileName - File name for language detection
      * @param {string} options.framework - Framework context
+     * @param {Object} options.chunk - Set when reviewing one chunk of a larger file
+     * @param {Array<Object>} options.staticIssues - Static findings of the chunk (chunk-relative lines), shown to the model only
+     * @param {string} options.profile - Review profile (see REVIEW_PROFILES)
+     * @param {boolean} options.fix - Ask for a fix { original, replacement } on fixable issues
      * @returns {Promise<Object>} - Structured review results
      */
     async generateContent(code, options = {}) {
@@ -169,57 +250,60 @@ You are proficient in analyzing code across all programming paradigms:
             language = this.detectLanguage(code, options.fileName),
             framework = options.framework || null
         } = options;
+        const profile = getReviewProfile(options.profile);
 
-        // Enhanced input validation using constants
-        if (!code || typeof code !== 'string') {
-            throw new Error('Invalid code: Code must be a non-empty string');
-        }
-
-        if (code.length > API_CONFIG.MAX_CODE_LENGTH) {
-            throw new Error(`Code too long: Maximum ${API_CONFIG.MAX_CODE_LENGTH} characters allowed for analysis`);
-        }
-
-        if (code.trim().length === 0) {
-            throw new Error('Empty code: Please provide valid code for review');
-        }
+        this._validateInput(code, framework);
 
-        // Validate framework if provided
-        if (framework && !this.supportedFrameworks.includes(framework.toLowerCase())) {
-            console.warn(`⚠️ Unsupported framework: ${framework}. Using generic analysis.`);
+        // Inputs above the per-request budget are split and reviewed chunk by chunk
+        if (code.length > API_CONFIG.MAX_CODE_LENGTH && !options.chunk) {
+            return this.generateChunkedContent(code, { ...options, language, framework });
         }
 
         try {
             const startTime = Date.now();
+            // Stops the model request on timeout, so a retry never runs next to the request it replaces
+            const abortController = new AbortController();
+            let timeoutId;
             const timeoutPromise = new Promise((_, reject) => {
-                setTimeout(() => reject(new Error('AI service timeout')), timeout);
+                timeoutId = setTimeout(() => {
+                    abortController.abort();
+                    reject(new Error('AI service timeout'));
+                }, timeout);
             });
 
             const contentPromise = (async () => {
-                const prompt = this._formatPrompt(code, language, framework);
-                const result = await this.model.generateContent(prompt);
-                
-                if (!result?.response) {
-                    throw new Error('Invalid response from AI service');
-                }
-
-                const text = result.response.text();
+                // Linters cannot parse a fragment: generateChunkedContent lints the whole file and merges the findings
+                const staticIssues = options.chunk
+                    ? options.staticIssues || []
+                    : await staticAnalysisService.analyze(code, language, { fix: options.fix });
+                const prompt = this._formatPrompt(code, language, framework, options.chunk, profile, options.fix, staticIssues);
+                const text = await this._getProvider(profile).generate(prompt, { signal: abortController.signal });
                 
                 if (!text?.trim()) {
                     throw new Error('Empty response from AI service');
                 }
 
                 // Parse the JSON response
-                const parsedResponse = this._parseResponse(text, language, framework);
+                const parsed = await this._repromptInvalidSuggestions(
+                    await this._parseWithRepair(text, language, framework, this._getProvider(profile)), language, profile);
+                const parsedResponse = options.chunk ? parsed : this._mergeStaticIssues(parsed, staticIssues);
                 const processingTime = Date.now() - startTime;
 
                 if (LOGGING_CONFIG.ENABLE_REQUEST_LOGGING) {
                     console.log(`✅ AI Service - ${language.toUpperCase()} review completed in ${processingTime}ms`);
                 }
 
-                return parsedResponse;
+                // Lines are checked in the code the model saw; chunks are filtered once merged,
+                // so directives apply across chunk boundaries
+                const anchored = anchorIssues(parsedResponse, { code });
+                return options.chunk
+                    ? anchored
+                    : this._withMetrics(this._applyInlineSuppressions(
+                        applyReviewProfile(applyAnchorPolicy(anchored), profile), code, language), code, language);
             })();
 
-            const response = await Promise.race([contentPromise, timeoutPromise]);
+            const response = await Promise.race([contentPromise, timeoutPromise])
+                .finally(() => clearTimeout(timeoutId));
             return response;
 
         } catch (error) {
@@ -246,6 +330,517 @@ You are proficient in analyzing code across all programming paradigms:
         }
     }
 
+    /**
+     * Review code larger than MAX_CODE_LENGTH
+     * Splits at function/class boundaries, reviews chunks concurrently and merges the results.
+     * The whole file is linted once; each chunk prompt lists the findings in its lines
+     * @param {string} code - The code to review
+     * @param {Object} options - Same options as generateContent (language already resolved)
+     * @returns {Promise<Object>} - Merged review results
+     */
+    async generateChunkedContent(code, options = {}) {
+        const { language, framework } = options;
+        const chunks = this._splitIntoChunks(code, language);
+
+        if (LOGGING_CONFIG.ENABLE_REQUEST_LOGGING) {
+            console.log(`🧩 AI Service - reviewing ${code.length} chars of ${language} in ${chunks.length} chunks`);
+        }
+
+        const staticIssues = await staticAnalysisService.analyze(code, language, { fix: options.fix });
+        const reviews = await mapWithConcurrency(chunks, CHUNKING_CONFIG.MAX_CONCURRENT_CHUNKS, (chunk) =>
+            this._reviewChunk(chunk, chunks.length, options, staticIssues)
+        );
+
+        const merged = applyAnchorPolicy(this._mergeStaticIssues(
+            this._mergeChunkReviews(chunks, reviews, language, framework), staticIssues.map(createIssueAnchor({ code }))));
+        return this._withMetrics(
+            this._applyInlineSuppressions(applyReviewProfile(merged, getReviewProfile(options.profile)), code, language), code, language);
+    }
+
+    /**
+     * Stream a code review as it is generated
+     * Yields progress events, each issue as soon as it parses, and a final summary
+     * @param {string} code - The code to review
+     * @param {Object} options - Same options as generateContent, plus:
+     * @param {AbortSignal} options.signal - Aborts the model request (e.g. when the client disconnects)
+     * @returns {AsyncGenerator<Object>} - Events of type progress | issue | summary
+     */
+    async *generateContentStream(code, options = {}) {
+        const {
+            retryCount = 0,
+            timeout = this.timeout,
+            language = this.detectLanguage(code, options.fileName),
+            framework = options.framework || null
+        } = options;
+        const profile = getReviewProfile(options.profile);
+
+        this._validateInput(code, framework);
+
+        if (code.length > API_CONFIG.MAX_CODE_LENGTH) {
+            yield* this._streamChunkedContent(code, { ...options, language, framework });
+            return;
+        }
+
+        const startTime = Date.now();
+        const parser = new IssueStreamParser();
+        const isSuppressed = createSuppressionMatcher({ code, language });
+        const anchor = createIssueAnchor({ code });
+        const rules = rulePackRegistry.getRules({ language, framework });
+        let text = '';
+        let issueCount = 0;
+        let nextProgressAt = STREAM_PROGRESS_INTERVAL;
+
+        if (retryCount === 0) {
+            yield {
+                type: 'progress',
+                stage: 'started',
+                language,
+                framework: framework || 'none',
+                provider: this.getProviderName(),
+                model: this.getModelName()
+            };
+        }
+
+        // Static findings are known before the model starts, so they are streamed first
+        // (once: a retry repeats only the model's part)
+        const staticIssues = await staticAnalysisService.analyze(code, language);
+        for (const issue of staticIssues.map(anchor)) {
+            if (isAnchorKept(issue) && isReportedByProfile(issue, profile) && !isSuppressed(issue)) {
+                issueCount++;
+                if (retryCount === 0) {
+                    yield { type: 'issue', index: issueCount - 1, issue };
+                }
+            }
+        }
+        const staticCount = issueCount;
+
+        // Stops the upstream request once this attempt ends early (timeout, error, client gone)
+        const abortController = new AbortController();
+        const abort = () => abortController.abort();
+        const aborted = new Promise((_, reject) => abortController.signal.addEventListener('abort', () =>
+            reject(new Error('Review stream aborted')), { once: true }));
+        aborted.catch(() => {});
+        options.signal?.addEventListener('abort', abort, { once: true });
+        if (options.signal?.aborted) {
+            abort();
+        }
+
+        try {
+            const prompt = this._formatPrompt(code, language, framework, null, profile, false, staticIssues);
+            const stream = this._getProvider(profile).generateStream(prompt, { signal: abortController.signal });
+
+            try {
+                while (true) {
+                    // The timeout applies to the gap between chunks, not the whole stream
+                    const { value: chunk, done } = await Promise.race([this._withTimeout(stream.next(), timeout), aborted]);
+                    if (done) break;
+
+                    text += chunk;
+
+                    for (const issue of parser.push(chunk)) {
+                        const normalized = anchor(checkSuggestionSyntax(normalizeSecurityDetails(
+                            rulePackRegistry.attachRule(this._normalizeIssue(issue), rules)), language));
+                        if (isAnchorKept(normalized) && isReportedByProfile(normalized, profile) && !isSuppressed(normalized)
+                            && !this._repeatsStaticIssue(normalized, staticIssues)) {
+                            yield { type: 'issue', index: issueCount++, issue: normalized };
+                        }
+                    }
+
+                    if (text.length >= nextProgressAt) {
+                        yield { type: 'progress', stage: 'generating', receivedChars: text.length, issues: issueCount };
+                        nextProgressAt = text.length + STREAM_PROGRESS_INTERVAL;
+                    }
+                }
+            } finally {
+                abort();
+                options.signal?.removeEventListener('abort', abort);
+                // Providers that ignore the signal stop at their next chunk
+                stream.return().catch(() => {});
+            }
+        } catch (error) {
+            if (LOGGING_CONFIG.ENABLE_REQUEST_LOGGING) {
+                console.error(`❌ AI Service Stream Error (Attempt ${retryCount + 1}):`, error.message);
+            }
+
+            // Only retry while no model issue has reached the client yet, and never for a client that left
+            if (issueCount === staticCount && !options.signal?.aborted && this._isRetryableError(error) && retryCount < this.maxRetries) {
+                const backoffDelay = Math.pow(2, retryCount) * 1000;
+                await new Promise(resolve => setTimeout(resolve, backoffDelay));
+
+                yield* this.generateContentStream(code, { ...options, retryCount: retryCount + 1 });
+                return;
+            }
+
+            throw this._handleError(error);
+        }
+
+        if (!text.trim()) {
+            throw this._handleError(new Error('Empty response from AI service'));
+        }
+
+        yield { type: 'progress', stage: 'parsing', receivedChars: text.length, issues: issueCount };
+
+        let review;
+        try {
+            const parsed = this._mergeStaticIssues(await this._repromptInvalidSuggestions(
+                await this._parseWithRepair(text, language, framework, this._getProvider(profile)), language, profile), staticIssues);
+            const anchored = applyAnchorPolicy(anchorIssues(parsed, { code }));
+            review = this._withMetrics(this._applyInlineSuppressions(applyReviewProfile(anchored, profile), code, language), code, language);
+        } catch (error) {
+            throw this._handleError(error);
+        }
+
+        if (LOGGING_CONFIG.ENABLE_REQUEST_LOGGING) {
+            console.log(`✅ AI Service - ${language.toUpperCase()} streamed review completed in ${Date.now() - startTime}ms`);
+        }
+
+        yield { type: 'summary', review };
+    }
+
+    /**
+     * Stream a chunked review: progress as each chunk finishes, then the merged issues and summary
+     * Issues are only emitted after merging so duplicates from overlapping chunks never reach the client
+     * @param {string} code - The code to review
+     * @param {Object} options - Same options as generateContent (language already resolved)
+     * @returns {AsyncGenerator<Object>} - Events of type progress | issue | summary
+     */
+    async *_streamChunkedContent(code, options) {
+        const { language, framework } = options;
+        const chunks = this._splitIntoChunks(code, language);
+
+        yield {
+            type: 'progress',
+            stage: 'started',
+            language,
+            framework: framework || 'none',
+            provider: this.getProviderName(),
+            model: this.getModelName(),
+            chunks: chunks.length
+        };
+
+        // Chunks are reviewed like generateChunkedContent does; each one is reported as it finishes
+        const staticIssues = await staticAnalysisService.analyze(code, language);
+        const finished = [];
+        let notify = null;
+        const reviewing = mapWithConcurrency(chunks, CHUNKING_CONFIG.MAX_CONCURRENT_CHUNKS, async (chunk) => {
+            const review = await this._reviewChunk(chunk, chunks.length, options, staticIssues);
+            finished.push({ chunk, review });
+            notify?.();
+            return review;
+        });
+        // Observed by the loop below; a failure while the consumer holds an event must not go unhandled
+        reviewing.catch(() => {});
+
+        let reviews;
+        try {
+            for (let reported = 0; reported < chunks.length; reported++) {
+                while (finished.length === reported) {
+                    await Promise.race([new Promise(resolve => { notify = resolve; }), reviewing]);
+                }
+
+                const { chunk, review } = finished[reported];
+                yield {
+                    type: 'progress',
+                    stage: 'chunk',
+                    chunk: chunk.index + 1,
+                    chunks: chunks.length,
+                    lines: `${chunk.startLine}-${chunk.endLine}`,
+                    issues: review.issues.length
+                };
+            }
+            reviews = await reviewing;
+        } catch (error) {
+            throw this._handleError(error);
+        }
+
+        const merged = applyAnchorPolicy(this._mergeStaticIssues(
+            this._mergeChunkReviews(chunks, reviews, language, framework), staticIssues.map(createIssueAnchor({ code }))));
+        const review = this._withMetrics(
+            this._applyInlineSuppressions(applyReviewProfile(merged, getReviewProfile(options.profile)), code, language), code, language);
+
+        for (const [index, issue] of review.issues.entries()) {
+            yield { type: 'issue', index, issue };
+        }
+
+        yield { type: 'summary', review };
+    }
+
+    /**
+     * Split code into chunks that fit MAX_CODE_LENGTH
+     * @param {string} code - The code to review
+     * @param {string} language - Programming language
+     * @returns {Array<Object>} - Chunks { index, code, startLine, endLine }
+     */
+    _splitIntoChunks(code, language) {
+        return splitCode(code, {
+            language,
+            maxChunkLength: API_CONFIG.MAX_CODE_LENGTH,
+            overlapLines: CHUNKING_CONFIG.OVERLAP_LINES
+        });
+    }
+
+    /**
+     * Review a single chunk of a larger file
+     * @param {Object} chunk - Chunk from splitCode
+     * @param {number} total - Number of chunks
+     * @param {Object} options - generateContent options for the whole file
+     * @param {Array<Object>} staticIssues - Static findings of the whole file (the chunk's lines go into its prompt)
+     * @returns {Promise<Object>} - Review of the chunk (chunk-relative line numbers)
+     */
+    _reviewChunk(chunk, total, options, staticIssues = []) {
+        const offset = chunk.startLine - 1;
+
+        return this.generateContent(chunk.code, {
+            ...options,
+            retryCount: 0,
+            staticIssues: staticIssues
+                .filter(issue => issue.line >= chunk.startLine && issue.line <= chunk.endLine)
+                .map(issue => ({ ...issue, line: issue.line - offset })),
+            chunk: {
+                index: chunk.index,
+                total,
+                startLine: chunk.startLine,
+                endLine: chunk.endLine
+            }
+        });
+    }
+
+    /**
+     * Merge chunk reviews into one review of the whole file
+     * Remaps line numbers, drops duplicates from overlapping windows and
+     * weights the overall score by chunk size
+     * @param {Array<Object>} chunks - Chunks from splitCode
+     * @param {Array<Object>} reviews - Reviews in chunk order
+     * @param {string} language - Programming language
+     * @param {string} framework - Framework context
+     * @returns {Object} - Merged review
+     */
+    _mergeChunkReviews(chunks, reviews, language, framework = null) {
+        const severityRank = Object.values(SEVERITY_LEVELS);
+        const issuesByKey = new Map();
+        let weightedScore = 0;
+        let totalWeight = 0;
+
+        reviews.forEach((review, i) => {
+            const chunk = chunks[i];
+            const offset = chunk.startLine - 1;
+
+            weightedScore += review.overallScore * chunk.code.length;
+            totalWeight += chunk.code.length;
+
+            for (const issue of review.issues) {
+                const remapped = {
+                    ...issue,
+                    line: issue.line > 0 ? issue.line + offset : 0
+                };
+                if (issue.endLine > 0) {
+                    remapped.endLine = issue.endLine + offset;
+                }
+                if (issue.anchor?.reportedLine > 0) {
+                    remapped.anchor = { ...issue.anchor, reportedLine: issue.anchor.reportedLine + offset };
+                }
+
+                const fingerprint = (issue.codeSnippet || issue.title || '').replace(/\s+/g, ' ').trim().toLowerCase();
+                const key = `${remapped.category}|${remapped.line}|${fingerprint}`;
+                const existing = issuesByKey.get(key);
+
+                if (!existing || severityRank.indexOf(remapped.severity) < severityRank.indexOf(existing.severity)) {
+                    issuesByKey.set(key, remapped);
+                }
+            }
+        });
+
+        const unique = (items) => [...new Set(items)];
+
+        return {
+            overallScore: Math.round((weightedScore / totalWeight) * 10) / 10,
+            summary: `Reviewed in ${chunks.length} chunks. ` + reviews
+                .map((review, i) => `Lines ${chunks[i].startLine}-${chunks[i].endLine}: ${review.summary}`)
+                .join(' '),
+            language,
+            framework: framework || 'none',
+            issues: [...issuesByKey.values()].sort((a, b) => a.line - b.line),
+            positiveAspects: unique(reviews.flatMap(review => review.positiveAspects || [])),
+            recommendations: unique(reviews.flatMap(review => review.recommendations || [])),
+            chunks: chunks.map((chunk, i) => ({
+                index: chunk.index,
+                startLine: chunk.startLine,
+                endLine: chunk.endLine,
+                overallScore: reviews[i].overallScore,
+                issues: reviews[i].issues.length
+            }))
+        };
+    }
+
+    /**
+     * Review a change to one file from its unified diff
+     * Line numbers in the result refer to the new version of the file
+     * @param {string} patchText - Unified diff of the file (possibly a subset of its hunks)
+     * @param {string} numberedCode - New-file lines prefixed with their line numbers
+     * @param {Object} options - Additional options
+     * @param {string} options.filePath - Path of the changed file
+     * @param {string} options.language - Programming language
+     * @param {string} options.framework - Framework context
+     * @param {boolean} options.complete - Whether numberedCode is the whole new file
+     * @param {string} options.profile - Review profile (see REVIEW_PROFILES)
+     * @param {Array<Object>} options.staticIssues - Static-analysis findings on the lines of this batch
+     * @returns {Promise<Object>} - Structured review results
+     */
+    async generateDiffContent(patchText, numberedCode, options = {}) {
+        const {
+            retryCount = 0,
+            timeout = this.timeout,
+            filePath,
+            language,
+            framework = options.framework || null,
+            complete = false,
+            staticIssues = []
+        } = options;
+        const profile = getReviewProfile(options.profile);
+
+        try {
+            const startTime = Date.now();
+            const prompt = this._formatDiffPrompt(patchText, numberedCode, { filePath, language, framework, complete, profile, staticIssues });
+            const text = await this._withTimeout(signal => this._getProvider(profile).generate(prompt, { signal }), timeout);
+
+            if (!text?.trim()) {
+                throw new Error('Empty response from AI service');
+            }
+
+            const review = this._mergeStaticIssues(await this._repromptInvalidSuggestions(
+                await this._parseWithRepair(text, language, framework, this._getProvider(profile)), language, profile), staticIssues);
+
+            if (LOGGING_CONFIG.ENABLE_REQUEST_LOGGING) {
+                console.log(`✅ AI Service - diff review of ${filePath} completed in ${Date.now() - startTime}ms`);
+            }
+
+            return applyReviewProfile(review, profile);
+        } catch (error) {
+            if (LOGGING_CONFIG.ENABLE_REQUEST_LOGGING) {
+                console.error(`❌ AI Service Diff Error (Attempt ${retryCount + 1}):`, error.message);
+            }
+
+            if (this._isRetryableError(error) && retryCount < this.maxRetries) {
+                const backoffDelay = Math.pow(2, retryCount) * 1000;
+                await new Promise(resolve => setTimeout(resolve, backoffDelay));
+
+                return this.generateDiffContent(patchText, numberedCode, {
+                    ...options,
+                    retryCount: retryCount + 1
+                });
+            }
+
+            throw this._handleError(error);
+        }
+    }
+
+    /**
+     * Generate the cross-file summary of a project review
+     * Works from the per-file reviews, the import graph and short excerpts of each file
+     * @param {Array<Object>} files - Reviewed files { filePath, language, code, review }
+     * @param {Object} dependencyGraph - Import graph from buildDependencyGraph
+     * @param {Object} options - Additional options
+     * @param {string} options.framework - Framework context
+     * @param {string} options.profile - Review profile of the per-file reviews (selects the provider)
+     * @returns {Promise<Object>} - Summary with sharedAntiPatterns, inconsistentConventions and riskyBoundaries
+     */
+    async generateProjectSummary(files, dependencyGraph, options = {}) {
+        const {
+            retryCount = 0,
+            timeout = this.timeout,
+            framework = options.framework || null
+        } = options;
+
+        try {
+            const startTime = Date.now();
+            const provider = this._getProvider(getReviewProfile(options.profile));
+            const prompt = this._formatProjectPrompt(files, dependencyGraph, framework);
+            const text = await this._withTimeout(signal => provider.generate(prompt, { signal }), timeout);
+
+            if (!text?.trim()) {
+                throw new Error('Empty response from AI service');
+            }
+
+            const summary = await this._repairAndParse(
+                text,
+                (responseText) => this._parseProjectSummary(responseText),
+                PROJECT_SUMMARY_SCHEMA,
+                provider
+            );
+
+            if (LOGGING_CONFIG.ENABLE_REQUEST_LOGGING) {
+                console.log(`✅ AI Service - cross-file summary of ${files.length} files completed in ${Date.now() - startTime}ms`);
+            }
+
+            return summary;
+        } catch (error) {
+            if (LOGGING_CONFIG.ENABLE_REQUEST_LOGGING) {
+                console.error(`❌ AI Service Project Summary Error (Attempt ${retryCount + 1}):`, error.message);
+            }
+
+            if (this._isRetryableError(error) && retryCount < this.maxRetries) {
+                const backoffDelay = Math.pow(2, retryCount) * 1000;
+                await new Promise(resolve => setTimeout(resolve, backoffDelay));
+
+                return this.generateProjectSummary(files, dependencyGraph, {
+                    ...options,
+                    retryCount: retryCount + 1
+                });
+            }
+
+            throw this._handleError(error);
+        }
+    }
+
+    /**
+     * Validate review input before calling the provider
+     * @param {string} code - The code to review
+     * @param {string} framework - Framework context
+     * @throws {Error} - When the code cannot be reviewed
+     */
+    _validateInput(code, framework) {
+        // Enhanced input validation using constants
+        if (!code || typeof code !== 'string') {
+            throw new Error('Invalid code: Code must be a non-empty string');
+        }
+
+        if (code.length > API_CONFIG.MAX_TOTAL_CODE_LENGTH) {
+            throw new Error(`Code too long: Maximum ${API_CONFIG.MAX_TOTAL_CODE_LENGTH} characters allowed for analysis`);
+        }
+
+        if (code.trim().length === 0) {
+            throw new Error('Empty code: Please provide valid code for review');
+        }
+
+        // Validate framework if provided
+        if (framework && !this.supportedFrameworks.includes(framework.toLowerCase())) {
+            console.warn(`⚠️ Unsupported framework: ${framework}. Using generic analysis.`);
+        }
+    }
+
+    /**
+     * Reject a promise if it does not settle in time
+     * Given a function, it is called with an AbortSignal that is aborted on timeout,
+     * so the request behind the promise stops as well
+     * @param {Promise|Function} promise - Promise to wait for, or signal => promise
+     * @param {number} timeout - Timeout in milliseconds
+     * @returns {Promise} - Result of the promise
+     */
+    _withTimeout(promise, timeout) {
+        const abortController = new AbortController();
+        let timeoutId;
+        const timeoutPromise = new Promise((_, reject) => {
+            timeoutId = setTimeout(() => {
+                abortController.abort();
+                reject(new Error('AI service timeout'));
+            }, timeout);
+        });
+
+        const pending = typeof promise === 'function' ? promise(abortController.signal) : promise;
+
+        return Promise.race([pending, timeoutPromise]).finally(() => clearTimeout(timeoutId));
+    }
+
     /**
      * Detect programming language from code or filename
      * @param {string} code - The source code
@@ -288,15 +883,23 @@ You are proficient in analyzing code across all programming paradigms:
      * @param {string} code - The code to review
      * @param {string} language - Programming language
      * @param {string} framework - Framework context
+     * @param {Object} chunk - Chunk position when reviewing part of a larger file
+     * @param {Object} profile - Review profile from getReviewProfile
+     * @param {boolean} fix - Whether to ask for fixes (fix mode)
+     * @param {Array<Object>} staticIssues - Findings of the static-analysis pre-pass
      * @returns {string} - Formatted prompt
      */
-    _formatPrompt(code, language, framework = null) {
+    _formatPrompt(code, language, framework = null, chunk = null, profile = null, fix = false, staticIssues = []) {
         const frameworkContext = framework ? ` and ${framework} framework` : '';
         const validatedFramework = framework && this.supportedFrameworks.includes(framework.toLowerCase()) ? framework : 'none';
+        const chunkContext = chunk
+            ? `\nThis is part ${chunk.index + 1} of ${chunk.total} of a larger file (original lines ${chunk.startLine}-${chunk.endLine}). Review only this excerpt, do not report code that is merely cut off at its edges, and number lines relative to the excerpt starting at 1.\n`
+            : '';
+        const rules = rulePackRegistry.getRules({ language, framework });
         
         return `
 Please conduct a comprehensive code review for the following ${language} code${frameworkContext}:
-
+${chunkContext}
 \`\`\`${language}
 ${code}
 \`\`\`
@@ -316,8 +919,188 @@ ${code}
 4. **Best Practices**: Language/framework conventions, design patterns
 5. **Error Handling**: Exception management, edge cases, robustness
 6. **Testing Considerations**: Testability, mockability, coverage suggestions
+${this._formatProfileReminder(profile)}${this._formatTeamRules(rules)}${this._formatStaticFindings(staticIssues)}${fix ? this._formatFixRequirements() : ''}
+${this._formatResponseFormat(language, validatedFramework, rules.length > 0, fix)}
 
-### Response Format:
+Focus on providing practical, implementable advice that respects ${language} ecosystem conventions.
+`;
+    }
+
+    /**
+     * Format prompt for reviewing a change from its unified diff
+     * @param {string} patchText - Unified diff of the file
+     * @param {string} numberedCode - New-file lines prefixed with their line numbers
+     * @param {Object} context - { filePath, language, framework, complete, profile, staticIssues }
+     * @returns {string} - Formatted prompt
+     */
+    _formatDiffPrompt(patchText, numberedCode, { filePath, language, framework = null, complete = false, profile = null, staticIssues = [] }) {
+        const frameworkContext = framework ? ` and ${framework} framework` : '';
+        const validatedFramework = framework && this.supportedFrameworks.includes(framework.toLowerCase()) ? framework : 'none';
+        const listingTitle = complete
+            ? 'Complete new version of the file'
+            : 'Changed regions of the new file (the rest of the file is not available)';
+        const rules = rulePackRegistry.getRules({ language, framework });
+
+        return `
+Please review the following change to ${filePath} (${language} code${frameworkContext}).
+
+## Unified diff:
+\`\`\`diff
+${patchText}
+\`\`\`
+
+## ${listingTitle}, each line prefixed with its line number in the new file:
+\`\`\`${language}
+${numberedCode}
+\`\`\`
+
+## Review Requirements:
+- Focus on the added and modified lines (the "+" lines of the diff); that is the code under review
+- Mention unchanged code only when the change relies on it or makes an existing problem worse
+- Check that the change is complete: error handling, edge cases and callers it should have updated
+- Apply ${language}-specific best practices, security and performance considerations
+- "line" and "endLine" must be line numbers of the NEW file as shown in the numbered listing, never positions in the diff
+- Do not include the line-number prefixes in "codeSnippet"
+${this._formatProfileReminder(profile)}${this._formatTeamRules(rules)}${this._formatStaticFindings(staticIssues)}
+${this._formatResponseFormat(language, validatedFramework, rules.length > 0)}
+`;
+    }
+
+    /**
+     * Format the system instruction section of a review profile
+     * @param {Object|null} profile - Profile from getReviewProfile
+     * @returns {string} - Profile section, or an empty string without a profile
+     */
+    _formatProfileInstruction(profile) {
+        if (!profile) {
+            return '';
+        }
+
+        const [primary, ...secondary] = getFocusCategories(profile);
+        const categories = secondary.length > 0 ? `${primary} first, then ${secondary.join(', ')}` : primary;
+
+        return `
+## Review Profile: ${profile.label}
+${profile.focus}
+
+### Focus
+- Report only these categories, in order of importance: ${categories}
+- Do not report issues below ${profile.minSeverity} severity
+- These limits override the general checklists above
+
+### Tone
+${profile.tone}
+`;
+    }
+
+    /**
+     * Format the per-prompt reminder of the review profile
+     * @param {Object|null} profile - Profile from getReviewProfile
+     * @returns {string} - Reminder, or an empty string without a profile
+     */
+    _formatProfileReminder(profile) {
+        if (!profile) {
+            return '';
+        }
+
+        return `
+### Review Profile:
+This is a ${profile.label} review: report only ${getFocusCategories(profile).join(', ')} issues of ${profile.minSeverity} severity or higher, as described in your instructions.
+`;
+    }
+
+    /**
+     * Format the findings of the static-analysis pre-pass for a review prompt
+     * @param {Array<Object>} staticIssues - Issues from staticAnalysisService.analyze
+     * @returns {string} - Static analysis section, or an empty string without findings
+     */
+    _formatStaticFindings(staticIssues) {
+        if (staticIssues.length === 0) {
+            return '';
+        }
+
+        const formatted = staticIssues.map(issue =>
+            `- Line ${issue.line} (${issue.analyzer.name}${issue.analyzer.rule ? ` ${issue.analyzer.rule}` : ''}): ${issue.title}`
+        ).join('\n');
+
+        return `
+### Static Analysis:
+Local linters already reported the findings below, and they are added to the review automatically. Do not report them again; spend your review on what linters cannot catch: logic errors, security, performance, design and missing edge cases.
+
+${formatted}
+`;
+    }
+
+    /**
+     * Format the fix mode requirements of a review prompt
+     * @returns {string} - Fixes section
+     */
+    _formatFixRequirements() {
+        return `
+### Fixes:
+Every issue that a local edit can fix carries a "fix" object, which is applied to the code mechanically:
+- "original": the exact, complete lines of the code above that the fix replaces, copied verbatim with their indentation and as few as possible
+- "replacement": the code that replaces those lines, with the same indentation; an empty string deletes them
+- Write working code, never a description or a placeholder; leave out "fix" for issues that need a larger redesign
+`;
+    }
+
+    /**
+     * Format the team rules that apply to a review prompt
+     * @param {Array<Object>} rules - Rules from rulePackRegistry.getRules
+     * @returns {string} - Team rules section, or an empty string when no rule applies
+     */
+    _formatTeamRules(rules) {
+        if (rules.length === 0) {
+            return '';
+        }
+
+        const fence = (label, example) => `  ${label}:\n  \`\`\`\n${example.replace(/^/gm, '  ')}\n  \`\`\``;
+        const formatted = rules.map(rule => {
+            const examples = rule.examples.flatMap(({ bad, good, note }) => [
+                ...(bad ? [fence('Violates the rule', bad)] : []),
+                ...(good ? [fence('Follows the rule', good)] : []),
+                ...(note ? [`  Note: ${note}`] : [])
+            ]);
+            return [`- **${rule.id}** (${rule.category}, ${rule.severity}) ${rule.title}: ${rule.description}`, ...examples].join('\n');
+        }).join('\n');
+
+        return `
+### Team Rules:
+This team enforces the rules below on top of general best practices. Report every violation as an issue with the rule's "ruleId", category and severity; use "ruleId" only for these rules.
+
+${formatted}
+`;
+    }
+
+    /**
+     * Format the system instruction section describing the registered rule packs
+     * @returns {string} - Rule pack section, or an empty string when no pack is registered
+     */
+    _formatRulePackInstruction() {
+        const packs = rulePackRegistry.getPacks();
+        if (packs.length === 0) {
+            return '';
+        }
+
+        const scope = ({ languages, frameworks }) => [...languages, ...frameworks].join(', ') || 'all code';
+        return `
+## Team Rule Packs
+Besides the general principles above, this team has its own conventions. Review prompts list the team rules that apply to the code under review; enforce them as strictly as security and correctness, and tag each violation with the rule's "ruleId".
+${packs.map(pack => `- **${pack.name}** (${scope(pack)})${pack.description ? `: ${pack.description}` : ''}`).join('\n')}
+`;
+    }
+
+    /**
+     * Format the JSON response format section shared by review prompts
+     * @param {string} language - Programming language
+     * @param {string} validatedFramework - Supported framework or 'none'
+     * @param {boolean} withRuleIds - Whether the prompt lists team rules
+     * @param {boolean} withFixes - Whether the prompt asks for fixes
+     * @returns {string} - Response format section
+     */
+    _formatResponseFormat(language, validatedFramework, withRuleIds = false, withFixes = false) {
+        return `### Response Format:
 Return a JSON object with this exact structure:
 
 \`\`\`json
@@ -335,7 +1118,14 @@ Return a JSON object with this exact structure:
       "line": 10,
       "codeSnippet": "problematic code",
       "suggestion": "improved code",
-      "reasoning": "Why this change is important"
+      "reasoning": "Why this change is important"${withRuleIds ? ',\n      "ruleId": "ID of the team rule the issue violates (omit for other issues)"' : ''},
+      "security": {
+        "cwe": "CWE-ID (SECURITY issues only, omit the object for other issues)",
+        "owasp": "OWASP Top 10 2021 category, e.g. A03:2021",
+        "exploitability": "HIGH|MEDIUM|LOW",
+        "dataFlow": { "source": "where untrusted data enters", "sink": "where it is used unsafely" },
+        "score": 0.0-10.0
+      }${withFixes ? ',\n      "fix": { "original": "exact lines to replace", "replacement": "code that replaces them" }' : ''}
     }
   ],
   "positiveAspects": [
@@ -345,80 +1135,444 @@ Return a JSON object with this exact structure:
     "Specific actionable items"
   ]
 }
+\`\`\``;
+    }
+
+    /**
+     * Format prompt for the cross-file summary of a project review
+     * @param {Array<Object>} files - Reviewed files { filePath, language, code, review }
+     * @param {Object} dependencyGraph - Import graph from buildDependencyGraph
+     * @param {string} framework - Framework context
+     * @returns {string} - Formatted prompt
+     */
+    _formatProjectPrompt(files, dependencyGraph, framework = null) {
+        const frameworkContext = framework ? ` using the ${framework} framework` : '';
+        const excerptLength = Math.min(
+            PROJECT_CONFIG.SUMMARY_EXCERPT_LENGTH,
+            Math.floor(API_CONFIG.MAX_CODE_LENGTH / files.length)
+        );
+
+        const findings = {
+            files: files.map(({ filePath, language, code, review }) => ({
+                filePath,
+                language,
+                lines: code.split('\n').length,
+                overallScore: review.overallScore,
+                issues: review.issues.map(({ category, severity, title, line }) => ({ category, severity, title, line }))
+            })),
+            dependencyGraph: {
+                edges: dependencyGraph.edges.map(({ from, to }) => ({ from, to })),
+                cycles: dependencyGraph.cycles,
+                fanIn: dependencyGraph.fanIn
+            }
+        };
+
+        const excerpts = files.map(({ filePath, language, code }) => {
+            let excerpt = code.slice(0, excerptLength);
+            if (excerpt.length < code.length) {
+                // Cut at a line boundary and mark the omission
+                excerpt = excerpt.slice(0, Math.max(excerpt.lastIndexOf('\n'), 0)) + '\n... (truncated)';
+            }
+            return `### ${filePath}\n\`\`\`${language}\n${excerpt}\n\`\`\``;
+        }).join('\n\n');
+
+        return `
+Please conduct a cross-file review of a project with ${files.length} files${frameworkContext}.
+Every file has already been reviewed on its own. Focus only on problems that become visible when looking at the files together.
+
+## Per-file findings and import graph:
+\`\`\`json
+${JSON.stringify(findings, null, 2)}
 \`\`\`
 
-Focus on providing practical, implementable advice that respects ${language} ecosystem conventions.
+## File excerpts:
+${excerpts}
+
+## Review Requirements:
+1. **Shared Anti-Patterns**: the same problem repeated across several files, which points to a team habit rather than a one-off mistake
+2. **Inconsistent Conventions**: naming, error handling, async style, module format, logging or formatting that differs between files doing similar work
+3. **Risky Module Boundaries**: import cycles, modules reaching into each other's internals, leaky abstractions and heavily imported files that concentrate risk
+
+### Response Format:
+Return a JSON object with this exact structure, listing affected files by the exact paths used above:
+
+\`\`\`json
+{
+  "summary": "Brief assessment of the project as a whole",
+  "sharedAntiPatterns": [
+    {
+      "title": "Clear finding title",
+      "description": "What happens and where",
+      "severity": "CRITICAL|HIGH|MEDIUM|LOW|INFO",
+      "files": ["path/of/affected/file"],
+      "suggestion": "How to fix it project-wide"
+    }
+  ],
+  "inconsistentConventions": [],
+  "riskyBoundaries": [],
+  "recommendations": [
+    "Specific project-level actions"
+  ]
+}
+\`\`\`
 `;
     }
 
     /**
-     * Parse and validate AI response
+     * Parse and validate AI response against REVIEW_SCHEMA
      * @param {string} responseText - Raw AI response
      * @param {string} language - Expected language
      * @param {string} framework - Expected framework
      * @returns {Object} - Parsed review object
+     * @throws {Error} - When the output is not JSON or does not match the schema
+     *                   (schema violations are listed in error.validationErrors)
      */
     _parseResponse(responseText, language, framework = null) {
+        // Extract JSON from response (tolerates code fences, prose, comments and trailing commas)
+        const review = parseJsonLenient(responseText);
+
+        if (!review || typeof review !== 'object' || Array.isArray(review)) {
+            throw new Error('AI response is not a JSON object');
+        }
+
+        // Normalize harmless deviations before validating
+        if (Array.isArray(review.issues)) {
+            review.issues = review.issues.map(issue => this._normalizeIssue(issue));
+        }
+
+        const score = Number(review.overallScore);
+        if (review.overallScore !== null && review.overallScore !== '' && !Number.isNaN(score)) {
+            review.overallScore = Math.max(0, Math.min(10, score));
+        }
+
+        const { valid, errors } = validateReview(review);
+        if (!valid) {
+            const error = new Error(`AI response does not match the review schema: ${errors.join('; ')}`);
+            error.validationErrors = errors;
+            throw error;
+        }
+
+        // Keep only rule IDs of team rules that apply to this code, then check the
+        // security details once the (possibly rule-overridden) category is final,
+        // and whether the code of each suggestion parses
+        const rules = rulePackRegistry.getRules({ language, framework });
+        review.issues = review.issues.map(issue => checkSuggestionSyntax(
+            normalizeSecurityDetails(rulePackRegistry.attachRule(issue, rules)), language));
+
+        // Ensure language and framework match
+        review.language = language;
+        review.framework = framework || 'none';
+
+        return review;
+    }
+
+    /**
+     * Ask the model once to correct the suggestions whose code does not parse (SYNTAX_CHECK_CONFIG.REPROMPT)
+     * Corrections that parse replace the original suggestion; the others keep syntaxValid: false.
+     * A failed request leaves the review as it is
+     * @param {Object} review - Parsed review
+     * @param {string} language - Programming language
+     * @param {Object|null} profile - Review profile (selects the provider)
+     * @returns {Promise<Object>} - Review with corrected suggestions marked syntaxRepaired
+     */
+    async _repromptInvalidSuggestions(review, language, profile = null) {
+        const invalid = review.issues
+            .map((issue, index) => ({ issue, index }))
+            .filter(({ issue }) => issue.syntaxValid === false);
+
+        if (!SYNTAX_CHECK_CONFIG.REPROMPT || invalid.length === 0) {
+            return review;
+        }
+
+        if (LOGGING_CONFIG.ENABLE_REQUEST_LOGGING) {
+            console.log(`🧪 AI Service - ${invalid.length} suggestion(s) do not parse, asking for corrections`);
+        }
+
+        let corrections;
         try {
-            // Extract JSON from response (handles cases where AI adds extra text)
-            const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-            if (!jsonMatch) {
-                throw new Error('No JSON found in AI response');
-            }
+            const text = await this._getProvider(profile).generate(this._formatSyntaxRepairPrompt(invalid, language));
+            corrections = parseJsonLenient(text).suggestions;
+        } catch (error) {
+            console.error('Failed to correct suggestions:', error.message);
+            return review;
+        }
 
-            const review = JSON.parse(jsonMatch[0]);
-            
-            // Validate required fields
-            const requiredFields = ['overallScore', 'summary', 'language', 'issues'];
-            for (const field of requiredFields) {
-                if (!(field in review)) {
-                    throw new Error(`Missing required field: ${field}`);
-                }
+        const issues = [...review.issues];
+        for (const correction of Array.isArray(corrections) ? corrections : []) {
+            const target = invalid.find(({ index }) => index === Number(correction?.index));
+            if (!target || typeof correction.suggestion !== 'string') {
+                continue;
             }
 
-            // Validate score range and normalize
-            if (review.overallScore < 0 || review.overallScore > 10) {
-                review.overallScore = Math.max(0, Math.min(10, review.overallScore));
+            const checked = checkSuggestionSyntax({ ...target.issue, suggestion: correction.suggestion }, language);
+            if (checked.syntaxValid !== false) {
+                issues[target.index] = { ...checked, syntaxRepaired: true };
             }
+        }
 
-            // Ensure language and framework match
-            review.language = language;
-            review.framework = framework || 'none';
+        return { ...review, issues };
+    }
 
-            // Validate issues structure
-            if (Array.isArray(review.issues)) {
-                review.issues = review.issues.map(issue => ({
-                    ...issue,
-                    line: issue.line || 0,
-                    severity: issue.severity || 'MEDIUM',
-                    category: issue.category || 'CODE_STYLE'
-                }));
+    /**
+     * Format the prompt asking for corrected suggestions
+     * @param {Array<Object>} invalid - Issues { issue, index } whose suggestion does not parse
+     * @param {string} language - Programming language
+     * @returns {string} - Syntax repair prompt
+     */
+    _formatSyntaxRepairPrompt(invalid, language) {
+        const formatError = ({ message, line, column }) =>
+            line ? `${message} (line ${line}, column ${column})` : message;
+
+        return `
+The code in some suggestions of your review does not parse.
+
+${invalid.map(({ issue, index }) => `## Suggestion ${index}: ${issue.title}
+Parser error (${issue.syntaxError.language}): ${formatError(issue.syntaxError)}
+<suggestion>
+${issue.suggestion}
+</suggestion>`).join('\n\n')}
+
+Correct each suggestion so that its code is complete and syntactically valid ${language} (or the language of its code fence). Keep the intent of the suggestion.
+Return ONLY a JSON object, no explanations and no code fences:
+{"suggestions": [{"index": <suggestion number>, "suggestion": "<corrected suggestion>"}]}
+`;
+    }
+
+    /**
+     * Parse and validate a cross-file summary against PROJECT_SUMMARY_SCHEMA
+     * @param {string} responseText - Raw AI response
+     * @returns {Object} - Parsed summary
+     * @throws {Error} - When the output is not JSON or does not match the schema
+     */
+    _parseProjectSummary(responseText) {
+        const summary = parseJsonLenient(responseText);
+
+        if (!summary || typeof summary !== 'object' || Array.isArray(summary)) {
+            throw new Error('AI response is not a JSON object');
+        }
+
+        for (const field of ['sharedAntiPatterns', 'inconsistentConventions', 'riskyBoundaries']) {
+            if (Array.isArray(summary[field])) {
+                summary[field] = summary[field].map(finding =>
+                    finding && typeof finding.severity === 'string'
+                        ? { ...finding, severity: finding.severity.toUpperCase() }
+                        : finding
+                );
             }
+        }
+
+        const { valid, errors } = validateProjectSummary(summary);
+        if (!valid) {
+            const error = new Error(`AI response does not match the project summary schema: ${errors.join('; ')}`);
+            error.validationErrors = errors;
+            throw error;
+        }
+
+        return summary;
+    }
+
+    /**
+     * Parse the model output, asking the model once to fix it when it is malformed
+     * @param {string} responseText - Raw AI response
+     * @param {string} language - Expected language
+     * @param {string} framework - Expected framework
+     * @param {BaseProvider} provider - Provider asked for the repair (the one that wrote the response)
+     * @returns {Promise<Object>} - Parsed review object
+     * @throws {AppError} - AI_INVALID_RESPONSE when the repaired output is still invalid
+     */
+    _parseWithRepair(responseText, language, framework = null, provider = this.provider) {
+        return this._repairAndParse(
+            responseText,
+            (text) => this._parseResponse(text, language, framework),
+            REVIEW_SCHEMA,
+            provider
+        );
+    }
+
+    /**
+     * Run a parser over the model output, re-prompting once with the schema when it fails
+     * @param {string} responseText - Raw AI response
+     * @param {Function} parse - Parser that throws (with error.validationErrors) on invalid output
+     * @param {Object} schema - JSON Schema shown to the model in the repair prompt
+     * @param {BaseProvider} provider - Provider asked for the repair (the one that wrote the response)
+     * @returns {Promise<Object>} - Parsed output
+     * @throws {AppError} - AI_INVALID_RESPONSE when the repaired output is still invalid
+     */
+    async _repairAndParse(responseText, parse, schema, provider = this.provider) {
+        let firstError;
+
+        try {
+            return parse(responseText);
+        } catch (error) {
+            firstError = error;
+        }
+
+        if (LOGGING_CONFIG.ENABLE_REQUEST_LOGGING) {
+            console.warn('🔧 AI response failed validation, requesting repair:', firstError.message);
+        }
+
+        const problems = firstError.validationErrors || [firstError.message];
+
+        try {
+            const repairedText = await provider.generate(this._formatRepairPrompt(responseText, problems, schema));
+            return parse(repairedText);
+        } catch (repairError) {
+            console.error('Failed to parse AI response after repair:', repairError.message);
+            throw createInvalidAIResponseError(repairError.validationErrors || problems);
+        }
+    }
+
+    /**
+     * Format the fix-up prompt sent when the model output is malformed
+     * @param {string} responseText - Malformed model output
+     * @param {Array<string>} problems - Parse or schema errors
+     * @param {Object} schema - Expected JSON Schema
+     * @returns {string} - Repair prompt
+     */
+    _formatRepairPrompt(responseText, problems, schema = REVIEW_SCHEMA) {
+        return `
+Your previous answer could not be used because it is not valid JSON matching the required schema.
+
+## Problems found:
+${problems.map(problem => `- ${problem}`).join('\n')}
+
+## Required JSON Schema:
+\`\`\`json
+${JSON.stringify(schema, null, 2)}
+\`\`\`
+
+## Previous answer:
+<previous-answer>
+${responseText.slice(0, REPAIR_MAX_ECHO_LENGTH)}
+</previous-answer>
+
+Return ONLY the corrected JSON object - same findings, no explanations and no code fences.
+`;
+    }
+
+    /**
+     * Move issues silenced by inline directives (// ai-review-ignore-next-line ...) to review.suppressed
+     * @param {Object} review - Parsed review of the whole file
+     * @param {string} code - Reviewed code
+     * @param {string} language - Programming language (selects the comment syntax)
+     * @returns {Object} - Review with remaining issues and the suppressed ones
+     */
+    _applyInlineSuppressions(review, code, language) {
+        const result = applyInlineSuppressions(review, { code, language });
 
+        if (LOGGING_CONFIG.ENABLE_REQUEST_LOGGING && result.suppressed.length > 0) {
+            console.log(`🔇 AI Service - ${result.suppressed.length} issue(s) suppressed by inline directives`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Add the locally computed metrics of the whole reviewed file to a review
+     * @param {Object} review - Review of the whole file
+     * @param {string} code - Reviewed code
+     * @param {string} language - Programming language
+     * @returns {Object} - Review with metrics (see codeMetricsService.compute), unchanged when metrics are disabled
+     */
+    _withMetrics(review, code, language) {
+        const metrics = codeMetricsService.compute(code, language);
+        return metrics ? { ...review, metrics } : review;
+    }
+
+    /**
+     * Add the findings of the static-analysis pre-pass to a parsed review
+     * Model issues that repeat a finding are dropped: the tool's rule and fix are exact.
+     * A SECURITY finding keeps the triage details (exploitability, data flow, score) of
+     * the model issue it replaces
+     * @param {Object} review - Parsed review (model issues carry source: ai)
+     * @param {Array<Object>} staticIssues - Issues from staticAnalysisService.analyze
+     * @returns {Object} - Review with all issues ordered by line
+     */
+    _mergeStaticIssues(review, staticIssues) {
+        if (staticIssues.length === 0) {
             return review;
+        }
 
-        } catch (parseError) {
-            console.error('Failed to parse AI response:', parseError);
-            // Comprehensive fallback response
-            return {
-                overallScore: 5,
-                summary: 'Analysis completed but response formatting failed',
-                language: language,
-                framework: framework || 'none',
-                issues: [{
-                    category: 'CODE_STYLE',
-                    severity: 'LOW',
-                    title: 'Response Parsing Issue',
-                    description: 'The AI response could not be properly parsed',
-                    line: 0,
-                    codeSnippet: '',
-                    suggestion: 'Please try the review again',
-                    reasoning: 'Technical issue with response formatting'
-                }],
-                positiveAspects: ['Code was successfully analyzed by AI'],
-                recommendations: ['Please check the code manually for detailed review', 'Try again with a smaller code snippet if issue persists']
-            };
+        const findings = [...staticIssues];
+        const modelIssues = review.issues.filter((issue) => {
+            const index = findings.findIndex(found => this._repeatsStaticIssue(issue, [found]));
+            if (index === -1) {
+                return true;
+            }
+
+            const found = findings[index];
+            if (found.security && issue.security) {
+                const { exploitability, dataFlow, score } = found.security;
+                findings[index] = {
+                    ...found,
+                    security: {
+                        ...found.security,
+                        exploitability: exploitability ?? issue.security.exploitability,
+                        dataFlow: dataFlow ?? issue.security.dataFlow,
+                        score: score ?? issue.security.score
+                    }
+                };
+            }
+            return false;
+        });
+
+        if (LOGGING_CONFIG.ENABLE_REQUEST_LOGGING && modelIssues.length < review.issues.length) {
+            console.log(`🧹 AI Service - dropped ${review.issues.length - modelIssues.length} model issue(s) repeating static findings`);
         }
+
+        return {
+            ...review,
+            issues: [...findings, ...modelIssues].sort((a, b) => a.line - b.line)
+        };
+    }
+
+    /**
+     * Whether a model issue reports a static finding again
+     * Only an issue on the line of a finding can repeat it, and only when it is about the same
+     * problem: its title names the finding's rule (RULE_TERMS) or reads as the tool's message.
+     * Other issues on that line are kept, whatever their category
+     * @param {Object} issue - Model issue
+     * @param {Array<Object>} staticIssues - Issues from staticAnalysisService.analyze
+     * @returns {boolean} - True for a repeat
+     */
+    _repeatsStaticIssue(issue, staticIssues) {
+        const title = String(issue.title || '').trim().toLowerCase();
+        const words = ` ${title.replace(/[^a-z0-9]+/g, ' ')} `;
+
+        return staticIssues.some(found => {
+            if (found.line !== issue.line) {
+                return false;
+            }
+            if (found.title.trim().toLowerCase() === title) {
+                return true;
+            }
+
+            const rule = found.analyzer?.rule;
+            const terms = STATIC_ANALYSIS_CONFIG.RULE_TERMS[rule]
+                || (rule ? rule.split(/[^a-z0-9]+/i).filter(word => word.length > 2 && word !== 'prefer') : []);
+
+            // Terms made of letters must be whole words (eval, not evaluation)
+            return terms.some(term => (/^[a-z ]+$/.test(term) ? words.includes(` ${term} `) : title.includes(term)));
+        });
+    }
+
+    /**
+     * Fill in defaults for optional issue fields
+     * @param {Object} issue - Issue as returned by the model
+     * @returns {Object} - Normalized issue
+     */
+    _normalizeIssue(issue) {
+        if (!issue || typeof issue !== 'object') {
+            return issue;
+        }
+
+        return {
+            ...issue,
+            source: ISSUE_SOURCES.AI,
+            line: issue.line || 0,
+            severity: typeof issue.severity === 'string' ? issue.severity.toUpperCase() : 'MEDIUM',
+            category: typeof issue.category === 'string' ? issue.category.toUpperCase() : 'CODE_STYLE'
+        };
     }
 
     /**
@@ -449,6 +1603,11 @@ Focus on providing practical, implementable advice that respects ${language} eco
      * @returns {Error} - Transformed error
      */
     _handleError(error) {
+        // Errors that already carry an HTTP status and error code pass through unchanged
+        if (error instanceof AppError) {
+            return error;
+        }
+
         const errorMessage = error.message.toLowerCase();
 
         if (errorMessage.includes('timeout')) {
@@ -466,6 +1625,22 @@ Focus on providing practical, implementable advice that respects ${language} eco
         return new Error(RESPONSE_MESSAGES.ERROR.CODE_REVIEW_FAILED + ': ' + error.message);
     }
 
+    /**
+     * Get name of the active provider
+     * @returns {string} - Provider name
+     */
+    getProviderName() {
+        return this.provider.name;
+    }
+
+    /**
+     * Get name of the model used by the active provider
+     * @returns {string} - Model name
+     */
+    getModelName() {
+        return this.provider.modelName;
+    }
+
     /**
      * Get list of supported languages
      * @returns {Object} - Supported languages and their extensions
@@ -489,11 +1664,11 @@ Focus on providing practical, implementable advice that respects ${language} eco
     async healthCheck() {
         try {
             const testPrompt = "Respond with 'OK' if service is working.";
-            const result = await this.model.generateContent(testPrompt);
-            const isHealthy = result?.response?.text().includes('OK') ?? false;
+            const text = await this.provider.generate(testPrompt);
+            const isHealthy = text?.includes('OK') ?? false;
             
             if (LOGGING_CONFIG.ENABLE_REQUEST_LOGGING) {
-                console.log(`🔍 AI Health Check: ${isHealthy ? 'HEALTHY' : 'UNHEALTHY'}`);
+                console.log(`🔍 AI Health Check (${this.provider.name}): ${isHealthy ? 'HEALTHY' : 'UNHEALTHY'}`);
             }
             
             return isHealthy;
@@ -0,0 +1,75 @@
+const { ISSUE_SOURCES } = require("../../utils/constants");
+const { normalizeSecurityDetails } = require("../../utils/securityDetails");
+
+// Longest code snippet taken from the reviewed code for one finding
+const MAX_SNIPPET_LINES = 5;
+
+/**
+ * Base class for local static analysers
+ * An analyser runs a deterministic linter in-process over the code of its
+ * languages and turns each finding into a review issue with source: static
+ */
+class BaseAnalyzer {
+    /**
+     * @param {Object} options - Analyser options
+     * @param {string} options.name - Analyser name (used in analyzer.name of issues)
+     * @param {string} options.label - Display name of the tool
+     * @param {Array<string>} options.languages - Languages it analyses (SUPPORTED_LANGUAGES keys)
+     */
+    constructor({ name, label, languages }) {
+        this.name = name;
+        this.label = label;
+        this.languages = languages;
+    }
+
+    /**
+     * Analyse code
+     * @param {string} code - Code to analyse
+     * @param {string} language - One of this.languages
+     * @returns {Promise<Array<Object>>} - Issues (see toIssue); empty when the tool cannot parse the code
+     */
+    async analyze(code, language) {
+        throw new Error(`analyze() is not implemented by the ${this.name} analyzer`);
+    }
+
+    /**
+     * Build a review issue from a finding
+     * @param {Object} finding - Finding of the tool
+     * @param {string} finding.rule - Rule that reported it
+     * @param {string} finding.message - Message of the tool
+     * @param {number} finding.line - First line (1-based)
+     * @param {number} finding.endLine - Last line, if known
+     * @param {string} finding.category - One of ISSUE_CATEGORIES
+     * @param {string} finding.severity - One of SEVERITY_LEVELS
+     * @param {string} finding.cwe - CWE ID of a SECURITY finding, if the rule maps to one
+     * @param {string} finding.replacement - The reported lines once the tool's fix is applied, if it has one
+     * @param {Array<string>} lines - Lines of the analysed code
+     * @returns {Object} - Issue with source: static, analyzer { name, rule }, the security block of
+     *                     SECURITY findings and, when the tool's fix covers the whole snippet,
+     *                     fix { original, replacement }
+     */
+    toIssue({ rule, message, line, endLine = null, category, severity, cwe = null, replacement = '' }, lines) {
+        const lastLine = endLine > line ? endLine : line;
+        const fixable = replacement && lastLine - line < MAX_SNIPPET_LINES;
+
+        return normalizeSecurityDetails({
+            category,
+            severity,
+            title: message,
+            description: `${message} (${this.label}${rule ? ` rule ${rule}` : ''})`,
+            line,
+            ...(lastLine > line ? { endLine: lastLine } : {}),
+            codeSnippet: lines.slice(line - 1, Math.min(lastLine, line + MAX_SNIPPET_LINES - 1)).join('\n').trim(),
+            suggestion: replacement.trim(),
+            reasoning: `Reported by ${this.label}, which runs on every review before the AI model`,
+            source: ISSUE_SOURCES.STATIC,
+            analyzer: { name: this.name, rule: rule || null },
+            ...(cwe ? { security: { cwe } } : {}),
+            ...(fixable ? { fix: { original: lines.slice(line - 1, lastLine).join('\n'), replacement } } : {})
+        });
+    }
+}
+
+module.exports = {
+    BaseAnalyzer
+};
@@ -0,0 +1,155 @@
+const { BaseAnalyzer } = require("./base.analyzer");
+const {
+    ISSUE_CATEGORIES,
+    SEVERITY_LEVELS,
+    STATIC_ANALYSIS_CONFIG,
+    LOGGING_CONFIG
+} = require("../../utils/constants");
+
+// Issue category and severity of each ESLint rule type
+const RULE_TYPES = {
+    problem: { category: ISSUE_CATEGORIES.BUG, severity: SEVERITY_LEVELS.MEDIUM },
+    suggestion: { category: ISSUE_CATEGORIES.BEST_PRACTICE, severity: SEVERITY_LEVELS.LOW },
+    layout: { category: ISSUE_CATEGORIES.CODE_STYLE, severity: SEVERITY_LEVELS.INFO }
+};
+
+// Core rules that misfire on TypeScript (types, overloads, declaration merging)
+const TYPESCRIPT_OFF = {
+    'no-unused-vars': 'off',
+    'no-redeclare': 'off',
+    'no-dupe-class-members': 'off'
+};
+
+// File names tried in turn; each selects a parser configuration below.
+// The first one that parses the code is used
+const ATTEMPTS = {
+    javascript: ['review.js', 'review.cjs'],
+    typescript: ['review.ts', 'review.tsx']
+};
+
+/**
+ * ESLint analyser for JavaScript and TypeScript
+ * Runs eslint:recommended plus ESLINT_RULES through the in-process Linter.
+ * ESLint and the TypeScript parser are loaded on first use
+ */
+class EslintAnalyzer extends BaseAnalyzer {
+    constructor() {
+        super({ name: 'eslint', label: 'ESLint', languages: ['javascript', 'typescript'] });
+        this.linter = null;
+        this.config = null;
+        this.ruleTypes = null;
+    }
+
+    /**
+     * Load ESLint and build the flat config
+     */
+    _load() {
+        if (this.linter) {
+            return;
+        }
+
+        const { Linter } = require('eslint');
+        const { builtinRules } = require('eslint/use-at-your-own-risk');
+        const { configs } = require('@eslint/js');
+        const typescriptParser = require('@typescript-eslint/parser');
+
+        const rules = { ...configs.recommended.rules, ...STATIC_ANALYSIS_CONFIG.ESLINT_RULES };
+        const jsx = { ecmaFeatures: { jsx: true } };
+
+        this.linter = new Linter({ configType: 'flat' });
+        this.ruleTypes = builtinRules;
+        this.config = [
+            {
+                files: ['**/*.js'],
+                languageOptions: { ecmaVersion: 'latest', sourceType: 'module', parserOptions: jsx },
+                rules
+            },
+            {
+                files: ['**/*.cjs'],
+                languageOptions: { ecmaVersion: 'latest', sourceType: 'commonjs', parserOptions: jsx },
+                rules
+            },
+            {
+                files: ['**/*.ts', '**/*.tsx'],
+                languageOptions: { parser: typescriptParser, sourceType: 'module' },
+                rules: { ...rules, ...TYPESCRIPT_OFF }
+            }
+        ];
+    }
+
+    /**
+     * Lint code
+     * @param {string} code - Code to analyse
+     * @param {string} language - javascript or typescript
+     * @returns {Promise<Array<Object>>} - Issues, or [] when no parser configuration accepts the code
+     */
+    async analyze(code, language) {
+        this._load();
+
+        for (const filename of ATTEMPTS[language]) {
+            const messages = this.linter.verify(code, this.config, { filename });
+            const fatal = messages.find(message => message.fatal);
+
+            if (!fatal) {
+                const lines = code.split('\n');
+                return messages.map(message => this.toIssue(this._describe(message, code, lines), lines));
+            }
+
+            if (LOGGING_CONFIG.ENABLE_REQUEST_LOGGING) {
+                console.log(`🔎 Static Analysis - ESLint could not parse the code as ${filename}: ${fatal.message}`);
+            }
+        }
+
+        return [];
+    }
+
+    /**
+     * Category, severity and fixed lines of one ESLint message
+     * @param {Object} message - ESLint LintMessage
+     * @param {string} code - Linted code
+     * @param {Array<string>} lines - Lines of the code
+     * @returns {Object} - Finding for toIssue
+     */
+    _describe(message, code, lines) {
+        const type = this.ruleTypes.get(message.ruleId)?.meta?.type;
+        const cwe = Object.hasOwn(STATIC_ANALYSIS_CONFIG.SECURITY_RULES, message.ruleId || '')
+            ? STATIC_ANALYSIS_CONFIG.SECURITY_RULES[message.ruleId]
+            : null;
+        const { category, severity } = cwe
+            ? { category: ISSUE_CATEGORIES.SECURITY, severity: SEVERITY_LEVELS.HIGH }
+            : RULE_TYPES[type] || RULE_TYPES.problem;
+        const fix = message.fix || message.suggestions?.[0]?.fix;
+
+        return {
+            rule: message.ruleId,
+            message: message.message,
+            line: message.line,
+            endLine: message.endLine,
+            category,
+            severity,
+            cwe,
+            replacement: fix ? this._applyFix(code, lines, message, fix) : ''
+        };
+    }
+
+    /**
+     * The reported lines as they read once an ESLint fix is applied
+     * @param {string} code - Linted code
+     * @param {Array<string>} lines - Lines of the code
+     * @param {Object} message - ESLint LintMessage
+     * @param {Object} fix - ESLint fix { range, text }
+     * @returns {string} - Fixed lines, with their indentation
+     */
+    _applyFix(code, lines, message, fix) {
+        const lineStart = lines.slice(0, message.line - 1).reduce((offset, line) => offset + line.length + 1, 0);
+        const lastLine = Math.max(message.endLine || message.line, code.slice(0, fix.range[1]).split('\n').length);
+        const lineEnd = lines.slice(0, lastLine).reduce((offset, line) => offset + line.length + 1, 0) - 1;
+
+        const fixed = code.slice(0, fix.range[0]) + fix.text + code.slice(fix.range[1]);
+        const delta = fix.text.length - (fix.range[1] - fix.range[0]);
+
+        return fixed.slice(Math.min(lineStart, fix.range[0]), lineEnd + delta);
+    }
+}
+
+module.exports = EslintAnalyzer;
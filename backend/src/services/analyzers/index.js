@@ -0,0 +1,23 @@
+const EslintAnalyzer = require("./eslint.analyzer");
+const StylelintAnalyzer = require("./stylelint.analyzer");
+
+/**
+ * Analyser registry - local static analysers run before the model
+ * Languages without an analyser are left to the model alone
+ */
+const ANALYZERS = [
+    new EslintAnalyzer(),
+    new StylelintAnalyzer()
+];
+
+/**
+ * Get the analysers of a language
+ * @param {string} language - Language name (SUPPORTED_LANGUAGES key)
+ * @returns {Array<BaseAnalyzer>} - Analysers, possibly none
+ */
+const getAnalyzers = (language) => ANALYZERS.filter(analyzer => analyzer.languages.includes(language));
+
+module.exports = {
+    getAnalyzers,
+    ANALYZERS
+};
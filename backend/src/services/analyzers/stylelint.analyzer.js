@@ -0,0 +1,56 @@
+const { BaseAnalyzer } = require("./base.analyzer");
+const { ISSUE_CATEGORIES, SEVERITY_LEVELS, LOGGING_CONFIG } = require("../../utils/constants");
+
+// Rules about code browsers ignore or misread (unknown properties, invalid hex colours, ...)
+const BROKEN_CODE_RULE = /-no-(?:unknown|invalid|missing|nonstandard)/;
+
+/**
+ * Stylelint analyser for CSS
+ * Runs stylelint-config-recommended. Stylelint is an ES module, imported on first use
+ */
+class StylelintAnalyzer extends BaseAnalyzer {
+    constructor() {
+        super({ name: 'stylelint', label: 'Stylelint', languages: ['css'] });
+        this.stylelint = null;
+    }
+
+    /**
+     * Lint code
+     * @param {string} code - Code to analyse
+     * @returns {Promise<Array<Object>>} - Issues, or [] when Stylelint cannot parse the code
+     */
+    async analyze(code) {
+        if (!this.stylelint) {
+            ({ default: this.stylelint } = await import('stylelint'));
+        }
+
+        const { results } = await this.stylelint.lint({
+            code,
+            config: { extends: ['stylelint-config-recommended'] },
+            // Resolve the shared config from this package, not from the working directory
+            configBasedir: __dirname
+        });
+        const warnings = results[0]?.warnings || [];
+
+        const syntaxError = warnings.find(warning => warning.rule === 'CssSyntaxError');
+        if (syntaxError) {
+            if (LOGGING_CONFIG.ENABLE_REQUEST_LOGGING) {
+                console.log(`🔎 Static Analysis - Stylelint could not parse the code: ${syntaxError.text}`);
+            }
+            return [];
+        }
+
+        const lines = code.split('\n');
+        return warnings.map(warning => this.toIssue({
+            rule: warning.rule,
+            message: warning.text.replace(` (${warning.rule})`, ''),
+            line: warning.line,
+            endLine: warning.endLine,
+            ...(BROKEN_CODE_RULE.test(warning.rule)
+                ? { category: ISSUE_CATEGORIES.BUG, severity: SEVERITY_LEVELS.MEDIUM }
+                : { category: ISSUE_CATEGORIES.MAINTAINABILITY, severity: SEVERITY_LEVELS.LOW })
+        }, lines));
+    }
+}
+
+module.exports = StylelintAnalyzer;
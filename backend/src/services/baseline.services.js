@@ -0,0 +1,125 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { parseBaseline } = require("../utils/issueFingerprint");
+const {
+    BASELINE_CONFIG,
+    LOGGING_CONFIG
+} = require("../utils/constants");
+
+/**
+ * Suppression baselines
+ * Filters issues that are already known (by fingerprint) out of reviews. Known
+ * fingerprints come from the server-wide REVIEW_BASELINE_FILE and from the
+ * baseline sent with a request
+ */
+class IssueBaselineService {
+    constructor() {
+        this.filePath = BASELINE_CONFIG.FILE ? path.resolve(BASELINE_CONFIG.FILE) : null;
+        this.fileEntries = [];
+        this.fileModifiedAt = null;
+    }
+
+    /**
+     * Fingerprints of the baseline file, re-read whenever the file changes
+     * A missing or malformed file is logged and treated as empty so it never fails a review
+     * @returns {Promise<Array<string>>} - Fingerprints
+     */
+    async _loadFile() {
+        if (!this.filePath) {
+            return [];
+        }
+
+        try {
+            const { mtimeMs } = await fs.stat(this.filePath);
+            if (mtimeMs !== this.fileModifiedAt) {
+                this.fileEntries = parseBaseline(JSON.parse(await fs.readFile(this.filePath, 'utf8')));
+                this.fileModifiedAt = mtimeMs;
+
+                if (LOGGING_CONFIG.ENABLE_REQUEST_LOGGING) {
+                    console.log(`📌 Baseline - loaded ${this.fileEntries.length} fingerprints from ${this.filePath}`);
+                }
+            }
+        } catch (error) {
+            console.error(`⚠️ Baseline file ${this.filePath} could not be read:`, error.message);
+            this.fileEntries = [];
+            this.fileModifiedAt = null;
+        }
+
+        return this.fileEntries;
+    }
+
+    /**
+     * Combine the baseline file with a request baseline
+     * @param {Object|Array} requestBaseline - Baseline sent with the request (already validated)
+     * @returns {Promise<Set<string>|null>} - Known fingerprints, or null when no baseline applies
+     */
+    async resolve(requestBaseline) {
+        const fingerprints = [
+            ...await this._loadFile(),
+            ...(requestBaseline ? parseBaseline(requestBaseline) : [])
+        ];
+
+        return fingerprints.length > 0 ? new Set(fingerprints) : null;
+    }
+
+    /**
+     * Remove known issues from review data
+     * Top-level issues and the per-file issues of project and diff reviews are filtered alike
+     * @param {Object} review - Review data with fingerprinted issues
+     * @param {Set<string>|null} fingerprints - Known fingerprints from resolve
+     * @returns {Object} - Review data with a baseline block { entries, suppressed, fingerprints }
+     */
+    filter(review, fingerprints) {
+        if (!fingerprints) {
+            return review;
+        }
+
+        const isKnown = (issue) => Boolean(issue.fingerprint) && fingerprints.has(issue.fingerprint);
+        const suppressed = (review.issues || []).filter(isKnown);
+
+        if (LOGGING_CONFIG.ENABLE_REQUEST_LOGGING && suppressed.length > 0) {
+            console.log(`📌 Baseline - suppressed ${suppressed.length} known issue(s)`);
+        }
+
+        return {
+            ...review,
+            issues: (review.issues || []).filter(issue => !isKnown(issue)),
+            ...(Array.isArray(review.files) ? {
+                files: review.files.map(file => file.issues
+                    ? { ...file, issues: file.issues.filter(issue => !isKnown(issue)) }
+                    : file)
+            } : {}),
+            baseline: {
+                entries: fingerprints.size,
+                suppressed: suppressed.length,
+                fingerprints: [...new Set(suppressed.map(issue => issue.fingerprint))]
+            }
+        };
+    }
+
+    /**
+     * Resolve the baseline and filter review data in one step
+     * @param {Object} review - Review data with fingerprinted issues
+     * @param {Object|Array} requestBaseline - Baseline sent with the request
+     * @returns {Promise<Object>} - Filtered review data
+     */
+    async apply(review, requestBaseline) {
+        return this.filter(review, await this.resolve(requestBaseline));
+    }
+
+    /**
+     * Baseline statistics for status endpoints
+     * @returns {Promise<Object>} - Baseline file and entry count
+     */
+    async getStats() {
+        return {
+            file: this.filePath,
+            entries: (await this._loadFile()).length
+        };
+    }
+}
+
+// Create singleton instance
+const issueBaseline = new IssueBaselineService();
+
+module.exports = issueBaseline;
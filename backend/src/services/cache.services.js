@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const { createCacheStore } = require("./cache");
+const rulePackRegistry = require("./rulePack.services");
+const {
+    AI_SERVICE,
+    CACHE_CONFIG,
+    STATIC_ANALYSIS_CONFIG,
+    ANCHOR_CONFIG,
+    SYNTAX_CHECK_CONFIG,
+    METRICS_CONFIG
+} = require("../utils/constants");
+
+/**
+ * Review result cache in front of AIService
+ * Keyed by a hash of everything that changes the review: code, language,
+ * framework, provider/model, prompt version, team rule packs and the
+ * environment switches of the review pipeline
+ */
+class ReviewCacheService {
+    constructor() {
+        this.enabled = CACHE_CONFIG.ENABLED;
+        this.ttl = CACHE_CONFIG.TTL_MS;
+        this.store = createCacheStore(CACHE_CONFIG.STORE, {
+            maxEntries: CACHE_CONFIG.MAX_ENTRIES,
+            dir: CACHE_CONFIG.DIR
+        });
+        this.stats = { hits: 0, misses: 0, writes: 0, errors: 0 };
+    }
+
+    /**
+     * Build the cache key for a review request
+     * @param {Object} params - Review parameters
+     * @param {string} params.code - Reviewed code
+     * @param {string} params.language - Resolved language
+     * @param {string} params.framework - Framework context
+     * @param {string} params.provider - Provider name
+     * @param {string} params.model - Model name
+     * @param {Object} params.extra - Any other option that changes the output
+     * @returns {string} - sha256 hex digest
+     */
+    buildKey({ code, language, framework, provider, model, extra = {} }) {
+        return crypto
+            .createHash('sha256')
+            .update(JSON.stringify({
+                code,
+                language,
+                framework: framework || 'none',
+                provider,
+                model,
+                promptVersion: AI_SERVICE.PROMPT_VERSION,
+                rulePacks: rulePackRegistry.getVersion(),
+                pipeline: {
+                    staticAnalysis: STATIC_ANALYSIS_CONFIG.ENABLED,
+                    unanchoredIssues: ANCHOR_CONFIG.UNMATCHED,
+                    syntaxReprompt: SYNTAX_CHECK_CONFIG.REPROMPT,
+                    metrics: METRICS_CONFIG.ENABLED
+                },
+                extra
+            }))
+            .digest('hex');
+    }
+
+    /**
+     * Look up a cached review
+     * Store failures are logged and treated as misses so the cache never breaks reviews
+     * @param {string} key - Cache key
+     * @returns {Promise<Object|null>} - { review, cachedAt } or null
+     */
+    async get(key) {
+        if (!this.enabled) {
+            return null;
+        }
+
+        try {
+            const entry = await this.store.get(key);
+
+            if (!entry) {
+                this.stats.misses++;
+                return null;
+            }
+
+            this.stats.hits++;
+            return { review: entry.value, cachedAt: new Date(entry.storedAt).toISOString() };
+        } catch (error) {
+            this.stats.errors++;
+            console.error('⚠️ Review cache read failed:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Store a review
+     * @param {string} key - Cache key
+     * @param {Object} review - Review result (without response metadata)
+     */
+    async set(key, review) {
+        if (!this.enabled) {
+            return;
+        }
+
+        try {
+            await this.store.set(key, review, this.ttl);
+            this.stats.writes++;
+        } catch (error) {
+            this.stats.errors++;
+            console.error('⚠️ Review cache write failed:', error.message);
+        }
+    }
+
+    /**
+     * Resolve caching behaviour from the request Cache-Control header
+     * no-cache skips the lookup but refreshes the entry; no-store skips both
+     * @param {string} cacheControl - Cache-Control header value
+     * @returns {Object} - { read, write }
+     */
+    getRequestPolicy(cacheControl = '') {
+        const directives = cacheControl.toLowerCase().split(',').map(directive => directive.trim());
+        const noStore = directives.includes('no-store');
+
+        return {
+            read: this.enabled && !noStore && !directives.includes('no-cache'),
+            write: this.enabled && !noStore
+        };
+    }
+
+    /**
+     * Cache statistics for status endpoints
+     * @returns {Promise<Object>} - Cache configuration and counters
+     */
+    async getStats() {
+        return {
+            enabled: this.enabled,
+            store: this.store.name,
+            ttl: this.ttl,
+            entries: this.enabled ? await this.store.size().catch(() => null) : 0,
+            ...this.stats
+        };
+    }
+}
+
+// Create singleton instance
+const reviewCache = new ReviewCacheService();
+
+module.exports = reviewCache;
@@ -0,0 +1,105 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * On-disk cache store - one JSON file per key
+ * Survives restarts and can be shared by several processes on one machine
+ */
+class FileStore {
+    /**
+     * @param {Object} options - Store options
+     * @param {string} options.dir - Directory holding the cache files
+     */
+    constructor({ dir }) {
+        this.name = 'file';
+        this.dir = path.resolve(dir);
+    }
+
+    /**
+     * Get a cached value
+     * @param {string} key - Cache key
+     * @returns {Promise<Object|null>} - Stored entry ({ value, storedAt, expiresAt }) or null
+     */
+    async get(key) {
+        let entry;
+
+        try {
+            entry = JSON.parse(await fs.readFile(this._filePath(key), 'utf8'));
+        } catch (error) {
+            // Missing or half-written files are treated as cache misses
+            if (error.code === 'ENOENT' || error instanceof SyntaxError) {
+                return null;
+            }
+            throw error;
+        }
+
+        if (entry.expiresAt <= Date.now()) {
+            await this.delete(key);
+            return null;
+        }
+
+        return entry;
+    }
+
+    /**
+     * Store a value
+     * @param {string} key - Cache key
+     * @param {Object} value - Value to cache
+     * @param {number} ttlMs - Time to live in milliseconds
+     */
+    async set(key, value, ttlMs) {
+        await fs.mkdir(this.dir, { recursive: true });
+
+        // Write to a temporary file first so readers never see partial JSON
+        const filePath = this._filePath(key);
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify({
+            value,
+            storedAt: Date.now(),
+            expiresAt: Date.now() + ttlMs
+        }));
+        await fs.rename(tempPath, filePath);
+    }
+
+    /**
+     * Remove a value
+     * @param {string} key - Cache key
+     */
+    async delete(key) {
+        await fs.rm(this._filePath(key), { force: true });
+    }
+
+    /**
+     * Remove every value
+     */
+    async clear() {
+        await fs.rm(this.dir, { recursive: true, force: true });
+    }
+
+    /**
+     * Number of stored entries (including expired files not yet read)
+     * @returns {Promise<number>} - Entry count
+     */
+    async size() {
+        try {
+            const files = await fs.readdir(this.dir);
+            return files.filter(file => file.endsWith('.json')).length;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return 0;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Path of the file for a key
+     * @param {string} key - Cache key (hex digest)
+     * @returns {string} - Absolute file path
+     */
+    _filePath(key) {
+        return path.join(this.dir, `${key}.json`);
+    }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,36 @@
+const MemoryStore = require("./memory.store");
+const FileStore = require("./file.store");
+const { CACHE_STORES } = require("../../utils/constants");
+
+/**
+ * Cache store registry - maps REVIEW_CACHE_STORE values to store factories
+ * A store implements async get(key), set(key, value, ttlMs), delete(key), clear() and size()
+ */
+const STORE_FACTORIES = {
+    [CACHE_STORES.MEMORY]: (options) => new MemoryStore(options),
+    [CACHE_STORES.FILE]: (options) => new FileStore(options)
+};
+
+/**
+ * Create a cache store
+ * @param {string} name - Store name (see CACHE_STORES)
+ * @param {Object} options - Store options
+ * @param {number} options.maxEntries - Maximum entries (memory store)
+ * @param {string} options.dir - Cache directory (file store)
+ * @returns {Object} - Store instance
+ */
+const createCacheStore = (name, options = {}) => {
+    const factory = STORE_FACTORIES[name];
+
+    if (!factory) {
+        const available = Object.keys(STORE_FACTORIES).join(', ');
+        throw new Error(`Unknown cache store "${name}". Available stores: ${available}`);
+    }
+
+    return factory(options);
+};
+
+module.exports = {
+    createCacheStore,
+    STORE_FACTORIES
+};
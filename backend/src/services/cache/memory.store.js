@@ -0,0 +1,81 @@
+/**
+ * In-memory LRU cache store
+ * Map insertion order doubles as recency order: reads move an entry to the end,
+ * and the first entry is evicted when the store is full
+ */
+class MemoryStore {
+    /**
+     * @param {Object} options - Store options
+     * @param {number} options.maxEntries - Maximum number of cached entries
+     */
+    constructor({ maxEntries }) {
+        this.name = 'memory';
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    /**
+     * Get a cached value
+     * @param {string} key - Cache key
+     * @returns {Promise<Object|null>} - Stored entry ({ value, storedAt, expiresAt }) or null
+     */
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return null;
+        }
+
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry;
+    }
+
+    /**
+     * Store a value
+     * @param {string} key - Cache key
+     * @param {Object} value - Value to cache
+     * @param {number} ttlMs - Time to live in milliseconds
+     */
+    async set(key, value, ttlMs) {
+        this.entries.delete(key);
+        this.entries.set(key, {
+            value,
+            storedAt: Date.now(),
+            expiresAt: Date.now() + ttlMs
+        });
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Remove a value
+     * @param {string} key - Cache key
+     */
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    /**
+     * Remove every value
+     */
+    async clear() {
+        this.entries.clear();
+    }
+
+    /**
+     * Number of stored entries (including not yet evicted expired ones)
+     * @returns {Promise<number>} - Entry count
+     */
+    async size() {
+        return this.entries.size;
+    }
+}
+
+module.exports = MemoryStore;
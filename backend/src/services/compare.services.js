@@ -0,0 +1,152 @@
+const aiService = require("./ai.services");
+const reviewCache = require("./cache.services");
+const { matchIssues } = require("../utils/issueMatching");
+const { fingerprintIssues } = require("../utils/issueFingerprint");
+const {
+    API_CONFIG,
+    SEVERITY_LEVELS,
+    LOGGING_CONFIG
+} = require("../utils/constants");
+
+/**
+ * Review comparison
+ * Compares two versions of a file, each given as code (reviewed here, through
+ * the review cache) or as an earlier review, and reports which issues were
+ * fixed, which are new and which are still there
+ */
+class ReviewComparisonService {
+    /**
+     * Compare two versions of a file
+     * @param {Object} before - Earlier version { code } or { review }
+     * @param {Object} after - Later version { code } or { review }
+     * @param {Object} options - Review options for code versions
+     * @param {string} options.language - Language (detected per version when omitted)
+     * @param {string} options.fileName - File name
+     * @param {string} options.framework - Framework context
+     * @param {Object} options.cachePolicy - { read, write } from reviewCache.getRequestPolicy
+     * @returns {Promise<Object>} - Comparison with fixed, new and persisting issues and the score change
+     */
+    async compare(before, after, options = {}) {
+        const [beforeSide, afterSide] = await Promise.all([
+            this._resolveVersion(before, options),
+            this._resolveVersion(after, options)
+        ]);
+
+        const { fixed, introduced, persisting } = matchIssues(beforeSide.review.issues, afterSide.review.issues);
+        const beforeScore = beforeSide.review.overallScore;
+        const afterScore = afterSide.review.overallScore;
+
+        if (LOGGING_CONFIG.ENABLE_REQUEST_LOGGING) {
+            console.log(`⚖️ Review Comparison - ${fixed.length} fixed, ${introduced.length} new, ${persisting.length} persisting`);
+        }
+
+        return {
+            overallScore: {
+                before: beforeScore,
+                after: afterScore,
+                change: Math.round((afterScore - beforeScore) * 10) / 10
+            },
+            summary: {
+                fixed: fixed.length,
+                new: introduced.length,
+                persisting: persisting.length,
+                severity: this._countSeverityChanges(beforeSide.review.issues, afterSide.review.issues)
+            },
+            language: afterSide.review.language || beforeSide.review.language,
+            framework: options.framework || afterSide.review.framework || 'none',
+            fixed,
+            new: introduced,
+            persisting: persisting.map(({ before: previous, after: current }) => ({
+                ...current,
+                previousLine: previous.line,
+                previousSeverity: previous.severity
+            })),
+            versions: {
+                before: this._describeVersion(beforeSide),
+                after: this._describeVersion(afterSide)
+            }
+        };
+    }
+
+    /**
+     * Get the review of one version, reviewing its code when no review was given
+     * @param {Object} version - { code } or { review }
+     * @param {Object} options - Review options
+     * @returns {Promise<Object>} - { source, review, cached, codeSize }
+     */
+    async _resolveVersion(version, options) {
+        if (version.review) {
+            return { source: 'review', review: version.review, cached: false, codeSize: null };
+        }
+
+        const { fileName = null, framework = null, cachePolicy = { read: false, write: false } } = options;
+        const code = version.code;
+        const language = options.language || aiService.detectLanguage(code, fileName);
+
+        const cacheKey = reviewCache.buildKey({
+            code,
+            language,
+            framework,
+            provider: aiService.getProviderName(),
+            model: aiService.getModelName()
+        });
+        const cached = cachePolicy.read ? await reviewCache.get(cacheKey) : null;
+
+        const review = cached ? cached.review : await aiService.generateContent(code, {
+            language,
+            fileName,
+            framework,
+            timeout: API_CONFIG.REQUEST_TIMEOUT
+        });
+
+        if (!cached && cachePolicy.write) {
+            await reviewCache.set(cacheKey, review);
+        }
+
+        return {
+            source: 'code',
+            review: { ...review, issues: fingerprintIssues(review.issues, { code, language, filePath: fileName }) },
+            cached: Boolean(cached),
+            codeSize: code.length
+        };
+    }
+
+    /**
+     * Issue counts per severity before and after
+     * @param {Array<Object>} beforeIssues - Issues of the earlier review
+     * @param {Array<Object>} afterIssues - Issues of the later review
+     * @returns {Object} - { [severity]: { before, after } }
+     */
+    _countSeverityChanges(beforeIssues, afterIssues) {
+        const count = (issues, severity) => issues.filter(issue => issue.severity === severity).length;
+
+        return Object.fromEntries(Object.values(SEVERITY_LEVELS).map(severity => [
+            severity,
+            { before: count(beforeIssues, severity), after: count(afterIssues, severity) }
+        ]));
+    }
+
+    /**
+     * Describe where a version's review came from
+     * @param {Object} side - Resolved version
+     * @returns {Object} - { source, overallScore, issueCount, summary, cached, codeSize, requestId, metrics }
+     */
+    _describeVersion({ source, review, cached, codeSize }) {
+        return {
+            source,
+            overallScore: review.overallScore,
+            issueCount: review.issues.length,
+            summary: review.summary,
+            cached,
+            codeSize,
+            requestId: review.metadata?.requestId || null,
+            // Reviews from before metrics existed have none
+            metrics: review.metrics || null
+        };
+    }
+}
+
+// Create singleton instance
+const reviewComparisonService = new ReviewComparisonService();
+
+module.exports = reviewComparisonService;
@@ -0,0 +1,472 @@
+const aiService = require("./ai.services");
+const reviewCache = require("./cache.services");
+const staticAnalysisService = require("./staticAnalysis.services");
+const codeMetricsService = require("./metrics.services");
+const { mapWithConcurrency } = require("../utils/concurrency");
+const { fingerprintIssues } = require("../utils/issueFingerprint");
+const { applyInlineSuppressions } = require("../utils/inlineSuppressions");
+const { anchorIssues, applyAnchorPolicy } = require("../utils/issueAnchoring");
+const { mergeProfileSummaries } = require("../utils/reviewProfiles");
+const {
+    CHANGE_TYPES,
+    parseUnifiedDiff,
+    formatFilePatch,
+    applyFilePatch,
+    buildChangeMap,
+    classifyIssueChange,
+    collectHunkLines,
+    formatNumberedLines
+} = require("../utils/unifiedDiff");
+const { createValidationError } = require("../middleware/errorHandler");
+const {
+    API_CONFIG,
+    DIFF_CONFIG,
+    PROJECT_CONFIG,
+    CHUNKING_CONFIG,
+    SEVERITY_LEVELS,
+    ERROR_CODES,
+    LOGGING_CONFIG
+} = require("../utils/constants");
+
+/**
+ * Review of changes given as a unified diff
+ * Each changed file is reviewed from its hunks (plus the full new file when the
+ * original content is known) and every issue is tagged with what the change did
+ * to its lines: introduced, touched or pre-existing context
+ */
+class DiffReviewService {
+    /**
+     * Review a unified diff
+     * @param {string} diff - Unified diff (one or more files)
+     * @param {Object} options - Review options
+     * @param {string} options.original - Original content of a single-file diff
+     * @param {Object} options.originals - Original content by old file path (optional per file)
+     * @param {string} options.language - Language override for every file
+     * @param {string} options.framework - Framework context
+     * @param {string} options.profile - Review profile (see REVIEW_PROFILES)
+     * @param {Object} options.cachePolicy - { read, write } from reviewCache.getRequestPolicy
+     * @returns {Promise<Object>} - Diff review with per-file results and tagged issues
+     */
+    async reviewDiff(diff, options = {}) {
+        const {
+            original = null,
+            language = null,
+            framework = null,
+            profile = null,
+            cachePolicy = { read: false, write: false }
+        } = options;
+
+        let filePatches;
+        try {
+            filePatches = parseUnifiedDiff(diff);
+        } catch (error) {
+            throw createValidationError(error.message);
+        }
+
+        let originals = options.originals || {};
+        if (typeof original === 'string') {
+            if (filePatches.length !== 1) {
+                throw createValidationError('The original file content (code) can only be combined with a single-file diff; use originals for multi-file diffs');
+            }
+            originals = { ...originals, [filePatches[0].oldPath]: original };
+        }
+
+        if (filePatches.length > DIFF_CONFIG.MAX_FILES) {
+            throw createValidationError(`Diff touches ${filePatches.length} files; at most ${DIFF_CONFIG.MAX_FILES} are reviewed per request`);
+        }
+
+        // Apply patches up front so a mismatching original fails fast, before any model call
+        const changes = filePatches.map(file => this._prepareChange(file, originals, language));
+
+        if (LOGGING_CONFIG.ENABLE_REQUEST_LOGGING) {
+            console.log(`🧾 Diff Review - ${changes.length} files, ${changes.filter(change => change.newCode !== null).length} with full content`);
+        }
+
+        const results = await mapWithConcurrency(changes, PROJECT_CONFIG.MAX_CONCURRENT_FILES, (change) =>
+            change.skipReason ? change : this._reviewChange(change, framework, cachePolicy, profile)
+        );
+
+        const reviewed = results.filter(result => result.review);
+        const failed = results.filter(result => result.error);
+
+        if (reviewed.length === 0) {
+            if (failed.length > 0) {
+                throw failed[0].cause;
+            }
+            throw createValidationError('The diff contains no reviewable changes');
+        }
+
+        return this._assembleDiffReview(results, framework);
+    }
+
+    /**
+     * Resolve paths, language and (when the original is known) the new file content
+     * @param {Object} file - File patch from parseUnifiedDiff
+     * @param {Object} originals - Original content by old file path
+     * @param {string} language - Language override
+     * @returns {Object} - Change { file, filePath, language, original, newCode, skipReason }
+     * @throws {AppError} - VALIDATION_ERROR when a provided original does not match the diff
+     */
+    _prepareChange(file, originals, language) {
+        const filePath = file.newPath || file.oldPath;
+        const change = { file, filePath, language, original: null, newCode: null, skipReason: null };
+
+        if (file.status === 'deleted') {
+            change.skipReason = 'File deleted';
+        } else if (file.binary) {
+            change.skipReason = 'Binary file';
+        } else if (file.hunks.length === 0) {
+            change.skipReason = 'No content changes';
+        }
+
+        if (change.skipReason) {
+            return change;
+        }
+
+        // A new file's original content is empty, so the diff alone carries the whole file
+        const original = file.status === 'added' ? '' : originals[file.oldPath];
+
+        if (typeof original === 'string') {
+            try {
+                change.original = original;
+                change.newCode = applyFilePatch(original, file);
+            } catch (error) {
+                throw createValidationError(error.message, [{
+                    field: 'diff',
+                    message: error.message,
+                    value: file.oldPath
+                }]);
+            }
+        }
+
+        const sample = change.newCode ?? file.hunks
+            .flatMap(hunk => hunk.lines.filter(line => line.type !== 'del').map(line => line.content))
+            .join('\n');
+        change.language = language || aiService.detectLanguage(sample, filePath);
+
+        return change;
+    }
+
+    /**
+     * Review one changed file, through the review cache
+     * Failures are returned instead of thrown so one file does not sink the whole diff
+     * @param {Object} change - Change from _prepareChange
+     * @param {string} framework - Framework context
+     * @param {Object} cachePolicy - { read, write }
+     * @param {string} profile - Review profile
+     * @returns {Promise<Object>} - Change with review (or error)
+     */
+    async _reviewChange(change, framework, cachePolicy, profile = null) {
+        const { file, filePath, language, original, newCode } = change;
+
+        try {
+            const cacheKey = reviewCache.buildKey({
+                code: formatFilePatch(file),
+                language,
+                framework,
+                provider: aiService.getProviderName(),
+                model: aiService.getModelName(),
+                extra: { mode: 'diff', original, profile }
+            });
+            const cached = cachePolicy.read ? await reviewCache.get(cacheKey) : null;
+
+            let review = cached?.review;
+
+            if (!review) {
+                const batches = this._planBatches(file, newCode);
+                const staticIssues = await this._analyzeChange(file, language, newCode);
+                const reviews = await mapWithConcurrency(batches, CHUNKING_CONFIG.MAX_CONCURRENT_CHUNKS, (batch) =>
+                    aiService.generateDiffContent(batch.patchText, batch.numberedCode, {
+                        filePath,
+                        language,
+                        framework,
+                        complete: batch.complete,
+                        profile,
+                        staticIssues: staticIssues.filter(issue => batch.hunks.some(hunk =>
+                            issue.line >= hunk.newStart && issue.line < hunk.newStart + Math.max(1, hunk.newLines))),
+                        timeout: API_CONFIG.REQUEST_TIMEOUT
+                    })
+                );
+
+                // Lines are corrected before the change type of each issue is derived from them
+                const anchorSource = newCode !== null
+                    ? { code: newCode }
+                    : { lines: collectHunkLines(file, file.hunks, null, 0) };
+                const anchored = reviews.map(batchReview => anchorIssues(batchReview, anchorSource));
+                review = this._mergeBatchReviews(batches, anchored, buildChangeMap(file), filePath);
+
+                if (cachePolicy.write) {
+                    await reviewCache.set(cacheKey, review);
+                }
+            }
+
+            const source = newCode !== null
+                ? { code: newCode, language }
+                : { lines: this._excerptLines(file), language };
+            const unsuppressed = applyInlineSuppressions(applyAnchorPolicy(review), source);
+
+            // Metrics describe the whole new file, so they need its content
+            const metrics = newCode !== null ? codeMetricsService.compute(newCode, language) : null;
+
+            return {
+                ...change,
+                cached: Boolean(cached),
+                review: {
+                    ...unsuppressed,
+                    issues: fingerprintIssues(unsuppressed.issues, source),
+                    ...(metrics ? { metrics } : {})
+                }
+            };
+        } catch (error) {
+            console.error(`❌ Diff Review - ${filePath} failed:`, error.message);
+
+            return {
+                ...change,
+                error: {
+                    message: error.message,
+                    errorCode: error.errorCode || ERROR_CODES.AI_SERVICE_ERROR
+                },
+                cause: error
+            };
+        }
+    }
+
+    /**
+     * Static-analysis findings on the changed lines of a file
+     * Linters need the whole file, so only changes with known new content are analysed;
+     * findings on untouched lines are left out like any pre-existing problem
+     * @param {Object} file - File patch
+     * @param {string} language - Programming language
+     * @param {string|null} newCode - Complete new content, if known
+     * @returns {Promise<Array<Object>>} - Issues with source: static, in new-file line numbers
+     */
+    async _analyzeChange(file, language, newCode) {
+        if (newCode === null) {
+            return [];
+        }
+
+        const changeMap = buildChangeMap(file);
+        const issues = await staticAnalysisService.analyze(newCode, language);
+        return issues.filter(issue => classifyIssueChange(issue, changeMap) !== CHANGE_TYPES.PRE_EXISTING);
+    }
+
+    /**
+     * New-file lines known from the diff alone, for enclosing symbol lookup
+     * The function name git writes after each hunk header stands in for the
+     * declaration line, which usually lies above the hunk
+     * @param {Object} file - File patch
+     * @returns {Array<Object>} - Lines { number, text } in ascending order
+     */
+    _excerptLines(file) {
+        const lines = collectHunkLines(file, file.hunks, null, 0);
+        const known = new Set(lines.map(line => line.number));
+
+        for (const hunk of file.hunks) {
+            if (hunk.section && hunk.newStart > 1 && !known.has(hunk.newStart - 1)) {
+                lines.push({ number: hunk.newStart - 1, text: hunk.section });
+            }
+        }
+
+        return lines.sort((a, b) => a.number - b.number);
+    }
+
+    /**
+     * Split a file change into model requests that fit MAX_CODE_LENGTH
+     * Small files with known content go in whole; otherwise hunks (with context) are
+     * packed greedily, and a single hunk larger than the budget is sent on its own
+     * @param {Object} file - File patch
+     * @param {string|null} newCode - Complete new content, if known
+     * @returns {Array<Object>} - Batches { patchText, numberedCode, complete, size, hunks }
+     */
+    _planBatches(file, newCode) {
+        const patchText = formatFilePatch(file);
+
+        if (newCode !== null) {
+            const lines = newCode.replace(/\n$/, '').split('\n').map((text, index) => ({ number: index + 1, text }));
+            const numberedCode = formatNumberedLines(lines);
+
+            if (patchText.length + numberedCode.length <= API_CONFIG.MAX_CODE_LENGTH) {
+                return [{ patchText, numberedCode, complete: true, size: numberedCode.length, hunks: file.hunks }];
+            }
+        }
+
+        const groups = [];
+        let current = null;
+
+        for (const hunk of file.hunks) {
+            const size = formatFilePatch(file, [hunk]).length +
+                formatNumberedLines(collectHunkLines(file, [hunk], newCode, DIFF_CONFIG.CONTEXT_LINES)).length;
+
+            if (current && current.size + size <= API_CONFIG.MAX_CODE_LENGTH) {
+                current.hunks.push(hunk);
+                current.size += size;
+            } else {
+                current = { hunks: [hunk], size };
+                groups.push(current);
+            }
+        }
+
+        return groups.map(group => {
+            const numberedCode = formatNumberedLines(collectHunkLines(file, group.hunks, newCode, DIFF_CONFIG.CONTEXT_LINES));
+            return {
+                patchText: formatFilePatch(file, group.hunks),
+                numberedCode,
+                complete: false,
+                size: numberedCode.length,
+                hunks: group.hunks
+            };
+        });
+    }
+
+    /**
+     * Merge the reviews of one file's batches and tag each issue
+     * Batches share context lines, so duplicates are dropped keeping the most severe copy
+     * @param {Array<Object>} batches - Batches from _planBatches
+     * @param {Array<Object>} reviews - Reviews in batch order
+     * @param {Object} changeMap - Result of buildChangeMap
+     * @param {string} filePath - Path of the file
+     * @returns {Object} - Review of the file change
+     */
+    _mergeBatchReviews(batches, reviews, changeMap, filePath) {
+        if (reviews.length === 1) {
+            return {
+                ...reviews[0],
+                issues: reviews[0].issues.map(issue => this._tagIssue(issue, changeMap, filePath))
+            };
+        }
+
+        const severityRank = Object.values(SEVERITY_LEVELS);
+        const issuesByKey = new Map();
+        let weightedScore = 0;
+        let totalWeight = 0;
+
+        reviews.forEach((review, i) => {
+            weightedScore += review.overallScore * batches[i].size;
+            totalWeight += batches[i].size;
+
+            for (const issue of review.issues) {
+                const fingerprint = (issue.codeSnippet || issue.title || '').replace(/\s+/g, ' ').trim().toLowerCase();
+                const key = `${issue.category}|${issue.line}|${fingerprint}`;
+                const existing = issuesByKey.get(key);
+
+                if (!existing || severityRank.indexOf(issue.severity) < severityRank.indexOf(existing.severity)) {
+                    issuesByKey.set(key, issue);
+                }
+            }
+        });
+
+        const unique = (items) => [...new Set(items)];
+
+        return {
+            overallScore: Math.round((weightedScore / totalWeight) * 10) / 10,
+            summary: reviews.map(review => review.summary).join(' '),
+            language: reviews[0].language,
+            framework: reviews[0].framework,
+            issues: [...issuesByKey.values()]
+                .sort((a, b) => a.line - b.line)
+                .map(issue => this._tagIssue(issue, changeMap, filePath)),
+            positiveAspects: unique(reviews.flatMap(review => review.positiveAspects || [])),
+            recommendations: unique(reviews.flatMap(review => review.recommendations || [])),
+            ...(reviews[0].profile ? { profile: mergeProfileSummaries(reviews) } : {})
+        };
+    }
+
+    /**
+     * Attach the file path and change type to an issue
+     * @param {Object} issue - Issue with new-file line numbers
+     * @param {Object} changeMap - Result of buildChangeMap
+     * @param {string} filePath - Path of the file
+     * @returns {Object} - Tagged issue
+     */
+    _tagIssue(issue, changeMap, filePath) {
+        return {
+            ...issue,
+            filePath,
+            changeType: classifyIssueChange(issue, changeMap)
+        };
+    }
+
+    /**
+     * Combine per-file results into the response shape
+     * @param {Array<Object>} results - Reviewed, failed and skipped changes in diff order
+     * @param {string} framework - Framework context
+     * @returns {Object} - Diff review
+     */
+    _assembleDiffReview(results, framework) {
+        const reviewed = results.filter(result => result.review);
+        const issues = reviewed.flatMap(result => result.review.issues);
+        const suppressed = reviewed.flatMap(result => result.review.suppressed);
+        const unanchored = reviewed.flatMap(result => result.review.unanchored || []);
+        const profile = mergeProfileSummaries(reviewed.map(result => result.review));
+
+        // Weight scores by how much of the file changed
+        const weightOf = ({ file }) => Math.max(1, file.additions + file.deletions);
+        const totalWeight = reviewed.reduce((total, result) => total + weightOf(result), 0);
+        const weightedScore = reviewed.reduce((total, result) => total + result.review.overallScore * weightOf(result), 0);
+
+        const unique = (items) => [...new Set(items)];
+        const changeTypes = Object.fromEntries(Object.values(CHANGE_TYPES).map(type => [
+            type,
+            issues.filter(issue => issue.changeType === type).length
+        ]));
+
+        return {
+            overallScore: Math.round((weightedScore / totalWeight) * 10) / 10,
+            summary: reviewed.length === 1
+                ? reviewed[0].review.summary
+                : `Reviewed changes to ${reviewed.length} files. ` + reviewed
+                    .map(result => `${result.filePath}: ${result.review.summary}`)
+                    .join(' '),
+            framework: framework || 'none',
+            files: results.map(result => {
+                const base = {
+                    filePath: result.filePath,
+                    oldPath: result.file.oldPath,
+                    change: result.file.status,
+                    language: result.language,
+                    additions: result.file.additions,
+                    deletions: result.file.deletions
+                };
+
+                if (result.review) {
+                    return {
+                        ...base,
+                        status: 'reviewed',
+                        cached: result.cached,
+                        fullContent: result.newCode !== null,
+                        overallScore: result.review.overallScore,
+                        summary: result.review.summary,
+                        issues: result.review.issues,
+                        suppressed: result.review.suppressed,
+                        ...(result.review.unanchored ? { unanchored: result.review.unanchored } : {}),
+                        ...(result.review.metrics ? { metrics: result.review.metrics } : {}),
+                        positiveAspects: result.review.positiveAspects || [],
+                        recommendations: result.review.recommendations || []
+                    };
+                }
+
+                return result.error
+                    ? { ...base, status: 'failed', error: result.error }
+                    : { ...base, status: 'skipped', reason: result.skipReason };
+            }),
+            issues,
+            suppressed,
+            ...(unanchored.length > 0 ? { unanchored } : {}),
+            ...(profile ? { profile } : {}),
+            stats: {
+                files: results.length,
+                reviewed: reviewed.length,
+                additions: results.reduce((total, result) => total + result.file.additions, 0),
+                deletions: results.reduce((total, result) => total + result.file.deletions, 0),
+                changeTypes
+            },
+            positiveAspects: unique(reviewed.flatMap(result => result.review.positiveAspects || [])),
+            recommendations: unique(reviewed.flatMap(result => result.review.recommendations || []))
+        };
+    }
+}
+
+// Create singleton instance
+const diffReviewService = new DiffReviewService();
+
+module.exports = diffReviewService;
@@ -0,0 +1,149 @@
+const { ISSUE_CATEGORIES, EXPORT_CONFIG } = require("../../utils/constants");
+
+// Cross-file findings of project reviews have no category; each group is a rule of its own
+const CROSS_FILE_RULES = {
+    sharedAntiPatterns: { id: 'cross-file/shared-anti-pattern', name: 'SharedAntiPattern', description: 'The same problem repeated across several files' },
+    inconsistentConventions: { id: 'cross-file/inconsistent-convention', name: 'InconsistentConvention', description: 'Files that solve the same problem in different ways' },
+    riskyBoundaries: { id: 'cross-file/risky-boundary', name: 'RiskyBoundary', description: 'Fragile contracts between modules, such as unchecked data or import cycles' }
+};
+
+/**
+ * Stable rule ID of an issue category
+ * @param {string} category - One of ISSUE_CATEGORIES (unknown values fall back to BEST_PRACTICE)
+ * @returns {string} - Rule ID, e.g. review/code-style
+ */
+const getRuleId = (category) => {
+    const known = ISSUE_CATEGORIES[category] ? category : ISSUE_CATEGORIES.BEST_PRACTICE;
+    return `${EXPORT_CONFIG.RULE_PREFIX}${known.toLowerCase().replace(/_/g, '-')}`;
+};
+
+/**
+ * Base class for review exporters
+ * An exporter turns the review data of any review endpoint (single file, project,
+ * diff or git range) into the text of one output format
+ */
+class BaseExporter {
+    /**
+     * @param {Object} options - Exporter options
+     * @param {string} options.format - Format name (see OUTPUT_FORMATS)
+     * @param {string} options.contentType - Content-Type of the response
+     * @param {Array<string>} options.mediaTypes - Accept header media types that select this exporter
+     */
+    constructor({ format, contentType, mediaTypes = [] }) {
+        this.format = format;
+        this.contentType = contentType;
+        this.mediaTypes = mediaTypes;
+    }
+
+    /**
+     * Render review data
+     * @param {Object} review - Review data as returned in the JSON envelope
+     * @param {Object} options - Render options
+     * @param {string} options.fileName - File name of single-file reviews (issues without filePath)
+     * @returns {string} - Response body
+     */
+    render(review, options = {}) {
+        throw new Error(`render() is not implemented by the ${this.format} exporter`);
+    }
+
+    /**
+     * Flatten issues and cross-file findings into one list of located findings
+     * Cross-file findings appear once per file they name, without a line
+     * @param {Object} review - Review data
+     * @param {Object} options - Render options
+     * @param {string} options.fileName - File name of single-file reviews
+     * @returns {Array<Object>} - Findings { filePath, line, endLine, ruleId, category, severity, title, description, suggestion, syntaxError, codeSnippet, changeType, symbol, fingerprint, security }
+     */
+    collectFindings(review, options = {}) {
+        const defaultPath = this.getDefaultPath(options);
+
+        const findings = (review.issues || []).map(issue => ({
+            filePath: issue.filePath || defaultPath,
+            line: issue.line > 0 ? issue.line : 0,
+            endLine: issue.endLine >= issue.line ? issue.endLine : (issue.line > 0 ? issue.line : 0),
+            ruleId: getRuleId(issue.category),
+            category: issue.category,
+            severity: issue.severity,
+            title: issue.title,
+            description: issue.description || '',
+            suggestion: issue.suggestion || '',
+            syntaxError: issue.syntaxValid === false ? issue.syntaxError || null : null,
+            codeSnippet: issue.codeSnippet || '',
+            changeType: issue.changeType || null,
+            symbol: issue.symbol || null,
+            fingerprint: issue.fingerprint || null,
+            security: issue.security || null
+        }));
+
+        for (const [group, rule] of Object.entries(CROSS_FILE_RULES)) {
+            for (const finding of review.crossFile?.[group] || []) {
+                for (const filePath of finding.files || []) {
+                    findings.push({
+                        filePath,
+                        line: 0,
+                        endLine: 0,
+                        ruleId: rule.id,
+                        category: null,
+                        severity: finding.severity,
+                        title: finding.title,
+                        description: finding.description || '',
+                        suggestion: finding.suggestion || '',
+                        syntaxError: null,
+                        codeSnippet: '',
+                        changeType: null,
+                        symbol: null,
+                        fingerprint: null,
+                        security: null
+                    });
+                }
+            }
+        }
+
+        return findings;
+    }
+
+    /**
+     * Paths of every file the review covered, in review order
+     * @param {Object} review - Review data
+     * @param {Object} options - Render options
+     * @returns {Array<string>} - File paths (the default path for single-file reviews)
+     */
+    collectFilePaths(review, options = {}) {
+        if (!Array.isArray(review.files)) {
+            return [this.getDefaultPath(options)];
+        }
+        return review.files.map(file => file.filePath);
+    }
+
+    /**
+     * Path reported for issues of single-file reviews
+     * @param {Object} options - Render options
+     * @returns {string} - File name or a placeholder
+     */
+    getDefaultPath(options = {}) {
+        return options.fileName || 'source';
+    }
+
+    /**
+     * Escape text for XML attributes and character data
+     * Characters not allowed in XML 1.0 are dropped
+     * @param {*} value - Value to escape
+     * @returns {string} - Escaped text
+     */
+    escapeXml(value) {
+        return String(value ?? '')
+            // C0 control characters other than tab and newlines are not allowed in XML
+            .replace(/(?![\t\n\r])[\p{Cc}--[\u007f-\u009f]]/gv, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+}
+
+module.exports = {
+    BaseExporter,
+    CROSS_FILE_RULES,
+    getRuleId
+};
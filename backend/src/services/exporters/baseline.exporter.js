@@ -0,0 +1,49 @@
+const { BaseExporter } = require("./base.exporter");
+const { OUTPUT_FORMATS, EXPORT_CONFIG, BASELINE_CONFIG } = require("../../utils/constants");
+
+/**
+ * Suppression baseline exporter
+ * Writes the fingerprints of every issue in the review, in the format the
+ * baseline request field and REVIEW_BASELINE_FILE accept. The other fields
+ * only help humans review the file; matching uses the fingerprint alone
+ */
+class BaselineExporter extends BaseExporter {
+    constructor() {
+        super({
+            format: OUTPUT_FORMATS.BASELINE,
+            contentType: 'application/json',
+            mediaTypes: ['application/vnd.code-review-ai.baseline+json']
+        });
+    }
+
+    /**
+     * Render review data as a baseline document
+     * Cross-file findings have no fingerprint and are not part of baselines
+     * @param {Object} review - Review data
+     * @param {Object} options - Render options
+     * @returns {string} - Baseline JSON
+     */
+    render(review, options = {}) {
+        const issues = this.collectFindings(review, options)
+            .filter(finding => finding.fingerprint)
+            .sort((a, b) => a.filePath.localeCompare(b.filePath) || a.line - b.line)
+            .map(finding => ({
+                fingerprint: finding.fingerprint,
+                filePath: finding.filePath,
+                symbol: finding.symbol,
+                category: finding.category,
+                severity: finding.severity,
+                title: finding.title,
+                line: finding.line
+            }));
+
+        return JSON.stringify({
+            version: BASELINE_CONFIG.FINGERPRINT_VERSION,
+            tool: EXPORT_CONFIG.TOOL_NAME,
+            createdAt: new Date().toISOString(),
+            issues
+        }, null, 2);
+    }
+}
+
+module.exports = BaselineExporter;
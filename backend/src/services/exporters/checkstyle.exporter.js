@@ -0,0 +1,61 @@
+const { BaseExporter } = require("./base.exporter");
+const { SEVERITY_LEVELS, OUTPUT_FORMATS } = require("../../utils/constants");
+
+// Checkstyle knows error, warning, info and ignore
+const SEVERITY_TO_CHECKSTYLE = {
+    [SEVERITY_LEVELS.CRITICAL]: 'error',
+    [SEVERITY_LEVELS.HIGH]: 'error',
+    [SEVERITY_LEVELS.MEDIUM]: 'warning',
+    [SEVERITY_LEVELS.LOW]: 'info',
+    [SEVERITY_LEVELS.INFO]: 'info'
+};
+
+/**
+ * Checkstyle XML exporter
+ * One <file> per reviewed file (files without issues included) and one <error> per finding;
+ * the rule ID goes into the source attribute
+ */
+class CheckstyleExporter extends BaseExporter {
+    constructor() {
+        super({
+            format: OUTPUT_FORMATS.CHECKSTYLE,
+            contentType: 'application/xml',
+            mediaTypes: ['application/x-checkstyle+xml']
+        });
+    }
+
+    /**
+     * Render review data as a Checkstyle report
+     * @param {Object} review - Review data
+     * @param {Object} options - Render options
+     * @returns {string} - Checkstyle XML
+     */
+    render(review, options = {}) {
+        const byFile = new Map(this.collectFilePaths(review, options).map(filePath => [filePath, []]));
+        for (const finding of this.collectFindings(review, options)) {
+            if (!byFile.has(finding.filePath)) byFile.set(finding.filePath, []);
+            byFile.get(finding.filePath).push(finding);
+        }
+
+        const lines = ['<?xml version="1.0" encoding="UTF-8"?>', '<checkstyle version="4.3">'];
+
+        for (const [filePath, findings] of byFile) {
+            lines.push(`  <file name="${this.escapeXml(filePath)}">`);
+            for (const finding of findings) {
+                const message = finding.suggestion
+                    ? `${finding.title}: ${finding.description} Suggestion: ${finding.suggestion}`
+                    : `${finding.title}: ${finding.description}`;
+                lines.push(
+                    `    <error line="${finding.line}" severity="${SEVERITY_TO_CHECKSTYLE[finding.severity] || 'warning'}" ` +
+                    `message="${this.escapeXml(message)}" source="${this.escapeXml(finding.ruleId)}"/>`
+                );
+            }
+            lines.push('  </file>');
+        }
+
+        lines.push('</checkstyle>');
+        return lines.join('\n') + '\n';
+    }
+}
+
+module.exports = CheckstyleExporter;
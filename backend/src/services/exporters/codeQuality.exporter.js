@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const { BaseExporter } = require("./base.exporter");
+const { SEVERITY_LEVELS, OUTPUT_FORMATS } = require("../../utils/constants");
+
+// GitLab severities: info, minor, major, critical, blocker
+const SEVERITY_TO_CODE_QUALITY = {
+    [SEVERITY_LEVELS.CRITICAL]: 'blocker',
+    [SEVERITY_LEVELS.HIGH]: 'critical',
+    [SEVERITY_LEVELS.MEDIUM]: 'major',
+    [SEVERITY_LEVELS.LOW]: 'minor',
+    [SEVERITY_LEVELS.INFO]: 'info'
+};
+
+// GitLab Code Quality categories closest to each issue category
+const CATEGORY_TO_CODE_QUALITY = {
+    SECURITY: 'Security',
+    PERFORMANCE: 'Performance',
+    MAINTAINABILITY: 'Complexity',
+    BUG: 'Bug Risk',
+    CODE_STYLE: 'Style',
+    BEST_PRACTICE: 'Clarity',
+    TESTING: 'Bug Risk',
+    DOCUMENTATION: 'Clarity'
+};
+
+/**
+ * GitLab Code Quality exporter
+ * Produces the CodeClimate-style JSON array GitLab reads from a codequality report artifact
+ */
+class CodeQualityExporter extends BaseExporter {
+    constructor() {
+        super({
+            format: OUTPUT_FORMATS.CODE_QUALITY,
+            contentType: 'application/json',
+            mediaTypes: ['application/vnd.gitlab.codequality+json']
+        });
+    }
+
+    /**
+     * Render review data as a Code Quality report
+     * @param {Object} review - Review data
+     * @param {Object} options - Render options
+     * @returns {string} - Code Quality JSON
+     */
+    render(review, options = {}) {
+        const entries = this.collectFindings(review, options).map(finding => ({
+            type: 'issue',
+            check_name: finding.ruleId,
+            description: `${finding.title}: ${finding.description}`,
+            ...(finding.suggestion ? { content: { body: finding.suggestion } } : {}),
+            categories: [CATEGORY_TO_CODE_QUALITY[finding.category] || 'Complexity'],
+            severity: SEVERITY_TO_CODE_QUALITY[finding.severity] || 'major',
+            fingerprint: this._fingerprint(finding),
+            location: {
+                path: finding.filePath,
+                // GitLab requires a line; findings about a whole file point at its first line
+                lines: { begin: finding.line || 1, end: finding.endLine || finding.line || 1 }
+            }
+        }));
+
+        return JSON.stringify(entries);
+    }
+
+    /**
+     * Fingerprint a finding so GitLab can match it between pipelines
+     * Issues carry a stable fingerprint; cross-file findings hash their rule, file, title and snippet.
+     * Line numbers are left out: they shift whenever code above the finding changes
+     * @param {Object} finding - Finding from collectFindings
+     * @returns {string} - Hex digest
+     */
+    _fingerprint(finding) {
+        if (finding.fingerprint) {
+            return finding.fingerprint;
+        }
+
+        return crypto.createHash('md5')
+            .update([finding.ruleId, finding.filePath, finding.title, finding.codeSnippet.trim()].join('\0'))
+            .digest('hex');
+    }
+}
+
+module.exports = CodeQualityExporter;
@@ -0,0 +1,188 @@
+const ReportExporter = require("./report.exporter");
+const { SEVERITY_LEVELS, OUTPUT_FORMATS } = require("../../utils/constants");
+
+const SEVERITY_COLORS = {
+    [SEVERITY_LEVELS.CRITICAL]: '#b42318',
+    [SEVERITY_LEVELS.HIGH]: '#c4320a',
+    [SEVERITY_LEVELS.MEDIUM]: '#b54708',
+    [SEVERITY_LEVELS.LOW]: '#175cd3',
+    [SEVERITY_LEVELS.INFO]: '#475467'
+};
+
+// Inline styles only: the report must render offline and as an e-mail attachment
+const STYLES = `
+body { font: 15px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #101828; margin: 0; background: #f9fafb; }
+main { max-width: 1040px; margin: 0 auto; padding: 32px 24px 48px; }
+h1 { margin: 0 0 4px; font-size: 26px; }
+h2 { margin: 36px 0 12px; font-size: 20px; border-bottom: 1px solid #eaecf0; padding-bottom: 6px; }
+h3 { margin: 28px 0 8px; font-size: 17px; }
+h4 { margin: 18px 0 8px; font-size: 14px; text-transform: uppercase; letter-spacing: .04em; color: #475467; }
+.facts { color: #475467; margin: 0 0 16px; }
+.score { display: inline-block; font-size: 32px; font-weight: 700; margin-right: 12px; }
+blockquote { margin: 0 0 20px; padding: 10px 16px; background: #fff; border-left: 4px solid #d0d5dd; }
+table { border-collapse: collapse; width: 100%; background: #fff; }
+th, td { text-align: left; padding: 6px 10px; border: 1px solid #eaecf0; vertical-align: top; }
+th { background: #f2f4f7; font-weight: 600; }
+.badge { display: inline-block; padding: 1px 8px; border-radius: 10px; color: #fff; font-size: 12px; font-weight: 600; }
+.issue { background: #fff; border: 1px solid #eaecf0; border-radius: 8px; padding: 14px 16px; margin: 0 0 12px; }
+.issue h5 { margin: 0 0 4px; font-size: 15px; }
+.location { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 13px; color: #475467; }
+.pair { display: grid; grid-template-columns: minmax(0, 1fr) minmax(0, 1fr); gap: 12px; margin-top: 10px; }
+.pair > div { min-width: 0; }
+.label { font-size: 12px; font-weight: 600; color: #475467; text-transform: uppercase; margin-bottom: 4px; }
+pre { margin: 0; padding: 10px 12px; background: #f2f4f7; border-radius: 6px; overflow-x: auto; font-size: 13px; }
+.suggestion { padding: 10px 12px; background: #ecfdf3; border-radius: 6px; }
+ul { padding-left: 22px; }
+@media (max-width: 720px) { .pair { grid-template-columns: 1fr; } }
+@media print { body { background: #fff; } .issue { break-inside: avoid; } }
+`;
+
+/**
+ * Standalone HTML report exporter
+ * A single document with inline CSS and no scripts or external resources;
+ * code snippets and suggestions are shown side by side
+ */
+class HtmlExporter extends ReportExporter {
+    constructor() {
+        super({
+            format: OUTPUT_FORMATS.HTML,
+            contentType: 'text/html',
+            mediaTypes: ['text/html']
+        });
+    }
+
+    /**
+     * Render review data as an HTML report
+     * @param {Object} review - Review data
+     * @param {Object} options - Render options
+     * @returns {string} - HTML document
+     */
+    render(review, options = {}) {
+        const report = this.buildReport(review, options);
+        const escape = (value) => this.escapeXml(value);
+        const body = [];
+
+        body.push(`<h1>${escape(report.title)}</h1>`);
+        body.push(
+            '<p class="facts">' +
+            `<span class="score">${escape(report.overallScore)}/10</span>` +
+            [report.language && `Language: ${escape(report.language)}`, `Framework: ${escape(report.framework)}`, `Issues: ${report.total}`]
+                .filter(Boolean).join(' · ') +
+            '</p>'
+        );
+
+        if (report.summary) {
+            body.push(`<blockquote>${escape(report.summary)}</blockquote>`);
+        }
+
+        body.push('<table><thead><tr><th>Severity</th><th>Issues</th></tr></thead><tbody>');
+        for (const [severity, count] of Object.entries(report.counts)) {
+            body.push(`<tr><td>${this.badge(severity)}</td><td>${count}</td></tr>`);
+        }
+        body.push('</tbody></table>');
+
+        if (report.files.length > 0) {
+            body.push('<h2>Files</h2>', '<table><thead><tr><th>File</th><th>Status</th><th>Score</th><th>Issues</th></tr></thead><tbody>');
+            for (const file of report.files) {
+                const label = file.change ? `${file.filePath} (${file.change})` : file.filePath;
+                body.push(
+                    `<tr><td class="location">${escape(label)}</td><td>${escape(file.status)}</td>` +
+                    `<td>${escape(file.overallScore ?? '–')}</td><td>${escape(file.issues ?? '–')}</td></tr>`
+                );
+            }
+            body.push('</tbody></table>');
+        }
+
+        body.push('<h2>Issues</h2>');
+        if (report.groups.length === 0) {
+            body.push('<p>No issues found.</p>');
+        }
+
+        for (const group of report.groups) {
+            body.push(`<h3>${this.badge(group.severity)} ${group.count} issue${group.count === 1 ? '' : 's'}</h3>`);
+
+            for (const { category, findings } of group.categories) {
+                body.push(`<h4>${escape(category)}</h4>`);
+                body.push(...findings.map(finding => this.renderFinding(finding)));
+            }
+        }
+
+        if (report.positiveAspects.length > 0) {
+            body.push('<h2>Positive aspects</h2>', `<ul>${report.positiveAspects.map(item => `<li>${escape(item)}</li>`).join('')}</ul>`);
+        }
+
+        if (report.recommendations.length > 0) {
+            body.push('<h2>Recommendations</h2>', `<ul>${report.recommendations.map(item => `<li>${escape(item)}</li>`).join('')}</ul>`);
+        }
+
+        if (report.metrics.length > 0) {
+            body.push('<h2>Metrics</h2>', '<table><tbody>');
+            body.push(...report.metrics.map(([label, value]) => `<tr><th>${escape(label)}</th><td>${escape(value)}</td></tr>`));
+            body.push('</tbody></table>');
+        }
+
+        if (report.metadata.length > 0) {
+            body.push('<h2>Metadata</h2>', '<table><tbody>');
+            body.push(...report.metadata.map(([key, value]) => `<tr><th>${escape(key)}</th><td>${escape(value)}</td></tr>`));
+            body.push('</tbody></table>');
+        }
+
+        return [
+            '<!DOCTYPE html>',
+            '<html lang="en">',
+            '<head>',
+            '<meta charset="utf-8">',
+            '<meta name="viewport" content="width=device-width, initial-scale=1">',
+            `<title>${escape(report.title)}</title>`,
+            `<style>${STYLES}</style>`,
+            '</head>',
+            '<body>',
+            '<main>',
+            ...body,
+            '</main>',
+            '</body>',
+            '</html>'
+        ].join('\n') + '\n';
+    }
+
+    /**
+     * Render one finding card, snippet and suggestion side by side
+     * @param {Object} finding - Finding with language
+     * @returns {string} - HTML fragment
+     */
+    renderFinding(finding) {
+        const escape = (value) => this.escapeXml(value);
+        const columns = [];
+
+        if (finding.codeSnippet) {
+            columns.push(`<div><div class="label">Code</div><pre><code>${escape(finding.codeSnippet)}</code></pre></div>`);
+        }
+        if (finding.suggestion) {
+            const syntaxError = this.formatSyntaxError(finding);
+            const label = syntaxError ? `Suggestion · ${escape(syntaxError)}` : 'Suggestion';
+            columns.push(`<div><div class="label">${label}</div><div class="suggestion">${escape(finding.suggestion)}</div></div>`);
+        }
+
+        return [
+            '<div class="issue">',
+            `<h5>${escape(finding.title)}</h5>`,
+            `<div class="location">${escape(this.formatLocation(finding))}${finding.changeType ? ` · ${escape(finding.changeType)}` : ''}</div>`,
+            finding.description ? `<p>${escape(finding.description)}</p>` : '',
+            finding.security ? `<div class="location">${escape(this.formatSecurity(finding))}</div>` : '',
+            columns.length > 0 ? `<div class="pair">${columns.join('')}</div>` : '',
+            '</div>'
+        ].filter(Boolean).join('\n');
+    }
+
+    /**
+     * Coloured severity badge
+     * @param {string} severity - Severity level
+     * @returns {string} - HTML fragment
+     */
+    badge(severity) {
+        const color = SEVERITY_COLORS[severity] || SEVERITY_COLORS[SEVERITY_LEVELS.INFO];
+        return `<span class="badge" style="background:${color}">${this.escapeXml(severity)}</span>`;
+    }
+}
+
+module.exports = HtmlExporter;
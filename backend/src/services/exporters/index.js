@@ -0,0 +1,52 @@
+const SarifExporter = require("./sarif.exporter");
+const CheckstyleExporter = require("./checkstyle.exporter");
+const JUnitExporter = require("./junit.exporter");
+const CodeQualityExporter = require("./codeQuality.exporter");
+const MarkdownExporter = require("./markdown.exporter");
+const HtmlExporter = require("./html.exporter");
+const BaselineExporter = require("./baseline.exporter");
+const PatchExporter = require("./patch.exporter");
+const { OUTPUT_FORMATS } = require("../../utils/constants");
+
+/**
+ * Exporter registry - maps OUTPUT_FORMATS values to exporters
+ * The JSON envelope is the controller's default and has no exporter
+ */
+const EXPORTERS = {
+    [OUTPUT_FORMATS.SARIF]: new SarifExporter(),
+    [OUTPUT_FORMATS.CHECKSTYLE]: new CheckstyleExporter(),
+    [OUTPUT_FORMATS.JUNIT]: new JUnitExporter(),
+    [OUTPUT_FORMATS.CODE_QUALITY]: new CodeQualityExporter(),
+    [OUTPUT_FORMATS.MARKDOWN]: new MarkdownExporter(),
+    [OUTPUT_FORMATS.HTML]: new HtmlExporter(),
+    [OUTPUT_FORMATS.BASELINE]: new BaselineExporter(),
+    [OUTPUT_FORMATS.PATCH]: new PatchExporter()
+};
+
+/**
+ * Get the exporter of a format
+ * @param {string} format - Format name (see OUTPUT_FORMATS)
+ * @returns {BaseExporter|null} - Exporter, or null for JSON and unknown formats
+ */
+const getExporter = (format) => EXPORTERS[format] || null;
+
+/**
+ * Media types that select an exporter through the Accept header
+ * @returns {Array<string>} - Media types in registry order
+ */
+const getExportMediaTypes = () => Object.values(EXPORTERS).flatMap(exporter => exporter.mediaTypes);
+
+/**
+ * Find the exporter registered for a media type
+ * @param {string} mediaType - Media type chosen by content negotiation
+ * @returns {BaseExporter|null} - Exporter or null
+ */
+const getExporterByMediaType = (mediaType) =>
+    Object.values(EXPORTERS).find(exporter => exporter.mediaTypes.includes(mediaType)) || null;
+
+module.exports = {
+    getExporter,
+    getExportMediaTypes,
+    getExporterByMediaType,
+    EXPORTERS
+};
@@ -0,0 +1,79 @@
+const { BaseExporter } = require("./base.exporter");
+const { OUTPUT_FORMATS, EXPORT_CONFIG } = require("../../utils/constants");
+
+/**
+ * JUnit XML exporter
+ * One <testsuite> per file and one failing <testcase> per finding; a file
+ * without findings gets a single passing test case so it still shows up in CI
+ */
+class JUnitExporter extends BaseExporter {
+    constructor() {
+        super({
+            format: OUTPUT_FORMATS.JUNIT,
+            contentType: 'application/xml',
+            mediaTypes: ['application/x-junit+xml']
+        });
+    }
+
+    /**
+     * Render review data as a JUnit report
+     * @param {Object} review - Review data
+     * @param {Object} options - Render options
+     * @returns {string} - JUnit XML
+     */
+    render(review, options = {}) {
+        const byFile = new Map(this.collectFilePaths(review, options).map(filePath => [filePath, []]));
+        for (const finding of this.collectFindings(review, options)) {
+            if (!byFile.has(finding.filePath)) byFile.set(finding.filePath, []);
+            byFile.get(finding.filePath).push(finding);
+        }
+
+        const suites = [...byFile].map(([filePath, findings]) => this._renderSuite(filePath, findings));
+        const tests = suites.reduce((total, suite) => total + suite.tests, 0);
+        const failures = suites.reduce((total, suite) => total + suite.failures, 0);
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<testsuites name="${this.escapeXml(EXPORT_CONFIG.TOOL_NAME)}" tests="${tests}" failures="${failures}">`,
+            ...suites.map(suite => suite.xml),
+            '</testsuites>'
+        ].join('\n') + '\n';
+    }
+
+    /**
+     * Render the test suite of one file
+     * @param {string} filePath - File path
+     * @param {Array<Object>} findings - Findings of the file
+     * @returns {Object} - { xml, tests, failures }
+     */
+    _renderSuite(filePath, findings) {
+        const file = this.escapeXml(filePath);
+        const lines = [`  <testsuite name="${file}" tests="${Math.max(findings.length, 1)}" failures="${findings.length}">`];
+
+        if (findings.length === 0) {
+            lines.push(`    <testcase name="No issues found" classname="${file}" file="${file}"/>`);
+        }
+
+        for (const finding of findings) {
+            const location = finding.line ? ` (line ${finding.line})` : '';
+            const details = [
+                finding.description,
+                finding.codeSnippet && `Code: ${finding.codeSnippet}`,
+                finding.suggestion && `Suggestion: ${finding.suggestion}`,
+                finding.changeType && `Change: ${finding.changeType}`
+            ].filter(Boolean).join('\n');
+
+            lines.push(
+                `    <testcase name="${this.escapeXml(`[${finding.severity}] ${finding.title}${location}`)}" ` +
+                `classname="${this.escapeXml(finding.ruleId)}" file="${file}"${finding.line ? ` line="${finding.line}"` : ''}>`,
+                `      <failure message="${this.escapeXml(finding.title)}" type="${this.escapeXml(finding.severity)}">${this.escapeXml(details)}</failure>`,
+                '    </testcase>'
+            );
+        }
+
+        lines.push('  </testsuite>');
+        return { xml: lines.join('\n'), tests: Math.max(findings.length, 1), failures: findings.length };
+    }
+}
+
+module.exports = JUnitExporter;
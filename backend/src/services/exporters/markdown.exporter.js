@@ -0,0 +1,150 @@
+const ReportExporter = require("./report.exporter");
+const { SEVERITY_LEVELS, OUTPUT_FORMATS } = require("../../utils/constants");
+
+const SEVERITY_MARKERS = {
+    [SEVERITY_LEVELS.CRITICAL]: '🔴',
+    [SEVERITY_LEVELS.HIGH]: '🟠',
+    [SEVERITY_LEVELS.MEDIUM]: '🟡',
+    [SEVERITY_LEVELS.LOW]: '🔵',
+    [SEVERITY_LEVELS.INFO]: '⚪'
+};
+
+/**
+ * Markdown report exporter
+ * Renders issues grouped by severity, then category, with each code snippet
+ * directly above its suggestion
+ */
+class MarkdownExporter extends ReportExporter {
+    constructor() {
+        super({
+            format: OUTPUT_FORMATS.MARKDOWN,
+            contentType: 'text/markdown',
+            mediaTypes: ['text/markdown']
+        });
+    }
+
+    /**
+     * Render review data as a Markdown report
+     * @param {Object} review - Review data
+     * @param {Object} options - Render options
+     * @returns {string} - Markdown
+     */
+    render(review, options = {}) {
+        const report = this.buildReport(review, options);
+        const lines = [`# ${report.title}`, ''];
+
+        const facts = [
+            `**Score:** ${report.overallScore}/10`,
+            report.language && `**Language:** ${report.language}`,
+            `**Framework:** ${report.framework}`,
+            `**Issues:** ${report.total}`
+        ].filter(Boolean);
+        lines.push(facts.join(' · '), '');
+
+        if (report.summary) {
+            lines.push(...report.summary.split('\n').map(line => `> ${line}`), '');
+        }
+
+        lines.push('| Severity | Issues |', '| --- | ---: |');
+        for (const [severity, count] of Object.entries(report.counts)) {
+            lines.push(`| ${SEVERITY_MARKERS[severity]} ${severity} | ${count} |`);
+        }
+        lines.push('');
+
+        if (report.files.length > 0) {
+            lines.push('## Files', '', '| File | Status | Score | Issues |', '| --- | --- | ---: | ---: |');
+            for (const file of report.files) {
+                const label = file.change ? `${file.filePath} (${file.change})` : file.filePath;
+                lines.push(`| ${this.escapeCell(label)} | ${file.status} | ${file.overallScore ?? '–'} | ${file.issues ?? '–'} |`);
+            }
+            lines.push('');
+        }
+
+        lines.push('## Issues', '');
+        if (report.groups.length === 0) {
+            lines.push('No issues found.', '');
+        }
+
+        for (const group of report.groups) {
+            lines.push(`### ${SEVERITY_MARKERS[group.severity]} ${group.severity} (${group.count})`, '');
+
+            for (const { category, findings } of group.categories) {
+                lines.push(`#### ${category}`, '');
+
+                for (const finding of findings) {
+                    lines.push(`##### ${this.escapeInline(finding.title)}`, '');
+                    lines.push(`\`${this.formatLocation(finding)}\`${finding.changeType ? ` · ${finding.changeType}` : ''}`, '');
+                    if (finding.description) {
+                        lines.push(finding.description, '');
+                    }
+                    const security = this.formatSecurity(finding);
+                    if (security) {
+                        lines.push(`**Security:** ${this.escapeInline(security)}`, '');
+                    }
+                    if (finding.codeSnippet) {
+                        lines.push('**Code**', '', ...this.codeBlock(finding.codeSnippet, finding.language), '');
+                    }
+                    if (finding.suggestion) {
+                        lines.push(`**Suggestion:** ${finding.suggestion}`, '');
+                    }
+                    const syntaxError = this.formatSyntaxError(finding);
+                    if (syntaxError) {
+                        lines.push(`> ⚠️ Suggestion ${this.escapeInline(syntaxError)}`, '');
+                    }
+                }
+            }
+        }
+
+        if (report.positiveAspects.length > 0) {
+            lines.push('## Positive aspects', '', ...report.positiveAspects.map(item => `- ${item}`), '');
+        }
+
+        if (report.recommendations.length > 0) {
+            lines.push('## Recommendations', '', ...report.recommendations.map(item => `- ${item}`), '');
+        }
+
+        if (report.metrics.length > 0) {
+            lines.push('## Metrics', '', '| Metric | Value |', '| --- | --- |');
+            lines.push(...report.metrics.map(([label, value]) => `| ${label} | ${this.escapeCell(value)} |`), '');
+        }
+
+        if (report.metadata.length > 0) {
+            lines.push('## Metadata', '', '| Key | Value |', '| --- | --- |');
+            lines.push(...report.metadata.map(([key, value]) => `| ${key} | ${this.escapeCell(value)} |`), '');
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Fence code with more backticks than it contains in a row
+     * @param {string} code - Code snippet
+     * @param {string} language - Info string for syntax highlighting
+     * @returns {Array<string>} - Fenced block lines
+     */
+    codeBlock(code, language) {
+        const longestRun = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(Math.max(3, longestRun + 1));
+        return [`${fence}${language || ''}`, code, fence];
+    }
+
+    /**
+     * Escape characters that would start Markdown or HTML markup in a heading
+     * @param {string} text - Text
+     * @returns {string} - Escaped text
+     */
+    escapeInline(text) {
+        return String(text).replace(/([\\`*_[\]<>#|])/g, '\\$1');
+    }
+
+    /**
+     * Escape a table cell value
+     * @param {string} text - Text
+     * @returns {string} - Text without pipes or line breaks
+     */
+    escapeCell(text) {
+        return String(text).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+    }
+}
+
+module.exports = MarkdownExporter;
@@ -0,0 +1,29 @@
+const { BaseExporter } = require("./base.exporter");
+const { OUTPUT_FORMATS } = require("../../utils/constants");
+
+/**
+ * Fix patch exporter
+ * Writes the combined patch of a fix mode review (POST /review with fix: true),
+ * ready for git apply. Reviews without fixes export an empty patch
+ */
+class PatchExporter extends BaseExporter {
+    constructor() {
+        super({
+            format: OUTPUT_FORMATS.PATCH,
+            contentType: 'text/x-diff',
+            mediaTypes: ['text/x-diff', 'text/x-patch']
+        });
+    }
+
+    /**
+     * Render the combined fix patch
+     * @param {Object} review - Review data
+     * @param {Object} options - Render options
+     * @returns {string} - Unified diff, or '' without fixes
+     */
+    render(review, options = {}) {
+        return review.fixes?.combined?.patch || '';
+    }
+}
+
+module.exports = PatchExporter;
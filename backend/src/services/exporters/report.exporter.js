@@ -0,0 +1,172 @@
+const { BaseExporter, CROSS_FILE_RULES } = require("./base.exporter");
+const { SEVERITY_LEVELS, EXPORT_CONFIG } = require("../../utils/constants");
+
+// Report sections follow SEVERITY_LEVELS order, most severe first
+const SEVERITY_ORDER = Object.values(SEVERITY_LEVELS);
+
+const CROSS_FILE_LABELS = Object.fromEntries(
+    Object.values(CROSS_FILE_RULES).map(rule => [rule.id, `Cross-file: ${rule.name.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase()}`])
+);
+
+/**
+ * Base class for human-readable reports (Markdown, HTML)
+ * Builds one report model from the review so both renderers show the same content
+ */
+class ReportExporter extends BaseExporter {
+    /**
+     * Build the report model
+     * @param {Object} review - Review data
+     * @param {Object} options - Render options
+     * @param {string} options.fileName - File name of single-file reviews
+     * @returns {Object} - { title, overallScore, summary, language, framework, counts, groups, files, positiveAspects, recommendations, metrics, metadata }
+     */
+    buildReport(review, options = {}) {
+        const findings = this.collectFindings(review, options);
+        const languages = new Map((review.files || []).map(file => [file.filePath, file.language]));
+
+        const groups = SEVERITY_ORDER
+            .map(severity => {
+                const ofSeverity = findings.filter(finding => (SEVERITY_ORDER.includes(finding.severity) ? finding.severity : SEVERITY_LEVELS.MEDIUM) === severity);
+                const categories = new Map();
+
+                for (const finding of ofSeverity) {
+                    const label = this.getCategoryLabel(finding);
+                    if (!categories.has(label)) categories.set(label, []);
+                    categories.get(label).push({
+                        ...finding,
+                        language: languages.get(finding.filePath) || review.language || ''
+                    });
+                }
+
+                return {
+                    severity,
+                    count: ofSeverity.length,
+                    categories: [...categories].map(([category, items]) => ({ category, findings: items }))
+                };
+            })
+            .filter(group => group.count > 0);
+
+        return {
+            title: `${EXPORT_CONFIG.TOOL_NAME} Report`,
+            overallScore: review.overallScore,
+            summary: review.summary || '',
+            language: review.language || null,
+            framework: review.framework || 'none',
+            counts: Object.fromEntries(SEVERITY_ORDER.map(severity => [
+                severity,
+                groups.find(group => group.severity === severity)?.count || 0
+            ])),
+            total: findings.length,
+            groups,
+            files: (review.files || []).map(file => ({
+                filePath: file.filePath,
+                status: file.status,
+                overallScore: file.overallScore ?? null,
+                issues: file.issues?.length ?? null,
+                change: file.change || null
+            })),
+            positiveAspects: review.positiveAspects || [],
+            recommendations: review.recommendations || [],
+            metrics: this.formatMetrics(review.metrics),
+            metadata: this.flattenMetadata(review.metadata || {})
+        };
+    }
+
+    /**
+     * Section label of a finding: its issue category or the cross-file group
+     * @param {Object} finding - Finding from collectFindings
+     * @returns {string} - Label, e.g. SECURITY or "Cross-file: risky boundary"
+     */
+    getCategoryLabel(finding) {
+        return finding.category || CROSS_FILE_LABELS[finding.ruleId] || 'OTHER';
+    }
+
+    /**
+     * Flatten metadata to displayable key/value rows (nested objects as JSON)
+     * @param {Object} metadata - Review metadata
+     * @returns {Array<Array<string>>} - [key, value] rows without empty values
+     */
+    flattenMetadata(metadata) {
+        return Object.entries(metadata)
+            .filter(([, value]) => value !== undefined && value !== null && value !== '')
+            .map(([key, value]) => [key, typeof value === 'object' ? JSON.stringify(value) : String(value)]);
+    }
+
+    /**
+     * Displayable rows of the code metrics of a single-file review
+     * @param {Object} metrics - Metrics from codeMetricsService.compute, if any
+     * @returns {Array<Array<string>>} - [label, value] rows, [] without metrics
+     */
+    formatMetrics(metrics) {
+        if (!metrics) {
+            return [];
+        }
+
+        const percent = (ratio) => `${Math.round(ratio * 100)}%`;
+        const { lines, functions, nesting, duplicates } = metrics;
+
+        return [
+            ['Lines', `${lines.code} code · ${lines.comment} comment · ${lines.blank} blank (${lines.total} total)`],
+            ['Comment ratio', percent(metrics.commentRatio)],
+            functions && ['Functions', `${functions.count} · complexity avg ${functions.averageComplexity}, max ${functions.maxComplexity} · length avg ${functions.averageLength}, max ${functions.maxLength}`],
+            functions && ['Over thresholds', `complexity ${functions.overThreshold.complexity} · length ${functions.overThreshold.length} · nesting ${functions.overThreshold.nesting}`],
+            nesting && ['Deepest nesting', nesting.line ? `${nesting.max} (line ${nesting.line})` : String(nesting.max)],
+            ['Duplicates', `${duplicates.blocks} block(s), ${duplicates.duplicatedLines} duplicated line(s) (${percent(duplicates.ratio)})`]
+        ].filter(Boolean);
+    }
+
+    /**
+     * Human-readable location of a finding
+     * @param {Object} finding - Finding from collectFindings
+     * @returns {string} - path, path:line or path:line-endLine
+     */
+    formatLocation(finding) {
+        if (!finding.line) {
+            return finding.filePath;
+        }
+        return finding.endLine > finding.line
+            ? `${finding.filePath}:${finding.line}-${finding.endLine}`
+            : `${finding.filePath}:${finding.line}`;
+    }
+
+    /**
+     * One-line triage summary of a security finding
+     * @param {Object} finding - Finding from collectFindings
+     * @returns {string} - e.g. "CWE-89 · A03:2021 Injection · exploitability HIGH · score 8.6 · req.query.id → db.query()", or '' without security details
+     */
+    formatSecurity(finding) {
+        const { security } = finding;
+        if (!security) {
+            return '';
+        }
+
+        const flow = security.dataFlow
+            ? `${security.dataFlow.source || '?'} → ${security.dataFlow.sink || '?'}`
+            : null;
+
+        return [
+            security.cwe ? `${security.cwe}${security.cweName ? ` ${security.cweName}` : ''}` : null,
+            security.owasp ? `${security.owasp} ${security.owaspName}` : null,
+            security.exploitability ? `exploitability ${security.exploitability}` : null,
+            security.score !== null ? `score ${security.score.toFixed(1)}` : null,
+            flow
+        ].filter(Boolean).join(' · ');
+    }
+
+    /**
+     * Warning for a suggestion whose code does not parse
+     * @param {Object} finding - Finding from collectFindings
+     * @returns {string} - e.g. "does not parse as javascript: Unexpected token (line 1, column 11)", or '' when it parses
+     */
+    formatSyntaxError(finding) {
+        const { syntaxError } = finding;
+        if (!syntaxError) {
+            return '';
+        }
+
+        const position = syntaxError.line ? ` (line ${syntaxError.line}, column ${syntaxError.column})` : '';
+        return `does not parse as ${syntaxError.language}: ${syntaxError.message}${position}`;
+    }
+}
+
+module.exports = ReportExporter;
@@ -0,0 +1,256 @@
+const { BaseExporter, CROSS_FILE_RULES, getRuleId } = require("./base.exporter");
+const { CHANGE_TYPES } = require("../../utils/unifiedDiff");
+const {
+    ISSUE_CATEGORIES,
+    SEVERITY_LEVELS,
+    OUTPUT_FORMATS,
+    EXPORT_CONFIG,
+    SARIF_CONFIG,
+    BASELINE_CONFIG
+} = require("../../utils/constants");
+
+const CATEGORY_DESCRIPTIONS = {
+    [ISSUE_CATEGORIES.SECURITY]: 'Security vulnerabilities such as injection, unsafe input handling or exposed secrets',
+    [ISSUE_CATEGORIES.PERFORMANCE]: 'Inefficient algorithms, unnecessary work or resource usage problems',
+    [ISSUE_CATEGORIES.MAINTAINABILITY]: 'Code that is hard to read, change or extend',
+    [ISSUE_CATEGORIES.BUG]: 'Logic errors and behaviour that is likely wrong at runtime',
+    [ISSUE_CATEGORIES.CODE_STYLE]: 'Formatting and naming that departs from the language conventions',
+    [ISSUE_CATEGORIES.BEST_PRACTICE]: 'Departures from established practices of the language or framework',
+    [ISSUE_CATEGORIES.TESTING]: 'Missing or weak tests and hard-to-test code',
+    [ISSUE_CATEGORIES.DOCUMENTATION]: 'Missing, outdated or misleading documentation and comments'
+};
+
+const SEVERITY_TO_LEVEL = {
+    [SEVERITY_LEVELS.CRITICAL]: 'error',
+    [SEVERITY_LEVELS.HIGH]: 'error',
+    [SEVERITY_LEVELS.MEDIUM]: 'warning',
+    [SEVERITY_LEVELS.LOW]: 'note',
+    [SEVERITY_LEVELS.INFO]: 'note'
+};
+
+// Diff reviews compare against the original file, which is what baselineState describes
+const CHANGE_TYPE_TO_BASELINE = {
+    [CHANGE_TYPES.INTRODUCED]: 'new',
+    [CHANGE_TYPES.TOUCHED]: 'updated',
+    [CHANGE_TYPES.PRE_EXISTING]: 'unchanged'
+};
+
+/**
+ * Turn an UPPER_SNAKE category into a PascalCase rule name
+ * @param {string} category - One of ISSUE_CATEGORIES
+ * @returns {string} - Rule name, e.g. CodeStyle
+ */
+const getRuleName = (category) => category.toLowerCase().replace(/(^|_)(\w)/g, (match, separator, letter) => letter.toUpperCase());
+
+/**
+ * Build the rule descriptors: every issue category, then the cross-file groups
+ * @returns {Array<Object>} - SARIF reportingDescriptor objects
+ */
+const buildRules = () => [
+    ...Object.values(ISSUE_CATEGORIES).map(category => ({
+        id: getRuleId(category),
+        name: getRuleName(category),
+        shortDescription: { text: CATEGORY_DESCRIPTIONS[category] || category },
+        defaultConfiguration: { level: 'warning' },
+        properties: { category, tags: [category.toLowerCase()] }
+    })),
+    ...Object.values(CROSS_FILE_RULES).map(rule => ({
+        id: rule.id,
+        name: rule.name,
+        shortDescription: { text: rule.description },
+        defaultConfiguration: { level: 'warning' },
+        properties: { tags: ['cross-file'] }
+    }))
+];
+
+/**
+ * Encode a file path as a relative URI reference
+ * @param {string} filePath - File path as reported by the review
+ * @returns {string} - URI reference
+ */
+const toUri = (filePath) => filePath.replace(/\\/g, '/').split('/').map(encodeURIComponent).join('/');
+
+/**
+ * Build the physical location of an issue
+ * @param {Object} issue - Review issue
+ * @param {string} uri - Artifact URI
+ * @param {number} artifactIndex - Index into run.artifacts
+ * @returns {Object} - SARIF physicalLocation
+ */
+const buildPhysicalLocation = (issue, uri, artifactIndex) => {
+    const physicalLocation = { artifactLocation: { uri, index: artifactIndex } };
+
+    // line 0 means "not tied to a line"; SARIF regions start at 1
+    if (issue.line > 0) {
+        physicalLocation.region = {
+            startLine: issue.line,
+            endLine: issue.endLine >= issue.line ? issue.endLine : issue.line
+        };
+        if (issue.codeSnippet) {
+            physicalLocation.region.snippet = { text: issue.codeSnippet };
+        }
+    }
+
+    return physicalLocation;
+};
+
+/**
+ * Build the fix carrying an issue's suggestion
+ * Suggestions are prose rather than replacement code, so the fix describes the change
+ * with an empty replacement at the start of the issue instead of rewriting the region
+ * @param {Object} issue - Review issue
+ * @param {Object} physicalLocation - Location built for the issue
+ * @returns {Object|null} - SARIF fix, or null without a suggestion or a line
+ */
+const buildFix = (issue, physicalLocation) => {
+    if (!issue.suggestion || !physicalLocation.region) {
+        return null;
+    }
+
+    return {
+        description: { text: issue.suggestion },
+        artifactChanges: [{
+            artifactLocation: physicalLocation.artifactLocation,
+            replacements: [{
+                deletedRegion: { startLine: physicalLocation.region.startLine, startColumn: 1, endColumn: 1 }
+            }]
+        }]
+    };
+};
+
+/**
+ * Build the result properties of a security issue
+ * CWE tags follow the external/cwe/cwe-<n> convention of code-scanning dashboards
+ * @param {Object} security - Security details of the issue (see utils/securityDetails)
+ * @returns {Object} - Properties with the security block, tags and security-severity
+ */
+const buildSecurityProperties = (security) => ({
+    security,
+    tags: ['security', ...(security.cwe ? [`external/cwe/${security.cwe.toLowerCase()}`] : [])],
+    ...(security.score !== null ? { 'security-severity': security.score.toFixed(1) } : {})
+});
+
+/**
+ * Convert a review (single file, project, diff or git range) to a SARIF log
+ * @param {Object} review - Review data as returned in the JSON envelope
+ * @param {Object} options - Conversion options
+ * @param {string} options.fileName - File name of single-file reviews (issues without filePath)
+ * @returns {Object} - SARIF 2.1.0 log
+ */
+const buildSarifLog = (review, options = {}) => {
+    const { fileName } = options;
+    const { provider, model } = review.metadata || {};
+    const rules = buildRules();
+    const ruleIndex = new Map(rules.map((rule, index) => [rule.id, index]));
+    const artifacts = [];
+    const artifactIndex = new Map();
+
+    const languages = new Map((review.files || []).map(file => [file.filePath, file.language]));
+    const defaultPath = fileName || 'source';
+
+    const getArtifactIndex = (filePath) => {
+        if (!artifactIndex.has(filePath)) {
+            artifactIndex.set(filePath, artifacts.length);
+            const language = languages.get(filePath) || (filePath === defaultPath ? review.language : undefined);
+            artifacts.push({
+                location: { uri: toUri(filePath) },
+                ...(language && language !== 'unknown' ? { sourceLanguage: language } : {})
+            });
+        }
+        return artifactIndex.get(filePath);
+    };
+
+    const results = (review.issues || []).map(issue => {
+        const filePath = issue.filePath || defaultPath;
+        const ruleId = getRuleId(issue.category);
+        const physicalLocation = buildPhysicalLocation(issue, toUri(filePath), getArtifactIndex(filePath));
+        const fix = buildFix(issue, physicalLocation);
+
+        return {
+            ruleId,
+            ruleIndex: ruleIndex.get(ruleId),
+            level: SEVERITY_TO_LEVEL[issue.severity] || 'warning',
+            message: { text: issue.description ? `${issue.title}: ${issue.description}` : issue.title },
+            locations: [{ physicalLocation }],
+            ...(CHANGE_TYPE_TO_BASELINE[issue.changeType] ? { baselineState: CHANGE_TYPE_TO_BASELINE[issue.changeType] } : {}),
+            ...(issue.fingerprint ? { partialFingerprints: { [`reviewIssue/v${BASELINE_CONFIG.FINGERPRINT_VERSION}`]: issue.fingerprint } } : {}),
+            ...(fix ? { fixes: [fix] } : {}),
+            properties: {
+                severity: issue.severity,
+                category: issue.category,
+                ...(issue.changeType ? { changeType: issue.changeType } : {}),
+                ...(issue.symbol ? { symbol: issue.symbol } : {}),
+                ...(issue.reasoning ? { reasoning: issue.reasoning } : {}),
+                ...(issue.security ? buildSecurityProperties(issue.security) : {})
+            }
+        };
+    });
+
+    // Project reviews: one result per cross-file finding, located in every file it names
+    for (const [group, rule] of Object.entries(CROSS_FILE_RULES)) {
+        for (const finding of review.crossFile?.[group] || []) {
+            results.push({
+                ruleId: rule.id,
+                ruleIndex: ruleIndex.get(rule.id),
+                level: SEVERITY_TO_LEVEL[finding.severity] || 'warning',
+                message: { text: `${finding.title}: ${finding.description}` },
+                locations: (finding.files || []).map(filePath => ({
+                    physicalLocation: { artifactLocation: { uri: toUri(filePath), index: getArtifactIndex(filePath) } }
+                })),
+                properties: {
+                    severity: finding.severity,
+                    ...(finding.suggestion ? { suggestion: finding.suggestion } : {})
+                }
+            });
+        }
+    }
+
+    return {
+        $schema: SARIF_CONFIG.SCHEMA_URI,
+        version: SARIF_CONFIG.VERSION,
+        runs: [{
+            tool: {
+                driver: {
+                    name: EXPORT_CONFIG.TOOL_NAME,
+                    version: EXPORT_CONFIG.TOOL_VERSION,
+                    rules
+                }
+            },
+            artifacts,
+            results,
+            properties: {
+                overallScore: review.overallScore,
+                summary: review.summary,
+                ...(provider ? { provider } : {}),
+                ...(model ? { model } : {})
+            }
+        }]
+    };
+};
+
+/**
+ * SARIF 2.1.0 exporter
+ * Every ISSUE_CATEGORIES value is a rule with a stable ID, so results from
+ * different runs and endpoints line up in code-scanning dashboards
+ */
+class SarifExporter extends BaseExporter {
+    constructor() {
+        super({
+            format: OUTPUT_FORMATS.SARIF,
+            contentType: 'application/sarif+json',
+            mediaTypes: ['application/sarif+json']
+        });
+    }
+
+    /**
+     * Render review data as a SARIF log
+     * @param {Object} review - Review data
+     * @param {Object} options - Render options
+     * @returns {string} - SARIF JSON
+     */
+    render(review, options = {}) {
+        return JSON.stringify(buildSarifLog(review, { fileName: this.getDefaultPath(options) }));
+    }
+}
+
+module.exports = SarifExporter;
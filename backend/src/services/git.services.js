@@ -0,0 +1,297 @@
+const path = require('path');
+const fs = require('fs/promises');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const diffReviewService = require("./diff.services");
+const { parseUnifiedDiff } = require("../utils/unifiedDiff");
+const {
+    createValidationError,
+    createGitError,
+    createForbiddenError
+} = require("../middleware/errorHandler");
+const {
+    DIFF_CONFIG,
+    GIT_REVIEW_CONFIG,
+    RESPONSE_MESSAGES,
+    LOGGING_CONFIG
+} = require("../utils/constants");
+
+const execFileAsync = promisify(execFile);
+
+// Revisions accepted in a range; a leading "-" would be read as a git option
+const REVISION_PATTERN = /^(?!-)[\w./@{}~^+-]+$/;
+
+// Base of a root commit, which has no parent to diff against
+const EMPTY_TREE_REF = '(empty tree)';
+
+/**
+ * Review a commit range of a local git repository
+ * Collects the diff and the original content of every changed file with the
+ * git CLI and hands them to the diff review pipeline
+ */
+class GitRangeService {
+    constructor() {
+        this.allowedRoots = GIT_REVIEW_CONFIG.ALLOWED_ROOTS.map(root => path.resolve(root));
+    }
+
+    /**
+     * Review the changes of a commit range
+     * @param {string} repoPath - Path to the repository (or any directory inside it)
+     * @param {string} range - "base..head", "base...head" (from the merge base) or a single commit
+     * @param {Object} options - Review options
+     * @param {Array<string>} options.paths - Limit the diff to these pathspecs
+     * @param {string} options.language - Language override
+     * @param {string} options.framework - Framework context
+     * @param {Object} options.cachePolicy - { read, write } from reviewCache.getRequestPolicy
+     * @param {boolean} options.restrictToAllowedRoots - Enforce GIT_REVIEW_ROOTS (HTTP requests)
+     * @returns {Promise<Object>} - Diff review with a repository block
+     */
+    async reviewRange(repoPath, range, options = {}) {
+        const { paths = [], restrictToAllowedRoots = true, ...reviewOptions } = options;
+
+        const repository = await this.resolveRepository(repoPath, restrictToAllowedRoots);
+        const { base, head } = await this.resolveRange(repository, range);
+
+        const diff = await this._git(repository, [
+            'diff', '--no-color', '--no-ext-diff', '--no-textconv', '--find-renames', '--unified=3',
+            base.sha, head.sha, '--', ...paths
+        ]);
+
+        if (!diff.trim()) {
+            throw createValidationError(`No changes between ${base.ref} and ${head.ref}${paths.length ? ' in the given paths' : ''}`);
+        }
+
+        if (diff.length > DIFF_CONFIG.MAX_DIFF_LENGTH) {
+            throw createValidationError(
+                `The diff of ${range} is ${diff.length} characters (maximum ${DIFF_CONFIG.MAX_DIFF_LENGTH}); narrow the range or pass paths`
+            );
+        }
+
+        const [originals, commits] = await Promise.all([
+            this._readOriginals(repository, base.sha, diff),
+            this._listCommits(repository, base.ref === EMPTY_TREE_REF ? null : base.sha, head.sha)
+        ]);
+
+        if (LOGGING_CONFIG.ENABLE_REQUEST_LOGGING) {
+            console.log(`🌿 Git Range Review - ${range} (${commits.length} commits, ${Object.keys(originals).length} originals)`);
+        }
+
+        const review = await diffReviewService.reviewDiff(diff, { ...reviewOptions, originals });
+
+        return {
+            ...review,
+            repository: {
+                path: repository,
+                range,
+                base,
+                head,
+                commits
+            }
+        };
+    }
+
+    /**
+     * Resolve the repository top level, enforcing the allowed roots when asked to
+     * @param {string} repoPath - Path to the repository or a directory inside it
+     * @param {boolean} restrictToAllowedRoots - Whether GIT_REVIEW_ROOTS applies
+     * @returns {Promise<string>} - Absolute path of the repository top level
+     * @throws {AppError} - FORBIDDEN outside the allowed roots, GIT_ERROR for non-repositories
+     */
+    async resolveRepository(repoPath, restrictToAllowedRoots = true) {
+        if (restrictToAllowedRoots && this.allowedRoots.length === 0) {
+            throw createForbiddenError(RESPONSE_MESSAGES.ERROR.GIT_REVIEW_DISABLED);
+        }
+
+        let realPath;
+        try {
+            realPath = await fs.realpath(path.resolve(repoPath));
+        } catch (error) {
+            throw createGitError(`Repository path does not exist: ${repoPath}`);
+        }
+
+        let topLevel;
+        try {
+            topLevel = (await this._git(realPath, ['rev-parse', '--show-toplevel'])).trim();
+        } catch (error) {
+            throw createGitError(`Not a git repository: ${repoPath}`);
+        }
+
+        // Check the top level too: a subdirectory of an allowed root may belong to a repository above it
+        if (restrictToAllowedRoots && !(await this._isInsideAllowedRoot(topLevel))) {
+            throw createForbiddenError(`Repository ${repoPath} is outside the directories allowed by GIT_REVIEW_ROOTS`);
+        }
+
+        return topLevel;
+    }
+
+    /**
+     * Resolve a commit range to base and head commits
+     * @param {string} repository - Repository top level
+     * @param {string} range - "base..head", "base...head" or a single commit
+     * @returns {Promise<Object>} - { base: { ref, sha }, head: { ref, sha } }
+     * @throws {AppError} - VALIDATION_ERROR for malformed ranges, GIT_ERROR for unknown revisions
+     */
+    async resolveRange(repository, range) {
+        if (typeof range !== 'string' || !range.trim()) {
+            throw createValidationError('Range is required, e.g. main..feature');
+        }
+
+        // Ref names cannot contain "..", so the first separator splits the range
+        const trimmed = range.trim();
+        const separator = trimmed.includes('...') ? '...' : (trimmed.includes('..') ? '..' : null);
+        let baseRef;
+        let headRef;
+
+        if (separator) {
+            const parts = trimmed.split(separator);
+            if (parts.length !== 2) {
+                throw createValidationError(`Invalid range: ${range}`);
+            }
+            baseRef = parts[0] || 'HEAD';
+            headRef = parts[1] || 'HEAD';
+        } else {
+            // A single commit is reviewed against its first parent (the empty tree for a root commit)
+            headRef = trimmed;
+            baseRef = `${headRef}^`;
+        }
+        const fromMergeBase = separator === '...';
+
+        for (const ref of [baseRef, headRef]) {
+            if (!REVISION_PATTERN.test(ref)) {
+                throw createValidationError(`Invalid revision in range: ${ref}`);
+            }
+        }
+
+        const [baseSha, headSha] = await Promise.all([
+            this._resolveCommit(repository, baseRef).catch((error) => {
+                if (separator) throw error;
+                return null;
+            }),
+            this._resolveCommit(repository, headRef)
+        ]);
+
+        if (baseSha === null) {
+            return { base: { ref: EMPTY_TREE_REF, sha: await this._emptyTree(repository) }, head: { ref: headRef, sha: headSha } };
+        }
+
+        if (!fromMergeBase) {
+            return { base: { ref: baseRef, sha: baseSha }, head: { ref: headRef, sha: headSha } };
+        }
+
+        let mergeBase;
+        try {
+            mergeBase = (await this._git(repository, ['merge-base', baseSha, headSha])).trim();
+        } catch (error) {
+            throw createGitError(`${baseRef} and ${headRef} have no common ancestor`);
+        }
+
+        return { base: { ref: `merge-base(${baseRef}, ${headRef})`, sha: mergeBase }, head: { ref: headRef, sha: headSha } };
+    }
+
+    /**
+     * Resolve a revision to a commit SHA
+     * @param {string} repository - Repository top level
+     * @param {string} ref - Revision
+     * @returns {Promise<string>} - Full commit SHA
+     */
+    async _resolveCommit(repository, ref) {
+        try {
+            return (await this._git(repository, ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`])).trim();
+        } catch (error) {
+            throw createGitError(`Unknown revision: ${ref}`);
+        }
+    }
+
+    /**
+     * Object ID of the empty tree (differs between SHA-1 and SHA-256 repositories)
+     * @param {string} repository - Repository top level
+     * @returns {Promise<string>} - Tree SHA
+     */
+    async _emptyTree(repository) {
+        return (await this._git(repository, ['hash-object', '-t', 'tree', '/dev/null'])).trim();
+    }
+
+    /**
+     * Read the base version of every modified or renamed text file in the diff
+     * @param {string} repository - Repository top level
+     * @param {string} baseSha - Base commit
+     * @param {string} diff - Unified diff of the range
+     * @returns {Promise<Object>} - Original content by old file path
+     */
+    async _readOriginals(repository, baseSha, diff) {
+        const originals = {};
+        const changed = parseUnifiedDiff(diff).filter(file =>
+            file.oldPath && file.newPath && !file.binary && file.hunks.length > 0
+        );
+
+        for (const file of changed) {
+            originals[file.oldPath] = await this._git(repository, ['show', `${baseSha}:${file.oldPath}`]);
+        }
+
+        return originals;
+    }
+
+    /**
+     * List the commits in base..head
+     * @param {string} repository - Repository top level
+     * @param {string|null} baseSha - Base commit, null when head is a root commit
+     * @param {string} headSha - Head commit
+     * @returns {Promise<Array<Object>>} - Commits { sha, author, date, subject }, newest first
+     */
+    async _listCommits(repository, baseSha, headSha) {
+        const output = await this._git(repository, [
+            'log', '--no-color', '--format=%H%x1f%an%x1f%aI%x1f%s', baseSha ? `${baseSha}..${headSha}` : headSha
+        ]);
+
+        return output.split('\n').filter(Boolean).map(line => {
+            const [sha, author, date, subject] = line.split('\x1f');
+            return { sha, author, date, subject };
+        });
+    }
+
+    /**
+     * Check whether a path lies inside one of the allowed roots
+     * @param {string} target - Absolute real path
+     * @returns {Promise<boolean>} - Whether the path is allowed
+     */
+    async _isInsideAllowedRoot(target) {
+        for (const root of this.allowedRoots) {
+            const realRoot = await fs.realpath(root).catch(() => null);
+            if (!realRoot) continue;
+
+            const relative = path.relative(realRoot, target);
+            if (relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative))) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Run a git command in a repository
+     * @param {string} cwd - Working directory
+     * @param {Array<string>} args - git arguments (never passed through a shell)
+     * @returns {Promise<string>} - Standard output
+     * @throws {AppError} - GIT_ERROR with the first line of git's error output
+     */
+    async _git(cwd, args) {
+        try {
+            const { stdout } = await execFileAsync('git', args, {
+                cwd,
+                timeout: GIT_REVIEW_CONFIG.COMMAND_TIMEOUT,
+                maxBuffer: GIT_REVIEW_CONFIG.MAX_OUTPUT_BYTES,
+                env: { ...process.env, GIT_TERMINAL_PROMPT: '0', GIT_OPTIONAL_LOCKS: '0' }
+            });
+            return stdout;
+        } catch (error) {
+            const reason = (error.stderr || error.message || '').trim().split('\n')[0];
+            throw createGitError(`git ${args[0]} failed${reason ? `: ${reason}` : ''}`);
+        }
+    }
+}
+
+// Create singleton instance
+const gitRangeService = new GitRangeService();
+
+module.exports = gitRangeService;
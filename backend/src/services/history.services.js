@@ -0,0 +1,430 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const initSqlJs = require('sql.js');
+const {
+    HISTORY_CONFIG,
+    SEVERITY_LEVELS,
+    LOGGING_CONFIG
+} = require("../utils/constants");
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS reviews (
+    id TEXT PRIMARY KEY,
+    created_at TEXT NOT NULL,
+    mode TEXT NOT NULL,
+    code_hash TEXT,
+    file_name TEXT,
+    file_count INTEGER NOT NULL DEFAULT 1,
+    language TEXT,
+    framework TEXT,
+    provider TEXT,
+    model TEXT,
+    overall_score REAL,
+    issue_count INTEGER NOT NULL DEFAULT 0,
+    critical_count INTEGER NOT NULL DEFAULT 0,
+    high_count INTEGER NOT NULL DEFAULT 0,
+    processing_time_ms INTEGER,
+    cached INTEGER NOT NULL DEFAULT 0,
+    review TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS reviews_created_at ON reviews (created_at);
+CREATE INDEX IF NOT EXISTS reviews_code_hash ON reviews (code_hash);
+`;
+
+// Issue fields kept when a review is stored as a summary
+const SUMMARY_ISSUE_FIELDS = ['category', 'severity', 'title', 'line', 'endLine', 'source', 'fingerprint'];
+
+// Columns listed by GET /api/reviews; the full review JSON is only returned for a single review
+const SUMMARY_COLUMNS = `id, created_at, mode, code_hash, file_name, file_count, language, framework, provider, model,
+    overall_score, issue_count, critical_count, high_count, processing_time_ms, cached`;
+
+/**
+ * Persistent review history
+ * An embedded SQLite database (sql.js, no native build) kept in memory and
+ * written back to HISTORY_CONFIG.DB_PATH shortly after changes, in batches.
+ * Stored payloads are bounded per review and in total so the database stays small
+ */
+class ReviewHistoryService {
+    constructor() {
+        this.enabled = HISTORY_CONFIG.ENABLED;
+        this.dbPath = HISTORY_CONFIG.DB_PATH === ':memory:' ? null : path.resolve(HISTORY_CONFIG.DB_PATH);
+        this.maxEntries = HISTORY_CONFIG.MAX_ENTRIES;
+        this.database = null;
+        this.writes = Promise.resolve();
+        this.persistTimer = null;
+    }
+
+    /**
+     * Open the database on first use, loading the existing file if there is one
+     * @returns {Promise<Object>} - sql.js Database
+     */
+    async _getDatabase() {
+        if (!this.database) {
+            this.database = (async () => {
+                const SQL = await initSqlJs();
+                let data = null;
+
+                if (this.dbPath) {
+                    try {
+                        data = await fs.readFile(this.dbPath);
+                    } catch (error) {
+                        if (error.code !== 'ENOENT') throw error;
+                    }
+                }
+
+                const db = new SQL.Database(data);
+                db.run(SCHEMA);
+                return db;
+            })();
+
+            // A failed open is retried on the next call instead of being cached
+            this.database.catch(() => {
+                this.database = null;
+            });
+        }
+
+        return this.database;
+    }
+
+    /**
+     * Store a completed review
+     * Failures are logged and swallowed: history must never fail the review itself
+     * @param {Object} entry - Review to store
+     * @param {string} entry.mode - code | diff | project | git
+     * @param {Object} entry.data - Review data as sent to the client (including metadata)
+     * @param {string} entry.source - Reviewed input (code, diff, ...) used for the code hash
+     * @param {string} entry.fileName - File name of single-file reviews
+     */
+    async record({ mode, data, source, fileName = null }) {
+        if (!this.enabled) {
+            return;
+        }
+
+        try {
+            const db = await this._getDatabase();
+            const metadata = data.metadata || {};
+            const issues = data.issues || [];
+            const processingTime = parseInt(metadata.processingTime, 10);
+            const languages = data.language
+                ? [data.language]
+                : [...new Set((data.files || []).map(file => file.language).filter(Boolean))];
+
+            db.run(
+                `INSERT OR REPLACE INTO reviews (${SUMMARY_COLUMNS.replace(/\s+/g, ' ')}, review)
+                 VALUES ($id, $createdAt, $mode, $codeHash, $fileName, $fileCount, $language, $framework, $provider, $model,
+                    $overallScore, $issueCount, $criticalCount, $highCount, $processingTime, $cached, $review)`,
+                {
+                    $id: metadata.requestId,
+                    $createdAt: metadata.timestamp || new Date().toISOString(),
+                    $mode: mode,
+                    $codeHash: typeof source === 'string' ? this.hash(source) : null,
+                    $fileName: fileName,
+                    $fileCount: Array.isArray(data.files) ? data.files.length : 1,
+                    $language: languages.join(',') || null,
+                    $framework: data.framework || 'none',
+                    $provider: metadata.provider || null,
+                    $model: metadata.model || null,
+                    $overallScore: typeof data.overallScore === 'number' ? data.overallScore : null,
+                    $issueCount: issues.length,
+                    $criticalCount: issues.filter(issue => issue.severity === SEVERITY_LEVELS.CRITICAL).length,
+                    $highCount: issues.filter(issue => issue.severity === SEVERITY_LEVELS.HIGH).length,
+                    $processingTime: Number.isFinite(processingTime) ? processingTime : null,
+                    $cached: metadata.cached || metadata.cachedFiles > 0 ? 1 : 0,
+                    $review: this._serialize(data)
+                }
+            );
+
+            db.run(
+                `DELETE FROM reviews WHERE id IN (
+                    SELECT id FROM reviews ORDER BY created_at DESC LIMIT -1 OFFSET $maxEntries
+                )`,
+                { $maxEntries: this.maxEntries }
+            );
+            db.run(
+                `DELETE FROM reviews WHERE id IN (
+                    SELECT id FROM (
+                        SELECT id, SUM(LENGTH(review)) OVER (ORDER BY created_at DESC, id DESC) AS total FROM reviews
+                    ) WHERE total > $maxBytes
+                )`,
+                { $maxBytes: HISTORY_CONFIG.MAX_TOTAL_BYTES }
+            );
+
+            if (LOGGING_CONFIG.ENABLE_REQUEST_LOGGING) {
+                console.log(`🗄️ Review History - stored ${metadata.requestId} (${mode})`);
+            }
+
+            this._persist(db);
+        } catch (error) {
+            console.error('⚠️ Review history write failed:', error.message);
+        }
+    }
+
+    /**
+     * List stored reviews, newest first
+     * @param {Object} filters - Filters (all optional)
+     * @param {string} filters.mode - Review mode
+     * @param {string} filters.language - Language (matches any language of multi-file reviews)
+     * @param {string} filters.framework - Framework
+     * @param {string} filters.provider - AI provider
+     * @param {string} filters.model - Model name
+     * @param {string} filters.codeHash - sha256 of the reviewed input
+     * @param {number} filters.minScore - Lowest overall score
+     * @param {number} filters.maxScore - Highest overall score
+     * @param {string} filters.from - ISO timestamp, inclusive
+     * @param {string} filters.to - ISO timestamp, inclusive
+     * @param {Object} pagination - { page, limit }
+     * @returns {Promise<Object>} - { reviews, pagination: { page, limit, total, totalPages } }
+     */
+    async list(filters = {}, { page = 1, limit = HISTORY_CONFIG.DEFAULT_PAGE_SIZE } = {}) {
+        if (!this.enabled) {
+            return { reviews: [], pagination: { page, limit, total: 0, totalPages: 0 } };
+        }
+
+        const db = await this._getDatabase();
+        const conditions = [];
+        const params = {};
+
+        const equals = { mode: 'mode', framework: 'framework', provider: 'provider', model: 'model', codeHash: 'code_hash' };
+        for (const [filter, column] of Object.entries(equals)) {
+            if (filters[filter] !== undefined) {
+                conditions.push(`${column} = $${filter}`);
+                params[`$${filter}`] = filters[filter];
+            }
+        }
+
+        if (filters.language !== undefined) {
+            conditions.push(`(',' || language || ',') LIKE $language`);
+            params.$language = `%,${filters.language},%`;
+        }
+        if (filters.minScore !== undefined) {
+            conditions.push('overall_score >= $minScore');
+            params.$minScore = filters.minScore;
+        }
+        if (filters.maxScore !== undefined) {
+            conditions.push('overall_score <= $maxScore');
+            params.$maxScore = filters.maxScore;
+        }
+        if (filters.from !== undefined) {
+            conditions.push('created_at >= $from');
+            params.$from = filters.from;
+        }
+        if (filters.to !== undefined) {
+            conditions.push('created_at <= $to');
+            params.$to = filters.to;
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const [{ total }] = this._query(db, `SELECT COUNT(*) AS total FROM reviews ${where}`, params);
+        const rows = this._query(
+            db,
+            `SELECT ${SUMMARY_COLUMNS} FROM reviews ${where} ORDER BY created_at DESC, id DESC LIMIT $limit OFFSET $offset`,
+            { ...params, $limit: limit, $offset: (page - 1) * limit }
+        );
+
+        return {
+            reviews: rows.map(row => this._toSummary(row)),
+            pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+        };
+    }
+
+    /**
+     * Get one stored review with its full result
+     * @param {string} id - Review (request) ID
+     * @returns {Promise<Object|null>} - Summary fields plus review, or null
+     */
+    async get(id) {
+        if (!this.enabled) {
+            return null;
+        }
+
+        const db = await this._getDatabase();
+        const [row] = this._query(db, `SELECT ${SUMMARY_COLUMNS}, review FROM reviews WHERE id = $id`, { $id: id });
+
+        return row ? { ...this._toSummary(row), review: JSON.parse(row.review) } : null;
+    }
+
+    /**
+     * Delete a stored review
+     * @param {string} id - Review (request) ID
+     * @returns {Promise<boolean>} - Whether a review was deleted
+     */
+    async delete(id) {
+        if (!this.enabled) {
+            return false;
+        }
+
+        const db = await this._getDatabase();
+        db.run('DELETE FROM reviews WHERE id = $id', { $id: id });
+        const deleted = db.getRowsModified() > 0;
+
+        if (deleted) {
+            this._persist(db);
+        }
+        return deleted;
+    }
+
+    /**
+     * History statistics for status endpoints
+     * @returns {Promise<Object>} - Configuration and entry count
+     */
+    async getStats() {
+        if (!this.enabled) {
+            return { enabled: false };
+        }
+
+        try {
+            const db = await this._getDatabase();
+            const [{ total }] = this._query(db, 'SELECT COUNT(*) AS total FROM reviews', {});
+            return { enabled: true, persistent: Boolean(this.dbPath), entries: total, maxEntries: this.maxEntries };
+        } catch (error) {
+            return { enabled: true, persistent: Boolean(this.dbPath), error: error.message };
+        }
+    }
+
+    /**
+     * Hash reviewed input the same way for every mode
+     * @param {string} source - Reviewed input
+     * @returns {string} - sha256 hex digest
+     */
+    hash(source) {
+        return crypto.createHash('sha256').update(source).digest('hex');
+    }
+
+    /**
+     * Write pending changes now and wait until they have reached the disk
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        if (this.persistTimer) {
+            clearTimeout(this.persistTimer);
+            this.persistTimer = null;
+            this._write(await this._getDatabase());
+        }
+        await this.writes;
+    }
+
+    /**
+     * Review JSON to store, bounded by HISTORY_CONFIG.MAX_REVIEW_BYTES
+     * A larger review is stored as a summary: its scalar fields, metadata, file summaries
+     * and its most severe issues without code, marked truncated: true
+     * @param {Object} data - Review data as sent to the client
+     * @returns {string} - JSON
+     */
+    _serialize(data) {
+        const review = JSON.stringify(data);
+        if (Buffer.byteLength(review) <= HISTORY_CONFIG.MAX_REVIEW_BYTES) {
+            return review;
+        }
+
+        const scalars = (object) => Object.fromEntries(Object.entries(object || {})
+            .filter(([, value]) => value === null || typeof value !== 'object'));
+        const severityRank = Object.values(SEVERITY_LEVELS);
+        const pick = (issue) => Object.fromEntries(SUMMARY_ISSUE_FIELDS
+            .filter(field => issue[field] !== undefined)
+            .map(field => [field, issue[field]]));
+
+        const issues = (data.issues || [])
+            .map((issue, index) => ({ issue, index }))
+            .sort((a, b) => severityRank.indexOf(a.issue.severity) - severityRank.indexOf(b.issue.severity) || a.index - b.index)
+            .slice(0, HISTORY_CONFIG.MAX_SUMMARY_ISSUES)
+            .map(({ issue }) => pick(issue));
+
+        return JSON.stringify({
+            ...scalars(data),
+            ...(data.metadata ? { metadata: data.metadata } : {}),
+            ...(Array.isArray(data.files)
+                ? { files: data.files.map(file => ({ ...scalars(file), issueCount: (file.issues || []).length })) }
+                : {}),
+            issues,
+            truncated: true
+        });
+    }
+
+    /**
+     * Run a SELECT and return its rows as objects
+     * @param {Object} db - sql.js Database
+     * @param {string} sql - Statement
+     * @param {Object} params - Named parameters
+     * @returns {Array<Object>} - Rows
+     */
+    _query(db, sql, params) {
+        const statement = db.prepare(sql);
+        try {
+            statement.bind(params);
+            const rows = [];
+            while (statement.step()) {
+                rows.push(statement.getAsObject());
+            }
+            return rows;
+        } finally {
+            statement.free();
+        }
+    }
+
+    /**
+     * Convert a database row to the API shape
+     * @param {Object} row - Row with SUMMARY_COLUMNS
+     * @returns {Object} - Review summary
+     */
+    _toSummary(row) {
+        return {
+            id: row.id,
+            createdAt: row.created_at,
+            mode: row.mode,
+            codeHash: row.code_hash,
+            fileName: row.file_name,
+            fileCount: row.file_count,
+            language: row.language,
+            framework: row.framework,
+            provider: row.provider,
+            model: row.model,
+            overallScore: row.overall_score,
+            issueCount: row.issue_count,
+            criticalCount: row.critical_count,
+            highCount: row.high_count,
+            processingTimeMs: row.processing_time_ms,
+            cached: row.cached === 1
+        };
+    }
+
+    /**
+     * Schedule a write of the database file after a change
+     * Changes within PERSIST_DELAY_MS share one export of the database
+     * @param {Object} db - sql.js Database
+     */
+    _persist(db) {
+        if (!this.dbPath || this.persistTimer) {
+            return;
+        }
+
+        this.persistTimer = setTimeout(() => {
+            this.persistTimer = null;
+            this._write(db);
+        }, HISTORY_CONFIG.PERSIST_DELAY_MS);
+        // A pending write never keeps the process alive; shutdown flushes it
+        this.persistTimer.unref();
+    }
+
+    /**
+     * Write the database file
+     * Writes are queued so they land in order, and go through a temporary file
+     * so a crash never leaves a truncated database behind
+     * @param {Object} db - sql.js Database
+     */
+    _write(db) {
+        this.writes = this.writes.then(async () => {
+            const tempPath = `${this.dbPath}.${process.pid}.tmp`;
+            await fs.mkdir(path.dirname(this.dbPath), { recursive: true });
+            await fs.writeFile(tempPath, db.export());
+            await fs.rename(tempPath, this.dbPath);
+        }).catch(error => {
+            console.error('⚠️ Review history persist failed:', error.message);
+        });
+    }
+}
+
+// Create singleton instance
+const reviewHistory = new ReviewHistoryService();
+
+module.exports = reviewHistory;
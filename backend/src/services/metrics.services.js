@@ -0,0 +1,126 @@
+const { getMetricsCollector, METRICS_COLLECTORS } = require("./metrics");
+const { findComments, countLines, findDuplicateBlocks } = require("../utils/codeMetrics");
+const { METRICS_CONFIG, LOGGING_CONFIG } = require("../utils/constants");
+
+/**
+ * Round a number to two decimals
+ * @param {number} value - Number
+ * @returns {number} - Rounded number
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Code metrics
+ * Measures the reviewed code in-process, so every review carries objective numbers
+ * next to the model's score: lines, comment ratio and duplicate blocks for every
+ * language, plus cyclomatic complexity, length and nesting depth of each function
+ * for languages with a collector (JavaScript, TypeScript, Python)
+ */
+class CodeMetricsService {
+    constructor() {
+        this.enabled = METRICS_CONFIG.ENABLED;
+    }
+
+    /**
+     * Measure code
+     * @param {string} code - Reviewed code
+     * @param {string} language - Programming language
+     * @returns {Object|null} - { language, collector, lines, commentRatio, functions, nesting, duplicates };
+     *                          functions and nesting are null without a collector. null when metrics are disabled
+     */
+    compute(code, language) {
+        if (!this.enabled) {
+            return null;
+        }
+
+        const collector = getMetricsCollector(language);
+        let measured = null;
+
+        if (collector) {
+            try {
+                measured = collector.collect(code, language);
+            } catch (error) {
+                console.error(`⚠️ Code Metrics - ${collector.name} failed:`, error.message);
+            }
+        }
+
+        // Parsers know exactly where comments are; the comment syntax is the fallback
+        const comments = measured ? measured.comments : findComments(code, language);
+        const lines = countLines(code, comments);
+        const blocks = findDuplicateBlocks(code, comments, METRICS_CONFIG.DUPLICATE_MIN_LINES);
+        const duplicatedLines = blocks.reduce((total, block) => total + block.lines * (block.occurrences.length - 1), 0);
+
+        if (LOGGING_CONFIG.ENABLE_REQUEST_LOGGING) {
+            console.log(`📏 Code Metrics - ${lines.code} code line(s), ${measured ? measured.functions.length : 'no'} function(s) measured, ${blocks.length} duplicate block(s)`);
+        }
+
+        return {
+            language,
+            collector: measured ? collector.name : null,
+            lines,
+            commentRatio: lines.code + lines.comment > 0 ? round(lines.comment / (lines.code + lines.comment)) : 0,
+            functions: measured ? this._summarizeFunctions(measured.functions) : null,
+            nesting: measured ? measured.nesting : null,
+            duplicates: {
+                blocks: blocks.length,
+                duplicatedLines,
+                ratio: lines.code > 0 ? round(duplicatedLines / lines.code) : 0,
+                items: blocks.slice(0, METRICS_CONFIG.MAX_DUPLICATE_BLOCKS)
+            }
+        };
+    }
+
+    /**
+     * Totals and per-function figures
+     * @param {Array<Object>} functions - Functions { name, line, endLine, complexity, nesting } from a collector
+     * @returns {Object} - { count, averageComplexity, maxComplexity, averageLength, maxLength, overThreshold, items };
+     *                     items holds at most MAX_FUNCTIONS (most complex kept), by line
+     */
+    _summarizeFunctions(functions) {
+        const { THRESHOLDS } = METRICS_CONFIG;
+        const items = functions.map(({ name, line, endLine, complexity, nesting }) => ({
+            name,
+            line,
+            endLine,
+            length: endLine - line + 1,
+            complexity,
+            nesting
+        }));
+        const average = (key) => (items.length > 0 ? round(items.reduce((total, item) => total + item[key], 0) / items.length) : 0);
+        const maximum = (key) => Math.max(0, ...items.map(item => item[key]));
+
+        return {
+            count: items.length,
+            averageComplexity: average('complexity'),
+            maxComplexity: maximum('complexity'),
+            averageLength: average('length'),
+            maxLength: maximum('length'),
+            overThreshold: {
+                complexity: items.filter(item => item.complexity > THRESHOLDS.COMPLEXITY).length,
+                length: items.filter(item => item.length > THRESHOLDS.LENGTH).length,
+                nesting: items.filter(item => item.nesting > THRESHOLDS.NESTING).length
+            },
+            items: [...items]
+                .sort((a, b) => b.complexity - a.complexity || a.line - b.line)
+                .slice(0, METRICS_CONFIG.MAX_FUNCTIONS)
+                .sort((a, b) => a.line - b.line)
+        };
+    }
+
+    /**
+     * Metrics settings for status endpoints
+     * @returns {Object} - Whether metrics are enabled, the collectors with their languages and the thresholds
+     */
+    getStats() {
+        return {
+            enabled: this.enabled,
+            collectors: METRICS_COLLECTORS.map(({ name, languages }) => ({ name, languages })),
+            thresholds: METRICS_CONFIG.THRESHOLDS
+        };
+    }
+}
+
+// Create singleton instance
+const codeMetricsService = new CodeMetricsService();
+
+module.exports = codeMetricsService;
@@ -0,0 +1,217 @@
+const babelParser = require("@babel/parser");
+const { BaseMetricsCollector } = require("./base.collector");
+
+// Same permissive options as the syntax checker, but recovering from errors so
+// slightly broken code is still measured
+const PARSE_OPTIONS = {
+    sourceType: 'module',
+    allowReturnOutsideFunction: true,
+    allowAwaitOutsideFunction: true,
+    allowNewTargetOutsideFunction: true,
+    allowSuperOutsideMethod: true,
+    allowUndeclaredExports: true,
+    allowImportExportEverywhere: true,
+    errorRecovery: true
+};
+
+const PLUGIN_SETS = {
+    javascript: [['jsx']],
+    typescript: [['typescript'], ['typescript', 'jsx']]
+};
+
+const FUNCTION_TYPES = new Set([
+    'FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression',
+    'ObjectMethod', 'ClassMethod', 'ClassPrivateMethod'
+]);
+
+// Each adds one path through the code
+const BRANCH_TYPES = new Set([
+    'IfStatement', 'ConditionalExpression', 'CatchClause',
+    'ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement'
+]);
+const LOGICAL_ASSIGNMENTS = new Set(['&&=', '||=', '??=']);
+
+// Control structures that nest; an else-if continues its if instead of nesting
+const NESTING_TYPES = new Set([
+    'IfStatement', 'SwitchStatement', 'TryStatement',
+    'ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement'
+]);
+
+// Node properties that hold positions or comments, not child nodes
+const SKIPPED_KEYS = new Set([
+    'loc', 'start', 'end', 'range', 'extra', 'errors', 'comments', 'tokens',
+    'leadingComments', 'trailingComments', 'innerComments'
+]);
+
+const ANONYMOUS = '(anonymous)';
+
+/**
+ * Metrics collector for JavaScript and TypeScript (Babel parser)
+ * Every function, method and arrow function is measured on its own: the code of a
+ * nested function does not count towards the function around it
+ */
+class BabelMetricsCollector extends BaseMetricsCollector {
+    constructor() {
+        super({ name: 'babel', languages: ['javascript', 'typescript'] });
+    }
+
+    /**
+     * Measure code
+     * @param {string} code - Code to measure
+     * @param {string} language - javascript or typescript
+     * @returns {Object|null} - See BaseMetricsCollector.collect
+     */
+    collect(code, language) {
+        const ast = this._parse(code, language);
+        if (!ast) {
+            return null;
+        }
+
+        const functions = [];
+        const nesting = { max: 0, line: null };
+        const topLevel = { complexity: 1, nesting: 0 };
+
+        const visit = (node, scope, depth, nameHint = null, isElseIf = false) => {
+            if (!node || typeof node.type !== 'string') {
+                return;
+            }
+
+            if (FUNCTION_TYPES.has(node.type)) {
+                scope = {
+                    name: this._functionName(node, nameHint),
+                    line: node.loc.start.line,
+                    endLine: node.loc.end.line,
+                    complexity: 1,
+                    nesting: 0
+                };
+                functions.push(scope);
+                depth = 0;
+            }
+
+            if (this._isDecision(node)) {
+                scope.complexity++;
+            }
+
+            if (NESTING_TYPES.has(node.type) && !isElseIf) {
+                depth++;
+                scope.nesting = Math.max(scope.nesting, depth);
+                if (depth > nesting.max) {
+                    nesting.max = depth;
+                    nesting.line = node.loc.start.line;
+                }
+            }
+
+            for (const [key, value] of Object.entries(node)) {
+                if (SKIPPED_KEYS.has(key) || !value || typeof value !== 'object') {
+                    continue;
+                }
+
+                const hint = this._childNameHint(node, key);
+                if (Array.isArray(value)) {
+                    value.forEach(child => visit(child, scope, depth, hint));
+                } else {
+                    visit(value, scope, depth, hint, node.type === 'IfStatement' && key === 'alternate' && value.type === 'IfStatement');
+                }
+            }
+        };
+
+        visit(ast.program, topLevel, 0);
+
+        return {
+            comments: ast.comments.map(comment => ({ from: comment.start, to: comment.end })),
+            functions,
+            nesting
+        };
+    }
+
+    /**
+     * Parse with each plugin set of the language
+     * @param {string} code - Code to parse
+     * @param {string} language - javascript or typescript
+     * @returns {Object|null} - File AST, or null when no plugin set gets through the code
+     */
+    _parse(code, language) {
+        for (const plugins of PLUGIN_SETS[language]) {
+            try {
+                return babelParser.parse(code, { ...PARSE_OPTIONS, plugins });
+            } catch (error) {
+                // Not recoverable with this plugin set
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Whether a node adds a path through its function
+     * @param {Object} node - AST node
+     * @returns {boolean} - True for branches, loops, catch clauses, cases and logical operators
+     */
+    _isDecision(node) {
+        if (BRANCH_TYPES.has(node.type) || node.type === 'LogicalExpression') {
+            return true;
+        }
+        if (node.type === 'SwitchCase') {
+            return node.test !== null;
+        }
+        return node.type === 'AssignmentExpression' && LOGICAL_ASSIGNMENTS.has(node.operator);
+    }
+
+    /**
+     * Name of a function: its own, its method key or what it is assigned to
+     * @param {Object} node - Function node
+     * @param {string|null} nameHint - Name given by the parent (see _childNameHint)
+     * @returns {string} - Name, or (anonymous)
+     */
+    _functionName(node, nameHint) {
+        if (node.id?.name) {
+            return node.id.name;
+        }
+        if (node.key) {
+            return this._keyName(node.key);
+        }
+        return nameHint || ANONYMOUS;
+    }
+
+    /**
+     * Name a parent gives to a function in one of its properties
+     * e.g. the variable of `const handler = () => {}` or the key of `{ handler: function () {} }`
+     * @param {Object} node - Parent node
+     * @param {string} key - Property of the parent holding the child
+     * @returns {string|null} - Name, or null
+     */
+    _childNameHint(node, key) {
+        if (node.type === 'VariableDeclarator' && key === 'init') {
+            return node.id.type === 'Identifier' ? node.id.name : null;
+        }
+        if (node.type === 'AssignmentExpression' && key === 'right') {
+            if (node.left.type === 'Identifier') {
+                return node.left.name;
+            }
+            return node.left.type === 'MemberExpression' ? this._keyName(node.left.property) : null;
+        }
+        if (['ObjectProperty', 'ClassProperty', 'ClassPrivateProperty'].includes(node.type) && key === 'value') {
+            return this._keyName(node.key);
+        }
+        return null;
+    }
+
+    /**
+     * Display name of a property key
+     * @param {Object} key - Key node
+     * @returns {string} - Name, #name for private keys, [computed] for computed ones
+     */
+    _keyName(key) {
+        if (key.type === 'Identifier') {
+            return key.name;
+        }
+        if (key.type === 'PrivateName') {
+            return `#${key.id.name}`;
+        }
+        if (key.type === 'StringLiteral' || key.type === 'NumericLiteral') {
+            return String(key.value);
+        }
+        return '[computed]';
+    }
+}
+
+module.exports = BabelMetricsCollector;
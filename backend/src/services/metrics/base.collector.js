@@ -0,0 +1,58 @@
+/**
+ * Base class for metrics collectors
+ * A collector parses code of its languages in-process and measures what needs the
+ * syntax tree: the functions (cyclomatic complexity, length, nesting depth), the
+ * deepest nesting of the file and the exact comment ranges
+ */
+class BaseMetricsCollector {
+    /**
+     * @param {Object} options - Collector options
+     * @param {string} options.name - Collector name (reported in metrics.collector)
+     * @param {Array<string>} options.languages - Languages it measures (SUPPORTED_LANGUAGES keys)
+     */
+    constructor({ name, languages }) {
+        this.name = name;
+        this.languages = languages;
+    }
+
+    /**
+     * Measure code
+     * @param {string} code - Code to measure
+     * @param {string} language - One of this.languages
+     * @returns {Object|null} - { comments: [{ from, to }], functions: [{ name, line, endLine, complexity, nesting }],
+     *                          nesting: { max, line } }, or null when the code does not parse
+     */
+    collect(code, language) {
+        throw new Error(`collect() is not implemented by the ${this.name} metrics collector`);
+    }
+
+    /**
+     * Build a lookup from character offsets to 1-based line numbers
+     * @param {string} code - Measured code
+     * @returns {Function} - offset => line
+     */
+    createLineLocator(code) {
+        const starts = [0];
+        for (let index = code.indexOf('\n'); index !== -1; index = code.indexOf('\n', index + 1)) {
+            starts.push(index + 1);
+        }
+
+        return (offset) => {
+            let low = 0;
+            let high = starts.length - 1;
+            while (low < high) {
+                const middle = Math.ceil((low + high) / 2);
+                if (starts[middle] <= offset) {
+                    low = middle;
+                } else {
+                    high = middle - 1;
+                }
+            }
+            return low + 1;
+        };
+    }
+}
+
+module.exports = {
+    BaseMetricsCollector
+};
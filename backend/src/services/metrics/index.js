@@ -0,0 +1,24 @@
+const BabelMetricsCollector = require("./babel.collector");
+const PythonMetricsCollector = require("./python.collector");
+
+/**
+ * Metrics collector registry - one collector per language with a bundled parser
+ * Languages without a collector get the line-based metrics only
+ */
+const METRICS_COLLECTORS = [
+    new BabelMetricsCollector(),
+    new PythonMetricsCollector()
+];
+
+/**
+ * Get the collector of a language
+ * @param {string} language - Language name (SUPPORTED_LANGUAGES key)
+ * @returns {BaseMetricsCollector|null} - Collector, or null when the language has none
+ */
+const getMetricsCollector = (language) =>
+    METRICS_COLLECTORS.find(collector => collector.languages.includes(language)) || null;
+
+module.exports = {
+    getMetricsCollector,
+    METRICS_COLLECTORS
+};
@@ -0,0 +1,94 @@
+const { parser: pythonParser } = require("@lezer/python");
+const { BaseMetricsCollector } = require("./base.collector");
+
+// Keywords that each add one path through the code (if also counts in
+// conditional expressions and comprehensions, for in comprehensions)
+const DECISION_KEYWORDS = new Set(['if', 'elif', 'for', 'while', 'except', 'and', 'or']);
+
+// Control structures that nest; elif and except stay inside their if or try
+const NESTING_NODES = new Set([
+    'IfStatement', 'ForStatement', 'WhileStatement', 'TryStatement', 'WithStatement', 'MatchStatement'
+]);
+
+/**
+ * Metrics collector for Python (bundled Lezer grammar)
+ * def functions and methods are measured on their own; lambdas count towards the
+ * function they are written in. Docstrings and other bare string statements count
+ * as comments
+ */
+class PythonMetricsCollector extends BaseMetricsCollector {
+    constructor() {
+        super({ name: 'python', languages: ['python'] });
+    }
+
+    /**
+     * Measure code
+     * Lezer recovers from syntax errors, so any code gets a tree
+     * @param {string} code - Code to measure
+     * @returns {Object} - See BaseMetricsCollector.collect
+     */
+    collect(code) {
+        const lineOf = this.createLineLocator(code);
+        const comments = [];
+        const functions = [];
+        const nesting = { max: 0, line: null };
+        // Open control structures of each enclosing function (the module level first)
+        const scopes = [{ fn: { complexity: 1, nesting: 0 }, depth: 0 }];
+
+        pythonParser.parse(code).iterate({
+            enter: (node) => {
+                const scope = scopes[scopes.length - 1];
+
+                if (node.name === 'Comment') {
+                    comments.push({ from: node.from, to: node.to });
+                } else if (node.name === 'ExpressionStatement' && this._isBareString(node.node)) {
+                    comments.push({ from: node.from, to: node.to });
+                } else if (node.name === 'FunctionDefinition') {
+                    const name = node.node.getChild('VariableName');
+                    const fn = {
+                        name: name ? code.slice(name.from, name.to) : '(anonymous)',
+                        line: lineOf(node.from),
+                        endLine: lineOf(node.from + code.slice(node.from, node.to).trimEnd().length - 1),
+                        complexity: 1,
+                        nesting: 0
+                    };
+                    functions.push(fn);
+                    scopes.push({ fn, depth: 0 });
+                } else if (DECISION_KEYWORDS.has(node.name) || node.name === 'MatchClause') {
+                    scope.fn.complexity++;
+                } else if (NESTING_NODES.has(node.name)) {
+                    scope.depth++;
+                    scope.fn.nesting = Math.max(scope.fn.nesting, scope.depth);
+                    if (scope.depth > nesting.max) {
+                        nesting.max = scope.depth;
+                        nesting.line = lineOf(node.from);
+                    }
+                }
+            },
+            leave: (node) => {
+                if (node.name === 'FunctionDefinition') {
+                    scopes.pop();
+                } else if (NESTING_NODES.has(node.name)) {
+                    scopes[scopes.length - 1].depth--;
+                }
+            }
+        });
+
+        return {
+            comments,
+            functions,
+            nesting
+        };
+    }
+
+    /**
+     * Whether a statement is nothing but a string literal (a docstring)
+     * @param {Object} node - ExpressionStatement syntax node
+     * @returns {boolean} - True for a lone String child
+     */
+    _isBareString(node) {
+        return node.firstChild?.name === 'String' && node.firstChild.to === node.to;
+    }
+}
+
+module.exports = PythonMetricsCollector;
@@ -0,0 +1,197 @@
+const aiService = require("./ai.services");
+const reviewCache = require("./cache.services");
+const { fingerprintIssues } = require("../utils/issueFingerprint");
+const { buildDependencyGraph } = require("../utils/dependencyGraph");
+const { mapWithConcurrency } = require("../utils/concurrency");
+const { mergeProfileSummaries } = require("../utils/reviewProfiles");
+const {
+    API_CONFIG,
+    PROJECT_CONFIG,
+    ERROR_CODES,
+    LOGGING_CONFIG
+} = require("../utils/constants");
+
+/**
+ * Multi-file project review
+ * Reviews every file on its own (through the review cache), then asks the
+ * model for a cross-file summary built on the per-file results and the import graph
+ */
+class ProjectReviewService {
+    /**
+     * Review a set of files as one project
+     * @param {Array<Object>} files - Files { path, code, language? }
+     * @param {Object} options - Review options
+     * @param {string} options.framework - Framework context
+     * @param {string} options.profile - Review profile of the per-file reviews (see REVIEW_PROFILES)
+     * @param {Object} options.cachePolicy - { read, write } from reviewCache.getRequestPolicy
+     * @returns {Promise<Object>} - Project review with per-file reviews and cross-file findings
+     */
+    async reviewProject(files, options = {}) {
+        const { framework = null, profile = null, cachePolicy = { read: false, write: false } } = options;
+
+        const resolvedFiles = files.map(file => ({
+            filePath: file.path,
+            code: file.code,
+            language: file.language || aiService.detectLanguage(file.code, file.path)
+        }));
+
+        if (LOGGING_CONFIG.ENABLE_REQUEST_LOGGING) {
+            console.log(`🗂️ Project Review - ${resolvedFiles.length} files`);
+        }
+
+        const results = await mapWithConcurrency(resolvedFiles, PROJECT_CONFIG.MAX_CONCURRENT_FILES, (file) =>
+            this._reviewFile(file, framework, cachePolicy, profile)
+        );
+
+        const reviewed = results.filter(result => result.review);
+        const failed = results.filter(result => result.error);
+
+        // Nothing to summarize: surface the first failure as the request error
+        if (reviewed.length === 0) {
+            throw failed[0].cause;
+        }
+
+        const dependencyGraph = buildDependencyGraph(reviewed);
+        const crossFile = await aiService.generateProjectSummary(reviewed, dependencyGraph, {
+            framework,
+            profile,
+            timeout: API_CONFIG.REQUEST_TIMEOUT
+        });
+
+        return this._assembleProjectReview(reviewed, failed, dependencyGraph, crossFile, framework);
+    }
+
+    /**
+     * Review one file of the project, tagging every issue with its path
+     * Failures are returned instead of thrown so one bad file does not sink the project
+     * @param {Object} file - File { filePath, code, language }
+     * @param {string} framework - Framework context
+     * @param {Object} cachePolicy - { read, write }
+     * @param {string} profile - Review profile
+     * @returns {Promise<Object>} - { filePath, language, code, review, cached } or { filePath, language, error, cause }
+     */
+    async _reviewFile(file, framework, cachePolicy, profile = null) {
+        const { filePath, code, language } = file;
+
+        try {
+            const cacheKey = reviewCache.buildKey({
+                code,
+                language,
+                framework,
+                provider: aiService.getProviderName(),
+                model: aiService.getModelName(),
+                extra: { profile }
+            });
+            const cached = cachePolicy.read ? await reviewCache.get(cacheKey) : null;
+
+            const review = cached ? cached.review : await aiService.generateContent(code, {
+                language,
+                fileName: filePath,
+                framework,
+                profile,
+                timeout: API_CONFIG.REQUEST_TIMEOUT
+            });
+
+            if (!cached && cachePolicy.write) {
+                await reviewCache.set(cacheKey, review);
+            }
+
+            return {
+                filePath,
+                language,
+                code,
+                cached: Boolean(cached),
+                review: {
+                    ...review,
+                    issues: fingerprintIssues(review.issues.map(issue => ({ ...issue, filePath })), { code, language }),
+                    suppressed: (review.suppressed || []).map(issue => ({ ...issue, filePath })),
+                    ...(review.unanchored ? { unanchored: review.unanchored.map(issue => ({ ...issue, filePath })) } : {})
+                }
+            };
+        } catch (error) {
+            console.error(`❌ Project Review - ${filePath} failed:`, error.message);
+
+            return {
+                filePath,
+                language,
+                error: {
+                    message: error.message,
+                    errorCode: error.errorCode || ERROR_CODES.AI_SERVICE_ERROR
+                },
+                cause: error
+            };
+        }
+    }
+
+    /**
+     * Combine per-file reviews and the cross-file summary into the response shape
+     * @param {Array<Object>} reviewed - Successfully reviewed files
+     * @param {Array<Object>} failed - Files whose review failed
+     * @param {Object} dependencyGraph - Import graph
+     * @param {Object} crossFile - Cross-file summary from the model
+     * @param {string} framework - Framework context
+     * @returns {Object} - Project review
+     */
+    _assembleProjectReview(reviewed, failed, dependencyGraph, crossFile, framework) {
+        // Overall score weighted by file size, like chunked reviews
+        const totalSize = reviewed.reduce((total, file) => total + file.code.length, 0);
+        const weightedScore = reviewed.reduce((total, file) => total + file.review.overallScore * file.code.length, 0);
+
+        const unique = (items) => [...new Set(items)];
+        const profile = mergeProfileSummaries(reviewed.map(file => file.review));
+        const unanchored = reviewed.flatMap(file => file.review.unanchored || []);
+
+        return {
+            overallScore: Math.round((weightedScore / totalSize) * 10) / 10,
+            summary: crossFile.summary,
+            framework: framework || 'none',
+            files: [
+                ...reviewed.map(({ filePath, language, code, cached, review }) => ({
+                    filePath,
+                    language,
+                    size: code.length,
+                    status: 'reviewed',
+                    cached,
+                    overallScore: review.overallScore,
+                    summary: review.summary,
+                    issues: review.issues,
+                    suppressed: review.suppressed,
+                    ...(review.unanchored ? { unanchored: review.unanchored } : {}),
+                    ...(review.metrics ? { metrics: review.metrics } : {}),
+                    positiveAspects: review.positiveAspects || [],
+                    recommendations: review.recommendations || []
+                })),
+                ...failed.map(({ filePath, language, error }) => ({
+                    filePath,
+                    language,
+                    status: 'failed',
+                    error
+                }))
+            ],
+            issues: reviewed.flatMap(file => file.review.issues),
+            suppressed: reviewed.flatMap(file => file.review.suppressed),
+            ...(unanchored.length > 0 ? { unanchored } : {}),
+            ...(profile ? { profile } : {}),
+            crossFile: {
+                sharedAntiPatterns: crossFile.sharedAntiPatterns,
+                inconsistentConventions: crossFile.inconsistentConventions,
+                riskyBoundaries: crossFile.riskyBoundaries
+            },
+            dependencyGraph: {
+                edges: dependencyGraph.edges,
+                cycles: dependencyGraph.cycles,
+                fanIn: dependencyGraph.fanIn,
+                fanOut: dependencyGraph.fanOut
+            },
+            recommendations: unique([
+                ...(crossFile.recommendations || []),
+                ...reviewed.flatMap(file => file.review.recommendations || [])
+            ])
+        };
+    }
+}
+
+// Create singleton instance
+const projectReviewService = new ProjectReviewService();
+
+module.exports = projectReviewService;
@@ -0,0 +1,143 @@
+const { AI_SERVICE } = require("../../utils/constants");
+
+/**
+ * Base class for LLM providers used by AIService
+ * A provider only turns a prompt into raw text - prompt formatting,
+ * response parsing and retries stay in AIService
+ */
+class BaseProvider {
+    /**
+     * @param {Object} options - Provider options
+     * @param {string} options.name - Provider identifier
+     * @param {string} options.modelName - Model used for generation
+     * @param {string} options.systemInstruction - System instruction for the model
+     */
+    constructor({ name, modelName, systemInstruction = '' }) {
+        this.name = name;
+        this.modelName = modelName;
+        this.systemInstruction = systemInstruction;
+        this.generationConfig = {
+            temperature: AI_SERVICE.TEMPERATURE,
+            topP: AI_SERVICE.TOP_P,
+            topK: AI_SERVICE.TOP_K,
+            maxOutputTokens: AI_SERVICE.MAX_OUTPUT_TOKENS
+        };
+    }
+
+    /**
+     * Generate text for a prompt
+     * @param {string} prompt - Prompt to send to the model
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Aborts the upstream request (timeout)
+     * @returns {Promise<string>} - Raw model output
+     */
+    async generate(prompt, options = {}) {
+        throw new Error(`generate() is not implemented by the ${this.name} provider`);
+    }
+
+    /**
+     * Generate text for a prompt as a stream of chunks
+     * Providers without a streaming API yield the whole output as one chunk
+     * @param {string} prompt - Prompt to send to the model
+     * @param {Object} options - Stream options
+     * @param {AbortSignal} options.signal - Aborts the upstream request (timeout, client gone)
+     * @returns {AsyncGenerator<string>} - Text chunks in arrival order
+     */
+    async *generateStream(prompt, options = {}) {
+        yield await this.generate(prompt, options);
+    }
+
+    /**
+     * POST a JSON body and return the parsed JSON response
+     * @param {string} url - Endpoint URL
+     * @param {Object} body - Request body
+     * @param {Object} headers - Additional request headers
+     * @param {AbortSignal} signal - Aborts the request
+     * @returns {Promise<Object>} - Parsed response body
+     */
+    async _postJson(url, body, headers = {}, signal = undefined) {
+        const response = await this._post(url, body, headers, signal);
+        return response.json();
+    }
+
+    /**
+     * POST a JSON body and yield the response body line by line
+     * Used for SSE (data: ...) and NDJSON streaming endpoints
+     * @param {string} url - Endpoint URL
+     * @param {Object} body - Request body
+     * @param {Object} headers - Additional request headers
+     * @param {AbortSignal} signal - Aborts the request and the body stream
+     * @returns {AsyncGenerator<string>} - Non-empty response lines
+     */
+    async *_postLines(url, body, headers = {}, signal = undefined) {
+        const response = await this._post(url, body, headers, signal);
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        for await (const chunk of response.body) {
+            buffer += decoder.decode(chunk, { stream: true });
+
+            let newlineIndex;
+            while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+                const line = buffer.slice(0, newlineIndex).trim();
+                buffer = buffer.slice(newlineIndex + 1);
+                if (line) {
+                    yield line;
+                }
+            }
+        }
+
+        buffer += decoder.decode();
+        if (buffer.trim()) {
+            yield buffer.trim();
+        }
+    }
+
+    /**
+     * POST a JSON body and return the raw fetch response
+     * HTTP failures are mapped to messages AIService already knows how to retry and report
+     * @param {string} url - Endpoint URL
+     * @param {Object} body - Request body
+     * @param {Object} headers - Additional request headers
+     * @param {AbortSignal} signal - Aborts the request
+     * @returns {Promise<Response>} - Successful fetch response
+     */
+    async _post(url, body, headers = {}, signal = undefined) {
+        let response;
+
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: JSON.stringify(body),
+                signal
+            });
+        } catch (error) {
+            // An abort is deliberate, not a network failure to retry
+            if (signal?.aborted) {
+                throw error;
+            }
+            throw new Error(`Network error: ${this.name} endpoint ${url} is unreachable (${error.cause?.code || error.message})`, { cause: error });
+        }
+
+        if (!response.ok) {
+            const details = (await response.text().catch(() => '')).slice(0, 200);
+
+            if (response.status === 401 || response.status === 403) {
+                throw new Error(`Authentication failed for ${this.name} provider - check the API key`);
+            }
+            if (response.status === 429) {
+                throw new Error(`${this.name} provider rate limit reached`);
+            }
+            if (response.status >= 500) {
+                throw new Error(`Server unavailable: ${this.name} provider returned ${response.status}`);
+            }
+
+            throw new Error(`${this.name} provider request failed with status ${response.status}: ${details}`);
+        }
+
+        return response;
+    }
+}
+
+module.exports = BaseProvider;
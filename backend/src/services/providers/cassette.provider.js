@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const BaseProvider = require("./base.provider");
+const { CASSETTE_MODES, LOGGING_CONFIG } = require("../../utils/constants");
+
+/**
+ * Record/replay wrapper around another provider
+ * Each prompt/response pair is stored as one JSON file named after a hash
+ * of the prompt and the model settings, so replays never reach the provider
+ */
+class CassetteProvider extends BaseProvider {
+    /**
+     * @param {BaseProvider} provider - Wrapped provider
+     * @param {Object} options - Cassette options
+     * @param {string} options.mode - One of CASSETTE_MODES
+     * @param {string} options.dir - Directory holding the recordings
+     */
+    constructor(provider, { mode, dir }) {
+        super({
+            name: provider.name,
+            modelName: provider.modelName,
+            systemInstruction: provider.systemInstruction
+        });
+
+        if (!Object.values(CASSETTE_MODES).includes(mode)) {
+            throw new Error(`Unknown cassette mode "${mode}". Available modes: ${Object.values(CASSETTE_MODES).join(', ')}`);
+        }
+
+        this.provider = provider;
+        this.generationConfig = provider.generationConfig;
+        this.mode = mode;
+        this.dir = path.resolve(dir);
+    }
+
+    /**
+     * Generate text, answering from or writing to the cassette
+     * @param {string} prompt - Prompt to send to the model
+     * @param {Object} options - Request options passed to the wrapped provider ({ signal })
+     * @returns {Promise<string>} - Raw model output
+     */
+    async generate(prompt, options = {}) {
+        const key = this.getKey(prompt);
+        const recording = await this._replay(key);
+        if (recording !== null) {
+            return recording;
+        }
+
+        let response;
+        try {
+            response = await this.provider.generate(prompt, options);
+        } catch (error) {
+            await this._recordError(key, prompt, error);
+            throw error;
+        }
+
+        await this._write(key, prompt, { response });
+        return response;
+    }
+
+    /**
+     * Stream text, answering from or writing to the cassette
+     * Replays are emitted as a single chunk; recordings store the joined stream
+     * @param {string} prompt - Prompt to send to the model
+     * @param {Object} options - Stream options passed to the wrapped provider ({ signal })
+     * @returns {AsyncGenerator<string>} - Text chunks in arrival order
+     */
+    async *generateStream(prompt, options = {}) {
+        const key = this.getKey(prompt);
+        const recording = await this._replay(key);
+        if (recording !== null) {
+            yield recording;
+            return;
+        }
+
+        const chunks = [];
+        try {
+            for await (const chunk of this.provider.generateStream(prompt, options)) {
+                chunks.push(chunk);
+                yield chunk;
+            }
+        } catch (error) {
+            await this._recordError(key, prompt, error);
+            throw error;
+        }
+
+        await this._write(key, prompt, { response: chunks.join('') });
+    }
+
+    /**
+     * Look up a recording when the mode allows replays
+     * @param {string} key - Recording key
+     * @returns {Promise<string|null>} - Recorded response, or null to call the provider
+     * @throws {Error} - Recorded error, or a cassette miss in replay mode
+     */
+    async _replay(key) {
+        if (this.mode !== CASSETTE_MODES.REPLAY && this.mode !== CASSETTE_MODES.AUTO) {
+            return null;
+        }
+
+        const recording = await this._read(key);
+
+        if (recording) {
+            if (LOGGING_CONFIG.ENABLE_REQUEST_LOGGING) {
+                console.log(`📼 Cassette replay ${key.slice(0, 12)}`);
+            }
+            if (recording.error) {
+                throw new Error(recording.error);
+            }
+            return recording.response;
+        }
+
+        if (this.mode === CASSETTE_MODES.REPLAY) {
+            throw new Error(`Cassette miss: no recording ${key} in ${this.dir}`);
+        }
+
+        return null;
+    }
+
+    /**
+     * Record a provider failure
+     * Only explicit recording sessions capture failures; in auto mode a
+     * recorded transient error would otherwise be replayed forever
+     * @param {string} key - Recording key
+     * @param {string} prompt - Prompt that was sent
+     * @param {Error} error - Provider error
+     */
+    async _recordError(key, prompt, error) {
+        if (this.mode === CASSETTE_MODES.RECORD) {
+            await this._write(key, prompt, { error: error.message });
+        }
+    }
+
+    /**
+     * Compute the recording key for a prompt
+     * @param {string} prompt - Prompt to send to the model
+     * @returns {string} - sha256 hex digest of prompt and model settings
+     */
+    getKey(prompt) {
+        return crypto
+            .createHash('sha256')
+            .update(JSON.stringify({
+                provider: this.provider.name,
+                model: this.provider.modelName,
+                systemInstruction: this.provider.systemInstruction,
+                generationConfig: this.provider.generationConfig,
+                prompt
+            }))
+            .digest('hex');
+    }
+
+    /**
+     * Load a recording
+     * @param {string} key - Recording key
+     * @returns {Promise<Object|null>} - Recording or null when missing
+     */
+    async _read(key) {
+        try {
+            const content = await fs.readFile(path.join(this.dir, `${key}.json`), 'utf8');
+            return JSON.parse(content);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Store a recording
+     * @param {string} key - Recording key
+     * @param {string} prompt - Prompt that was sent
+     * @param {Object} result - { response } or { error }
+     */
+    async _write(key, prompt, result) {
+        await fs.mkdir(this.dir, { recursive: true });
+        await fs.writeFile(path.join(this.dir, `${key}.json`), JSON.stringify({
+            key,
+            provider: this.provider.name,
+            model: this.provider.modelName,
+            recordedAt: new Date().toISOString(),
+            prompt,
+            ...result
+        }, null, 2));
+    }
+}
+
+module.exports = CassetteProvider;
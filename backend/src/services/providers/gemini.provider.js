@@ -0,0 +1,65 @@
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+const BaseProvider = require("./base.provider");
+const { AI_SERVICE, AI_PROVIDERS } = require("../../utils/constants");
+
+/**
+ * Google Gemini provider
+ */
+class GeminiProvider extends BaseProvider {
+    constructor({ systemInstruction } = {}) {
+        super({
+            name: AI_PROVIDERS.GEMINI,
+            modelName: AI_SERVICE.MODEL_NAME,
+            systemInstruction
+        });
+
+        if (!AI_SERVICE.API_KEY) {
+            throw new Error('GEMINI_API_KEY is required. Please check your .env file');
+        }
+
+        this.genAI = new GoogleGenerativeAI(AI_SERVICE.API_KEY);
+        this.model = this.genAI.getGenerativeModel({
+            model: this.modelName,
+            generationConfig: this.generationConfig,
+            safetySettings: AI_SERVICE.SAFETY_SETTINGS,
+            systemInstruction: this.systemInstruction
+        });
+    }
+
+    /**
+     * Generate text with Gemini
+     * @param {string} prompt - Prompt to send to the model
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Aborts the request
+     * @returns {Promise<string>} - Raw model output
+     */
+    async generate(prompt, { signal } = {}) {
+        const result = await this.model.generateContent(prompt, { signal });
+
+        if (!result?.response) {
+            throw new Error('Invalid response from AI service');
+        }
+
+        return result.response.text();
+    }
+
+    /**
+     * Stream text with Gemini
+     * @param {string} prompt - Prompt to send to the model
+     * @param {Object} options - Stream options
+     * @param {AbortSignal} options.signal - Aborts the request
+     * @returns {AsyncGenerator<string>} - Text chunks in arrival order
+     */
+    async *generateStream(prompt, { signal } = {}) {
+        const result = await this.model.generateContentStream(prompt, { signal });
+
+        for await (const chunk of result.stream) {
+            const text = chunk.text();
+            if (text) {
+                yield text;
+            }
+        }
+    }
+}
+
+module.exports = GeminiProvider;
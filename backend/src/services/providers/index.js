@@ -0,0 +1,72 @@
+const BaseProvider = require("./base.provider");
+const GeminiProvider = require("./gemini.provider");
+const OpenAIProvider = require("./openai.provider");
+const LocalProvider = require("./local.provider");
+const MockProvider = require("./mock.provider");
+const CassetteProvider = require("./cassette.provider");
+const { AI_PROVIDERS, AI_SERVICE } = require("../../utils/constants");
+
+/**
+ * Provider registry - maps AI_PROVIDER values to provider factories
+ */
+const PROVIDER_FACTORIES = {
+    [AI_PROVIDERS.GEMINI]: (options) => new GeminiProvider(options),
+    [AI_PROVIDERS.OPENAI]: (options) => new OpenAIProvider(options),
+    [AI_PROVIDERS.OLLAMA]: (options) => new LocalProvider({ ...options, flavor: AI_PROVIDERS.OLLAMA }),
+    [AI_PROVIDERS.LLAMACPP]: (options) => new LocalProvider({ ...options, flavor: AI_PROVIDERS.LLAMACPP }),
+    [AI_PROVIDERS.MOCK]: (options) => new MockProvider(options)
+};
+
+/**
+ * Model of each provider, known without creating it
+ */
+const PROVIDER_MODELS = {
+    [AI_PROVIDERS.GEMINI]: AI_SERVICE.MODEL_NAME,
+    [AI_PROVIDERS.OPENAI]: AI_SERVICE.OPENAI.MODEL_NAME,
+    [AI_PROVIDERS.OLLAMA]: AI_SERVICE.OLLAMA.MODEL_NAME,
+    [AI_PROVIDERS.LLAMACPP]: AI_SERVICE.LLAMACPP.MODEL_NAME,
+    [AI_PROVIDERS.MOCK]: AI_SERVICE.MOCK.MODEL_NAME
+};
+
+/**
+ * Create the configured LLM provider
+ * @param {string} name - Provider name (see AI_PROVIDERS)
+ * @param {Object} options - Provider options
+ * @param {string} options.systemInstruction - System instruction for the model
+ * @returns {BaseProvider} - Provider instance
+ */
+const createProvider = (name, options = {}) => {
+    const factory = PROVIDER_FACTORIES[name];
+
+    if (!factory) {
+        const available = Object.keys(PROVIDER_FACTORIES).join(', ');
+        throw new Error(`Unknown AI provider "${name}". Available providers: ${available}`);
+    }
+
+    return factory(options);
+};
+
+/**
+ * Describe a provider without creating it
+ * Cassette replays need the name and model settings of the recorded provider for
+ * their keys but never call it, so no client is built and no API key is needed
+ * @param {string} name - Provider name (see AI_PROVIDERS)
+ * @param {Object} options - Provider options
+ * @param {string} options.systemInstruction - System instruction for the model
+ * @returns {BaseProvider} - Provider with the settings of the named one that cannot generate
+ */
+const describeProvider = (name, { systemInstruction } = {}) => {
+    if (!PROVIDER_MODELS[name]) {
+        const available = Object.keys(PROVIDER_MODELS).join(', ');
+        throw new Error(`Unknown AI provider "${name}". Available providers: ${available}`);
+    }
+
+    return new BaseProvider({ name, modelName: PROVIDER_MODELS[name], systemInstruction });
+};
+
+module.exports = {
+    createProvider,
+    describeProvider,
+    CassetteProvider,
+    PROVIDER_FACTORIES
+};
@@ -0,0 +1,142 @@
+const BaseProvider = require("./base.provider");
+const { AI_SERVICE, AI_PROVIDERS } = require("../../utils/constants");
+
+/**
+ * Provider for local inference servers: Ollama (/api/chat)
+ * and the llama.cpp HTTP server (/completion)
+ */
+class LocalProvider extends BaseProvider {
+    /**
+     * @param {Object} options - Provider options
+     * @param {string} options.flavor - AI_PROVIDERS.OLLAMA or AI_PROVIDERS.LLAMACPP
+     * @param {string} options.systemInstruction - System instruction for the model
+     */
+    constructor({ flavor = AI_PROVIDERS.OLLAMA, systemInstruction } = {}) {
+        const config = flavor === AI_PROVIDERS.LLAMACPP ? AI_SERVICE.LLAMACPP : AI_SERVICE.OLLAMA;
+
+        super({
+            name: flavor,
+            modelName: config.MODEL_NAME,
+            systemInstruction
+        });
+
+        this.flavor = flavor;
+        this.baseUrl = config.BASE_URL.replace(/\/+$/, '');
+    }
+
+    /**
+     * Generate text with the local server
+     * @param {string} prompt - Prompt to send to the model
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Aborts the request
+     * @returns {Promise<string>} - Raw model output
+     */
+    async generate(prompt, { signal } = {}) {
+        const text = this.flavor === AI_PROVIDERS.LLAMACPP
+            ? await this._generateLlamaCpp(prompt, signal)
+            : await this._generateOllama(prompt, signal);
+
+        if (typeof text !== 'string') {
+            throw new Error('Invalid response from AI service');
+        }
+
+        return text;
+    }
+
+    /**
+     * Stream text from the local server
+     * Ollama streams NDJSON objects, llama.cpp streams server-sent events
+     * @param {string} prompt - Prompt to send to the model
+     * @param {Object} options - Stream options
+     * @param {AbortSignal} options.signal - Aborts the request
+     * @returns {AsyncGenerator<string>} - Text chunks in arrival order
+     */
+    async *generateStream(prompt, { signal } = {}) {
+        const isLlamaCpp = this.flavor === AI_PROVIDERS.LLAMACPP;
+        const lines = isLlamaCpp
+            ? this._postLines(`${this.baseUrl}/completion`, this._buildLlamaCppBody(prompt, true), {}, signal)
+            : this._postLines(`${this.baseUrl}/api/chat`, this._buildOllamaBody(prompt, true), {}, signal);
+
+        for await (const line of lines) {
+            if (isLlamaCpp && !line.startsWith('data:')) continue;
+
+            const data = JSON.parse(isLlamaCpp ? line.slice(5) : line);
+            const text = isLlamaCpp ? data.content : data.message?.content;
+            if (text) {
+                yield text;
+            }
+            if (data.stop || data.done) break;
+        }
+    }
+
+    /**
+     * Ollama native chat API
+     * @param {string} prompt - Prompt to send to the model
+     * @param {AbortSignal} signal - Aborts the request
+     * @returns {Promise<string>} - Raw model output
+     */
+    async _generateOllama(prompt, signal) {
+        const data = await this._postJson(`${this.baseUrl}/api/chat`, this._buildOllamaBody(prompt, false), {}, signal);
+        return data?.message?.content;
+    }
+
+    /**
+     * llama.cpp server completion API (single loaded model, raw prompt)
+     * @param {string} prompt - Prompt to send to the model
+     * @param {AbortSignal} signal - Aborts the request
+     * @returns {Promise<string>} - Raw model output
+     */
+    async _generateLlamaCpp(prompt, signal) {
+        const data = await this._postJson(`${this.baseUrl}/completion`, this._buildLlamaCppBody(prompt, false), {}, signal);
+        return data?.content;
+    }
+
+    /**
+     * Build the Ollama chat request body
+     * @param {string} prompt - Prompt to send to the model
+     * @param {boolean} stream - Whether to stream the response
+     * @returns {Object} - Request body
+     */
+    _buildOllamaBody(prompt, stream) {
+        const messages = [];
+        if (this.systemInstruction) {
+            messages.push({ role: 'system', content: this.systemInstruction });
+        }
+        messages.push({ role: 'user', content: prompt });
+
+        return {
+            model: this.modelName,
+            messages,
+            stream,
+            options: {
+                temperature: this.generationConfig.temperature,
+                top_p: this.generationConfig.topP,
+                top_k: this.generationConfig.topK,
+                num_predict: this.generationConfig.maxOutputTokens
+            }
+        };
+    }
+
+    /**
+     * Build the llama.cpp completion request body
+     * @param {string} prompt - Prompt to send to the model
+     * @param {boolean} stream - Whether to stream the response
+     * @returns {Object} - Request body
+     */
+    _buildLlamaCppBody(prompt, stream) {
+        const fullPrompt = this.systemInstruction
+            ? `${this.systemInstruction}\n\n${prompt}`
+            : prompt;
+
+        return {
+            prompt: fullPrompt,
+            temperature: this.generationConfig.temperature,
+            top_p: this.generationConfig.topP,
+            top_k: this.generationConfig.topK,
+            n_predict: this.generationConfig.maxOutputTokens,
+            stream
+        };
+    }
+}
+
+module.exports = LocalProvider;
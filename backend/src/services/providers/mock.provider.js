@@ -0,0 +1,316 @@
+const BaseProvider = require("./base.provider");
+const { AI_SERVICE, AI_PROVIDERS, ISSUE_CATEGORIES, SEVERITY_LEVELS } = require("../../utils/constants");
+
+/**
+ * Heuristic rules used by the mock provider
+ * Each rule is matched line by line against the submitted code; in fix mode,
+ * rules with a fix function rewrite the matched line
+ */
+const MOCK_RULES = [
+    {
+        pattern: /\beval\s*\(/,
+        category: ISSUE_CATEGORIES.SECURITY,
+        severity: SEVERITY_LEVELS.CRITICAL,
+        title: 'Use of eval',
+        description: 'eval executes arbitrary strings as code and is a common injection vector.',
+        suggestion: 'Parse the data explicitly (e.g. JSON.parse) instead of evaluating it.',
+        fix: (line) => line.replace(/\beval\s*\(/, 'JSON.parse('),
+        reasoning: 'Evaluating untrusted input allows remote code execution.',
+        security: {
+            cwe: 'CWE-95',
+            owasp: 'A03:2021',
+            exploitability: 'HIGH',
+            dataFlow: { source: 'string passed to eval', sink: 'eval()' },
+            score: 9.8
+        }
+    },
+    {
+        pattern: /(password|secret|api_?key|token)\s*[:=]\s*['"][^'"]+['"]/i,
+        category: ISSUE_CATEGORIES.SECURITY,
+        severity: SEVERITY_LEVELS.HIGH,
+        title: 'Hardcoded credential',
+        description: 'A credential appears to be hardcoded in the source.',
+        suggestion: 'Load the value from environment variables or a secrets manager.',
+        reasoning: 'Secrets in source control leak through history, forks and logs.',
+        security: {
+            cwe: 'CWE-798',
+            owasp: 'A07:2021',
+            exploitability: 'MEDIUM',
+            score: 7.5
+        }
+    },
+    {
+        pattern: /(SELECT|INSERT|UPDATE|DELETE)\b.*['"`]\s*\+/i,
+        category: ISSUE_CATEGORIES.SECURITY,
+        severity: SEVERITY_LEVELS.HIGH,
+        title: 'SQL built by string concatenation',
+        description: 'The query is assembled from strings, which allows SQL injection.',
+        suggestion: 'Use parameterized queries or prepared statements.',
+        reasoning: 'Parameter binding keeps data separate from the query structure.',
+        security: {
+            cwe: 'CWE-89',
+            owasp: 'A03:2021',
+            exploitability: 'HIGH',
+            dataFlow: { source: 'value concatenated into the query', sink: 'SQL query' },
+            score: 8.6
+        }
+    },
+    {
+        pattern: /\bvar\s+\w+/,
+        category: ISSUE_CATEGORIES.CODE_STYLE,
+        severity: SEVERITY_LEVELS.LOW,
+        title: 'Use of var',
+        description: 'var is function-scoped and hoisted, which makes code harder to reason about.',
+        suggestion: 'Use const or let instead of var.',
+        fix: (line) => line.replace(/\bvar\b/, 'let'),
+        reasoning: 'Block scoping prevents accidental reuse of variables.'
+    },
+    {
+        pattern: /[^=!]==[^=]/,
+        category: ISSUE_CATEGORIES.BUG,
+        severity: SEVERITY_LEVELS.MEDIUM,
+        title: 'Loose equality comparison',
+        description: 'Loose equality performs type coercion and can produce surprising results.',
+        suggestion: 'Use strict equality (===).',
+        fix: (line) => line.replace(/([^=!])==([^=])/, '$1===$2'),
+        reasoning: 'Strict comparisons avoid implicit type conversion bugs.'
+    },
+    {
+        pattern: /\bconsole\.log\s*\(|\bprint\s*\(/,
+        category: ISSUE_CATEGORIES.BEST_PRACTICE,
+        severity: SEVERITY_LEVELS.LOW,
+        title: 'Debug output left in code',
+        description: 'Direct console output is usually leftover debugging code.',
+        suggestion: 'Use a structured logger or remove the statement.',
+        reasoning: 'Stray output clutters logs and may leak data.'
+    },
+    {
+        pattern: /\b(TODO|FIXME|HACK)\b/,
+        category: ISSUE_CATEGORIES.MAINTAINABILITY,
+        severity: SEVERITY_LEVELS.INFO,
+        title: 'Unresolved TODO comment',
+        description: 'The code contains a marker for unfinished work.',
+        suggestion: 'Resolve the TODO or track it in the issue tracker.',
+        reasoning: 'Stale TODOs hide known problems.'
+    },
+    {
+        pattern: /catch\s*\(\s*\w*\s*\)\s*\{\s*\}|except[^:]*:\s*pass\b/,
+        category: ISSUE_CATEGORIES.BUG,
+        severity: SEVERITY_LEVELS.MEDIUM,
+        title: 'Swallowed exception',
+        description: 'The error is caught and silently ignored.',
+        suggestion: 'Log the error or handle it explicitly.',
+        reasoning: 'Silent failures make bugs very hard to diagnose.'
+    }
+];
+
+// Size of the chunks emitted by generateStream
+const MOCK_STREAM_CHUNK_SIZE = 64;
+
+// Score penalty per severity
+const SEVERITY_PENALTY = {
+    [SEVERITY_LEVELS.CRITICAL]: 3,
+    [SEVERITY_LEVELS.HIGH]: 2,
+    [SEVERITY_LEVELS.MEDIUM]: 1,
+    [SEVERITY_LEVELS.LOW]: 0.5,
+    [SEVERITY_LEVELS.INFO]: 0
+};
+
+/**
+ * Deterministic offline provider for development and tests
+ * Produces schema-valid reviews from simple heuristics - no network access
+ */
+class MockProvider extends BaseProvider {
+    constructor({ systemInstruction } = {}) {
+        super({
+            name: AI_PROVIDERS.MOCK,
+            modelName: AI_SERVICE.MOCK.MODEL_NAME,
+            systemInstruction
+        });
+    }
+
+    /**
+     * Answer a prompt without calling any model
+     * Review and project prompts get JSON, anything else (e.g. health checks) gets "OK"
+     * @param {string} prompt - Prompt to answer
+     * @returns {Promise<string>} - Raw output in the same shape a real model returns
+     */
+    async generate(prompt) {
+        // Cross-file project summaries ask for riskyBoundaries in their response format
+        if (prompt.includes('"riskyBoundaries"')) {
+            return '```json\n' + JSON.stringify(this._summarizeProject(prompt), null, 2) + '\n```';
+        }
+
+        const extracted = this._extractCode(prompt);
+        if (!extracted) {
+            return 'OK';
+        }
+
+        // Fix mode prompts ask for a "fix" object in their response format
+        const withFixes = /"fix": \{/.test(prompt);
+        const review = this._reviewCode(extracted.code, extracted.language, extracted.lineNumbers, withFixes);
+        return '```json\n' + JSON.stringify(review, null, 2) + '\n```';
+    }
+
+    /**
+     * Stream the mock output in small chunks to mimic a real streaming model
+     * @param {string} prompt - Prompt to answer
+     * @returns {AsyncGenerator<string>} - Text chunks
+     */
+    async *generateStream(prompt) {
+        const text = await this.generate(prompt);
+
+        for (let offset = 0; offset < text.length; offset += MOCK_STREAM_CHUNK_SIZE) {
+            yield text.slice(offset, offset + MOCK_STREAM_CHUNK_SIZE);
+        }
+    }
+
+    /**
+     * Extract the reviewed code and language from a formatted review prompt
+     * Skips json/diff fences; numbered listings ("12 | code") keep their line numbers
+     * @param {string} prompt - Prompt built by AIService._formatPrompt or _formatDiffPrompt
+     * @returns {Object|null} - { code, language, lineNumbers } or null for non-review prompts
+     */
+    _extractCode(prompt) {
+        const match = [...prompt.matchAll(/```([\w+#-]*)\n([\s\S]*?)\n```/g)]
+            .find(fence => fence[1] !== 'json' && fence[1] !== 'diff');
+        if (!match) {
+            return null;
+        }
+
+        const lines = match[2].split('\n');
+        const numbered = lines.map(line => line.match(/^\s*(\d+) \| ?(.*)$/));
+
+        // Diff prompts number every line of the new file and mark gaps with "..."
+        if (numbered.every((entry, index) => entry || lines[index] === '...')) {
+            return {
+                language: match[1] || 'javascript',
+                code: numbered.map(entry => (entry ? entry[2] : '')).join('\n'),
+                lineNumbers: numbered.map(entry => (entry ? parseInt(entry[1]) : null))
+            };
+        }
+
+        return { language: match[1] || 'javascript', code: match[2], lineNumbers: null };
+    }
+
+    /**
+     * Build a cross-file summary from the per-file findings embedded in the prompt
+     * Issues found in several files are shared anti-patterns, issues found in only some
+     * files of one language are inconsistent conventions, import cycles are risky boundaries
+     * @param {string} prompt - Prompt built by AIService._formatProjectPrompt
+     * @returns {Object} - Summary in the model response format
+     */
+    _summarizeProject(prompt) {
+        const match = prompt.match(/```json\n([\s\S]*?)\n```/);
+        const { files = [], dependencyGraph = {} } = match ? JSON.parse(match[1]) : {};
+
+        const filesByTitle = new Map();
+        for (const file of files) {
+            for (const issue of file.issues) {
+                const entry = filesByTitle.get(issue.title) || { severity: issue.severity, files: new Set() };
+                entry.files.add(file.filePath);
+                filesByTitle.set(issue.title, entry);
+            }
+        }
+
+        const sharedAntiPatterns = [];
+        const inconsistentConventions = [];
+
+        for (const [title, { severity, files: affected }] of filesByTitle) {
+            const language = files.find(file => affected.has(file.filePath)).language;
+            const sameLanguage = files.filter(file => file.language === language);
+
+            if (affected.size > 1) {
+                sharedAntiPatterns.push({
+                    title,
+                    description: `"${title}" was reported in ${affected.size} files.`,
+                    severity,
+                    files: [...affected],
+                    suggestion: 'Fix it project-wide and add a lint rule to keep it from coming back.'
+                });
+            }
+
+            if (affected.size < sameLanguage.length) {
+                inconsistentConventions.push({
+                    title: `Inconsistent: ${title}`,
+                    description: `"${title}" appears in ${affected.size} of ${sameLanguage.length} ${language} files.`,
+                    severity: SEVERITY_LEVELS.LOW,
+                    files: [...affected],
+                    suggestion: 'Agree on one convention and apply it to every file.'
+                });
+            }
+        }
+
+        const riskyBoundaries = (dependencyGraph.cycles || []).map(cycle => ({
+            title: 'Circular import',
+            description: `Import cycle: ${cycle.join(' -> ')}.`,
+            severity: SEVERITY_LEVELS.MEDIUM,
+            files: [...new Set(cycle)],
+            suggestion: 'Move the shared code into a module both sides can depend on.'
+        }));
+
+        return {
+            summary: `Cross-file review of ${files.length} files: ${sharedAntiPatterns.length} shared anti-pattern(s), ` +
+                `${inconsistentConventions.length} inconsistent convention(s), ${riskyBoundaries.length} risky boundary(ies) (mock review).`,
+            sharedAntiPatterns,
+            inconsistentConventions,
+            riskyBoundaries,
+            recommendations: sharedAntiPatterns.length > 0
+                ? ['Address shared anti-patterns once, project-wide']
+                : ['Run a review with a real AI provider for a deeper analysis']
+        };
+    }
+
+    /**
+     * Build a review by running MOCK_RULES over each line
+     * @param {string} code - Code to review
+     * @param {string} language - Programming language
+     * @param {Array<number|null>} lineNumbers - Actual line number of each line (null for gap markers)
+     * @param {boolean} withFixes - Whether to attach fixes { original, replacement }
+     * @returns {Object} - Review in the model response format
+     */
+    _reviewCode(code, language, lineNumbers = null, withFixes = false) {
+        const issues = [];
+        const lines = code.split('\n');
+
+        lines.forEach((lineText, index) => {
+            const line = lineNumbers ? lineNumbers[index] : index + 1;
+            if (line === null) return;
+
+            for (const rule of MOCK_RULES) {
+                if (rule.pattern.test(lineText)) {
+                    issues.push({
+                        category: rule.category,
+                        severity: rule.severity,
+                        title: rule.title,
+                        description: rule.description,
+                        line,
+                        codeSnippet: lineText.trim(),
+                        suggestion: rule.suggestion,
+                        reasoning: rule.reasoning,
+                        ...(rule.security ? { security: rule.security } : {}),
+                        ...(withFixes && rule.fix ? { fix: { original: lineText, replacement: rule.fix(lineText) } } : {})
+                    });
+                }
+            }
+        });
+
+        const penalty = issues.reduce((total, issue) => total + SEVERITY_PENALTY[issue.severity], 0);
+        const overallScore = Math.max(0, Math.round((10 - penalty) * 10) / 10);
+
+        return {
+            overallScore,
+            summary: issues.length === 0
+                ? `No common problems detected in ${lines.length} lines of ${language} code (mock review).`
+                : `Found ${issues.length} potential issue(s) in ${lines.length} lines of ${language} code (mock review).`,
+            language,
+            issues,
+            positiveAspects: issues.length === 0 ? ['No common anti-patterns detected'] : [],
+            recommendations: issues.length > 0
+                ? ['Address the highest severity issues first']
+                : ['Run a review with a real AI provider for a deeper analysis']
+        };
+    }
+}
+
+module.exports = MockProvider;
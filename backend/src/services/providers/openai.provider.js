@@ -0,0 +1,109 @@
+const BaseProvider = require("./base.provider");
+const { AI_SERVICE, AI_PROVIDERS } = require("../../utils/constants");
+
+/**
+ * Provider for any OpenAI-compatible chat completions endpoint
+ * (OpenAI, Azure OpenAI proxies, vLLM, LM Studio, OpenRouter, ...)
+ */
+class OpenAIProvider extends BaseProvider {
+    constructor({ systemInstruction } = {}) {
+        super({
+            name: AI_PROVIDERS.OPENAI,
+            modelName: AI_SERVICE.OPENAI.MODEL_NAME,
+            systemInstruction
+        });
+
+        this.apiKey = AI_SERVICE.OPENAI.API_KEY;
+        this.baseUrl = AI_SERVICE.OPENAI.BASE_URL.replace(/\/+$/, '');
+    }
+
+    /**
+     * Generate text with the chat completions API
+     * @param {string} prompt - Prompt to send to the model
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Aborts the request
+     * @returns {Promise<string>} - Raw model output
+     */
+    async generate(prompt, { signal } = {}) {
+        const data = await this._postJson(
+            `${this.baseUrl}/chat/completions`,
+            this._buildBody(prompt),
+            this._buildHeaders(),
+            signal
+        );
+
+        const text = data?.choices?.[0]?.message?.content;
+        if (typeof text !== 'string') {
+            throw new Error('Invalid response from AI service');
+        }
+
+        return text;
+    }
+
+    /**
+     * Stream text with the chat completions API (server-sent events)
+     * @param {string} prompt - Prompt to send to the model
+     * @param {Object} options - Stream options
+     * @param {AbortSignal} options.signal - Aborts the request
+     * @returns {AsyncGenerator<string>} - Text chunks in arrival order
+     */
+    async *generateStream(prompt, { signal } = {}) {
+        const lines = this._postLines(
+            `${this.baseUrl}/chat/completions`,
+            { ...this._buildBody(prompt), stream: true },
+            this._buildHeaders(),
+            signal
+        );
+
+        for await (const line of lines) {
+            if (!line.startsWith('data:')) continue;
+
+            const payload = line.slice(5).trim();
+            if (payload === '[DONE]') break;
+
+            const text = JSON.parse(payload)?.choices?.[0]?.delta?.content;
+            if (text) {
+                yield text;
+            }
+        }
+    }
+
+    /**
+     * Build the chat completions request body
+     * @param {string} prompt - User prompt
+     * @returns {Object} - Request body
+     */
+    _buildBody(prompt) {
+        return {
+            model: this.modelName,
+            messages: this._buildMessages(prompt),
+            temperature: this.generationConfig.temperature,
+            top_p: this.generationConfig.topP,
+            max_tokens: this.generationConfig.maxOutputTokens
+        };
+    }
+
+    /**
+     * Build request headers, sending the API key only when configured
+     * @returns {Object} - Request headers
+     */
+    _buildHeaders() {
+        return this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+    }
+
+    /**
+     * Build chat messages with the system instruction first
+     * @param {string} prompt - User prompt
+     * @returns {Array<Object>} - Chat messages
+     */
+    _buildMessages(prompt) {
+        const messages = [];
+        if (this.systemInstruction) {
+            messages.push({ role: 'system', content: this.systemInstruction });
+        }
+        messages.push({ role: 'user', content: prompt });
+        return messages;
+    }
+}
+
+module.exports = OpenAIProvider;
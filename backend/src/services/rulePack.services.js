@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { validateRulePack } = require("../schemas/rulePack.schema");
+const {
+    RULE_PACK_CONFIG,
+    LOGGING_CONFIG
+} = require("../utils/constants");
+
+/**
+ * Team rule packs
+ * Named rules (a team's style guide and conventions) that are injected into
+ * review prompts for the languages and frameworks they are scoped to. The model
+ * tags the issues that break a rule with its ID; unknown IDs are dropped
+ */
+class RulePackRegistry {
+    constructor() {
+        this.directory = RULE_PACK_CONFIG.DIR ? path.resolve(RULE_PACK_CONFIG.DIR) : null;
+        this.packs = new Map();
+        this.version = null;
+
+        // Loaded synchronously: the system instruction is built once, when the AI service starts
+        if (this.directory) {
+            this._loadDirectory(this.directory);
+        }
+    }
+
+    /**
+     * Register every *.json rule pack of a directory
+     * Unreadable or invalid files are logged and skipped so one bad pack never stops the server
+     * @param {string} directory - Rule pack directory
+     */
+    _loadDirectory(directory) {
+        let fileNames;
+        try {
+            fileNames = fs.readdirSync(directory).filter(fileName => fileName.endsWith('.json')).sort();
+        } catch (error) {
+            console.error(`⚠️ Rule pack directory ${directory} could not be read:`, error.message);
+            return;
+        }
+
+        for (const fileName of fileNames) {
+            try {
+                this.register(JSON.parse(fs.readFileSync(path.join(directory, fileName), 'utf8')));
+            } catch (error) {
+                console.error(`⚠️ Rule pack ${fileName} skipped:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Register a rule pack, replacing a pack of the same name
+     * @param {Object} pack - Rule pack (see RULE_PACK_SCHEMA)
+     * @returns {Object} - Registered pack with defaults filled in
+     * @throws {Error} - When the pack is invalid or reuses a rule ID of another pack
+     */
+    register(pack) {
+        const { valid, errors } = validateRulePack(pack);
+        if (!valid) {
+            throw new Error(`Invalid rule pack: ${errors.join('; ')}`);
+        }
+
+        const ids = new Set();
+        for (const rule of pack.rules) {
+            const id = rule.id.toUpperCase();
+            const owner = this._findRule(id);
+            if (ids.has(id) || (owner && owner.pack.name !== pack.name)) {
+                throw new Error(`Rule ID ${rule.id} is defined more than once`);
+            }
+            ids.add(id);
+        }
+
+        this.packs.set(pack.name, pack);
+        this.version = this._computeVersion();
+
+        if (LOGGING_CONFIG.ENABLE_REQUEST_LOGGING) {
+            console.log(`📏 Rule Packs - registered ${pack.name} (${pack.rules.length} rules)`);
+        }
+
+        return pack;
+    }
+
+    /**
+     * Find a rule by ID across all packs
+     * @param {string} id - Rule ID (case-insensitive)
+     * @returns {Object|null} - { rule, pack } or null
+     */
+    _findRule(id) {
+        const wanted = id.toUpperCase();
+        for (const pack of this.packs.values()) {
+            const rule = pack.rules.find(candidate => candidate.id.toUpperCase() === wanted);
+            if (rule) {
+                return { rule, pack };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Hash of the registered packs, so cached reviews are not reused after a rule changes
+     * @returns {string|null} - Short hex digest, or null when no pack is registered
+     */
+    _computeVersion() {
+        if (this.packs.size === 0) {
+            return null;
+        }
+
+        return crypto
+            .createHash('sha256')
+            .update(JSON.stringify([...this.packs.values()]))
+            .digest('hex')
+            .slice(0, 12);
+    }
+
+    /**
+     * Rules that apply to a language and framework
+     * A rule applies when both its pack's scope and its own scope include them (empty scopes match all)
+     * @param {Object} context - Review context
+     * @param {string} context.language - Programming language
+     * @param {string} context.framework - Framework context
+     * @returns {Array<Object>} - Rules with their pack name, at most MAX_RULES_PER_PROMPT
+     */
+    getRules({ language, framework = null }) {
+        const inScope = ({ languages, frameworks }) =>
+            (languages.length === 0 || languages.includes(language)) &&
+            (frameworks.length === 0 || (framework && frameworks.includes(framework.toLowerCase())));
+
+        return [...this.packs.values()]
+            .filter(inScope)
+            .flatMap(pack => pack.rules.filter(inScope).map(rule => ({ ...rule, pack: pack.name })))
+            .slice(0, RULE_PACK_CONFIG.MAX_RULES_PER_PROMPT);
+    }
+
+    /**
+     * Check the rule ID the model put on an issue
+     * A rule in scope overrides the issue's category and severity; unknown or out-of-scope IDs are removed
+     * @param {Object} issue - Normalized issue
+     * @param {Array<Object>} rules - Rules of the prompt (from getRules)
+     * @returns {Object} - Issue with ruleId and rulePack, or without a rule ID
+     */
+    attachRule(issue, rules) {
+        if (!issue || issue.ruleId === undefined) {
+            return issue;
+        }
+
+        const { ruleId, rulePack, ...rest } = issue;
+        const wanted = String(ruleId).trim().toUpperCase();
+        const rule = rules.find(candidate => candidate.id.toUpperCase() === wanted);
+
+        if (!rule) {
+            return rest;
+        }
+
+        return {
+            ...rest,
+            category: rule.category,
+            severity: rule.severity,
+            ruleId: rule.id,
+            rulePack: rule.pack
+        };
+    }
+
+    /**
+     * Registered packs for prompts and status endpoints
+     * @returns {Array<Object>} - Packs { name, description, languages, frameworks, rules }
+     */
+    getPacks() {
+        return [...this.packs.values()];
+    }
+
+    /**
+     * Version of the registered packs (part of review cache keys)
+     * @returns {string|null} - Short hex digest, or null when no pack is registered
+     */
+    getVersion() {
+        return this.version;
+    }
+
+    /**
+     * Rule pack statistics for status endpoints
+     * @returns {Object} - Directory, version and a summary of every pack
+     */
+    getStats() {
+        return {
+            directory: this.directory,
+            version: this.version,
+            packs: this.getPacks().map(({ name, description, languages, frameworks, rules }) => ({
+                name,
+                description,
+                languages,
+                frameworks,
+                rules: rules.map(rule => rule.id)
+            }))
+        };
+    }
+}
+
+// Create singleton instance
+const rulePackRegistry = new RulePackRegistry();
+
+module.exports = rulePackRegistry;
@@ -0,0 +1,73 @@
+const { getAnalyzers, ANALYZERS } = require("./analyzers");
+const {
+    STATIC_ANALYSIS_CONFIG,
+    SEVERITY_LEVELS,
+    LOGGING_CONFIG
+} = require("../utils/constants");
+
+/**
+ * Static-analysis pre-pass
+ * Runs the local analysers of a language (ESLint, Stylelint) before the model is
+ * called. Their findings are merged into the review with source: static and listed
+ * in the prompt, so the model spends its effort on what linters cannot catch
+ */
+class StaticAnalysisService {
+    constructor() {
+        this.enabled = STATIC_ANALYSIS_CONFIG.ENABLED;
+    }
+
+    /**
+     * Run every analyser of a language over the code
+     * An analyser that fails is logged and skipped: the model still reviews the code
+     * @param {string} code - Reviewed code
+     * @param {string} language - Programming language
+     * @param {Object} options - Analysis options
+     * @param {boolean} options.fix - Keep the tools' fixes { original, replacement } (fix mode)
+     * @returns {Promise<Array<Object>>} - Issues with source: static, at most MAX_FINDINGS (most severe kept), by line
+     */
+    async analyze(code, language, { fix = false } = {}) {
+        const analyzers = this.enabled ? getAnalyzers(language) : [];
+        if (analyzers.length === 0) {
+            return [];
+        }
+
+        const results = await Promise.all(analyzers.map(async (analyzer) => {
+            try {
+                return await analyzer.analyze(code, language);
+            } catch (error) {
+                console.error(`⚠️ Static Analysis - ${analyzer.name} failed:`, error.message);
+                return [];
+            }
+        }));
+
+        const severityRank = Object.values(SEVERITY_LEVELS);
+        const issues = results.flat()
+            .sort((a, b) => severityRank.indexOf(a.severity) - severityRank.indexOf(b.severity) || a.line - b.line)
+            .slice(0, STATIC_ANALYSIS_CONFIG.MAX_FINDINGS)
+            .sort((a, b) => a.line - b.line)
+            .map(({ fix: toolFix, ...issue }) => (fix && toolFix ? { ...issue, fix: toolFix } : issue));
+
+        if (LOGGING_CONFIG.ENABLE_REQUEST_LOGGING) {
+            console.log(`🔎 Static Analysis - ${issues.length} finding(s) from ${analyzers.map(analyzer => analyzer.label).join(', ')}`);
+        }
+
+        return issues;
+    }
+
+    /**
+     * Static analysis settings for status endpoints
+     * @returns {Object} - Whether it is enabled and the analysers with their languages
+     */
+    getStats() {
+        return {
+            enabled: this.enabled,
+            maxFindings: STATIC_ANALYSIS_CONFIG.MAX_FINDINGS,
+            analyzers: ANALYZERS.map(({ name, languages }) => ({ name, languages }))
+        };
+    }
+}
+
+// Create singleton instance
+const staticAnalysisService = new StaticAnalysisService();
+
+module.exports = staticAnalysisService;
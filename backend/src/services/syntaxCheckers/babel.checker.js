@@ -0,0 +1,64 @@
+const babelParser = require("@babel/parser");
+const { BaseSyntaxChecker } = require("./base.checker");
+
+// Statements that are only legal inside a function or module still parse at the top level
+const PARSE_OPTIONS = {
+    sourceType: 'module',
+    allowReturnOutsideFunction: true,
+    allowAwaitOutsideFunction: true,
+    allowNewTargetOutsideFunction: true,
+    allowSuperOutsideMethod: true,
+    allowUndeclaredExports: true,
+    allowImportExportEverywhere: true,
+    errorRecovery: false
+};
+
+// TSX and generic arrow functions (<T>(x) => x) need different plugin sets
+const PLUGIN_SETS = {
+    javascript: [['jsx']],
+    typescript: [['typescript'], ['typescript', 'jsx']]
+};
+
+/**
+ * JavaScript and TypeScript syntax checker (Babel parser)
+ * Class members and object properties are accepted through class and object wrappers
+ */
+class BabelSyntaxChecker extends BaseSyntaxChecker {
+    constructor() {
+        super({
+            name: 'babel',
+            languages: ['javascript', 'typescript'],
+            wrappers: [
+                { before: 'class Fragment {\n', after: '\n}' },
+                { before: '({\n', after: '\n})' }
+            ]
+        });
+    }
+
+    /**
+     * Parse with each plugin set of the language
+     * @param {string} code - Code to parse
+     * @param {string} language - javascript or typescript
+     * @returns {Object|null} - Error of the first plugin set, or null when any set parses the code
+     */
+    parse(code, language) {
+        let firstError = null;
+
+        for (const plugins of PLUGIN_SETS[language]) {
+            try {
+                babelParser.parse(code, { ...PARSE_OPTIONS, plugins });
+                return null;
+            } catch (error) {
+                firstError = firstError || {
+                    message: error.message.replace(/\s*\(\d+:\d+\)$/, ''),
+                    line: error.loc ? error.loc.line : null,
+                    column: error.loc ? error.loc.column + 1 : null
+                };
+            }
+        }
+
+        return firstError;
+    }
+}
+
+module.exports = BabelSyntaxChecker;
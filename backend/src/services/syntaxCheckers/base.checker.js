@@ -0,0 +1,64 @@
+/**
+ * Line and column (both 1-based) of an offset in a text
+ * @param {string} text - Parsed text
+ * @param {number} offset - Character offset
+ * @returns {Object} - { line, column }
+ */
+const locateOffset = (text, offset) => {
+    const before = text.slice(0, Math.max(0, offset)).split('\n');
+    return { line: before.length, column: before[before.length - 1].length + 1 };
+};
+
+/**
+ * Base class for syntax checkers
+ * A checker parses code of one or more languages with a pure-JS parser and reports
+ * the first syntax error. Suggestions are usually fragments (a method, a few
+ * declarations), so code that fails on its own is parsed again inside each wrapper
+ * and counts as valid when one of them accepts it
+ */
+class BaseSyntaxChecker {
+    /**
+     * @param {Object} options - Checker options
+     * @param {string} options.name - Checker name
+     * @param {Array<string>} options.languages - Languages it parses (SUPPORTED_LANGUAGES keys, or json)
+     * @param {Array<Object>} options.wrappers - Contexts { before, after } tried for fragments
+     */
+    constructor({ name, languages, wrappers = [] }) {
+        this.name = name;
+        this.languages = languages;
+        this.wrappers = wrappers;
+    }
+
+    /**
+     * Parse code
+     * @param {string} code - Code to parse
+     * @param {string} language - One of this.languages
+     * @returns {Object|null} - First error { message, line, column }, or null when the code parses
+     */
+    parse(code, language) {
+        throw new Error(`parse() is not implemented by the ${this.name} syntax checker`);
+    }
+
+    /**
+     * Check code on its own, then inside each wrapper
+     * @param {string} code - Code to check
+     * @param {string} language - One of this.languages
+     * @returns {Object} - { valid, error } where error is { message, line, column } (lines of the code as given)
+     */
+    check(code, language) {
+        const error = this.parse(code, language);
+        if (!error) {
+            return { valid: true, error: null };
+        }
+
+        const fitsWrapper = this.wrappers.some(({ before, after }) =>
+            this.parse(`${before}${code}${after}`, language) === null);
+
+        return fitsWrapper ? { valid: true, error: null } : { valid: false, error };
+    }
+}
+
+module.exports = {
+    BaseSyntaxChecker,
+    locateOffset
+};
@@ -0,0 +1,55 @@
+const { parser: cssParser } = require("@lezer/css");
+const { parser: htmlParser } = require("@lezer/html");
+const { parser: pythonParser } = require("@lezer/python");
+const BabelSyntaxChecker = require("./babel.checker");
+const JsonSyntaxChecker = require("./json.checker");
+const LezerSyntaxChecker = require("./lezer.checker");
+const SqlSyntaxChecker = require("./sql.checker");
+
+/**
+ * Syntax checker registry - one checker per language with a pure-JS parser
+ * Languages without a checker are not checked
+ */
+const SYNTAX_CHECKERS = [
+    new BabelSyntaxChecker(),
+    new JsonSyntaxChecker(),
+    new LezerSyntaxChecker({
+        name: 'css',
+        languages: ['css'],
+        parser: cssParser,
+        // Declarations without their rule
+        wrappers: [{ before: 'fragment {\n', after: '\n}' }]
+    }),
+    new LezerSyntaxChecker({
+        name: 'html',
+        languages: ['html'],
+        parser: htmlParser,
+        errorNodes: ['MismatchedCloseTag']
+    }),
+    new LezerSyntaxChecker({
+        name: 'python',
+        languages: ['python'],
+        parser: pythonParser
+    }),
+    new SqlSyntaxChecker()
+];
+
+/**
+ * Get the checker of a language
+ * @param {string} language - Language name (SUPPORTED_LANGUAGES key, or json)
+ * @returns {BaseSyntaxChecker|null} - Checker, or null when the language has none
+ */
+const getSyntaxChecker = (language) =>
+    SYNTAX_CHECKERS.find(checker => checker.languages.includes(language)) || null;
+
+/**
+ * Languages that can be checked
+ * @returns {Array<string>} - Language names
+ */
+const getCheckedLanguages = () => SYNTAX_CHECKERS.flatMap(checker => checker.languages);
+
+module.exports = {
+    getSyntaxChecker,
+    getCheckedLanguages,
+    SYNTAX_CHECKERS
+};
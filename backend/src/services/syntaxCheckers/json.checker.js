@@ -0,0 +1,36 @@
+const { BaseSyntaxChecker, locateOffset } = require("./base.checker");
+
+/**
+ * JSON syntax checker (JSON.parse)
+ * Property lists ("name": value, ...) are accepted through an object wrapper
+ */
+class JsonSyntaxChecker extends BaseSyntaxChecker {
+    constructor() {
+        super({
+            name: 'json',
+            languages: ['json'],
+            wrappers: [{ before: '{\n', after: '\n}' }]
+        });
+    }
+
+    /**
+     * Parse JSON
+     * @param {string} code - Code to parse
+     * @returns {Object|null} - Error (positioned when the engine reports an offset), or null when the code parses
+     */
+    parse(code) {
+        try {
+            JSON.parse(code);
+            return null;
+        } catch (error) {
+            const position = /at position (\d+)/.exec(error.message);
+            const { line, column } = position
+                ? locateOffset(code, Number(position[1]))
+                : { line: null, column: null };
+
+            return { message: error.message, line, column };
+        }
+    }
+}
+
+module.exports = JsonSyntaxChecker;
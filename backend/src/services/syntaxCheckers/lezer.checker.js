@@ -0,0 +1,51 @@
+const { BaseSyntaxChecker, locateOffset } = require("./base.checker");
+
+/**
+ * Syntax checker for a bundled Lezer grammar (Python, CSS, HTML)
+ * Lezer parsers never throw: they recover and mark what they skipped with error
+ * nodes, so the first error node (or a node the grammar names as an error) is the error
+ */
+class LezerSyntaxChecker extends BaseSyntaxChecker {
+    /**
+     * @param {Object} options - Same as BaseSyntaxChecker, plus:
+     * @param {Object} options.parser - Lezer LRParser of the grammar
+     * @param {Array<string>} options.errorNodes - Names of grammar nodes that are errors (e.g. MismatchedCloseTag)
+     */
+    constructor({ parser, errorNodes = [], ...options }) {
+        super(options);
+        this.parser = parser;
+        this.errorNodes = new Set(errorNodes);
+    }
+
+    /**
+     * Parse and find the first error node
+     * @param {string} code - Code to parse
+     * @returns {Object|null} - Error, or null when the tree has no error node
+     */
+    parse(code) {
+        let error = null;
+
+        this.parser.parse(code).iterate({
+            enter: (node) => {
+                if (error) {
+                    return false;
+                }
+                if (node.type.isError || this.errorNodes.has(node.name)) {
+                    const found = code.slice(node.from, node.to).trim();
+                    error = {
+                        message: found
+                            ? `Unexpected ${JSON.stringify(found.slice(0, 40))}`
+                            : (node.from >= code.length ? 'Unexpected end of input' : 'Missing token'),
+                        ...locateOffset(code, node.from)
+                    };
+                    return false;
+                }
+                return undefined;
+            }
+        });
+
+        return error;
+    }
+}
+
+module.exports = LezerSyntaxChecker;
@@ -0,0 +1,54 @@
+const { BaseSyntaxChecker } = require("./base.checker");
+const { SYNTAX_CHECK_CONFIG } = require("../../utils/constants");
+
+/**
+ * SQL syntax checker (node-sql-parser)
+ * SQL has no single grammar, so each dialect of SQL_DIALECTS is tried in turn.
+ * Dialect builds are large and loaded on first use
+ */
+class SqlSyntaxChecker extends BaseSyntaxChecker {
+    constructor() {
+        super({ name: 'sql', languages: ['sql'] });
+        this.parsers = new Map();
+    }
+
+    /**
+     * Parser of one dialect
+     * @param {string} dialect - node-sql-parser database name
+     * @returns {Object} - Parser instance
+     */
+    _getParser(dialect) {
+        if (!this.parsers.has(dialect)) {
+            const { Parser } = require(`node-sql-parser/build/${dialect}`);
+            this.parsers.set(dialect, new Parser());
+        }
+        return this.parsers.get(dialect);
+    }
+
+    /**
+     * Parse with each dialect
+     * @param {string} code - Code to parse
+     * @returns {Object|null} - Error of the first dialect, or null when any dialect parses the code
+     */
+    parse(code) {
+        let firstError = null;
+
+        for (const dialect of SYNTAX_CHECK_CONFIG.SQL_DIALECTS) {
+            try {
+                this._getParser(dialect).astify(code, { database: dialect });
+                return null;
+            } catch (error) {
+                const start = error.location?.start;
+                firstError = firstError || {
+                    message: error.message,
+                    line: start ? start.line : null,
+                    column: start ? start.column : null
+                };
+            }
+        }
+
+        return firstError;
+    }
+}
+
+module.exports = SqlSyntaxChecker;
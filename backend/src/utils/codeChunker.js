@@ -0,0 +1,151 @@
+/**
+ * Split source files that exceed the per-request model budget into chunks
+ * Cuts at top-level function/class boundaries where possible and falls back
+ * to overlapping line windows for oversized blocks
+ */
+
+// Lines that start a top-level declaration, by language family
+const BOUNDARY_PATTERNS = {
+    javascript: /^(export\s+)?(default\s+)?((async\s+)?function\b|class\b|(const|let|var)\s+[\w$]+\s*=\s*(async\s*)?(\(|function\b|[\w$]+\s*=>))/,
+    python: /^((async\s+)?def\s|class\s|@)/,
+    ruby: /^(def|class|module)\s/,
+    go: /^(func|type)\s/,
+    rust: /^(pub(\([^)]*\))?\s+)?(fn|struct|enum|impl|trait|mod)\b/,
+    php: /^(abstract\s+|final\s+)?(function|class|interface|trait)\s/,
+    c: /^[A-Za-z_][\w\s*]*\s[*]*[A-Za-z_]\w*\s*\([^;]*$/,
+    jvm: /^\s{0,4}(public|private|protected|internal|static|final|abstract|override|fun|class|interface|object|enum|record|data)\b/,
+    generic: /^(function|def|class|sub|fn|func|proc)\b/
+};
+
+const LANGUAGE_FAMILIES = {
+    javascript: 'javascript',
+    typescript: 'javascript',
+    python: 'python',
+    ruby: 'ruby',
+    go: 'go',
+    rust: 'rust',
+    php: 'php',
+    c: 'c',
+    cpp: 'c',
+    java: 'jvm',
+    csharp: 'jvm',
+    kotlin: 'jvm',
+    scala: 'jvm',
+    swift: 'jvm',
+    dart: 'jvm'
+};
+
+/**
+ * Find the line indexes where a new top-level declaration starts
+ * Leading comments and decorators directly above a declaration stay with it
+ * @param {Array<string>} lines - Source lines
+ * @param {string} language - Programming language
+ * @returns {Array<number>} - Sorted 0-based line indexes (always includes 0)
+ */
+const findBoundaries = (lines, language) => {
+    const pattern = BOUNDARY_PATTERNS[LANGUAGE_FAMILIES[language] || 'generic'];
+    const boundaries = new Set([0]);
+
+    lines.forEach((line, index) => {
+        if (index === 0 || !pattern.test(line)) return;
+
+        // Pull preceding comment/decorator lines into the same block
+        let start = index;
+        while (start > 0 && /^\s*(\/\/|\/\*|\*|#|@|""")/.test(lines[start - 1])) {
+            start--;
+        }
+        boundaries.add(start);
+    });
+
+    return [...boundaries].sort((a, b) => a - b);
+};
+
+/**
+ * Split a block of lines into overlapping windows that fit the budget
+ * @param {Array<string>} lines - Source lines
+ * @param {number} from - First line index (inclusive)
+ * @param {number} to - Last line index (exclusive)
+ * @param {number} maxLength - Maximum characters per window
+ * @param {number} overlapLines - Lines repeated between consecutive windows
+ * @returns {Array<Object>} - Ranges { start, end } (0-based, end exclusive)
+ */
+const splitIntoWindows = (lines, from, to, maxLength, overlapLines) => {
+    const windows = [];
+    let start = from;
+
+    while (start < to) {
+        let end = start;
+        let length = 0;
+
+        while (end < to && (end === start || length + lines[end].length + 1 <= maxLength)) {
+            length += lines[end].length + 1;
+            end++;
+        }
+
+        windows.push({ start, end });
+        if (end >= to) break;
+
+        // Step back for context, but always make progress
+        start = Math.max(end - overlapLines, start + 1);
+    }
+
+    return windows;
+};
+
+/**
+ * Split code into reviewable chunks
+ * @param {string} code - Source code
+ * @param {Object} options - Chunking options
+ * @param {string} options.language - Programming language
+ * @param {number} options.maxChunkLength - Maximum characters per chunk
+ * @param {number} options.overlapLines - Overlap for line-window fallback
+ * @returns {Array<Object>} - Chunks { index, code, startLine, endLine } with 1-based inclusive lines
+ */
+const splitCode = (code, { language, maxChunkLength, overlapLines }) => {
+    const lines = code.split('\n');
+    const boundaries = findBoundaries(lines, language);
+    const blocks = boundaries.map((start, i) => ({
+        start,
+        end: boundaries[i + 1] ?? lines.length
+    }));
+
+    const blockLength = ({ start, end }) =>
+        lines.slice(start, end).reduce((total, line) => total + line.length + 1, 0);
+
+    // Greedily pack whole blocks into chunks; oversized blocks become line windows
+    const ranges = [];
+    let current = null;
+
+    for (const block of blocks) {
+        const length = blockLength(block);
+
+        if (length > maxChunkLength) {
+            if (current) ranges.push(current);
+            current = null;
+            ranges.push(...splitIntoWindows(lines, block.start, block.end, maxChunkLength, overlapLines));
+            continue;
+        }
+
+        if (current && current.length + length <= maxChunkLength) {
+            current.end = block.end;
+            current.length += length;
+        } else {
+            if (current) ranges.push(current);
+            current = { ...block, length };
+        }
+    }
+    if (current) ranges.push(current);
+
+    return ranges.map(({ start, end }, index) => ({
+        index,
+        code: lines.slice(start, end).join('\n'),
+        startLine: start + 1,
+        endLine: end
+    }));
+};
+
+module.exports = {
+    LANGUAGE_FAMILIES,
+    splitCode,
+    findBoundaries
+};
@@ -0,0 +1,188 @@
+/**
+ * Language-independent code metrics
+ * Line counts, comment ratio and duplicate blocks only need to know where the
+ * comments are: parsers report them exactly, findComments approximates them from
+ * COMMENT_SYNTAX for every other language
+ */
+const { COMMENT_SYNTAX, DEFAULT_COMMENT_SYNTAX } = require("./constants");
+
+// Quotes whose contents are skipped when looking for comments
+const QUOTES = ['"', "'", '`'];
+
+// Lines without content of their own (closing braces, lone punctuation) never start or make a duplicate
+const TRIVIAL_LINE = /^[\s{}()[\];,]*$/;
+
+/**
+ * Find the comments of code by its language's comment syntax
+ * Strings are skipped so "//" inside a URL is not a comment; nothing else of the
+ * grammar is known, so the result is approximate
+ * @param {string} code - Source code
+ * @param {string} language - Programming language
+ * @returns {Array<Object>} - Comments { from, to } as character offsets, in order
+ */
+const findComments = (code, language) => {
+    const syntax = COMMENT_SYNTAX[language] || DEFAULT_COMMENT_SYNTAX;
+    const comments = [];
+    let index = 0;
+
+    while (index < code.length) {
+        const char = code[index];
+
+        if (QUOTES.includes(char)) {
+            let end = index + 1;
+            while (end < code.length && code[end] !== char && (char === '`' || code[end] !== '\n')) {
+                end += code[end] === '\\' ? 2 : 1;
+            }
+            index = end + 1;
+            continue;
+        }
+
+        const block = syntax.block.find(([open]) => code.startsWith(open, index));
+        if (block) {
+            const close = code.indexOf(block[1], index + block[0].length);
+            const to = close === -1 ? code.length : close + block[1].length;
+            comments.push({ from: index, to });
+            index = to;
+            continue;
+        }
+
+        if (syntax.line.some(open => code.startsWith(open, index))) {
+            const newline = code.indexOf('\n', index);
+            const to = newline === -1 ? code.length : newline;
+            comments.push({ from: index, to });
+            index = to;
+            continue;
+        }
+
+        index++;
+    }
+
+    return comments;
+};
+
+/**
+ * Blank out comments, keeping line breaks so line numbers stay the same
+ * @param {string} code - Source code
+ * @param {Array<Object>} comments - Comments { from, to }
+ * @returns {string} - Code with every comment character but newlines replaced by spaces
+ */
+const maskComments = (code, comments) => {
+    let masked = '';
+    let offset = 0;
+
+    for (const { from, to } of comments) {
+        masked += code.slice(offset, from) + code.slice(from, to).replace(/[^\n]/g, ' ');
+        offset = to;
+    }
+
+    return masked + code.slice(offset);
+};
+
+/**
+ * Split code into lines, without the empty line after a final newline
+ * @param {string} code - Source code
+ * @returns {Array<string>} - Lines
+ */
+const splitLines = (code) => {
+    const lines = code.split(/\r?\n/);
+    return lines.length > 1 && lines[lines.length - 1] === '' ? lines.slice(0, -1) : lines;
+};
+
+/**
+ * Count code, comment and blank lines
+ * A line with code and a trailing comment is a code line
+ * @param {string} code - Source code
+ * @param {Array<Object>} comments - Comments { from, to }
+ * @returns {Object} - { total, code, comment, blank }
+ */
+const countLines = (code, comments) => {
+    const lines = splitLines(code);
+    const masked = splitLines(maskComments(code, comments));
+    const counts = { total: lines.length, code: 0, comment: 0, blank: 0 };
+
+    lines.forEach((line, index) => {
+        if (!line.trim()) {
+            counts.blank++;
+        } else if (!masked[index]?.trim()) {
+            counts.comment++;
+        } else {
+            counts.code++;
+        }
+    });
+
+    return counts;
+};
+
+/**
+ * Find blocks of code lines that appear more than once
+ * Lines are compared without comments, indentation and runs of whitespace; blank
+ * and punctuation-only lines are skipped. Overlapping windows of minLines lines
+ * are matched, then grown while every occurrence keeps matching
+ * @param {string} code - Source code
+ * @param {Array<Object>} comments - Comments { from, to }
+ * @param {number} minLines - Shortest duplicate, in code lines
+ * @returns {Array<Object>} - Blocks { lines, occurrences: [{ line, endLine }] }, longest first
+ */
+const findDuplicateBlocks = (code, comments, minLines) => {
+    const entries = splitLines(maskComments(code, comments))
+        .map((text, index) => ({ number: index + 1, text: text.trim().replace(/\s+/g, ' ') }))
+        .filter(entry => !TRIVIAL_LINE.test(entry.text));
+    const texts = entries.map(entry => entry.text);
+
+    const windows = new Map();
+    for (let start = 0; start + minLines <= texts.length; start++) {
+        const key = texts.slice(start, start + minLines).join('\n');
+        if (!windows.has(key)) windows.set(key, []);
+        windows.get(key).push(start);
+    }
+
+    const covered = new Set();
+    const blocks = [];
+
+    for (let start = 0; start + minLines <= texts.length; start++) {
+        if (covered.has(start)) {
+            continue;
+        }
+
+        // Later occurrences that do not overlap the previous one
+        const starts = [];
+        for (const other of windows.get(texts.slice(start, start + minLines).join('\n'))) {
+            if (other >= start && (starts.length === 0 || other >= starts[starts.length - 1] + minLines)) {
+                starts.push(other);
+            }
+        }
+        if (starts.length < 2) {
+            continue;
+        }
+
+        let length = minLines;
+        while (starts.every((other, index) => other + length < texts.length
+            && texts[other + length] === texts[start + length]
+            && (index === starts.length - 1 || other + length < starts[index + 1]))) {
+            length++;
+        }
+
+        for (const other of starts) {
+            for (let offset = 0; offset < length; offset++) {
+                covered.add(other + offset);
+            }
+        }
+
+        blocks.push({
+            lines: length,
+            occurrences: starts.map(other => ({
+                line: entries[other].number,
+                endLine: entries[other + length - 1].number
+            }))
+        });
+    }
+
+    return blocks.sort((a, b) => b.lines - a.lines || a.occurrences[0].line - b.occurrences[0].line);
+};
+
+module.exports = {
+    findComments,
+    maskComments,
+    countLines,
+    findDuplicateBlocks
+};
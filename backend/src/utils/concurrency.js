@@ -0,0 +1,28 @@
+/**
+ * Map over items with at most `limit` promises in flight
+ * Results keep the input order; the first rejection rejects the whole map
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} - Results in input order
+ */
+const mapWithConcurrency = async (items, limit, fn) => {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const worker = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    const workers = Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker);
+    await Promise.all(workers);
+
+    return results;
+};
+
+module.exports = {
+    mapWithConcurrency
+};
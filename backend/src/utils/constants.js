@@ -10,10 +10,17 @@ require('dotenv').config();
 // Validate required environment variables
 const validateEnvironment = () => {
     const missingVars = [];
+
+    // The mock provider runs fully offline - every other setting has a default
+    if (AI_SERVICE.PROVIDER === AI_PROVIDERS.MOCK) {
+        return;
+    }
+
+    // Cassette replays never reach the provider, so its credentials are not needed
+    const replaying = AI_SERVICE.CASSETTE.MODE === CASSETTE_MODES.REPLAY;
     const requiredVars = [
-        'GEMINI_API_KEY',
-        'NODE_ENV',
-        'PORT'
+        ...REQUIRED_ENV_VARS,
+        ...(replaying ? [] : PROVIDER_REQUIRED_ENV_VARS[AI_SERVICE.PROVIDER] || [])
     ];
 
     requiredVars.forEach(varName => {
@@ -29,11 +36,12 @@ const validateEnvironment = () => {
     }
 };
 
-validateEnvironment();
-
 // API Configuration Constants
 const API_CONFIG = {
+    // Largest code sent to the model in one request; bigger inputs are reviewed in chunks
     MAX_CODE_LENGTH: parseInt(process.env.MAX_CODE_LENGTH) || 15000,
+    MAX_TOTAL_CODE_LENGTH: parseInt(process.env.MAX_TOTAL_CODE_LENGTH) || 300000,
+    MAX_LINE_LENGTH: parseInt(process.env.MAX_LINE_LENGTH) || 5000,
     MAX_FILE_NAME_LENGTH: parseInt(process.env.MAX_FILE_NAME_LENGTH) || 255,
     MAX_FRAMEWORK_NAME_LENGTH: parseInt(process.env.MAX_FRAMEWORK_NAME_LENGTH) || 100,
     REQUEST_TIMEOUT: parseInt(process.env.AI_REQUEST_TIMEOUT) || 45000, // 45 seconds
@@ -45,8 +53,29 @@ const API_CONFIG = {
     FRONTEND_URL: process.env.FRONTEND_URL || 'http://localhost:5173'
 };
 
+// Supported AI providers (selected with AI_PROVIDER)
+const AI_PROVIDERS = {
+    GEMINI: 'gemini',
+    OPENAI: 'openai',
+    OLLAMA: 'ollama',
+    LLAMACPP: 'llamacpp',
+    MOCK: 'mock'
+};
+
+// Cassette modes for recording/replaying AI calls (AI_CASSETTE_MODE)
+const CASSETTE_MODES = {
+    OFF: 'off',
+    RECORD: 'record',
+    REPLAY: 'replay',
+    // Replay when a recording exists, otherwise call the provider and record
+    AUTO: 'auto'
+};
+
 // AI Service Constants
 const AI_SERVICE = {
+    PROVIDER: (process.env.AI_PROVIDER || AI_PROVIDERS.GEMINI).toLowerCase(),
+    // Bump whenever the system instruction, review prompt or review output changes meaningfully
+    PROMPT_VERSION: '5',
     MODEL_NAME: process.env.AI_MODEL_NAME || "gemini-2.0-flash-exp",
     API_KEY: process.env.GEMINI_API_KEY,
     TEMPERATURE: 0.1,
@@ -70,7 +99,31 @@ const AI_SERVICE = {
             category: "HARM_CATEGORY_DANGEROUS_CONTENT",
             threshold: "BLOCK_MEDIUM_AND_ABOVE"
         }
-    ]
+    ],
+    // Any OpenAI-compatible chat completions endpoint
+    OPENAI: {
+        API_KEY: process.env.OPENAI_API_KEY,
+        BASE_URL: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+        MODEL_NAME: process.env.OPENAI_MODEL_NAME || 'gpt-4o-mini'
+    },
+    // Local inference servers (code never leaves the machine)
+    OLLAMA: {
+        BASE_URL: process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
+        MODEL_NAME: process.env.OLLAMA_MODEL_NAME || 'llama3.1'
+    },
+    LLAMACPP: {
+        BASE_URL: process.env.LLAMACPP_BASE_URL || 'http://localhost:8080',
+        MODEL_NAME: process.env.LLAMACPP_MODEL_NAME || 'local-model'
+    },
+    // Offline heuristic provider
+    MOCK: {
+        MODEL_NAME: 'mock-heuristic-v1'
+    },
+    // Prompt/response recordings keyed by prompt + model settings hash
+    CASSETTE: {
+        MODE: (process.env.AI_CASSETTE_MODE || CASSETTE_MODES.OFF).toLowerCase(),
+        DIR: process.env.AI_CASSETTE_DIR || 'cassettes'
+    }
 };
 
 // Supported Programming Languages with their file extensions
@@ -101,6 +154,39 @@ const SUPPORTED_LANGUAGES = {
     haskell: ['hs']
 };
 
+// Comment syntax of each SUPPORTED_LANGUAGES entry, used to find inline review directives
+const C_STYLE_COMMENTS = { line: ['//'], block: [['/*', '*/']] };
+const HASH_COMMENTS = { line: ['#'], block: [] };
+const COMMENT_SYNTAX = {
+    javascript: C_STYLE_COMMENTS,
+    typescript: C_STYLE_COMMENTS,
+    python: HASH_COMMENTS,
+    java: C_STYLE_COMMENTS,
+    cpp: C_STYLE_COMMENTS,
+    c: C_STYLE_COMMENTS,
+    csharp: C_STYLE_COMMENTS,
+    go: C_STYLE_COMMENTS,
+    rust: C_STYLE_COMMENTS,
+    php: { line: ['//', '#'], block: [['/*', '*/']] },
+    ruby: { line: ['#'], block: [['=begin', '=end']] },
+    swift: C_STYLE_COMMENTS,
+    kotlin: C_STYLE_COMMENTS,
+    html: { line: [], block: [['<!--', '-->']] },
+    css: { line: [], block: [['/*', '*/']] },
+    sql: { line: ['--'], block: [['/*', '*/']] },
+    r: HASH_COMMENTS,
+    shell: HASH_COMMENTS,
+    powershell: { line: ['#'], block: [['<#', '#>']] },
+    perl: HASH_COMMENTS,
+    lua: { line: ['--'], block: [['--[[', ']]']] },
+    dart: C_STYLE_COMMENTS,
+    scala: C_STYLE_COMMENTS,
+    haskell: { line: ['--'], block: [['{-', '-}']] }
+};
+
+// Comment syntax tried for languages without an entry above
+const DEFAULT_COMMENT_SYNTAX = { line: ['//', '#', '--'], block: [['/*', '*/'], ['<!--', '-->']] };
+
 // Common Frameworks for context-aware reviews
 const SUPPORTED_FRAMEWORKS = [
     // JavaScript/TypeScript Frameworks
@@ -132,6 +218,7 @@ const ERROR_CODES = {
     AI_QUOTA_EXCEEDED: 'AI_QUOTA_EXCEEDED',
     AI_AUTH_ERROR: 'AI_AUTH_ERROR',
     AI_SERVICE_UNAVAILABLE: 'AI_SERVICE_UNAVAILABLE',
+    AI_INVALID_RESPONSE: 'AI_INVALID_RESPONSE',
     
     // Rate Limiting Errors
     RATE_LIMIT_EXCEEDED: 'RATE_LIMIT_EXCEEDED',
@@ -141,6 +228,9 @@ const ERROR_CODES = {
     INTERNAL_ERROR: 'INTERNAL_ERROR',
     SERVICE_UNAVAILABLE: 'SERVICE_UNAVAILABLE',
     ROUTE_NOT_FOUND: 'ROUTE_NOT_FOUND',
+    FORBIDDEN: 'FORBIDDEN',
+    GIT_ERROR: 'GIT_ERROR',
+    REVIEW_NOT_FOUND: 'REVIEW_NOT_FOUND',
     FILE_TOO_LARGE: 'FILE_TOO_LARGE',
     ENV_VALIDATION_ERROR: 'ENV_VALIDATION_ERROR'
 };
@@ -156,6 +246,7 @@ const HTTP_STATUS = {
     PAYLOAD_TOO_LARGE: 413,
     TOO_MANY_REQUESTS: 429,
     INTERNAL_SERVER_ERROR: 500,
+    BAD_GATEWAY: 502,
     SERVICE_UNAVAILABLE: 503,
     GATEWAY_TIMEOUT: 504
 };
@@ -181,6 +272,54 @@ const SEVERITY_LEVELS = {
     INFO: 'INFO'
 };
 
+// How easily the weakness behind a SECURITY issue can be exploited
+const EXPLOITABILITY_LEVELS = {
+    HIGH: 'HIGH',
+    MEDIUM: 'MEDIUM',
+    LOW: 'LOW'
+};
+
+// Review profiles selected with the profile parameter (without one, reviews cover everything)
+// categoryWeights rank the categories a profile reports (unlisted categories are left out);
+// minSeverity is the lowest severity it reports
+const REVIEW_PROFILES = {
+    'security-audit': {
+        label: 'Security Audit',
+        focus: 'Audit the code for exploitable weaknesses: injection, broken authentication and access control, unsafe deserialization, secrets in code, weak cryptography and untrusted data reaching sensitive sinks. Report bugs only when they have a security impact.',
+        categoryWeights: { SECURITY: 3, BUG: 1 },
+        minSeverity: SEVERITY_LEVELS.LOW,
+        tone: 'Precise and sober, like a penetration test report: name the attack, how it is triggered and what it exposes, and fill in every field of the security object. No praise and no style remarks.'
+    },
+    performance: {
+        label: 'Performance',
+        focus: 'Find what makes the code slow or wasteful: algorithmic complexity, repeated work, unnecessary allocations and copies, blocking I/O, N+1 queries and missing caching or batching.',
+        categoryWeights: { PERFORMANCE: 3, BUG: 1 },
+        minSeverity: SEVERITY_LEVELS.LOW,
+        tone: 'Quantitative and pragmatic: state the cost (complexity, allocations, round trips) and when it starts to matter. Do not suggest micro-optimizations that hurt clarity for no measurable gain.'
+    },
+    readability: {
+        label: 'Readability',
+        focus: 'Review how easy the code is to read and change: naming, function size, nesting, duplication, dead code, comments and consistency with the conventions of the language.',
+        categoryWeights: { MAINTAINABILITY: 3, CODE_STYLE: 3, DOCUMENTATION: 2, BEST_PRACTICE: 2, BUG: 1, TESTING: 1 },
+        minSeverity: SEVERITY_LEVELS.INFO,
+        tone: 'Constructive and concrete: show the clearer version of the code instead of describing it.'
+    },
+    'beginner-friendly': {
+        label: 'Beginner Friendly',
+        focus: 'Review the code of someone learning to program. Report the few issues that matter most and use each one to teach the concept behind it.',
+        categoryWeights: { BUG: 3, SECURITY: 3, BEST_PRACTICE: 2, MAINTAINABILITY: 1, PERFORMANCE: 1, CODE_STYLE: 1, TESTING: 1, DOCUMENTATION: 1 },
+        minSeverity: SEVERITY_LEVELS.MEDIUM,
+        tone: 'Encouraging and plain-spoken: explain every issue in simple terms without jargon, say why it matters and start the summary with what was done well.'
+    },
+    strict: {
+        label: 'Strict',
+        focus: 'Hold the code to production standards and report every deviation from best practice, however small.',
+        categoryWeights: { SECURITY: 1, BUG: 1, PERFORMANCE: 1, MAINTAINABILITY: 1, BEST_PRACTICE: 1, CODE_STYLE: 1, TESTING: 1, DOCUMENTATION: 1 },
+        minSeverity: SEVERITY_LEVELS.INFO,
+        tone: 'Direct and exhaustive: do not soften findings and do not leave anything out because it seems minor.'
+    }
+};
+
 // Rate Limiting Configuration
 const RATE_LIMIT_CONFIG = {
     CODE_REVIEW_WINDOW_MS: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || (15 * 60 * 1000), // 15 minutes
@@ -193,15 +332,30 @@ const RATE_LIMIT_CONFIG = {
 
 // Environment Variables Validation
 const REQUIRED_ENV_VARS = [
-    'GEMINI_API_KEY',
     'NODE_ENV',
     'PORT'
 ];
 
+// Additional variables required by the selected AI provider
+const PROVIDER_REQUIRED_ENV_VARS = {
+    [AI_PROVIDERS.GEMINI]: ['GEMINI_API_KEY'],
+    [AI_PROVIDERS.OPENAI]: [],
+    [AI_PROVIDERS.OLLAMA]: [],
+    [AI_PROVIDERS.LLAMACPP]: [],
+    [AI_PROVIDERS.MOCK]: []
+};
+
 // Response Messages
 const RESPONSE_MESSAGES = {
     SUCCESS: {
         CODE_REVIEW: 'Code review completed successfully',
+        PROJECT_REVIEW: 'Project review completed successfully',
+        DIFF_REVIEW: 'Diff review completed successfully',
+        GIT_REVIEW: 'Git range review completed successfully',
+        REVIEW_COMPARE: 'Review comparison completed successfully',
+        HISTORY_LIST: 'Review history retrieved successfully',
+        HISTORY_FETCH: 'Review retrieved successfully',
+        HISTORY_DELETE: 'Review deleted successfully',
         HEALTH_CHECK: 'AI service is healthy',
         LANGUAGES_FETCH: 'Supported languages retrieved successfully',
         SERVER_RUNNING: 'Server is running successfully'
@@ -211,7 +365,235 @@ const RESPONSE_MESSAGES = {
         SERVICE_UNAVAILABLE: 'AI service is temporarily unavailable',
         INVALID_API_KEY: 'Invalid API key configuration',
         RATE_LIMIT_EXCEEDED: 'Too many requests, please try again later',
-        MISSING_ENV_VARS: 'Missing required environment variables'
+        MISSING_ENV_VARS: 'Missing required environment variables',
+        INVALID_AI_RESPONSE: 'The AI model returned a review that does not match the expected format',
+        GIT_REVIEW_DISABLED: 'Git repository review is disabled; set GIT_REVIEW_ROOTS to the directories it may read',
+        REVIEW_NOT_FOUND: 'Review not found'
+    }
+};
+
+// Review cache stores (REVIEW_CACHE_STORE)
+const CACHE_STORES = {
+    MEMORY: 'memory',
+    FILE: 'file'
+};
+
+// Chunked Review Configuration (files larger than MAX_CODE_LENGTH)
+const CHUNKING_CONFIG = {
+    OVERLAP_LINES: parseInt(process.env.CHUNK_OVERLAP_LINES) || 20,
+    MAX_CONCURRENT_CHUNKS: parseInt(process.env.MAX_CONCURRENT_CHUNKS) || 3
+};
+
+// Project Review Configuration (POST /api/review/project)
+const PROJECT_CONFIG = {
+    MAX_FILES: parseInt(process.env.PROJECT_MAX_FILES) || 50,
+    MAX_TOTAL_CODE_LENGTH: parseInt(process.env.PROJECT_MAX_TOTAL_CODE_LENGTH) || 1000000,
+    MAX_FILE_PATH_LENGTH: parseInt(process.env.PROJECT_MAX_FILE_PATH_LENGTH) || 1024,
+    MAX_CONCURRENT_FILES: parseInt(process.env.PROJECT_MAX_CONCURRENT_FILES) || 3,
+    // Characters of each file shown to the model for the cross-file summary
+    SUMMARY_EXCERPT_LENGTH: parseInt(process.env.PROJECT_SUMMARY_EXCERPT_LENGTH) || 1500
+};
+
+// Diff Review Configuration (unified diffs sent to /api/review or /api/review/diff)
+const DIFF_CONFIG = {
+    MAX_DIFF_LENGTH: parseInt(process.env.MAX_DIFF_LENGTH) || 300000,
+    MAX_FILES: parseInt(process.env.DIFF_MAX_FILES) || 50,
+    // Unchanged lines shown around each hunk when the original file is known
+    CONTEXT_LINES: parseInt(process.env.DIFF_CONTEXT_LINES) || 10
+};
+
+// Git Range Review Configuration (POST /api/review/git and the CLI)
+const GIT_REVIEW_CONFIG = {
+    // Directories the HTTP endpoint may read repositories from (comma separated); empty disables it
+    ALLOWED_ROOTS: (process.env.GIT_REVIEW_ROOTS || '').split(',').map(root => root.trim()).filter(Boolean),
+    COMMAND_TIMEOUT: parseInt(process.env.GIT_COMMAND_TIMEOUT) || 15000,
+    MAX_OUTPUT_BYTES: parseInt(process.env.GIT_MAX_OUTPUT_BYTES) || (20 * 1024 * 1024),
+    MAX_PATHS: 50
+};
+
+// Response formats of review endpoints, chosen with ?format= or the Accept header
+const OUTPUT_FORMATS = {
+    JSON: 'json',
+    SARIF: 'sarif',
+    CHECKSTYLE: 'checkstyle',
+    JUNIT: 'junit',
+    CODE_QUALITY: 'codequality',
+    MARKDOWN: 'markdown',
+    HTML: 'html',
+    BASELINE: 'baseline',
+    PATCH: 'patch'
+};
+
+// Exporter Configuration (every format except the JSON envelope)
+const EXPORT_CONFIG = {
+    TOOL_NAME: 'Code Review AI',
+    TOOL_VERSION: '1.0.0',
+    // Rule IDs are RULE_PREFIX plus the lower-case issue category, e.g. review/security
+    RULE_PREFIX: 'review/'
+};
+
+// SARIF Output Configuration
+const SARIF_CONFIG = {
+    VERSION: '2.1.0',
+    SCHEMA_URI: 'https://json.schemastore.org/sarif-2.1.0.json'
+};
+
+// Review Cache Configuration
+const CACHE_CONFIG = {
+    ENABLED: process.env.REVIEW_CACHE_ENABLED !== 'false',
+    STORE: (process.env.REVIEW_CACHE_STORE || CACHE_STORES.MEMORY).toLowerCase(),
+    TTL_MS: parseInt(process.env.REVIEW_CACHE_TTL_MS) || (60 * 60 * 1000), // 1 hour
+    MAX_ENTRIES: parseInt(process.env.REVIEW_CACHE_MAX_ENTRIES) || 500,
+    DIR: process.env.REVIEW_CACHE_DIR || '.cache/reviews'
+};
+
+// Kinds of stored reviews
+const REVIEW_MODES = {
+    CODE: 'code',
+    DIFF: 'diff',
+    PROJECT: 'project',
+    GIT: 'git'
+};
+
+// Review History Configuration (SQLite through sql.js)
+const HISTORY_CONFIG = {
+    ENABLED: process.env.REVIEW_HISTORY_ENABLED !== 'false',
+    // Database file; ':memory:' keeps the history for the lifetime of the process only
+    DB_PATH: process.env.REVIEW_HISTORY_DB || '.data/reviews.sqlite',
+    // Oldest reviews are pruned beyond this count
+    MAX_ENTRIES: parseInt(process.env.REVIEW_HISTORY_MAX_ENTRIES) || 10000,
+    // The database lives in memory: reviews larger than this are stored as a summary
+    // (most severe issues, no code), and the oldest are pruned beyond the total
+    MAX_REVIEW_BYTES: parseInt(process.env.REVIEW_HISTORY_MAX_REVIEW_BYTES) || 256 * 1024,
+    MAX_TOTAL_BYTES: parseInt(process.env.REVIEW_HISTORY_MAX_TOTAL_BYTES) || 64 * 1024 * 1024,
+    // Issues kept in the summary of a review over MAX_REVIEW_BYTES
+    MAX_SUMMARY_ISSUES: 200,
+    // Changes within this window are written to the file in one export
+    PERSIST_DELAY_MS: 2000,
+    DEFAULT_PAGE_SIZE: 20,
+    MAX_PAGE_SIZE: 100
+};
+
+// Issue fingerprints and suppression baselines
+const BASELINE_CONFIG = {
+    // Baseline applied to every review (JSON written by format=baseline, or a list of fingerprints)
+    FILE: process.env.REVIEW_BASELINE_FILE || null,
+    // Bump when the fingerprint input changes so old baselines are recognizably stale
+    FINGERPRINT_VERSION: 1,
+    FINGERPRINT_LENGTH: 32,
+    // Enclosing symbols are qualified up to this many levels (e.g. Class.method)
+    MAX_SYMBOL_DEPTH: 3,
+    MAX_ENTRIES: 10000
+};
+
+// Fix mode: unified diff patches built from the fixes the model attaches to issues
+const FIX_CONFIG = {
+    // Unchanged lines shown around each change, as in diff -u
+    CONTEXT_LINES: 3,
+    // Longer fixes are rejected: they rewrite code rather than fix an issue
+    MAX_FIX_LINES: 40
+};
+
+// Team rule packs injected into review prompts
+const RULE_PACK_CONFIG = {
+    // Directory of rule pack JSON files loaded at startup
+    DIR: process.env.REVIEW_RULE_PACKS_DIR || null,
+    // Rules beyond this many (per prompt, after language/framework scoping) are left out
+    MAX_RULES_PER_PROMPT: parseInt(process.env.REVIEW_RULE_PACKS_MAX_RULES) || 40,
+    MAX_EXAMPLE_LENGTH: 800
+};
+
+// What happens to issues whose codeSnippet is nowhere in the reviewed code
+const ANCHOR_POLICIES = {
+    // Keep them, with anchor.status 'unmatched'
+    FLAG: 'flag',
+    // Move them out of issues into unanchored
+    DROP: 'drop'
+};
+
+// Issue anchoring: line numbers checked against where each codeSnippet really is
+const ANCHOR_CONFIG = {
+    UNMATCHED: Object.values(ANCHOR_POLICIES).includes(process.env.REVIEW_UNANCHORED_ISSUES?.toLowerCase())
+        ? process.env.REVIEW_UNANCHORED_ISSUES.toLowerCase()
+        : ANCHOR_POLICIES.FLAG,
+    // One-line snippets may be several code lines joined by the model; up to this many are joined
+    MAX_JOINED_LINES: 6,
+    // Snippet lines shorter than this (normalized) must equal a whole code line: a short
+    // fragment such as "}" or "return x;" occurs inside almost any code
+    MIN_PARTIAL_LENGTH: 12
+};
+
+// Syntax check of the code in suggestions
+const SYNTAX_CHECK_CONFIG = {
+    // Ask the model once more for suggestions that do not parse (REVIEW_SYNTAX_REPROMPT=true)
+    REPROMPT: process.env.REVIEW_SYNTAX_REPROMPT === 'true',
+    // SQL has no single grammar: a suggestion is valid when one of these dialects parses it
+    SQL_DIALECTS: ['mysql', 'postgresql', 'sqlite', 'transactsql'],
+    // Longer suggestions are not parsed
+    MAX_CODE_LENGTH: 20000
+};
+
+// Where an issue comes from
+const ISSUE_SOURCES = {
+    // The model
+    AI: 'ai',
+    // A local static analyser (ESLint, Stylelint) run before the model
+    STATIC: 'static'
+};
+
+// Local static-analysis pre-pass (see services/analyzers)
+const STATIC_ANALYSIS_CONFIG = {
+    ENABLED: process.env.REVIEW_STATIC_ANALYSIS !== 'false',
+    // Findings kept per file (most severe first); the rest are left to the model
+    MAX_FINDINGS: 30,
+    // ESLint rules whose findings are SECURITY issues, with the CWE each reports
+    SECURITY_RULES: {
+        'no-eval': 'CWE-95',
+        'no-implied-eval': 'CWE-95',
+        'no-new-func': 'CWE-95',
+        'no-script-url': 'CWE-79'
+    },
+    // Words a model issue title uses for the problem a rule reports. A model issue on the line of
+    // a finding repeats it only when its title names the rule's problem; rules not listed here
+    // are named by the words of their ID (no-unused-vars: unused, vars)
+    RULE_TERMS: {
+        eqeqeq: ['equality', 'loose', '==='],
+        'no-var': ['var'],
+        'prefer-const': ['const'],
+        'no-eval': ['eval'],
+        'no-implied-eval': ['eval', 'settimeout', 'setinterval'],
+        'no-new-func': ['function constructor', 'new function'],
+        'no-script-url': ['script url', 'javascript url', 'javascript protocol']
+    },
+    // ESLint rules enabled on top of eslint:recommended. no-undef and no-unused-vars are off:
+    // a snippet is reviewed without the code that defines its globals or calls its functions
+    // (module scope counts as local, so vars: 'local' would still flag every top-level function)
+    ESLINT_RULES: {
+        'no-undef': 'off',
+        'no-unused-vars': 'off',
+        eqeqeq: ['error', 'smart'],
+        'no-var': 'error',
+        'prefer-const': 'error',
+        'no-eval': 'error',
+        'no-implied-eval': 'error',
+        'no-new-func': 'error',
+        'no-script-url': 'error'
+    }
+};
+
+// Code metrics computed locally for every review (see services/metrics)
+const METRICS_CONFIG = {
+    ENABLED: process.env.REVIEW_METRICS !== 'false',
+    // Shortest run of code lines reported as a duplicate block
+    DUPLICATE_MIN_LINES: 5,
+    // Duplicate blocks and functions listed per file (all are counted)
+    MAX_DUPLICATE_BLOCKS: 10,
+    MAX_FUNCTIONS: 50,
+    // Functions above these are counted in functions.overThreshold
+    THRESHOLDS: {
+        COMPLEXITY: 10,
+        LENGTH: 50,
+        NESTING: 4
     }
 };
 
@@ -221,18 +603,47 @@ const LOGGING_CONFIG = {
     ENABLE_REQUEST_LOGGING: process.env.ENABLE_REQUEST_LOGGING !== 'false'
 };
 
+validateEnvironment();
+
 // Export all constants
 module.exports = {
     API_CONFIG,
+    AI_PROVIDERS,
+    CASSETTE_MODES,
     AI_SERVICE,
     SUPPORTED_LANGUAGES,
+    COMMENT_SYNTAX,
+    DEFAULT_COMMENT_SYNTAX,
     SUPPORTED_FRAMEWORKS,
     ERROR_CODES,
     HTTP_STATUS,
     ISSUE_CATEGORIES,
     SEVERITY_LEVELS,
+    EXPLOITABILITY_LEVELS,
+    REVIEW_PROFILES,
     RATE_LIMIT_CONFIG,
     REQUIRED_ENV_VARS,
+    PROVIDER_REQUIRED_ENV_VARS,
     RESPONSE_MESSAGES,
+    CHUNKING_CONFIG,
+    PROJECT_CONFIG,
+    DIFF_CONFIG,
+    GIT_REVIEW_CONFIG,
+    OUTPUT_FORMATS,
+    EXPORT_CONFIG,
+    SARIF_CONFIG,
+    CACHE_STORES,
+    CACHE_CONFIG,
+    REVIEW_MODES,
+    HISTORY_CONFIG,
+    BASELINE_CONFIG,
+    FIX_CONFIG,
+    RULE_PACK_CONFIG,
+    ANCHOR_POLICIES,
+    ANCHOR_CONFIG,
+    SYNTAX_CHECK_CONFIG,
+    ISSUE_SOURCES,
+    STATIC_ANALYSIS_CONFIG,
+    METRICS_CONFIG,
     LOGGING_CONFIG
 };
\ No newline at end of file
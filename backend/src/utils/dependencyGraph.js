@@ -0,0 +1,196 @@
+const path = require('path');
+
+/**
+ * Lightweight import graph for multi-file reviews
+ * Extracts import statements with regexes (no parsing) and resolves
+ * relative imports against the submitted file paths
+ */
+
+// Import statement patterns by language; the first capture group is the module specifier
+const IMPORT_PATTERNS = {
+    javascript: [
+        /\bimport\s+(?:[\w*{}\s,$]+\s+from\s+)?['"]([^'"]+)['"]/g,
+        /\bexport\s+(?:\*|\{[^}]*\})\s+from\s+['"]([^'"]+)['"]/g,
+        /\brequire\s*\(\s*['"]([^'"]+)['"]\s*\)/g,
+        /\bimport\s*\(\s*['"]([^'"]+)['"]\s*\)/g
+    ],
+    python: [
+        /^\s*from\s+(\.*[\w.]*)\s+import\s/gm,
+        /^\s*import\s+([\w.]+)/gm
+    ],
+    go: [/^\s*(?:import\s+)?(?:\w+\s+)?"([^"]+)"/gm],
+    java: [/^\s*import\s+(?:static\s+)?([\w.]+)(?:\.\*)?\s*;/gm],
+    csharp: [/^\s*using\s+([\w.]+)\s*;/gm],
+    php: [/\b(?:require|include)(?:_once)?\s*\(?\s*['"]([^'"]+)['"]/g, /^\s*use\s+([\w\\]+)/gm],
+    ruby: [/\brequire(?:_relative)?\s+['"]([^'"]+)['"]/g],
+    rust: [/^\s*(?:pub\s+)?(?:use|mod)\s+([\w:]+)/gm],
+    c: [/^\s*#include\s+"([^"]+)"/gm]
+};
+
+const LANGUAGE_ALIASES = {
+    typescript: 'javascript',
+    kotlin: 'java',
+    scala: 'java',
+    cpp: 'c'
+};
+
+// Extensions tried when a relative import omits one
+const RESOLVE_EXTENSIONS = ['', '.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.py', '.rb', '.php', '.h', '.hpp',
+    '/index.js', '/index.ts', '/__init__.py'];
+
+/**
+ * Extract module specifiers imported by a file
+ * @param {string} code - Source code
+ * @param {string} language - Programming language
+ * @returns {Array<string>} - Unique specifiers in order of appearance
+ */
+const extractImports = (code, language) => {
+    const patterns = IMPORT_PATTERNS[LANGUAGE_ALIASES[language] || language] || [];
+    const specifiers = new Set();
+
+    for (const pattern of patterns) {
+        for (const match of code.matchAll(pattern)) {
+            specifiers.add(match[1]);
+        }
+    }
+
+    return [...specifiers];
+};
+
+/**
+ * Resolve an import specifier to one of the submitted files
+ * @param {string} specifier - Imported module
+ * @param {string} fromPath - Path of the importing file
+ * @param {Set<string>} knownPaths - Normalized submitted paths
+ * @returns {string|null} - Matching path or null for external modules
+ */
+const resolveImport = (specifier, fromPath, knownPaths) => {
+    const fromDir = path.posix.dirname(fromPath);
+    const candidates = [];
+
+    if (specifier.startsWith('.')) {
+        // Python relative imports: "from .models" / "from ..utils.db"
+        const pythonRelative = specifier.match(/^(\.+)([\w.]*)$/);
+        if (pythonRelative && !specifier.includes('/')) {
+            const up = '../'.repeat(pythonRelative[1].length - 1);
+            candidates.push(path.posix.join(fromDir, up, pythonRelative[2].replace(/\./g, '/')));
+        } else {
+            candidates.push(path.posix.join(fromDir, specifier));
+        }
+    } else {
+        // Dotted (Python/Java) or slash paths relative to the project root
+        candidates.push(specifier.replace(/\./g, '/'), specifier);
+    }
+
+    for (const candidate of candidates) {
+        for (const extension of RESOLVE_EXTENSIONS) {
+            const resolved = path.posix.normalize(candidate + extension);
+            if (knownPaths.has(resolved)) {
+                return resolved;
+            }
+        }
+    }
+
+    // Package-qualified imports (e.g. com.acme.util.Strings) match by path suffix
+    if (!specifier.startsWith('.')) {
+        const suffix = specifier.replace(/\./g, '/');
+        for (const known of knownPaths) {
+            if (known.replace(/\.\w+$/, '').endsWith(`/${suffix}`)) {
+                return known;
+            }
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Find import cycles between files
+ * @param {Map<string, Array<string>>} adjacency - File -> imported files
+ * @returns {Array<Array<string>>} - Cycles, each listed from its first file back to itself
+ */
+const findCycles = (adjacency) => {
+    const cycles = [];
+    const seen = new Set();
+    const state = new Map(); // 1 = on stack, 2 = done
+    const stack = [];
+
+    const visit = (node) => {
+        state.set(node, 1);
+        stack.push(node);
+
+        for (const next of adjacency.get(node) || []) {
+            if (state.get(next) === 1) {
+                const cycle = [...stack.slice(stack.indexOf(next)), next];
+                const key = [...cycle.slice(0, -1)].sort().join('|');
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    cycles.push(cycle);
+                }
+            } else if (!state.has(next)) {
+                visit(next);
+            }
+        }
+
+        stack.pop();
+        state.set(node, 2);
+    };
+
+    for (const node of adjacency.keys()) {
+        if (!state.has(node)) visit(node);
+    }
+
+    return cycles;
+};
+
+/**
+ * Build the import graph of a set of files
+ * @param {Array<Object>} files - Files { filePath, code, language }
+ * @returns {Object} - { edges, external, cycles, fanIn, fanOut }
+ */
+const buildDependencyGraph = (files) => {
+    const knownPaths = new Set(files.map(file => path.posix.normalize(file.filePath)));
+    const adjacency = new Map();
+    const edges = [];
+    const external = {};
+
+    for (const file of files) {
+        const from = path.posix.normalize(file.filePath);
+        const targets = [];
+
+        for (const specifier of extractImports(file.code, file.language)) {
+            const resolved = resolveImport(specifier, from, knownPaths);
+            if (resolved && resolved !== from) {
+                targets.push(resolved);
+                edges.push({ from, to: resolved, specifier });
+            } else if (!resolved) {
+                (external[from] = external[from] || []).push(specifier);
+            }
+        }
+
+        adjacency.set(from, [...new Set(targets)]);
+    }
+
+    const fanIn = {};
+    const fanOut = {};
+    for (const [from, targets] of adjacency) {
+        fanOut[from] = targets.length;
+        for (const target of targets) {
+            fanIn[target] = (fanIn[target] || 0) + 1;
+        }
+    }
+
+    return {
+        edges,
+        external,
+        cycles: findCycles(adjacency),
+        fanIn,
+        fanOut
+    };
+};
+
+module.exports = {
+    buildDependencyGraph,
+    extractImports,
+    resolveImport
+};
@@ -0,0 +1,352 @@
+/**
+ * Fix patches
+ * In fix mode the model attaches a fix to every issue a local edit can solve:
+ * the exact lines to replace ("original") and what replaces them. Each fix is
+ * located in the submitted code, turned into a minimal unified diff and checked
+ * to apply; the fixes that do not touch the same lines are then combined into
+ * one patch, most severe issues first
+ */
+const { parseUnifiedDiff, applyFilePatch } = require("./unifiedDiff");
+const { SEVERITY_LEVELS, FIX_CONFIG } = require("./constants");
+
+// Most severe first
+const SEVERITY_ORDER = Object.values(SEVERITY_LEVELS);
+
+const NO_NEWLINE_MARKER = '\\ No newline at end of file';
+
+/**
+ * Split text into lines, remembering whether it ended with a newline
+ * @param {string} text - Text with \n line endings
+ * @returns {Object} - { lines, trailingNewline }
+ */
+const splitLines = (text) => {
+    const trailingNewline = text.endsWith('\n');
+    const body = trailingNewline ? text.slice(0, -1) : text;
+    return { lines: text === '' ? [] : body.split('\n'), trailingNewline };
+};
+
+/**
+ * Text of a fix field with Unix line endings
+ * @param {*} value - original or replacement from the model
+ * @returns {string|null} - Text, or null when it is not a string
+ */
+const readFixText = (value) =>
+    typeof value === 'string' ? value.replace(/\r\n/g, '\n') : null;
+
+/**
+ * Find where a fix's original lines are in the file
+ * Lines are compared without leading and trailing whitespace; of several
+ * occurrences the one closest to the issue's line wins
+ * @param {Array<string>} lines - File lines
+ * @param {Array<string>} original - Lines the fix replaces
+ * @param {number} issueLine - Line the issue points at (0 when unknown)
+ * @returns {number} - Index of the first matching line, or -1
+ */
+const findOriginal = (lines, original, issueLine) => {
+    let best = -1;
+
+    for (let start = 0; start + original.length <= lines.length; start++) {
+        const matches = original.every((line, offset) => lines[start + offset].trim() === line.trim());
+        if (matches && (best === -1 || Math.abs(start + 1 - issueLine) < Math.abs(best + 1 - issueLine))) {
+            best = start;
+        }
+    }
+
+    return best;
+};
+
+/**
+ * Turn an issue's fix into a minimal edit of the file
+ * @param {Array<string>} lines - File lines
+ * @param {Object} fix - Fix from the model { original, replacement }
+ * @param {number} issueLine - Line the issue points at
+ * @returns {Object} - { edit: { start, deleteCount, insert }, startLine, endLine, replacement } or { error }
+ */
+const locateFix = (lines, fix, issueLine) => {
+    const originalText = readFixText(fix?.original);
+    const replacementText = readFixText(fix?.replacement);
+    if (originalText === null || replacementText === null) {
+        return { error: 'the fix has no original or replacement code' };
+    }
+
+    const original = splitLines(originalText.replace(/^\n+|\n+$/g, '')).lines;
+    if (!original.some(line => line.trim())) {
+        return { error: 'the fix has no original code' };
+    }
+    if (original.length > FIX_CONFIG.MAX_FIX_LINES) {
+        return { error: `the fix replaces more than ${FIX_CONFIG.MAX_FIX_LINES} lines` };
+    }
+
+    const start = findOriginal(lines, original, issueLine > 0 ? issueLine : 0);
+    if (start === -1) {
+        return { error: 'the original code of the fix is not in the submitted code' };
+    }
+
+    // A model that dropped the indentation of the original dropped it from the replacement too
+    const anchor = original.findIndex(line => line.trim());
+    const fileIndent = lines[start + anchor].match(/^\s*/)[0];
+    const givenIndent = original[anchor].match(/^\s*/)[0];
+    const extraIndent = fileIndent.startsWith(givenIndent) ? fileIndent.slice(givenIndent.length) : '';
+    const replacementBody = replacementText.replace(/^\n+|\n+$/g, '');
+    const replacement = replacementBody === ''
+        ? []
+        : splitLines(replacementBody).lines.map(line => (line.trim() ? extraIndent + line : line));
+
+    // Keep only the lines that really change
+    const current = lines.slice(start, start + original.length);
+    let prefix = 0;
+    while (prefix < current.length && prefix < replacement.length && current[prefix] === replacement[prefix]) {
+        prefix++;
+    }
+    let suffix = 0;
+    while (suffix < current.length - prefix && suffix < replacement.length - prefix &&
+        current[current.length - 1 - suffix] === replacement[replacement.length - 1 - suffix]) {
+        suffix++;
+    }
+
+    const edit = {
+        start: start + prefix,
+        deleteCount: current.length - prefix - suffix,
+        insert: replacement.slice(prefix, replacement.length - suffix)
+    };
+    if (edit.deleteCount === 0 && edit.insert.length === 0) {
+        return { error: 'the fix does not change the code' };
+    }
+
+    return {
+        edit,
+        startLine: start + 1,
+        endLine: start + original.length,
+        replacement: replacement.join('\n')
+    };
+};
+
+/**
+ * Make an edit at the end of a file without a final newline include its last line
+ * Appending after that line (or deleting the lines below it) changes whether it ends
+ * with a newline, which a unified diff can only express by replacing the line
+ * @param {Object} source - { lines, trailingNewline } from splitLines
+ * @param {Object} edit - Edit from locateFix
+ * @returns {Object} - Edit, widened by one line when needed
+ */
+const anchorAtEndOfFile = ({ lines, trailingNewline }, edit) => {
+    const { start, deleteCount, insert } = edit;
+    if (trailingNewline || start + deleteCount !== lines.length || start === 0) {
+        return edit;
+    }
+
+    if (deleteCount === 0 || insert.length === 0) {
+        return { start: start - 1, deleteCount: deleteCount + 1, insert: [lines[start - 1], ...insert] };
+    }
+    return edit;
+};
+
+/**
+ * Apply edits to the file
+ * @param {Object} source - { lines, trailingNewline } from splitLines
+ * @param {Array<Object>} edits - Non-overlapping edits sorted by start
+ * @returns {string} - New file content
+ */
+const applyEdits = ({ lines, trailingNewline }, edits) => {
+    const output = [...lines];
+    for (const { start, deleteCount, insert } of [...edits].reverse()) {
+        output.splice(start, deleteCount, ...insert);
+    }
+    return output.join('\n') + (trailingNewline && output.length > 0 ? '\n' : '');
+};
+
+/**
+ * Render edits as a unified diff with CONTEXT_LINES lines of context
+ * Edits whose context would touch share a hunk, as in diff -u
+ * @param {Object} source - { lines, trailingNewline } from splitLines
+ * @param {Array<Object>} edits - Non-overlapping edits sorted by start
+ * @param {string} filePath - Path written in the ---/+++ headers
+ * @returns {string} - Unified diff text
+ */
+const formatEditsPatch = ({ lines, trailingNewline }, edits, filePath) => {
+    const context = FIX_CONFIG.CONTEXT_LINES;
+    const newLength = lines.length + edits.reduce((total, edit) => total + edit.insert.length - edit.deleteCount, 0);
+    const end = (edit) => edit.start + edit.deleteCount;
+
+    const groups = [];
+    for (const edit of edits) {
+        const group = groups[groups.length - 1];
+        if (group && edit.start - end(group[group.length - 1]) <= 2 * context) {
+            group.push(edit);
+        } else {
+            groups.push([edit]);
+        }
+    }
+
+    const output = [`--- a/${filePath}`, `+++ b/${filePath}`];
+    let offset = 0;
+
+    for (const group of groups) {
+        const from = Math.max(0, group[0].start - context);
+        const to = Math.min(lines.length, end(group[group.length - 1]) + context);
+        const body = [];
+        let oldIndex = from;
+        let newIndex = from + offset;
+
+        const push = (marker, text, isLastOld, isLastNew) => {
+            body.push(marker + text);
+            if (!trailingNewline && (isLastOld || isLastNew)) {
+                body.push(NO_NEWLINE_MARKER);
+            }
+        };
+        const pushContext = () => {
+            push(' ', lines[oldIndex], oldIndex === lines.length - 1, false);
+            oldIndex++;
+            newIndex++;
+        };
+
+        for (const edit of group) {
+            while (oldIndex < edit.start) pushContext();
+            for (let count = 0; count < edit.deleteCount; count++, oldIndex++) {
+                push('-', lines[oldIndex], oldIndex === lines.length - 1, false);
+            }
+            for (const text of edit.insert) {
+                push('+', text, false, newIndex === newLength - 1);
+                newIndex++;
+            }
+        }
+        while (oldIndex < to) pushContext();
+
+        const oldCount = to - from;
+        const newCount = oldCount + group.reduce((total, edit) => total + edit.insert.length - edit.deleteCount, 0);
+        const newFrom = from + offset;
+        output.push(
+            `@@ -${oldCount === 0 ? from : from + 1},${oldCount} +${newCount === 0 ? newFrom : newFrom + 1},${newCount} @@`,
+            ...body
+        );
+
+        offset += newCount - oldCount;
+    }
+
+    return output.join('\n') + '\n';
+};
+
+/**
+ * Check that a patch applies to the file and produces the expected content
+ * @param {string} text - File content
+ * @param {string} patch - Unified diff from formatEditsPatch
+ * @param {string} expected - Content after the edits
+ * @returns {boolean} - Whether the patch applies cleanly
+ */
+const patchApplies = (text, patch, expected) => {
+    try {
+        const [file] = parseUnifiedDiff(patch);
+        return applyFilePatch(text, file) === expected;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Whether two edits touch the same lines (or insert at the same place)
+ * @param {Object} a - Edit
+ * @param {Object} b - Edit
+ * @returns {boolean} - True when they cannot both be applied
+ */
+const editsConflict = (a, b) =>
+    a.start === b.start || (a.start < b.start + b.deleteCount && b.start < a.start + a.deleteCount);
+
+/**
+ * Combine the fixes that do not conflict, most severe issues first
+ * @param {string} text - File content
+ * @param {Object} source - { lines, trailingNewline } from splitLines
+ * @param {Array<Object>} located - Fixes { issue, edit } whose patches apply
+ * @param {string} filePath - Path for the patch headers
+ * @param {Function} describe - issue => { fingerprint, title, line }
+ * @returns {Object} - { patch, issues, conflicts } (patch is null if the combination does not apply)
+ */
+const combineFixes = (text, source, located, filePath, describe) => {
+    const ordered = [...located].sort((a, b) =>
+        SEVERITY_ORDER.indexOf(a.issue.severity) - SEVERITY_ORDER.indexOf(b.issue.severity) ||
+        a.edit.start - b.edit.start);
+
+    const accepted = [];
+    const conflicts = [];
+    for (const candidate of ordered) {
+        const clash = accepted.find(other => editsConflict(candidate.edit, other.edit));
+        if (clash) {
+            conflicts.push({ ...describe(candidate.issue), conflictsWith: clash.issue.fingerprint || null });
+        } else {
+            accepted.push(candidate);
+        }
+    }
+
+    const edits = accepted.map(({ edit }) => edit).sort((a, b) => a.start - b.start);
+    const patch = formatEditsPatch(source, edits, filePath);
+
+    return {
+        patch: patchApplies(text, patch, applyEdits(source, edits)) ? patch : null,
+        issues: accepted
+            .sort((a, b) => a.edit.start - b.edit.start)
+            .map(({ issue }) => issue.fingerprint || null),
+        conflicts
+    };
+};
+
+/**
+ * Build the patch of every fixable issue and the combined patch
+ * @param {Object} review - Review whose issues may carry a fix { original, replacement }
+ * @param {Object} source - Reviewed file
+ * @param {string} source.code - Submitted code
+ * @param {string} source.filePath - Path for the patch headers
+ * @returns {Object} - Review where issues carry fix { startLine, endLine, replacement, patch }
+ *                     and a fixes block { patches, rejected, combined }
+ */
+const buildFixPatches = (review, { code, filePath = null }) => {
+    const text = code.replace(/\r\n/g, '\n');
+    const source = splitLines(text);
+    const path = filePath || 'source';
+    const describe = (issue) => ({ fingerprint: issue.fingerprint || null, title: issue.title, line: issue.line });
+
+    const located = [];
+    const rejected = [];
+
+    const issues = review.issues.map(issue => {
+        if (issue.fix === undefined) {
+            return issue;
+        }
+
+        const { fix, ...rest } = issue;
+        if (!fix) {
+            return rest;
+        }
+
+        const result = locateFix(source.lines, fix, issue.line);
+        if (result.error) {
+            rejected.push({ ...describe(issue), reason: result.error });
+            return rest;
+        }
+
+        const edit = anchorAtEndOfFile(source, result.edit);
+        const patch = formatEditsPatch(source, [edit], path);
+        if (!patchApplies(text, patch, applyEdits(source, [edit]))) {
+            rejected.push({ ...describe(issue), reason: 'the patch does not apply cleanly' });
+            return rest;
+        }
+
+        located.push({ issue, edit });
+        return {
+            ...rest,
+            fix: { startLine: result.startLine, endLine: result.endLine, replacement: result.replacement, patch }
+        };
+    });
+
+    return {
+        ...review,
+        issues,
+        fixes: {
+            patches: located.length,
+            rejected,
+            combined: located.length > 0 ? combineFixes(text, source, located, path, describe) : null
+        }
+    };
+};
+
+module.exports = {
+    buildFixPatches
+};
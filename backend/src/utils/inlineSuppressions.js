@@ -0,0 +1,225 @@
+/**
+ * Inline suppression directives
+ * Developers silence false positives in the reviewed code itself:
+ *
+ *   // ai-review-ignore-next-line SECURITY      issues on the next line
+ *   x = eval(y)  # ai-review-ignore-line         issues on this line
+ *   /* ai-review-disable PERFORMANCE, BUG *\/   issues from here on...
+ *   /* ai-review-enable PERFORMANCE *\/         ...until re-enabled
+ *
+ * Without categories a directive covers every category. Text after " -- " is a
+ * free-form reason. Directives must sit in a comment of the file's language;
+ * disable-line and disable-next-line are accepted as ESLint-style aliases
+ */
+const { COMMENT_SYNTAX, DEFAULT_COMMENT_SYNTAX, ISSUE_CATEGORIES } = require("./constants");
+
+const DIRECTIVES = {
+    IGNORE_LINE: 'ignore-line',
+    IGNORE_NEXT_LINE: 'ignore-next-line',
+    DISABLE: 'disable',
+    ENABLE: 'enable'
+};
+
+// ESLint-style spellings accepted as well
+const DIRECTIVE_ALIASES = {
+    'disable-line': DIRECTIVES.IGNORE_LINE,
+    'disable-next-line': DIRECTIVES.IGNORE_NEXT_LINE
+};
+
+// Matches everywhere any category is meant
+const ALL_CATEGORIES = '*';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build the directive pattern of a language
+ * @param {string} language - Programming language
+ * @returns {Object} - { pattern, closers } where closers end block comments
+ */
+const buildDirectivePattern = (language) => {
+    const syntax = COMMENT_SYNTAX[language] || DEFAULT_COMMENT_SYNTAX;
+    const openers = [...syntax.line, ...syntax.block.map(([open]) => open)]
+        .sort((a, b) => b.length - a.length)
+        .map(escapeRegExp);
+
+    const names = [...Object.keys(DIRECTIVE_ALIASES), ...Object.values(DIRECTIVES)]
+        .sort((a, b) => b.length - a.length);
+
+    return {
+        pattern: new RegExp(`(?:${openers.join('|')})\\s*ai-review-(${names.join('|')})(?![\\w-])(.*)$`),
+        closers: syntax.block.map(([, close]) => close)
+    };
+};
+
+/**
+ * Read the categories named after a directive
+ * @param {string} rest - Text after the directive name
+ * @param {Array<string>} closers - Block comment terminators to strip
+ * @returns {Array<string>|null} - Categories, [ALL_CATEGORIES] when none are named, null when only unknown names are
+ */
+const parseCategories = (rest, closers) => {
+    let text = rest.split(/\s--\s/)[0];
+    for (const closer of closers) {
+        const end = text.indexOf(closer);
+        if (end !== -1) text = text.slice(0, end);
+    }
+
+    const names = text.split(/[\s,]+/).filter(Boolean).map(name => name.toUpperCase());
+    if (names.length === 0) {
+        return [ALL_CATEGORIES];
+    }
+
+    // A misspelt category must not silently widen the directive to everything
+    const categories = names.filter(name => ISSUE_CATEGORIES[name]);
+    return categories.length > 0 ? categories : null;
+};
+
+/**
+ * Find the inline directives of a file
+ * @param {Array<Object>} lines - Lines { number, text } in ascending order
+ * @param {string} language - Programming language
+ * @returns {Array<Object>} - Directives { directive, line, categories }
+ */
+const parseDirectives = (lines, language) => {
+    const { pattern, closers } = buildDirectivePattern(language);
+    const directives = [];
+
+    for (const { number, text } of lines) {
+        if (!text.includes('ai-review-')) continue;
+
+        const match = pattern.exec(text);
+        if (!match) continue;
+
+        // A comment marker after an unclosed quote is part of a string literal
+        const before = text.slice(0, match.index);
+        if (['"', "'", '`'].some(quote => before.split(quote).length % 2 === 0)) continue;
+
+        const categories = parseCategories(match[2], closers);
+        if (categories) {
+            directives.push({ directive: DIRECTIVE_ALIASES[match[1]] || match[1], line: number, categories });
+        }
+    }
+
+    return directives;
+};
+
+/**
+ * Turn disable/enable pairs into line ranges
+ * @param {Array<Object>} directives - Directives from parseDirectives
+ * @returns {Array<Object>} - Regions { from, to, categories, line } (to is Infinity when never re-enabled)
+ */
+const buildRegions = (directives) => {
+    const regions = [];
+    const open = new Map();
+
+    const close = (category, line) => {
+        const region = open.get(category);
+        if (region) {
+            regions.push({ ...region, to: line });
+            open.delete(category);
+        }
+    };
+
+    for (const { directive, line, categories } of directives) {
+        if (directive === DIRECTIVES.DISABLE) {
+            for (const category of categories) {
+                if (!open.has(category)) open.set(category, { from: line, categories: [category], line });
+            }
+        } else if (directive === DIRECTIVES.ENABLE) {
+            if (categories.includes(ALL_CATEGORIES)) {
+                for (const category of [...open.keys()]) close(category, line);
+                continue;
+            }
+
+            // Re-enabling one category inside a blanket disable keeps the others disabled
+            if (open.has(ALL_CATEGORIES)) {
+                const { from } = open.get(ALL_CATEGORIES);
+                close(ALL_CATEGORIES, line);
+                for (const category of Object.values(ISSUE_CATEGORIES)) {
+                    if (!categories.includes(category) && !open.has(category)) {
+                        open.set(category, { from: line, categories: [category], line: from });
+                    }
+                }
+            }
+            for (const category of categories) close(category, line);
+        }
+    }
+
+    for (const region of open.values()) {
+        regions.push({ ...region, to: Infinity });
+    }
+    return regions;
+};
+
+/**
+ * Build a matcher that tells which directive (if any) suppresses an issue
+ * Issues without a line (whole-file findings) are only covered by a disable that is never re-enabled
+ * @param {Object} source - Reviewed file
+ * @param {string} source.code - Complete file content
+ * @param {Array<Object>} source.lines - Lines { number, text } when code is not known in full
+ * @param {string} source.language - Programming language
+ * @returns {Function} - issue => { directive, line } or null
+ */
+const createSuppressionMatcher = ({ code = null, lines = null, language }) => {
+    const sourceLines = lines || (code === null ? [] : code
+        .split('\n')
+        .map((text, index) => ({ number: index + 1, text })));
+
+    const directives = parseDirectives(sourceLines, language);
+    const regions = buildRegions(directives);
+    const covers = (categories, category) => categories.includes(ALL_CATEGORIES) || categories.includes(category);
+
+    return (issue) => {
+        if (directives.length === 0) {
+            return null;
+        }
+
+        const line = issue.line > 0 ? issue.line : 0;
+
+        if (line > 0) {
+            const single = directives.find(({ directive, line: at, categories }) =>
+                covers(categories, issue.category) && (
+                    (directive === DIRECTIVES.IGNORE_LINE && at === line) ||
+                    (directive === DIRECTIVES.IGNORE_NEXT_LINE && at + 1 === line)
+                ));
+            if (single) {
+                return { directive: single.directive, line: single.line };
+            }
+        }
+
+        const region = regions.find(({ from, to, categories }) =>
+            covers(categories, issue.category) && (line > 0 ? line >= from && line <= to : to === Infinity));
+
+        return region ? { directive: DIRECTIVES.DISABLE, line: region.line } : null;
+    };
+};
+
+/**
+ * Drop the issues silenced by inline directives
+ * @param {Object} review - Review with issues in the line numbers of the source
+ * @param {Object} source - Same as createSuppressionMatcher
+ * @returns {Object} - Review with remaining issues and a suppressed list (issue & { suppressedBy })
+ */
+const applyInlineSuppressions = (review, source) => {
+    const isSuppressed = createSuppressionMatcher(source);
+    const issues = [];
+    const suppressed = [];
+
+    for (const issue of review.issues) {
+        const suppressedBy = isSuppressed(issue);
+        if (suppressedBy) {
+            suppressed.push({ ...issue, suppressedBy });
+        } else {
+            issues.push(issue);
+        }
+    }
+
+    return { ...review, issues, suppressed };
+};
+
+module.exports = {
+    DIRECTIVES,
+    parseDirectives,
+    createSuppressionMatcher,
+    applyInlineSuppressions
+};
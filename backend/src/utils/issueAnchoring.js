@@ -0,0 +1,254 @@
+/**
+ * Issue anchoring
+ * Models often report a line that is a few lines off, or a codeSnippet that is
+ * not in the file at all. Each snippet is looked up in the reviewed code
+ * (ignoring whitespace differences), line and endLine are moved to where it
+ * really is, and issues whose snippet is nowhere in the code are flagged or,
+ * with REVIEW_UNANCHORED_ISSUES=drop, moved out of the review
+ */
+const { normalizeSnippet } = require("./issueMatching");
+const { ANCHOR_CONFIG, ANCHOR_POLICIES } = require("./constants");
+
+const ANCHOR_STATUS = {
+    // The snippet is at the reported line
+    VERIFIED: 'verified',
+    // The snippet is elsewhere; line and endLine now point at it
+    CORRECTED: 'corrected',
+    // The snippet is not in the code, or the line is past the end of the file
+    UNMATCHED: 'unmatched',
+    // No snippet to check the line against, or one too short to locate
+    UNCHECKED: 'unchecked'
+};
+
+// Lines that stand for code the model left out of a snippet: ..., // ..., # …
+const ELISION = /^(?:\/\/|#|\/\*)?(?:\.\.\.|…)(?:\*\/)?$/;
+
+/**
+ * Split a snippet into runs of consecutive lines, cut where the model elided code
+ * @param {string} snippet - codeSnippet of an issue
+ * @returns {Array<Array<string>>} - Segments of normalized, non-blank lines
+ */
+const splitSnippet = (snippet) => {
+    const segments = [[]];
+
+    for (const text of snippet.split('\n')) {
+        const line = normalizeSnippet(text);
+        if (ELISION.test(line)) {
+            segments.push([]);
+        } else if (line) {
+            segments[segments.length - 1].push(line);
+        }
+    }
+
+    return segments.filter(segment => segment.length > 0);
+};
+
+/**
+ * Normalize the non-blank lines of the reviewed code for matching
+ * @param {Array<Object>} lines - Lines { number, text }
+ * @returns {Array<Object>} - Entries { number, text (normalized), raw }
+ */
+const buildIndex = (lines) => lines
+    .map(({ number, text }) => ({ number, raw: text, text: normalizeSnippet(text) }))
+    .filter(entry => entry.text);
+
+/**
+ * Whether a normalized snippet line matches a normalized code line
+ * Snippets may quote part of a line, unless they are too short to tell where they are from
+ * @param {string} text - Code line (or joined code lines)
+ * @param {string} line - Snippet line
+ * @returns {boolean} - True when the code contains the snippet line
+ */
+const matchesLine = (text, line) =>
+    line.length >= ANCHOR_CONFIG.MIN_PARTIAL_LENGTH ? text.includes(line) : text === line;
+
+/**
+ * Whether a snippet is too short to be located when it is not a whole code line
+ * @param {Array<Array<string>>} segments - Snippet segments from splitSnippet
+ * @returns {boolean} - True when every snippet line is under MIN_PARTIAL_LENGTH
+ */
+const isShortSnippet = (segments) =>
+    segments.every(segment => segment.every(line => line.length < ANCHOR_CONFIG.MIN_PARTIAL_LENGTH));
+
+/**
+ * Every place a segment of snippet lines occurs
+ * Lines match as in matchesLine, so snippets may quote part of a line. A one-line
+ * snippet may also be several code lines the model joined
+ * @param {Array<Object>} entries - Index from buildIndex
+ * @param {Array<string>} segment - Normalized snippet lines
+ * @param {number} from - First entry to consider
+ * @returns {Array<Object>} - Spans { start, end } of entry indexes
+ */
+const findSegment = (entries, segment, from = 0) => {
+    const spans = [];
+
+    for (let start = from; start + segment.length <= entries.length; start++) {
+        if (segment.every((line, offset) => matchesLine(entries[start + offset].text, line))) {
+            spans.push({ start, end: start + segment.length - 1 });
+        }
+    }
+
+    if (spans.length > 0 || segment.length > 1) {
+        return spans;
+    }
+
+    for (let start = from; start < entries.length; start++) {
+        for (let size = 2; size <= ANCHOR_CONFIG.MAX_JOINED_LINES && start + size <= entries.length; size++) {
+            const joined = normalizeSnippet(entries.slice(start, start + size).map(entry => entry.raw).join(' '));
+            if (matchesLine(joined, segment[0])) {
+                spans.push({ start, end: start + size - 1 });
+                break;
+            }
+        }
+    }
+
+    // A window is only kept when it does not contain a smaller one that also matches
+    return spans.filter(span => !spans.some(other => other.start > span.start && other.end <= span.end));
+};
+
+/**
+ * Find the line range of a snippet, preferring the occurrence closest to the reported line
+ * @param {Array<Object>} entries - Index from buildIndex
+ * @param {Array<Array<string>>} segments - Snippet segments from splitSnippet
+ * @param {number} reportedLine - Line the model reported (0 when none)
+ * @returns {Object|null} - { line, endLine } or null when the snippet is not in the code
+ */
+const locateSnippet = (entries, segments, reportedLine) => {
+    const distance = ({ start, end }) => {
+        if (reportedLine === 0) return 0;
+        if (reportedLine < entries[start].number) return entries[start].number - reportedLine;
+        return Math.max(0, reportedLine - entries[end].number);
+    };
+
+    const spans = findSegment(entries, segments[0]);
+    if (spans.length === 0) {
+        return null;
+    }
+
+    // Stable sort: the first occurrence wins ties
+    const best = [...spans].sort((a, b) => distance(a) - distance(b))[0];
+    let end = best.end;
+
+    // An elided snippet ends where its last segment is found after the first one
+    if (segments.length > 1) {
+        const [last] = findSegment(entries, segments[segments.length - 1], best.end + 1);
+        if (last) end = last.end;
+    }
+
+    return { line: entries[best.start].number, endLine: entries[end].number };
+};
+
+/**
+ * Check and correct the line range of one issue
+ * @param {Object} issue - Normalized issue
+ * @param {Array<Object>} entries - Index from buildIndex
+ * @param {number|null} lastLine - Last line of the file, or null when only an excerpt is known
+ * @returns {Object} - Issue with anchor { status, reportedLine } and possibly corrected line/endLine
+ */
+const anchorIssue = (issue, entries, lastLine) => {
+    const reportedLine = issue.line > 0 ? issue.line : 0;
+    const segments = typeof issue.codeSnippet === 'string' ? splitSnippet(issue.codeSnippet) : [];
+
+    if (segments.length === 0) {
+        // Without a snippet only a line past the end of the file is known to be wrong
+        const outside = lastLine !== null && reportedLine > lastLine;
+        return { ...issue, anchor: { status: outside ? ANCHOR_STATUS.UNMATCHED : ANCHOR_STATUS.UNCHECKED, reportedLine } };
+    }
+
+    const found = locateSnippet(entries, segments, reportedLine);
+    if (!found) {
+        // A short fragment that is not a whole line may still be in the code: it says nothing either way
+        const status = isShortSnippet(segments) ? ANCHOR_STATUS.UNCHECKED : ANCHOR_STATUS.UNMATCHED;
+        return { ...issue, anchor: { status, reportedLine } };
+    }
+
+    const { endLine: reportedEndLine, ...rest } = issue;
+
+    // A reported range around the snippet is kept as it is
+    if (reportedLine > 0 && reportedLine <= found.line && reportedEndLine >= found.endLine) {
+        return { ...issue, anchor: { status: ANCHOR_STATUS.VERIFIED, reportedLine } };
+    }
+
+    // A line inside the snippet's range is kept: models point at the offending line of a larger excerpt
+    if (reportedLine >= found.line && reportedLine <= found.endLine) {
+        const endLine = Math.max(found.endLine, reportedEndLine > 0 ? Math.min(reportedEndLine, found.endLine) : 0);
+        return {
+            ...rest,
+            ...(endLine > reportedLine ? { endLine } : {}),
+            anchor: { status: ANCHOR_STATUS.VERIFIED, reportedLine }
+        };
+    }
+
+    // A one-line snippet with a wider reported range keeps the range's length
+    const endLine = found.endLine > found.line
+        ? found.endLine
+        : (reportedLine > 0 && reportedEndLine > reportedLine ? reportedEndLine + found.line - reportedLine : null);
+
+    return {
+        ...rest,
+        line: found.line,
+        ...(endLine ? { endLine } : {}),
+        anchor: { status: ANCHOR_STATUS.CORRECTED, reportedLine }
+    };
+};
+
+/**
+ * Build a function that anchors issues in one reviewed file
+ * @param {Object} source - Reviewed file
+ * @param {string} source.code - Complete file content
+ * @param {Array<Object>} source.lines - Lines { number, text } when only an excerpt is known
+ * @returns {Function} - issue => anchored issue
+ */
+const createIssueAnchor = ({ code = null, lines = null }) => {
+    const sourceLines = lines || (code === null ? [] : code
+        .split('\n')
+        .map((text, index) => ({ number: index + 1, text })));
+    const entries = buildIndex(sourceLines);
+    const lastLine = lines ? null : sourceLines.length;
+
+    return (issue) => anchorIssue(issue, entries, lastLine);
+};
+
+/**
+ * Anchor every issue of a review in the reviewed code
+ * @param {Object} review - Review with issues in the line numbers of the source
+ * @param {Object} source - Same as createIssueAnchor
+ * @returns {Object} - Review whose issues carry anchor { status, reportedLine }
+ */
+const anchorIssues = (review, source) => {
+    const anchor = createIssueAnchor(source);
+    return { ...review, issues: review.issues.map(anchor) };
+};
+
+/**
+ * Whether ANCHOR_CONFIG.UNMATCHED keeps an anchored issue
+ * @param {Object} issue - Anchored issue
+ * @returns {boolean} - False for unmatched issues when they are dropped
+ */
+const isAnchorKept = (issue) =>
+    ANCHOR_CONFIG.UNMATCHED !== ANCHOR_POLICIES.DROP || issue.anchor?.status !== ANCHOR_STATUS.UNMATCHED;
+
+/**
+ * Drop unmatched issues when ANCHOR_CONFIG.UNMATCHED says so
+ * @param {Object} review - Anchored review
+ * @returns {Object} - Review unchanged (flag), or with unmatched issues moved to unanchored (drop)
+ */
+const applyAnchorPolicy = (review) => {
+    if (ANCHOR_CONFIG.UNMATCHED !== ANCHOR_POLICIES.DROP) {
+        return review;
+    }
+
+    return {
+        ...review,
+        issues: review.issues.filter(isAnchorKept),
+        unanchored: review.issues.filter(issue => !isAnchorKept(issue))
+    };
+};
+
+module.exports = {
+    ANCHOR_STATUS,
+    createIssueAnchor,
+    anchorIssues,
+    isAnchorKept,
+    applyAnchorPolicy
+};
@@ -0,0 +1,240 @@
+/**
+ * Stable issue fingerprints
+ * A fingerprint identifies an issue across reviews of changing code: it is built
+ * from the file, the category, the normalized snippet and the enclosing symbol,
+ * never from the line number or the model's wording of the title
+ */
+const crypto = require('crypto');
+const { LANGUAGE_FAMILIES } = require("./codeChunker");
+const { getIssueMatchKey } = require("./issueMatching");
+const { BASELINE_CONFIG } = require("./constants");
+
+// Declarations whose name becomes the enclosing symbol, by language family (first group is the name)
+const SYMBOL_PATTERNS = {
+    javascript: [
+        /^\s*(?:export\s+)?(?:default\s+)?(?:abstract\s+)?class\s+([\w$]+)/,
+        /^\s*(?:export\s+)?(?:default\s+)?(?:async\s+)?function\s*\*?\s*([\w$]+)/,
+        /^\s*(?:export\s+)?(?:const|let|var)\s+([\w$]+)\s*(?::[^=]+)?=\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*(?::[^=]+)?=>|[\w$]+\s*=>)/,
+        /^\s*([\w$]+)\s*:\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*=>)/,
+        /^\s*(?:(?:static|async|get|set|public|private|protected|readonly|override)\s+)*\*?\s*([\w$]+)\s*\([^)]*\)\s*(?::[^{]+)?\{/
+    ],
+    python: [
+        /^\s*(?:async\s+)?def\s+(\w+)/,
+        /^\s*class\s+(\w+)/
+    ],
+    ruby: [
+        /^\s*def\s+(?:self\.)?([\w?!=]+)/,
+        /^\s*(?:class|module)\s+([\w:]+)/
+    ],
+    go: [
+        /^func\s+(?:\([^)]*\)\s*)?(\w+)/,
+        /^type\s+(\w+)/
+    ],
+    rust: [
+        /^\s*(?:pub(?:\([^)]*\))?\s+)?(?:async\s+)?(?:unsafe\s+)?fn\s+(\w+)/,
+        /^\s*(?:pub(?:\([^)]*\))?\s+)?(?:struct|enum|trait|mod)\s+(\w+)/,
+        /^\s*impl(?:<[^>]*>)?\s+(?:[\w:<>]+\s+for\s+)?([\w:]+)/
+    ],
+    php: [
+        /^\s*(?:abstract\s+|final\s+)?(?:class|interface|trait)\s+(\w+)/,
+        /^\s*(?:(?:public|private|protected|static|abstract|final)\s+)*function\s+&?(\w+)/
+    ],
+    c: [
+        /^\s*(?:class|struct|namespace)\s+(\w+)/,
+        /^[A-Za-z_][\w\s*&:<>,]*?[\s*&]([A-Za-z_~][\w:~]*)\s*\([^;]*$/
+    ],
+    jvm: [
+        /^\s*(?:[\w@]+\s+)*(?:class|interface|enum|record|object|struct|protocol|extension|trait)\s+(\w+)/,
+        /^\s*(?:[\w@]+\s+)*(?:fun|func|def)\s+(?:<[^>]*>\s*)?(\w+)/,
+        /^\s*(?:(?:public|private|protected|internal|static|final|abstract|override|virtual|async|synchronized|open)\s+)+[\w<>[\],.?\s]*?\s(\w+)\s*\(/
+    ],
+    generic: [
+        /^\s*(?:function|def|class|sub|fn|func|proc)\s+([\w.$:]+)/
+    ]
+};
+
+// Families whose blocks are delimited by indentation (or keywords) rather than braces
+const INDENTED_FAMILIES = new Set(['python', 'ruby', 'generic']);
+
+// Control-flow keywords that the method patterns would otherwise take for names
+const NOT_SYMBOLS = new Set(['if', 'for', 'while', 'switch', 'catch', 'return', 'new', 'else', 'do', 'try', 'with', 'foreach', 'elseif', 'using', 'lock', 'sizeof']);
+
+/**
+ * Name declared on a line, if any
+ * @param {string} text - Source line
+ * @param {Array<RegExp>} patterns - Symbol patterns of the language family
+ * @returns {string|null} - Declared name
+ */
+const matchSymbol = (text, patterns) => {
+    for (const pattern of patterns) {
+        const match = pattern.exec(text);
+        if (match && !NOT_SYMBOLS.has(match[1])) {
+            return match[1];
+        }
+    }
+    return null;
+};
+
+/**
+ * Leading whitespace width of a line
+ * @param {string} text - Source line
+ * @returns {number} - Indentation (tabs count as four)
+ */
+const indentation = (text) => text.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+
+/**
+ * Net braces of a line with strings and line comments removed
+ * @param {string} text - Source line
+ * @returns {number} - Opening minus closing braces
+ */
+const braceBalance = (text) => {
+    const code = text
+        .replace(/(["'`])(?:\\.|(?!\1).)*\1/g, '')
+        .replace(/\/\/.*$|#.*$/, '');
+    return (code.match(/\{/g) || []).length - (code.match(/\}/g) || []).length;
+};
+
+/**
+ * Find the symbol (function, method, class...) enclosing a line
+ * Brace languages are walked back counting braces; indentation languages by indent.
+ * Nested symbols are joined with dots, outermost first (e.g. UserService.save)
+ * @param {Array<Object>} lines - Lines { number, text } in ascending order (may have gaps)
+ * @param {number} line - 1-based line of the issue
+ * @param {string} language - Programming language
+ * @returns {string|null} - Qualified symbol name, or null at top level
+ */
+const findEnclosingSymbol = (lines, line, language) => {
+    if (!(line > 0) || lines.length === 0) {
+        return null;
+    }
+
+    const family = LANGUAGE_FAMILIES[language] || 'generic';
+    const patterns = SYMBOL_PATTERNS[family];
+    const indented = INDENTED_FAMILIES.has(family);
+    const symbols = [];
+
+    let index = lines.length - 1;
+    while (index >= 0 && lines[index].number > line) {
+        index--;
+    }
+    if (index < 0) {
+        return null;
+    }
+
+    // A declaration on the issue line itself is the symbol the issue is about
+    const own = lines[index].number === line ? matchSymbol(lines[index].text, patterns) : null;
+    if (own) {
+        symbols.push(own);
+    }
+
+    let depth = 0;
+    let limit = lines[index].text.trim() ? indentation(lines[index].text) : Infinity;
+
+    for (let i = index - 1; i >= 0 && symbols.length < BASELINE_CONFIG.MAX_SYMBOL_DEPTH; i--) {
+        const text = lines[i].text;
+        if (!text.trim()) {
+            continue;
+        }
+
+        if (indented) {
+            const indent = indentation(text);
+            if (indent >= limit) {
+                continue;
+            }
+            limit = indent;
+
+            const name = matchSymbol(text, patterns);
+            if (name) symbols.push(name);
+            continue;
+        }
+
+        depth += braceBalance(text);
+        if (depth <= 0) {
+            continue;
+        }
+
+        // This line opens a block around the issue; Allman style puts the declaration one line up
+        depth = 0;
+        const name = matchSymbol(text, patterns) ||
+            (text.trim() === '{' && i > 0 ? matchSymbol(lines[i - 1].text, patterns) : null);
+        if (name) symbols.push(name);
+    }
+
+    return symbols.length > 0 ? symbols.reverse().join('.') : null;
+};
+
+/**
+ * Fingerprint of one issue
+ * @param {Object} issue - Review issue
+ * @param {string|null} symbol - Enclosing symbol
+ * @param {string} filePath - File of the issue ('' for anonymous single-file reviews)
+ * @returns {string} - Hex fingerprint
+ */
+const computeFingerprint = (issue, symbol, filePath = '') =>
+    crypto
+        .createHash('sha256')
+        .update(`v${BASELINE_CONFIG.FINGERPRINT_VERSION}|${filePath}|${getIssueMatchKey(issue)}|${symbol || ''}`)
+        .digest('hex')
+        .slice(0, BASELINE_CONFIG.FINGERPRINT_LENGTH);
+
+/**
+ * Attach the enclosing symbol and a fingerprint to every issue of one file
+ * @param {Array<Object>} issues - Issues with line numbers of the given code
+ * @param {Object} source - Reviewed file
+ * @param {string} source.code - Complete file content (or lines when only excerpts are known)
+ * @param {Array<Object>} source.lines - Lines { number, text } when code is not known in full
+ * @param {string} source.language - Programming language
+ * @param {string} source.filePath - File path (issue.filePath wins when set)
+ * @returns {Array<Object>} - Issues with symbol and fingerprint
+ */
+const fingerprintIssues = (issues, { code = null, lines = null, language, filePath = null }) => {
+    const sourceLines = lines || (code === null ? [] : code
+        .split('\n')
+        .map((text, index) => ({ number: index + 1, text })));
+
+    return issues.map(issue => {
+        const symbol = findEnclosingSymbol(sourceLines, issue.line, language);
+        return {
+            ...issue,
+            symbol,
+            fingerprint: computeFingerprint(issue, symbol, issue.filePath || filePath || '')
+        };
+    });
+};
+
+/**
+ * Read the fingerprints of a baseline
+ * Accepts the document written by format=baseline ({ issues: [{ fingerprint, ... }] }),
+ * { fingerprints: [...] } or a plain array of fingerprints (strings or { fingerprint } objects)
+ * @param {Object|Array} baseline - Baseline document or suppression list
+ * @returns {Array<string>} - Fingerprints
+ * @throws {Error} - When the baseline has none of these shapes
+ */
+const parseBaseline = (baseline) => {
+    const entries = Array.isArray(baseline)
+        ? baseline
+        : baseline?.issues || baseline?.fingerprints;
+
+    if (!Array.isArray(entries)) {
+        throw new Error('Baseline must be an array of fingerprints or an object with an issues or fingerprints array');
+    }
+
+    if (entries.length > BASELINE_CONFIG.MAX_ENTRIES) {
+        throw new Error(`Baseline must not contain more than ${BASELINE_CONFIG.MAX_ENTRIES} entries`);
+    }
+
+    return entries.map(entry => {
+        const fingerprint = typeof entry === 'string' ? entry : entry?.fingerprint;
+        if (typeof fingerprint !== 'string' || !/^[a-f0-9]{8,64}$/i.test(fingerprint)) {
+            throw new Error('Every baseline entry must be a fingerprint (hex string) or an object with a fingerprint');
+        }
+        return fingerprint.toLowerCase();
+    });
+};
+
+module.exports = {
+    findEnclosingSymbol,
+    computeFingerprint,
+    fingerprintIssues,
+    parseBaseline
+};
@@ -0,0 +1,101 @@
+/**
+ * Issue matching helpers for review comparisons
+ * Two reviews of different versions of a file report the same problem at
+ * different line numbers, so issues are matched by what they point at
+ * (category and normalized code snippet) instead of where
+ */
+
+// Entities written by the HTML escaping POST /review used to apply, decoded so snippets of stored reviews still match
+const HTML_ENTITIES = {
+    '&amp;': '&',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&#x27;': "'",
+    '&#x2F;': '/',
+    '&#x5C;': '\\',
+    '&#96;': '`'
+};
+
+/**
+ * Undo the HTML escaping POST /review used to apply
+ * Only for matching snippets: decoding source would corrupt code that contains entities
+ * @param {string} text - Possibly escaped text
+ * @returns {string} - Text as written
+ */
+const decodeHtmlEntities = (text) =>
+    text.replace(/&(?:amp|lt|gt|quot|#x27|#x2F|#x5C|#96);/g, entity => HTML_ENTITIES[entity]);
+
+/**
+ * Normalize a code snippet so formatting-only changes do not break a match
+ * Whitespace runs collapse to one space and disappear around punctuation
+ * @param {string} snippet - Code snippet of an issue
+ * @returns {string} - Normalized snippet ('' when there is none)
+ */
+const normalizeSnippet = (snippet) => {
+    if (typeof snippet !== 'string') {
+        return '';
+    }
+
+    return decodeHtmlEntities(snippet)
+        .replace(/\s+/g, ' ')
+        .replace(/ ?([^\w\s]) ?/g, '$1')
+        .trim();
+};
+
+/**
+ * Key two issues share when they report the same problem
+ * Issues without a snippet fall back to their normalized title
+ * @param {Object} issue - Review issue
+ * @returns {string} - Match key
+ */
+const getIssueMatchKey = (issue) => {
+    const snippet = normalizeSnippet(issue.codeSnippet);
+    const target = snippet
+        ? `snippet:${snippet}`
+        : `title:${String(issue.title || '').toLowerCase().replace(/\s+/g, ' ').trim()}`;
+
+    return `${issue.category}|${target}`;
+};
+
+/**
+ * Match the issues of two reviews
+ * Issues with the same key pair up in order, so a problem reported twice
+ * before and once after counts as one persisting and one fixed
+ * @param {Array<Object>} beforeIssues - Issues of the earlier review
+ * @param {Array<Object>} afterIssues - Issues of the later review
+ * @returns {Object} - { fixed, introduced, persisting } where persisting holds { before, after } pairs
+ */
+const matchIssues = (beforeIssues, afterIssues) => {
+    const unmatched = new Map();
+    for (const issue of beforeIssues) {
+        const key = getIssueMatchKey(issue);
+        if (!unmatched.has(key)) unmatched.set(key, []);
+        unmatched.get(key).push(issue);
+    }
+
+    const introduced = [];
+    const persisting = [];
+
+    for (const issue of afterIssues) {
+        const candidates = unmatched.get(getIssueMatchKey(issue));
+        if (candidates?.length > 0) {
+            persisting.push({ before: candidates.shift(), after: issue });
+        } else {
+            introduced.push(issue);
+        }
+    }
+
+    // Whatever was not claimed by the later review is gone, in original order
+    const remaining = new Set([...unmatched.values()].flat());
+    const fixed = beforeIssues.filter(issue => remaining.has(issue));
+
+    return { fixed, introduced, persisting };
+};
+
+module.exports = {
+    decodeHtmlEntities,
+    normalizeSnippet,
+    getIssueMatchKey,
+    matchIssues
+};
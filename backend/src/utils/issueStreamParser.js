@@ -0,0 +1,88 @@
+/**
+ * Incremental parser for streamed review JSON
+ * Emits each object of the top-level "issues" array as soon as its closing
+ * brace arrives, without waiting for the rest of the model output
+ */
+class IssueStreamParser {
+    constructor() {
+        this.buffer = '';
+        this.position = 0;
+        this.inIssues = false;
+        this.depth = 0;
+        this.inString = false;
+        this.escaped = false;
+        this.objectStart = -1;
+        this.done = false;
+    }
+
+    /**
+     * Feed a chunk of model output
+     * @param {string} chunk - Next piece of streamed text
+     * @returns {Array<Object>} - Issues completed by this chunk
+     */
+    push(chunk) {
+        this.buffer += chunk;
+        const completed = [];
+
+        if (!this.inIssues && !this.done) {
+            const match = /"issues"\s*:\s*\[/.exec(this.buffer);
+            if (!match) {
+                return completed;
+            }
+            this.inIssues = true;
+            this.position = match.index + match[0].length;
+        }
+
+        while (this.inIssues && this.position < this.buffer.length) {
+            const char = this.buffer[this.position];
+
+            if (this.inString) {
+                if (this.escaped) {
+                    this.escaped = false;
+                } else if (char === '\\') {
+                    this.escaped = true;
+                } else if (char === '"') {
+                    this.inString = false;
+                }
+            } else if (char === '"') {
+                this.inString = true;
+            } else if (char === '{') {
+                if (this.depth === 0) {
+                    this.objectStart = this.position;
+                }
+                this.depth++;
+            } else if (char === '}') {
+                this.depth--;
+                if (this.depth === 0 && this.objectStart !== -1) {
+                    const issue = this._parseObject(this.buffer.slice(this.objectStart, this.position + 1));
+                    if (issue) {
+                        completed.push(issue);
+                    }
+                    this.objectStart = -1;
+                }
+            } else if (char === ']' && this.depth === 0) {
+                this.inIssues = false;
+                this.done = true;
+            }
+
+            this.position++;
+        }
+
+        return completed;
+    }
+
+    /**
+     * Parse a single issue object, skipping malformed ones
+     * @param {string} text - JSON text of one issue
+     * @returns {Object|null} - Parsed issue or null
+     */
+    _parseObject(text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+module.exports = IssueStreamParser;
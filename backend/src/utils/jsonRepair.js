@@ -0,0 +1,133 @@
+/**
+ * Tolerant JSON extraction for model output
+ * Handles code fences, prose around the object, comments and trailing commas
+ */
+
+/**
+ * Extract the first balanced JSON object from text
+ * @param {string} text - Raw model output
+ * @returns {string|null} - JSON object text or null when none is found
+ */
+const extractJsonObject = (text) => {
+    // Prefer the content of a ```json fence when the model used one
+    const fenced = text.match(/```(?:json)?\s*\n([\s\S]*?)\n?```/);
+    const source = fenced && fenced[1].includes('{') ? fenced[1] : text;
+
+    const start = source.indexOf('{');
+    if (start === -1) {
+        return null;
+    }
+
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+
+    for (let i = start; i < source.length; i++) {
+        const char = source[i];
+
+        if (inString) {
+            if (escaped) escaped = false;
+            else if (char === '\\') escaped = true;
+            else if (char === '"') inString = false;
+        } else if (char === '"') {
+            inString = true;
+        } else if (char === '{') {
+            depth++;
+        } else if (char === '}') {
+            depth--;
+            if (depth === 0) {
+                return source.slice(start, i + 1);
+            }
+        }
+    }
+
+    // Unbalanced (usually truncated output) - hand back the rest for the repair pass
+    return source.slice(start);
+};
+
+/**
+ * Walk JSON text and hand every character outside of strings to a callback
+ * @param {string} json - JSON text
+ * @param {Function} onCode - (char, index) => [output, nextIndex]
+ * @returns {string} - Rewritten text
+ */
+const rewriteOutsideStrings = (json, onCode) => {
+    let result = '';
+    let inString = false;
+    let escaped = false;
+
+    for (let i = 0; i < json.length; i++) {
+        const char = json[i];
+
+        if (inString) {
+            result += char;
+            if (escaped) escaped = false;
+            else if (char === '\\') escaped = true;
+            else if (char === '"') inString = false;
+        } else if (char === '"') {
+            inString = true;
+            result += char;
+        } else {
+            const [output, nextIndex] = onCode(char, i);
+            result += output;
+            i = nextIndex;
+        }
+    }
+
+    return result;
+};
+
+/**
+ * Remove // and /* *\/ comments and trailing commas outside of strings
+ * @param {string} json - Almost-JSON text
+ * @returns {string} - Cleaned text
+ */
+const stripJsonNoise = (json) => {
+    const withoutComments = rewriteOutsideStrings(json, (char, i) => {
+        if (char === '/' && json[i + 1] === '/') {
+            const end = json.indexOf('\n', i);
+            return ['\n', end === -1 ? json.length : end];
+        }
+        if (char === '/' && json[i + 1] === '*') {
+            const end = json.indexOf('*/', i + 2);
+            return ['', end === -1 ? json.length : end + 1];
+        }
+        return [char, i];
+    });
+
+    return rewriteOutsideStrings(withoutComments, (char, i) => {
+        // Drop the comma when the next significant character closes a container
+        if (char === ',') {
+            const next = withoutComments.slice(i + 1).match(/^\s*(\S)/);
+            if (!next || next[1] === '}' || next[1] === ']') {
+                return ['', i];
+            }
+        }
+        return [char, i];
+    });
+};
+
+/**
+ * Parse a JSON object out of model output, tolerating common formatting slips
+ * @param {string} text - Raw model output
+ * @returns {Object} - Parsed object
+ * @throws {Error} - When no parseable object is found
+ */
+const parseJsonLenient = (text) => {
+    const candidate = extractJsonObject(text);
+    if (!candidate) {
+        throw new Error('No JSON found in AI response');
+    }
+
+    try {
+        return JSON.parse(candidate);
+    } catch (error) {
+        return JSON.parse(stripJsonNoise(candidate));
+    }
+};
+
+module.exports = {
+    extractJsonObject,
+    stripJsonNoise,
+    parseJsonLenient
+};
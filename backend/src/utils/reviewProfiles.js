@@ -0,0 +1,95 @@
+/**
+ * Review profiles
+ * A profile narrows a review to the categories it weights and the severities
+ * at or above its minimum. The model is told the same in its system
+ * instruction; the filter here enforces it on whatever the model returns
+ */
+const { REVIEW_PROFILES, SEVERITY_LEVELS } = require("./constants");
+
+// Most severe first
+const SEVERITY_ORDER = Object.values(SEVERITY_LEVELS);
+
+/**
+ * Look up a profile
+ * @param {string} name - Profile name (see REVIEW_PROFILES)
+ * @returns {Object|null} - Profile with its name, or null when none is requested
+ */
+const getReviewProfile = (name) =>
+    name && REVIEW_PROFILES[name] ? { name, ...REVIEW_PROFILES[name] } : null;
+
+/**
+ * Categories a profile reports, most important first
+ * @param {Object} profile - Profile from getReviewProfile
+ * @returns {Array<string>} - Issue categories
+ */
+const getFocusCategories = (profile) =>
+    Object.entries(profile.categoryWeights)
+        .filter(([, weight]) => weight > 0)
+        .sort((a, b) => b[1] - a[1])
+        .map(([category]) => category);
+
+/**
+ * Whether a profile reports an issue
+ * @param {Object} issue - Normalized issue
+ * @param {Object|null} profile - Profile from getReviewProfile
+ * @returns {boolean} - False when the category is out of focus or the severity is below the minimum
+ */
+const isReportedByProfile = (issue, profile) => {
+    if (!profile) {
+        return true;
+    }
+
+    const severity = SEVERITY_ORDER.indexOf(issue.severity);
+    return (profile.categoryWeights[issue.category] || 0) > 0 &&
+        severity !== -1 && severity <= SEVERITY_ORDER.indexOf(profile.minSeverity);
+};
+
+/**
+ * Drop the issues a profile does not report
+ * @param {Object} review - Parsed review
+ * @param {Object|null} profile - Profile from getReviewProfile
+ * @returns {Object} - Review with filtered issues and a profile block { name, minSeverity, categories, filtered }
+ */
+const applyReviewProfile = (review, profile) => {
+    if (!profile) {
+        return review;
+    }
+
+    const issues = review.issues.filter(issue => isReportedByProfile(issue, profile));
+
+    return {
+        ...review,
+        issues,
+        profile: {
+            name: profile.name,
+            minSeverity: profile.minSeverity,
+            categories: getFocusCategories(profile),
+            filtered: review.issues.length - issues.length
+        }
+    };
+};
+
+/**
+ * Combine the profile blocks of several reviews (files of a diff or project, batches of a file)
+ * @param {Array<Object>} reviews - Reviews, some possibly without a profile block
+ * @returns {Object|null} - Profile block with the filtered counts summed, or null without a profile
+ */
+const mergeProfileSummaries = (reviews) => {
+    const profiled = reviews.filter(review => review.profile);
+    if (profiled.length === 0) {
+        return null;
+    }
+
+    return {
+        ...profiled[0].profile,
+        filtered: profiled.reduce((total, review) => total + review.profile.filtered, 0)
+    };
+};
+
+module.exports = {
+    getReviewProfile,
+    getFocusCategories,
+    isReportedByProfile,
+    applyReviewProfile,
+    mergeProfileSummaries
+};
@@ -0,0 +1,150 @@
+/**
+ * Structured details of security issues
+ * SECURITY issues carry a security block for triage: CWE ID, OWASP Top 10
+ * category, exploitability, the source → sink data flow and a CVSS-like score.
+ * The model fills it in; the bundled offline CWE catalogue (data/cweCatalogue.json)
+ * checks it, names the weakness and settles the OWASP category of known CWEs
+ */
+const catalogue = require("../data/cweCatalogue.json");
+const { ISSUE_CATEGORIES, EXPLOITABILITY_LEVELS } = require("./constants");
+
+const OWASP_EDITION = '2021';
+
+/**
+ * Look up a CWE in the catalogue
+ * @param {string} cwe - Normalized CWE ID (CWE-89)
+ * @returns {Object|null} - { name, owasp } or null when the CWE is not catalogued
+ */
+const getCweEntry = (cwe) => (cwe && catalogue.cwe[cwe]) || null;
+
+/**
+ * Name of an OWASP Top 10 category
+ * @param {string} owasp - Normalized category (A03:2021)
+ * @returns {string|null} - Category name, or null when unknown
+ */
+const getOwaspName = (owasp) => (owasp && catalogue.owaspTop10[owasp]) || null;
+
+/**
+ * Read a CWE ID in any common spelling (CWE-89, cwe 89, 89)
+ * @param {*} value - CWE ID from the model
+ * @returns {string|null} - CWE-<number>, or null when it is not a CWE ID
+ */
+const parseCwe = (value) => {
+    const match = /^(?:CWE)?[\s:-]*(\d{1,5})$/i.exec(String(value ?? '').trim());
+    return match ? `CWE-${Number(match[1])}` : null;
+};
+
+/**
+ * Read an OWASP Top 10 category (A03, A3:2021, A03:2021-Injection)
+ * Categories of other editions are rejected: their numbering differs from 2021
+ * @param {*} value - Category from the model
+ * @returns {string|null} - A<nn>:2021, or null when it is not a 2021 category
+ */
+const parseOwasp = (value) => {
+    const match = /^A0?(\d{1,2})(?:\s*:\s*(\d{4}))?(?!\d)/i.exec(String(value ?? '').trim());
+    if (!match || (match[2] && match[2] !== OWASP_EDITION)) {
+        return null;
+    }
+
+    const owasp = `A${match[1].padStart(2, '0')}:${OWASP_EDITION}`;
+    return getOwaspName(owasp) ? owasp : null;
+};
+
+/**
+ * Read a data flow given as { source, sink } or as "source -> sink"
+ * @param {*} value - Data flow from the model
+ * @returns {Object|null} - { source, sink } (either may be null), or null when neither is known
+ */
+const parseDataFlow = (value) => {
+    let source = null;
+    let sink = null;
+
+    if (typeof value === 'string') {
+        [source, sink = null] = value.split(/\s*(?:→|->|=>)\s*/);
+    } else if (value && typeof value === 'object') {
+        ({ source = null, sink = null } = value);
+    }
+
+    const clean = (text) => (typeof text === 'string' && text.trim()) || null;
+    source = clean(source);
+    sink = clean(sink);
+
+    return source || sink ? { source, sink } : null;
+};
+
+/**
+ * Read a CVSS-like score, clamped to 0-10 with one decimal
+ * @param {*} value - Score from the model
+ * @returns {number|null} - Score, or null when it is not a number
+ */
+const parseScore = (value) => {
+    const score = value === null || value === '' ? NaN : Number(value);
+    return Number.isFinite(score) ? Math.round(Math.max(0, Math.min(10, score)) * 10) / 10 : null;
+};
+
+/**
+ * Check and complete the security block of an issue
+ * SECURITY issues always get a block (missing fields are null); other issues lose theirs.
+ * For catalogued CWEs the catalogue's OWASP category wins over the model's
+ * @param {Object} issue - Validated issue
+ * @returns {Object} - Issue with security { cwe, cweName, owasp, owaspName, exploitability, dataFlow, score, verified, corrections }
+ */
+const normalizeSecurityDetails = (issue) => {
+    if (!issue || typeof issue !== 'object') {
+        return issue;
+    }
+
+    const { security: details, ...rest } = issue;
+    if (issue.category !== ISSUE_CATEGORIES.SECURITY) {
+        return rest;
+    }
+
+    const raw = details && typeof details === 'object' ? details : {};
+    const corrections = [];
+
+    const cwe = parseCwe(raw.cwe);
+    if (raw.cwe != null && raw.cwe !== '' && !cwe) {
+        corrections.push(`Dropped malformed CWE ID "${raw.cwe}"`);
+    }
+
+    let owasp = parseOwasp(raw.owasp);
+    if (raw.owasp != null && raw.owasp !== '' && !owasp) {
+        corrections.push(`Dropped "${raw.owasp}": not an OWASP Top 10 ${OWASP_EDITION} category`);
+    }
+
+    const entry = getCweEntry(cwe);
+    if (entry && entry.owasp && entry.owasp !== owasp) {
+        if (owasp) {
+            corrections.push(`Replaced OWASP ${owasp} with ${entry.owasp}, the category ${cwe} maps to`);
+        }
+        owasp = entry.owasp;
+    }
+
+    const exploitability = typeof raw.exploitability === 'string' &&
+        EXPLOITABILITY_LEVELS[raw.exploitability.trim().toUpperCase()]
+        ? raw.exploitability.trim().toUpperCase()
+        : null;
+
+    return {
+        ...rest,
+        security: {
+            cwe,
+            cweName: entry ? entry.name : null,
+            owasp,
+            owaspName: getOwaspName(owasp),
+            exploitability,
+            dataFlow: parseDataFlow(raw.dataFlow),
+            score: parseScore(raw.score),
+            verified: Boolean(entry),
+            corrections
+        }
+    };
+};
+
+module.exports = {
+    getCweEntry,
+    getOwaspName,
+    parseCwe,
+    parseOwasp,
+    normalizeSecurityDetails
+};
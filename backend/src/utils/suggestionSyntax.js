@@ -0,0 +1,110 @@
+/**
+ * Syntax check of suggestions
+ * The code in an issue's suggestion is parsed for the languages that have a
+ * pure-JS parser (see services/syntaxCheckers), so suggestions that would not
+ * even compile are marked before they reach the developer
+ */
+const { getSyntaxChecker } = require("../services/syntaxCheckers");
+const { SUPPORTED_LANGUAGES, SYNTAX_CHECK_CONFIG } = require("./constants");
+
+const FENCED_BLOCK = /```[ \t]*([\w+#.-]*)[^\n]*\n([\s\S]*?)```/g;
+
+/**
+ * Language of a code fence tag (js, py, json, ...)
+ * @param {string} tag - Fence info string
+ * @returns {string|null} - Language name, or null for unknown or missing tags
+ */
+const resolveFenceLanguage = (tag) => {
+    const wanted = (tag || '').toLowerCase();
+    if (!wanted) {
+        return null;
+    }
+    if (wanted === 'json' || SUPPORTED_LANGUAGES[wanted]) {
+        return wanted;
+    }
+
+    const match = Object.entries(SUPPORTED_LANGUAGES).find(([, extensions]) => extensions.includes(wanted));
+    return match ? match[0] : null;
+};
+
+/**
+ * Whether a suggestion is an explanation rather than code
+ * ("Use strict equality (===) instead." - a capitalized sentence with no statement or block ends)
+ * @param {string} text - Trimmed suggestion
+ * @returns {boolean} - True for prose
+ */
+const isProse = (text) =>
+    /^[A-Z][a-z']*[\s,]+[A-Za-z`'"(]/.test(text) &&
+    (/[.!?]$/.test(text) || text.split(/\s+/).length >= 3) &&
+    !text.split('\n').some(line => /[;{}]\s*$/.test(line));
+
+/**
+ * Remove the indentation all lines share, so code cut from a block parses on its own
+ * @param {string} code - Code
+ * @returns {string} - Dedented code
+ */
+const dedent = (code) => {
+    const lines = code.replace(/^\n+|\s+$/g, '').split('\n');
+    const indents = lines.filter(line => line.trim()).map(line => /^[ \t]*/.exec(line)[0].length);
+    const common = indents.length > 0 ? Math.min(...indents) : 0;
+    return lines.map(line => line.slice(common)).join('\n');
+};
+
+/**
+ * Code blocks of a suggestion
+ * Fenced blocks are taken as they are; an unfenced suggestion is code unless it reads as prose
+ * @param {string} suggestion - Suggestion of an issue
+ * @returns {Array<Object>} - Blocks { code, language } (language from the fence tag, or null)
+ */
+const extractSuggestionCode = (suggestion) => {
+    if (typeof suggestion !== 'string' || !suggestion.trim()) {
+        return [];
+    }
+
+    const fenced = [...suggestion.matchAll(FENCED_BLOCK)]
+        .map(([, tag, code]) => ({ code: dedent(code), language: resolveFenceLanguage(tag) }))
+        .filter(block => block.code);
+    if (fenced.length > 0) {
+        return fenced;
+    }
+
+    const text = suggestion.trim();
+    return isProse(text) ? [] : [{ code: dedent(text), language: null }];
+};
+
+/**
+ * Check the code of an issue's suggestion
+ * @param {Object} issue - Normalized issue
+ * @param {string} language - Language of the reviewed code
+ * @returns {Object} - Issue with syntaxValid (true, false, or null when nothing could be checked)
+ *                     and syntaxError { message, line, column, language } when it is false
+ */
+const checkSuggestionSyntax = (issue, language) => {
+    if (!issue || typeof issue !== 'object') {
+        return issue;
+    }
+
+    const { syntaxValid, syntaxError, ...rest } = issue;
+    let checked = false;
+
+    for (const block of extractSuggestionCode(issue.suggestion)) {
+        const blockLanguage = block.language || language;
+        const checker = getSyntaxChecker(blockLanguage);
+        if (!checker || block.code.length > SYNTAX_CHECK_CONFIG.MAX_CODE_LENGTH) {
+            continue;
+        }
+
+        const result = checker.check(block.code, blockLanguage);
+        if (!result.valid) {
+            return { ...rest, syntaxValid: false, syntaxError: { ...result.error, language: blockLanguage } };
+        }
+        checked = true;
+    }
+
+    return { ...rest, syntaxValid: checked ? true : null };
+};
+
+module.exports = {
+    extractSuggestionCode,
+    checkSuggestionSyntax
+};
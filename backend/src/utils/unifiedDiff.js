@@ -0,0 +1,349 @@
+/**
+ * Unified diff helpers for change reviews
+ * Parses `diff -u` / `git diff` output, applies it to original content and
+ * maps new-file line numbers back to what the change did to them
+ */
+
+// Values of issue.changeType in diff reviews
+const CHANGE_TYPES = {
+    INTRODUCED: 'introduced',
+    TOUCHED: 'touched',
+    PRE_EXISTING: 'pre-existing context'
+};
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@ ?(.*)$/;
+
+/**
+ * Strip the a/ b/ prefixes and trailing timestamps from a ---/+++ path
+ * @param {string} raw - Path as written in the diff header
+ * @returns {string|null} - Clean path, or null for /dev/null
+ */
+const cleanPath = (raw) => {
+    const path = raw.split('\t')[0].trim().replace(/^"(.*)"$/, '$1');
+    if (path === '/dev/null') {
+        return null;
+    }
+    return path.replace(/^[ab]\//, '');
+};
+
+/**
+ * Parse a unified diff into per-file patches
+ * @param {string} text - Unified diff (one or more files)
+ * @returns {Array<Object>} - Files { oldPath, newPath, status, binary, hunks, additions, deletions }
+ * @throws {Error} - When the text contains no file patches or a hunk is malformed
+ */
+const parseUnifiedDiff = (text) => {
+    const lines = text.replace(/\r\n/g, '\n').split('\n');
+    const files = [];
+    let file = null;
+    let hunk = null;
+    let oldRemaining = 0;
+    let newRemaining = 0;
+    let oldLine = 0;
+    let newLine = 0;
+
+    const startFile = () => {
+        file = { oldPath: null, newPath: null, status: 'modified', binary: false, hunks: [], additions: 0, deletions: 0 };
+        files.push(file);
+        hunk = null;
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        // Inside a hunk the line counts decide what belongs to it
+        if (hunk && (oldRemaining > 0 || newRemaining > 0)) {
+            const marker = line[0];
+            const content = line.slice(1);
+
+            if (marker === ' ' || line === '') {
+                hunk.lines.push({ type: 'context', content, oldLine: oldLine++, newLine: newLine++ });
+                oldRemaining--;
+                newRemaining--;
+            } else if (marker === '-') {
+                hunk.lines.push({ type: 'del', content, oldLine: oldLine++ });
+                oldRemaining--;
+                file.deletions++;
+            } else if (marker === '+') {
+                hunk.lines.push({ type: 'add', content, newLine: newLine++ });
+                newRemaining--;
+                file.additions++;
+            } else if (marker !== '\\') {
+                throw new Error(`Invalid unified diff: unexpected line ${i + 1} inside hunk "${hunk.header}"`);
+            }
+            continue;
+        }
+
+        if (line.startsWith('diff --git ')) {
+            startFile();
+            const match = line.match(/^diff --git "?a\/(.+?)"? "?b\/(.+?)"?$/);
+            if (match) {
+                file.oldPath = match[1];
+                file.newPath = match[2];
+            }
+        } else if (line.startsWith('--- ') && lines[i + 1]?.startsWith('+++ ')) {
+            // Plain `diff -u` output has no "diff --git" line between files
+            if (!file || file.hunks.length > 0) {
+                startFile();
+            }
+            file.oldPath = cleanPath(line.slice(4));
+            file.newPath = cleanPath(lines[i + 1].slice(4));
+            if (!file.oldPath) file.status = 'added';
+            if (!file.newPath) file.status = 'deleted';
+            i++;
+        } else if (file && line.startsWith('new file mode')) {
+            file.status = 'added';
+        } else if (file && line.startsWith('deleted file mode')) {
+            file.status = 'deleted';
+        } else if (file && line.startsWith('rename from ')) {
+            file.oldPath = line.slice('rename from '.length);
+            file.status = 'renamed';
+        } else if (file && line.startsWith('rename to ')) {
+            file.newPath = line.slice('rename to '.length);
+            file.status = 'renamed';
+        } else if (file && (line.startsWith('Binary files ') || line === 'GIT binary patch')) {
+            file.binary = true;
+        } else if (line.startsWith('@@')) {
+            const match = line.match(HUNK_HEADER);
+            if (!match || !file) {
+                throw new Error(`Invalid unified diff: malformed hunk header at line ${i + 1}`);
+            }
+
+            hunk = {
+                oldStart: parseInt(match[1]),
+                oldLines: match[2] === undefined ? 1 : parseInt(match[2]),
+                newStart: parseInt(match[3]),
+                newLines: match[4] === undefined ? 1 : parseInt(match[4]),
+                section: match[5],
+                header: line,
+                lines: []
+            };
+            file.hunks.push(hunk);
+            oldRemaining = hunk.oldLines;
+            newRemaining = hunk.newLines;
+            oldLine = hunk.oldStart;
+            newLine = hunk.newStart;
+        }
+    }
+
+    if (hunk && (oldRemaining > 0 || newRemaining > 0)) {
+        throw new Error(`Invalid unified diff: hunk "${hunk.header}" is truncated`);
+    }
+
+    const patches = files.filter(entry => entry.oldPath || entry.newPath);
+    if (patches.length === 0) {
+        throw new Error('Invalid unified diff: no file patches found');
+    }
+
+    // git omits ---/+++ for pure renames and mode changes; paths come from "diff --git"
+    for (const patch of patches) {
+        patch.oldPath = patch.status === 'added' ? null : patch.oldPath;
+        patch.newPath = patch.status === 'deleted' ? null : patch.newPath;
+    }
+
+    return patches;
+};
+
+/**
+ * Render a parsed file patch back to unified diff text
+ * @param {Object} file - File patch from parseUnifiedDiff
+ * @param {Array<Object>} hunks - Subset of the file's hunks (defaults to all)
+ * @returns {string} - Unified diff text
+ */
+const formatFilePatch = (file, hunks = file.hunks) => {
+    const marker = { context: ' ', add: '+', del: '-' };
+    const header = [
+        `--- ${file.oldPath ? `a/${file.oldPath}` : '/dev/null'}`,
+        `+++ ${file.newPath ? `b/${file.newPath}` : '/dev/null'}`
+    ];
+
+    return header.concat(hunks.flatMap(hunk => [
+        hunk.header,
+        ...hunk.lines.map(line => marker[line.type] + line.content)
+    ])).join('\n');
+};
+
+/**
+ * Apply a file patch to the original content
+ * Context and removed lines must match (trailing whitespace is ignored)
+ * @param {string} original - Original file content
+ * @param {Object} file - File patch from parseUnifiedDiff
+ * @returns {string} - New file content
+ * @throws {Error} - When the patch does not apply
+ */
+const applyFilePatch = (original, file) => {
+    const trailingNewline = original.endsWith('\n');
+    const source = original === '' ? [] : (trailingNewline ? original.slice(0, -1) : original).split('\n');
+    const output = [];
+    let cursor = 0;
+
+    for (const hunk of file.hunks) {
+        // A hunk that removes nothing is anchored after line oldStart
+        const start = hunk.oldLines === 0 ? hunk.oldStart : hunk.oldStart - 1;
+        if (start < cursor || start > source.length) {
+            throw new Error(`Patch does not apply to ${file.oldPath}: hunk "${hunk.header}" is out of range`);
+        }
+
+        output.push(...source.slice(cursor, start));
+        cursor = start;
+
+        for (const line of hunk.lines) {
+            if (line.type === 'add') {
+                output.push(line.content);
+                continue;
+            }
+
+            if (cursor >= source.length || source[cursor].trimEnd() !== line.content.trimEnd()) {
+                throw new Error(
+                    `Patch does not apply to ${file.oldPath}: hunk "${hunk.header}" expected ` +
+                    `"${line.content.trim().slice(0, 80)}" at line ${cursor + 1}`
+                );
+            }
+
+            if (line.type === 'context') {
+                output.push(source[cursor]);
+            }
+            cursor++;
+        }
+    }
+
+    output.push(...source.slice(cursor));
+    return output.join('\n') + (trailingNewline || (original === '' && output.length > 0) ? '\n' : '');
+};
+
+/**
+ * Describe which new-file lines a patch added and where it changed code
+ * @param {Object} file - File patch from parseUnifiedDiff
+ * @returns {Object} - { added: Set<number>, spans: Array<[start, end]> } in new-file line numbers
+ */
+const buildChangeMap = (file) => {
+    const added = new Set();
+    const spans = [];
+
+    for (const hunk of file.hunks) {
+        let span = null;
+        let position = hunk.newStart;
+
+        for (const line of hunk.lines) {
+            if (line.type === 'context') {
+                if (span) spans.push(span);
+                span = null;
+                position = line.newLine + 1;
+                continue;
+            }
+
+            if (line.type === 'add') {
+                added.add(line.newLine);
+                position = line.newLine + 1;
+                span = span ? [span[0], line.newLine] : [line.newLine, line.newLine];
+            } else if (!span) {
+                // A pure deletion touches the lines on either side of the gap
+                span = [Math.max(1, position - 1), position];
+            } else {
+                span = [span[0], Math.max(span[1], position)];
+            }
+        }
+
+        if (span) spans.push(span);
+    }
+
+    return { added, spans };
+};
+
+/**
+ * Classify an issue by what the change did to the lines it points at
+ * @param {Object} issue - Issue with new-file line/endLine
+ * @param {Object} changeMap - Result of buildChangeMap
+ * @returns {string} - One of CHANGE_TYPES
+ */
+const classifyIssueChange = (issue, { added, spans }) => {
+    // Issues without a line are about the change as a whole
+    if (!issue.line) {
+        return CHANGE_TYPES.TOUCHED;
+    }
+
+    const start = issue.line;
+    const end = issue.endLine >= start ? issue.endLine : start;
+    let addedCount = 0;
+
+    for (let line = start; line <= end; line++) {
+        if (added.has(line)) addedCount++;
+    }
+
+    if (addedCount === end - start + 1) {
+        return CHANGE_TYPES.INTRODUCED;
+    }
+
+    if (addedCount > 0 || spans.some(([spanStart, spanEnd]) => start <= spanEnd && end >= spanStart)) {
+        return CHANGE_TYPES.TOUCHED;
+    }
+
+    return CHANGE_TYPES.PRE_EXISTING;
+};
+
+/**
+ * Collect the new-file lines shown around each hunk
+ * With the full new content the excerpt is widened by contextLines; without it
+ * only the context and added lines carried by the diff are available
+ * @param {Object} file - File patch from parseUnifiedDiff
+ * @param {Array<Object>} hunks - Hunks to cover
+ * @param {string|null} newCode - Complete new file content, if known
+ * @param {number} contextLines - Extra lines around each hunk when newCode is known
+ * @returns {Array<Object>} - Lines { number, text } in ascending order
+ */
+const collectHunkLines = (file, hunks, newCode, contextLines) => {
+    const byNumber = new Map();
+
+    if (newCode !== null) {
+        const lines = newCode.replace(/\n$/, '').split('\n');
+        for (const hunk of hunks) {
+            const from = Math.max(1, hunk.newStart - contextLines);
+            const to = Math.min(lines.length, hunk.newStart + Math.max(hunk.newLines, 1) - 1 + contextLines);
+            for (let number = from; number <= to; number++) {
+                byNumber.set(number, lines[number - 1]);
+            }
+        }
+    } else {
+        for (const hunk of hunks) {
+            for (const line of hunk.lines) {
+                if (line.type !== 'del') {
+                    byNumber.set(line.newLine, line.content);
+                }
+            }
+        }
+    }
+
+    return [...byNumber.entries()]
+        .sort((a, b) => a[0] - b[0])
+        .map(([number, text]) => ({ number, text }));
+};
+
+/**
+ * Prefix lines with their new-file line numbers, marking gaps with "..."
+ * @param {Array<Object>} lines - Lines { number, text } in ascending order
+ * @returns {string} - Numbered listing
+ */
+const formatNumberedLines = (lines) => {
+    const width = String(lines.length > 0 ? lines[lines.length - 1].number : 1).length;
+    const output = [];
+
+    lines.forEach(({ number, text }, index) => {
+        if (index > 0 && number !== lines[index - 1].number + 1) {
+            output.push('...');
+        }
+        output.push(`${String(number).padStart(width)} | ${text}`);
+    });
+
+    return output.join('\n');
+};
+
+module.exports = {
+    CHANGE_TYPES,
+    parseUnifiedDiff,
+    formatFilePatch,
+    applyFilePatch,
+    buildChangeMap,
+    classifyIssueChange,
+    collectHunkLines,
+    formatNumberedLines
+};
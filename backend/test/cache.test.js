@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const reviewCache = require('../src/services/cache.services');
+const { createCacheStore } = require('../src/services/cache');
+
+const PARAMS = { code: 'const a = 1;', language: 'javascript', framework: null, provider: 'mock', model: 'mock-reviewer' };
+
+test('builds the same key for the same request', () => {
+    const key = reviewCache.buildKey(PARAMS);
+
+    assert.match(key, /^[0-9a-f]{64}$/);
+    assert.equal(reviewCache.buildKey({ ...PARAMS }), key);
+    assert.equal(reviewCache.buildKey({ ...PARAMS, framework: 'none' }), key);
+});
+
+test('changes the key with anything that changes the review', () => {
+    const key = reviewCache.buildKey(PARAMS);
+    const variants = [
+        { code: 'const a = 2;' },
+        { language: 'typescript' },
+        { framework: 'react' },
+        { provider: 'openai' },
+        { model: 'other-model' },
+        { extra: { profile: 'security-audit' } },
+        { extra: { fix: true } }
+    ];
+
+    for (const variant of variants) {
+        assert.notEqual(reviewCache.buildKey({ ...PARAMS, ...variant }), key, JSON.stringify(variant));
+    }
+});
+
+test('reads Cache-Control directives', () => {
+    assert.deepEqual(reviewCache.getRequestPolicy(''), { read: true, write: true });
+    assert.deepEqual(reviewCache.getRequestPolicy('No-Cache'), { read: false, write: true });
+    assert.deepEqual(reviewCache.getRequestPolicy('max-age=0, no-store'), { read: false, write: false });
+});
+
+test('memory store evicts the least recently used entry', async () => {
+    const store = createCacheStore('memory', { maxEntries: 2 });
+    await store.set('a', { n: 1 }, 60000);
+    await store.set('b', { n: 2 }, 60000);
+    await store.get('a');
+    await store.set('c', { n: 3 }, 60000);
+
+    assert.equal(await store.get('b'), null);
+    assert.deepEqual((await store.get('a')).value, { n: 1 });
+    assert.deepEqual((await store.get('c')).value, { n: 3 });
+    assert.equal(await store.size(), 2);
+});
+
+test('memory store drops expired entries', async () => {
+    const store = createCacheStore('memory', { maxEntries: 10 });
+    await store.set('old', { n: 1 }, 0);
+
+    assert.equal(await store.get('old'), null);
+    assert.equal(await store.size(), 0);
+});
+
+test('file store keeps entries across instances and treats bad files as misses', async (t) => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'review-cache-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+    await createCacheStore('file', { dir }).set('key', { issues: [] }, 60000);
+    const store = createCacheStore('file', { dir });
+
+    assert.deepEqual((await store.get('key')).value, { issues: [] });
+    assert.equal(await store.size(), 1);
+
+    await fs.writeFile(path.join(dir, 'broken.json'), '{"value":');
+    assert.equal(await store.get('broken'), null);
+
+    await store.set('old', { issues: [] }, 0);
+    assert.equal(await store.get('old'), null);
+
+    await store.clear();
+    assert.equal(await store.size(), 0);
+});
+
+test('rejects unknown stores', () => {
+    assert.throws(() => createCacheStore('redis'), /Unknown cache store "redis"\. Available stores: memory, file/);
+});
@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getExporter } = require('../src/services/exporters');
+
+const checkstyle = getExporter('checkstyle');
+
+test('writes one file element per reviewed file with its errors', () => {
+    const xml = checkstyle.render({
+        files: [{ filePath: 'src/a.js' }, { filePath: 'src/clean.js' }],
+        issues: [{ category: 'BUG', severity: 'HIGH', title: 'Null access', description: 'user may be null.', suggestion: 'Check it first', line: 7, filePath: 'src/a.js' }]
+    });
+
+    assert.equal(xml, [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<checkstyle version="4.3">',
+        '  <file name="src/a.js">',
+        '    <error line="7" severity="error" message="Null access: user may be null. Suggestion: Check it first" source="review/bug"/>',
+        '  </file>',
+        '  <file name="src/clean.js">',
+        '  </file>',
+        '</checkstyle>',
+        ''
+    ].join('\n'));
+});
+
+test('maps severities and uses the file name of single-file reviews', () => {
+    const xml = checkstyle.render({
+        issues: ['CRITICAL', 'MEDIUM', 'LOW', 'INFO'].map((severity, index) => ({ category: 'CODE_STYLE', severity, title: 't', line: index + 1 }))
+    }, { fileName: 'app.js' });
+
+    assert.match(xml, /<file name="app\.js">/);
+    assert.deepEqual([...xml.matchAll(/severity="(\w+)"/g)].map(match => match[1]), ['error', 'warning', 'info', 'info']);
+});
+
+test('escapes markup and drops characters XML does not allow', () => {
+    const xml = checkstyle.render({
+        issues: [{ category: 'BUG', severity: 'LOW', title: 'a < b && "c" > \'d\'', description: 'bell\u0007 tab\tend', line: 1 }]
+    }, { fileName: 'x<y>.js' });
+
+    assert.match(xml, /<file name="x&lt;y&gt;\.js">/);
+    assert.match(xml, /message="a &lt; b &amp;&amp; &quot;c&quot; &gt; &apos;d&apos;: bell tab\tend"/);
+    assert.ok(!xml.includes('\u0007'));
+});
@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { splitCode, findBoundaries } = require('../src/utils/codeChunker');
+
+const fn = (name, bodyLines) => [
+    `function ${name}() {`,
+    ...Array.from({ length: bodyLines }, (_, i) => `    step${i}();`),
+    '}'
+];
+
+const reassemble = (chunks) => chunks.map(chunk => chunk.code).join('\n');
+
+test('finds top-level declarations and keeps comments above them', () => {
+    const lines = [
+        'const a = 1;',
+        '// Adds numbers',
+        '/** More docs */',
+        'function add(x, y) {',
+        '    return x + y;',
+        '}',
+        'export default class Store {}'
+    ];
+
+    assert.deepEqual(findBoundaries(lines, 'javascript'), [0, 1, 6]);
+});
+
+test('uses the boundaries of each language family', () => {
+    const python = ['import os', '', '@cache', 'def load():', '    pass', 'class Config:', '    pass'];
+    const go = ['package main', 'func main() {', '}', 'type Config struct {}'];
+
+    assert.deepEqual(findBoundaries(python, 'python'), [0, 2, 5]);
+    assert.deepEqual(findBoundaries(go, 'go'), [0, 1, 3]);
+});
+
+test('returns small code as one chunk', () => {
+    const code = fn('small', 3).join('\n');
+    const chunks = splitCode(code, { language: 'javascript', maxChunkLength: 1000, overlapLines: 2 });
+
+    assert.deepEqual(chunks, [{ index: 0, code, startLine: 1, endLine: 5 }]);
+});
+
+test('packs whole functions into chunks without losing lines', () => {
+    const lines = [...fn('first', 5), ...fn('second', 5), ...fn('third', 5)];
+    const code = lines.join('\n');
+    const chunks = splitCode(code, { language: 'javascript', maxChunkLength: 250, overlapLines: 2 });
+
+    assert.ok(chunks.length > 1);
+    assert.equal(reassemble(chunks), code);
+    for (const chunk of chunks) {
+        assert.match(chunk.code, /^function /);
+        assert.ok(chunk.code.length <= 250);
+        assert.equal(chunk.code, lines.slice(chunk.startLine - 1, chunk.endLine).join('\n'));
+    }
+});
+
+test('splits an oversized function into overlapping line windows', () => {
+    const lines = fn('huge', 40);
+    const code = lines.join('\n');
+    const chunks = splitCode(code, { language: 'javascript', maxChunkLength: 120, overlapLines: 2 });
+
+    assert.ok(chunks.length > 1);
+    assert.equal(chunks[0].startLine, 1);
+    assert.equal(chunks[chunks.length - 1].endLine, lines.length);
+    for (let i = 1; i < chunks.length; i++) {
+        assert.equal(chunks[i].startLine, chunks[i - 1].endLine - 1);
+        assert.equal(chunks[i].index, i);
+    }
+});
@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getExporter } = require('../src/services/exporters');
+
+const codeQuality = getExporter('codequality');
+const render = (review, options) => JSON.parse(codeQuality.render(review, options));
+
+test('writes GitLab Code Quality entries', () => {
+    const [entry] = render({
+        issues: [{ category: 'MAINTAINABILITY', severity: 'HIGH', title: 'Long function', description: 'Split it', suggestion: 'Extract helpers', line: 10, endLine: 40, fingerprint: 'f1' }]
+    }, { fileName: 'src/app.js' });
+
+    assert.deepEqual(entry, {
+        type: 'issue',
+        check_name: 'review/maintainability',
+        description: 'Long function: Split it',
+        content: { body: 'Extract helpers' },
+        categories: ['Complexity'],
+        severity: 'critical',
+        fingerprint: 'f1',
+        location: { path: 'src/app.js', lines: { begin: 10, end: 40 } }
+    });
+});
+
+test('points whole-file findings at line 1', () => {
+    const [entry] = render({ issues: [{ category: 'DOCUMENTATION', severity: 'INFO', title: 'No module docs', line: 0 }] });
+
+    assert.deepEqual(entry.location.lines, { begin: 1, end: 1 });
+    assert.equal(entry.severity, 'info');
+    assert.deepEqual(entry.categories, ['Clarity']);
+});
+
+test('derives stable fingerprints for issues without one', () => {
+    const review = { issues: [
+        { category: 'BUG', severity: 'LOW', title: 'A', codeSnippet: ' x ', line: 1 },
+        { category: 'BUG', severity: 'LOW', title: 'B', codeSnippet: 'x', line: 1 }
+    ] };
+    const [first, second] = render(review);
+
+    assert.match(first.fingerprint, /^[0-9a-f]{32}$/);
+    assert.equal(render(review)[0].fingerprint, first.fingerprint);
+    assert.notEqual(second.fingerprint, first.fingerprint);
+});
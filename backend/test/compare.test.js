@@ -0,0 +1,88 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const reviewComparisonService = require('../src/services/compare.services');
+const { matchIssues, normalizeSnippet } = require('../src/utils/issueMatching');
+
+const issue = (category, codeSnippet, extra = {}) => ({ category, severity: 'MEDIUM', title: category, codeSnippet, line: 1, ...extra });
+
+test('normalizes formatting and old HTML escaping out of snippets', () => {
+    assert.equal(normalizeSnippet('if ( a  ==  b )\n{'), 'if(a==b){');
+    assert.equal(normalizeSnippet('a &amp;&amp; b &lt; c'), normalizeSnippet('a && b < c'));
+    assert.equal(normalizeSnippet(undefined), '');
+});
+
+test('matches issues by category and snippet, not by line', () => {
+    const kept = issue('BUG', 'if (a == b) {', { line: 3 });
+    const moved = issue('BUG', 'if (a==b) {', { line: 9 });
+    const gone = issue('SECURITY', 'eval(x)');
+    const added = issue('PERFORMANCE', 'for (const a of list) list.indexOf(a)');
+
+    const { fixed, introduced, persisting } = matchIssues([kept, gone], [moved, added]);
+
+    assert.deepEqual(fixed, [gone]);
+    assert.deepEqual(introduced, [added]);
+    assert.deepEqual(persisting, [{ before: kept, after: moved }]);
+});
+
+test('pairs repeated issues one to one', () => {
+    const first = issue('BUG', 'x == y');
+    const second = issue('BUG', 'x == y', { line: 5 });
+
+    const { fixed, persisting } = matchIssues([first, second], [issue('BUG', 'x == y', { line: 2 })]);
+
+    assert.equal(persisting.length, 1);
+    assert.deepEqual(fixed, [second]);
+});
+
+test('falls back to the title for issues without a snippet', () => {
+    const { persisting } = matchIssues(
+        [{ category: 'DOCUMENTATION', title: 'Missing  JSDoc', line: 0 }],
+        [{ category: 'DOCUMENTATION', title: 'missing jsdoc', line: 0 }]
+    );
+
+    assert.equal(persisting.length, 1);
+});
+
+test('compares two stored reviews', async () => {
+    const before = {
+        overallScore: 4,
+        summary: 'Before',
+        metadata: { requestId: 'req_before' },
+        issues: [issue('SECURITY', 'eval(x)', { severity: 'CRITICAL' }), issue('BUG', 'a == b', { line: 2 })]
+    };
+    const after = {
+        overallScore: 6.5,
+        summary: 'After',
+        issues: [issue('BUG', 'a == b', { line: 4, severity: 'HIGH' })]
+    };
+
+    const comparison = await reviewComparisonService.compare({ review: before }, { review: after });
+
+    assert.deepEqual(comparison.overallScore, { before: 4, after: 6.5, change: 2.5 });
+    assert.equal(comparison.summary.fixed, 1);
+    assert.equal(comparison.summary.new, 0);
+    assert.equal(comparison.summary.persisting, 1);
+    assert.deepEqual(comparison.summary.severity.CRITICAL, { before: 1, after: 0 });
+    assert.equal(comparison.fixed[0].category, 'SECURITY');
+    assert.equal(comparison.persisting[0].line, 4);
+    assert.equal(comparison.persisting[0].previousLine, 2);
+    assert.equal(comparison.persisting[0].previousSeverity, 'MEDIUM');
+    assert.equal(comparison.versions.before.requestId, 'req_before');
+    assert.equal(comparison.versions.before.source, 'review');
+});
+
+test('reviews code versions and reports what the change fixed', async () => {
+    const after = 'function run(input) {\n  return JSON.parse(input);\n}\n';
+    const comparison = await reviewComparisonService.compare(
+        { code: 'function run(input) {\n  return eval(input);\n}\n' },
+        { code: after },
+        { language: 'javascript', fileName: 'run.js' }
+    );
+
+    assert.ok(comparison.fixed.some(fixed => fixed.category === 'SECURITY'));
+    assert.ok(comparison.new.every(added => added.category !== 'SECURITY'));
+    assert.ok(comparison.overallScore.change > 0);
+    assert.equal(comparison.versions.after.source, 'code');
+    assert.equal(comparison.versions.after.codeSize, after.length);
+    assert.ok(comparison.fixed.every(fixed => typeof fixed.fingerprint === 'string'));
+});
@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildFixPatches } = require('../src/utils/fixPatches');
+const { parseUnifiedDiff, applyFilePatch } = require('../src/utils/unifiedDiff');
+
+const CODE = [
+    'function check(a) {',
+    '    var result = a == 1;',
+    '    return result;',
+    '}',
+    ''
+].join('\n');
+
+const applyPatch = (code, patch) => applyFilePatch(code, parseUnifiedDiff(patch)[0]);
+
+test('turns a fix into a patch that applies', () => {
+    const review = buildFixPatches({
+        issues: [{
+            title: 'Loose equality',
+            severity: 'MEDIUM',
+            line: 2,
+            fix: { original: 'var result = a == 1;', replacement: 'var result = a === 1;' }
+        }]
+    }, { code: CODE, filePath: 'check.js' });
+    const [issue] = review.issues;
+
+    assert.equal(issue.fix.startLine, 2);
+    assert.equal(issue.fix.replacement, '    var result = a === 1;');
+    assert.match(issue.fix.patch, /^--- a\/check\.js\n\+\+\+ b\/check\.js\n/);
+    assert.equal(applyPatch(CODE, issue.fix.patch), CODE.replace('a == 1', 'a === 1'));
+    assert.deepEqual(review.fixes.rejected, []);
+});
+
+test('keeps entities in the source as written', () => {
+    const code = 'const html = "&lt;b&gt;" + "&amp;";\nif (html == "") {}\n';
+    const review = buildFixPatches({
+        issues: [{ title: 'Loose equality', severity: 'LOW', line: 2, fix: { original: 'if (html == "") {}', replacement: 'if (html === "") {}' } }]
+    }, { code });
+
+    assert.equal(applyPatch(code, review.fixes.combined.patch), 'const html = "&lt;b&gt;" + "&amp;";\nif (html === "") {}\n');
+});
+
+test('rejects fixes that cannot be located or change nothing', () => {
+    const review = buildFixPatches({
+        issues: [
+            { title: 'Missing', line: 1, fix: { original: 'not in the file', replacement: 'x' } },
+            { title: 'Same', line: 3, fix: { original: 'return result;', replacement: 'return result;' } },
+            { title: 'Empty', line: 3, fix: { original: '', replacement: 'x' } },
+            { title: 'No fix', line: 3, fix: null }
+        ]
+    }, { code: CODE });
+
+    assert.deepEqual(review.fixes.rejected.map(entry => entry.reason), [
+        'the original code of the fix is not in the submitted code',
+        'the fix does not change the code',
+        'the fix has no original code'
+    ]);
+    assert.equal(review.fixes.patches, 0);
+    assert.equal(review.fixes.combined, null);
+    assert.ok(review.issues.every(issue => issue.fix === undefined));
+});
+
+test('combines fixes, most severe first, and reports conflicts', () => {
+    const review = buildFixPatches({
+        issues: [
+            { title: 'Style', severity: 'LOW', line: 2, fingerprint: 'low', fix: { original: 'var result = a == 1;', replacement: 'let result = a == 1;' } },
+            { title: 'Bug', severity: 'HIGH', line: 2, fingerprint: 'high', fix: { original: 'var result = a == 1;', replacement: 'var result = a === 1;' } },
+            { title: 'Return', severity: 'MEDIUM', line: 3, fingerprint: 'ret', fix: { original: 'return result;', replacement: 'return Boolean(result);' } }
+        ]
+    }, { code: CODE });
+    const { combined } = review.fixes;
+
+    assert.equal(review.fixes.patches, 3);
+    assert.deepEqual(combined.issues, ['high', 'ret']);
+    assert.deepEqual(combined.conflicts.map(conflict => [conflict.fingerprint, conflict.conflictsWith]), [['low', 'high']]);
+    assert.equal(applyPatch(CODE, combined.patch), CODE.replace('a == 1', 'a === 1').replace('return result;', 'return Boolean(result);'));
+});
+
+test('patches the last line of a file without a final newline', () => {
+    const code = 'const a = 1;\nconsole.log(a)';
+    const review = buildFixPatches({
+        issues: [{ title: 'Semicolon', severity: 'INFO', line: 2, fix: { original: 'console.log(a)', replacement: 'console.log(a);' } }]
+    }, { code });
+
+    assert.match(review.issues[0].fix.patch, /\\ No newline at end of file/);
+    assert.equal(applyPatch(code, review.issues[0].fix.patch).replace(/\n$/, ''), 'const a = 1;\nconsole.log(a);');
+});
@@ -0,0 +1,138 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const reviewHistory = require('../src/services/history.services');
+const { HISTORY_CONFIG } = require('../src/utils/constants');
+
+let sequence = 0;
+
+/**
+ * Store a review with a unique request ID and increasing timestamp
+ */
+const record = async ({ mode = 'code', source = 'const a = 1;', fileName = 'a.js', ...data } = {}) => {
+    sequence++;
+    const requestId = `req_${sequence}`;
+    await reviewHistory.record({
+        mode,
+        source,
+        fileName,
+        data: {
+            language: 'javascript',
+            overallScore: 7,
+            issues: [],
+            ...data,
+            metadata: {
+                requestId,
+                timestamp: new Date(Date.UTC(2026, 0, 1, 0, 0, sequence)).toISOString(),
+                provider: 'mock',
+                processingTime: '15ms',
+                ...data.metadata
+            }
+        }
+    });
+    return requestId;
+};
+
+test('stores a review and returns it with its summary', async () => {
+    const id = await record({
+        issues: [{ severity: 'CRITICAL', title: 'a' }, { severity: 'HIGH', title: 'b' }, { severity: 'LOW', title: 'c' }]
+    });
+    const stored = await reviewHistory.get(id);
+
+    assert.equal(stored.id, id);
+    assert.equal(stored.fileName, 'a.js');
+    assert.equal(stored.codeHash, reviewHistory.hash('const a = 1;'));
+    assert.equal(stored.issueCount, 3);
+    assert.equal(stored.criticalCount, 1);
+    assert.equal(stored.highCount, 1);
+    assert.equal(stored.processingTimeMs, 15);
+    assert.equal(stored.cached, false);
+    assert.equal(stored.review.issues[2].title, 'c');
+    assert.equal(await reviewHistory.get('missing'), null);
+});
+
+test('keeps a processing time of 0 ms', async () => {
+    const id = await record({ metadata: { processingTime: '0ms', cached: true } });
+    const stored = await reviewHistory.get(id);
+
+    assert.equal(stored.processingTimeMs, 0);
+    assert.equal(stored.cached, true);
+});
+
+test('filters and pages the list, newest first', async () => {
+    const python = await record({ language: 'python', overallScore: 3, source: 'x = 1' });
+    const project = await record({ mode: 'project', language: undefined, files: [{ language: 'go' }, { language: 'python' }] });
+
+    const byLanguage = await reviewHistory.list({ language: 'python' });
+    assert.deepEqual(byLanguage.reviews.map(review => review.id), [project, python]);
+    assert.equal(byLanguage.reviews[0].fileCount, 2);
+
+    const lowScores = await reviewHistory.list({ maxScore: 5 });
+    assert.deepEqual(lowScores.reviews.map(review => review.id), [python]);
+
+    const byHash = await reviewHistory.list({ codeHash: reviewHistory.hash('x = 1') });
+    assert.deepEqual(byHash.reviews.map(review => review.id), [python]);
+
+    const page = await reviewHistory.list({}, { page: 2, limit: 1 });
+    assert.equal(page.reviews.length, 1);
+    assert.equal(page.pagination.total, page.pagination.totalPages);
+});
+
+test('deletes a review', async () => {
+    const id = await record();
+
+    assert.equal(await reviewHistory.delete(id), true);
+    assert.equal(await reviewHistory.get(id), null);
+    assert.equal(await reviewHistory.delete(id), false);
+});
+
+test('stores reviews over MAX_REVIEW_BYTES as a summary', async () => {
+    const issues = Array.from({ length: HISTORY_CONFIG.MAX_SUMMARY_ISSUES + 50 }, (_, index) => ({
+        severity: index === 220 ? 'CRITICAL' : 'LOW',
+        title: `Issue ${index}`,
+        line: index + 1,
+        codeSnippet: 'x'.repeat(2000)
+    }));
+    const id = await record({ summary: 'Large', issues });
+    const stored = await reviewHistory.get(id);
+
+    assert.equal(stored.issueCount, issues.length);
+    assert.equal(stored.review.truncated, true);
+    assert.equal(stored.review.summary, 'Large');
+    assert.equal(stored.review.issues.length, HISTORY_CONFIG.MAX_SUMMARY_ISSUES);
+    assert.deepEqual(stored.review.issues[0], { severity: 'CRITICAL', title: 'Issue 220', line: 221 });
+});
+
+test('prunes the oldest reviews beyond MAX_ENTRIES', async (t) => {
+    const maxEntries = reviewHistory.maxEntries;
+    reviewHistory.maxEntries = 2;
+    t.after(() => {
+        reviewHistory.maxEntries = maxEntries;
+    });
+
+    await record();
+    const second = await record();
+    const third = await record();
+
+    const { reviews } = await reviewHistory.list();
+    assert.deepEqual(reviews.map(review => review.id), [third, second]);
+});
+
+test('writes changes to the database file in one batch on flush', async (t) => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'review-history-'));
+    const dbPath = path.join(dir, 'reviews.sqlite');
+    reviewHistory.dbPath = dbPath;
+    t.after(async () => {
+        reviewHistory.dbPath = null;
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    await record();
+    await record();
+    await assert.rejects(fs.stat(dbPath), { code: 'ENOENT' });
+
+    await reviewHistory.flush();
+    assert.ok((await fs.stat(dbPath)).size > 0);
+});
@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { DIRECTIVES, parseDirectives, applyInlineSuppressions } = require('../src/utils/inlineSuppressions');
+
+const toLines = (code) => code.split('\n').map((text, index) => ({ number: index + 1, text }));
+
+const review = (...issues) => ({ issues: issues.map(([line, category]) => ({ line, category, title: `${category} on ${line}` })) });
+
+const remaining = (result) => result.issues.map(issue => [issue.line, issue.category]);
+
+test('parses directives, categories and aliases', () => {
+    const code = [
+        '// ai-review-ignore-next-line SECURITY, bug -- reviewed by hand',
+        'x = eval(y); // ai-review-disable-line',
+        '/* ai-review-disable PERFORMANCE */',
+        'const s = "// ai-review-disable";',
+        '// ai-review-ignore-line NOT_A_CATEGORY'
+    ].join('\n');
+
+    assert.deepEqual(parseDirectives(toLines(code), 'javascript'), [
+        { directive: DIRECTIVES.IGNORE_NEXT_LINE, line: 1, categories: ['SECURITY', 'BUG'] },
+        { directive: DIRECTIVES.IGNORE_LINE, line: 2, categories: ['*'] },
+        { directive: DIRECTIVES.DISABLE, line: 3, categories: ['PERFORMANCE'] }
+    ]);
+});
+
+test('only accepts directives in comments of the language', () => {
+    assert.equal(parseDirectives(toLines('// ai-review-ignore-line'), 'python').length, 0);
+    assert.equal(parseDirectives(toLines('x = 1  # ai-review-ignore-line'), 'python').length, 1);
+});
+
+test('ignores issues on the directive line or the next line', () => {
+    const code = 'a();\n// ai-review-ignore-next-line SECURITY\neval(x);\nb(); // ai-review-ignore-line';
+    const result = applyInlineSuppressions(review([3, 'SECURITY'], [3, 'BUG'], [4, 'BUG'], [1, 'BUG']), { code, language: 'javascript' });
+
+    assert.deepEqual(remaining(result), [[3, 'BUG'], [1, 'BUG']]);
+    assert.deepEqual(result.suppressed.map(issue => issue.suppressedBy), [
+        { directive: DIRECTIVES.IGNORE_NEXT_LINE, line: 2 },
+        { directive: DIRECTIVES.IGNORE_LINE, line: 4 }
+    ]);
+});
+
+test('disables categories until they are re-enabled', () => {
+    const code = [
+        'a();',
+        '/* ai-review-disable */',
+        'b();',
+        '/* ai-review-enable SECURITY */',
+        'c();',
+        '/* ai-review-enable */',
+        'd();'
+    ].join('\n');
+    const result = applyInlineSuppressions(
+        review([1, 'BUG'], [3, 'SECURITY'], [5, 'SECURITY'], [5, 'BUG'], [7, 'BUG']),
+        { code, language: 'javascript' }
+    );
+
+    assert.deepEqual(remaining(result), [[1, 'BUG'], [5, 'SECURITY'], [7, 'BUG']]);
+});
+
+test('whole-file issues are only covered by a disable that stays open', () => {
+    const open = applyInlineSuppressions(review([0, 'BUG']), { code: '# ai-review-disable BUG\nx = 1', language: 'python' });
+    const closed = applyInlineSuppressions(review([0, 'BUG']), {
+        code: '# ai-review-disable BUG\nx = 1\n# ai-review-enable BUG',
+        language: 'python'
+    });
+
+    assert.equal(open.issues.length, 0);
+    assert.equal(closed.issues.length, 1);
+});
@@ -0,0 +1,90 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ANCHOR_STATUS, createIssueAnchor, anchorIssues, isAnchorKept, applyAnchorPolicy } = require('../src/utils/issueAnchoring');
+
+const CODE = [
+    'function total(items) {',
+    '    let sum = 0;',
+    '    for (const item of items) {',
+    '        sum += item.price * item.quantity;',
+    '    }',
+    '    return sum;',
+    '}',
+    '',
+    'function label(item) {',
+    '    return `${item.name}: ${item.price}`;',
+    '}'
+].join('\n');
+
+const anchor = createIssueAnchor({ code: CODE });
+const check = (issue) => anchor({ category: 'BUG', severity: 'LOW', title: 't', ...issue });
+
+test('verifies a snippet at the reported line', () => {
+    const issue = check({ line: 4, codeSnippet: 'sum += item.price * item.quantity;' });
+
+    assert.equal(issue.line, 4);
+    assert.deepEqual(issue.anchor, { status: ANCHOR_STATUS.VERIFIED, reportedLine: 4 });
+});
+
+test('moves a snippet reported on the wrong line', () => {
+    const issue = check({ line: 1, codeSnippet: '  sum  +=  item.price*item.quantity;' });
+
+    assert.equal(issue.line, 4);
+    assert.deepEqual(issue.anchor, { status: ANCHOR_STATUS.CORRECTED, reportedLine: 1 });
+});
+
+test('locates multi-line and elided snippets', () => {
+    const block = check({ line: 9, codeSnippet: 'for (const item of items) {\n    sum += item.price * item.quantity;\n}' });
+    assert.equal(block.line, 3);
+    assert.equal(block.endLine, 5);
+
+    const elided = check({ line: 1, codeSnippet: 'function total(items) {\n    // ...\n    return sum;' });
+    assert.equal(elided.line, 1);
+    assert.equal(elided.endLine, 6);
+});
+
+test('keeps an issue pointing inside its snippet', () => {
+    const issue = check({ line: 4, codeSnippet: 'for (const item of items) {\n    sum += item.price * item.quantity;\n}' });
+
+    assert.equal(issue.line, 4);
+    assert.equal(issue.anchor.status, ANCHOR_STATUS.VERIFIED);
+});
+
+test('flags snippets that are not in the code', () => {
+    assert.equal(check({ line: 2, codeSnippet: 'const tax = computeTax(sum);' }).anchor.status, ANCHOR_STATUS.UNMATCHED);
+    assert.equal(check({ line: 40 }).anchor.status, ANCHOR_STATUS.UNMATCHED);
+    assert.equal(check({ line: 3 }).anchor.status, ANCHOR_STATUS.UNCHECKED);
+});
+
+test('matches short snippets only as whole lines', () => {
+    // "return sum;" is a whole line: it is located
+    const whole = check({ line: 2, codeSnippet: 'return sum;' });
+    assert.equal(whole.line, 6);
+    assert.equal(whole.anchor.status, ANCHOR_STATUS.CORRECTED);
+
+    // "}" is closest to line 7 among the lines that are only "}"
+    assert.equal(check({ line: 7, codeSnippet: '}' }).anchor.status, ANCHOR_STATUS.VERIFIED);
+
+    // Fragments such as "sum" or "item.price" are inside many lines: nothing can be said
+    for (const codeSnippet of ['sum', 'item.price', 'x']) {
+        const issue = check({ line: 1, codeSnippet });
+        assert.equal(issue.line, 1, codeSnippet);
+        assert.equal(issue.anchor.status, ANCHOR_STATUS.UNCHECKED, codeSnippet);
+    }
+});
+
+test('drops unmatched issues only under the drop policy', () => {
+    const review = anchorIssues({
+        issues: [{ line: 4, codeSnippet: 'sum += item.price * item.quantity;' }, { line: 2, codeSnippet: 'not in this file at all' }]
+    }, { code: CODE });
+
+    assert.equal(review.issues.every(isAnchorKept), true);
+    assert.equal(applyAnchorPolicy(review), review);
+});
+
+test('anchors in excerpts without a known end of file', () => {
+    const excerpt = createIssueAnchor({ lines: [{ number: 120, text: '    return sum;' }, { number: 121, text: '}' }] });
+
+    assert.equal(excerpt({ line: 500 }).anchor.status, ANCHOR_STATUS.UNCHECKED);
+    assert.equal(excerpt({ line: 100, codeSnippet: 'return sum;' }).line, 120);
+});
@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { findEnclosingSymbol, fingerprintIssues, parseBaseline } = require('../src/utils/issueFingerprint');
+
+const toLines = (code) => code.split('\n').map((text, index) => ({ number: index + 1, text }));
+
+const JS = [
+    'class UserService {',
+    '    save(user) {',
+    '        if (user.id == null) {',
+    '            return db.insert(user);',
+    '        }',
+    '    }',
+    '}',
+    'const helper = () => 1;'
+].join('\n');
+
+test('finds nested symbols in brace languages', () => {
+    assert.equal(findEnclosingSymbol(toLines(JS), 4, 'javascript'), 'UserService.save');
+    assert.equal(findEnclosingSymbol(toLines(JS), 2, 'javascript'), 'UserService.save');
+    assert.equal(findEnclosingSymbol(toLines(JS), 8, 'javascript'), 'helper');
+    assert.equal(findEnclosingSymbol(toLines(JS), 0, 'javascript'), null);
+});
+
+test('finds symbols by indentation in Python', () => {
+    const python = 'class Repo:\n    def load(self):\n        if True:\n            pass\n\nx = 1';
+
+    assert.equal(findEnclosingSymbol(toLines(python), 4, 'python'), 'Repo.load');
+    assert.equal(findEnclosingSymbol(toLines(python), 6, 'python'), null);
+});
+
+test('keeps fingerprints stable when lines move and titles change', () => {
+    const issue = { category: 'BUG', title: 'Loose equality', line: 3, codeSnippet: 'if (user.id == null) {' };
+    const [before] = fingerprintIssues([issue], { code: JS, language: 'javascript', filePath: 'user.js' });
+    const [after] = fingerprintIssues([{ ...issue, title: 'Use ===', line: 5 }], {
+        code: `// header\n\n${JS}`,
+        language: 'javascript',
+        filePath: 'user.js'
+    });
+
+    assert.equal(before.symbol, 'UserService.save');
+    assert.equal(after.fingerprint, before.fingerprint);
+});
+
+test('separates the same issue in different files, symbols or categories', () => {
+    const issue = { category: 'BUG', title: 'Loose equality', line: 3, codeSnippet: 'if (user.id == null) {' };
+    const [base] = fingerprintIssues([issue], { code: JS, language: 'javascript', filePath: 'a.js' });
+    const [otherFile] = fingerprintIssues([issue], { code: JS, language: 'javascript', filePath: 'b.js' });
+    const [otherSymbol] = fingerprintIssues([{ ...issue, line: 8 }], { code: JS, language: 'javascript', filePath: 'a.js' });
+    const [otherCategory] = fingerprintIssues([{ ...issue, category: 'SECURITY' }], { code: JS, language: 'javascript', filePath: 'a.js' });
+
+    assert.notEqual(otherFile.fingerprint, base.fingerprint);
+    assert.notEqual(otherSymbol.fingerprint, base.fingerprint);
+    assert.notEqual(otherCategory.fingerprint, base.fingerprint);
+});
+
+test('reads every baseline shape', () => {
+    assert.deepEqual(parseBaseline(['ABCDEF12']), ['abcdef12']);
+    assert.deepEqual(parseBaseline({ fingerprints: ['abcdef12'] }), ['abcdef12']);
+    assert.deepEqual(parseBaseline({ issues: [{ fingerprint: 'abcdef12', title: 'x' }] }), ['abcdef12']);
+    assert.throws(() => parseBaseline({ items: [] }), /Baseline must be/);
+    assert.throws(() => parseBaseline(['not hex']), /fingerprint/);
+});
@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const IssueStreamParser = require('../src/utils/issueStreamParser');
+
+const REVIEW = JSON.stringify({
+    overallScore: 6,
+    issues: [
+        { title: 'First', description: 'Braces {inside} "quoted" strings' },
+        { title: 'Second', line: 4 }
+    ],
+    summary: 'Done'
+}, null, 2);
+
+test('emits each issue once its closing brace arrives', () => {
+    const parser = new IssueStreamParser();
+    const end = REVIEW.indexOf('},') + 1;
+
+    assert.deepEqual(parser.push(REVIEW.slice(0, end - 1)), []);
+    assert.deepEqual(parser.push(REVIEW.slice(end - 1, end)), [
+        { title: 'First', description: 'Braces {inside} "quoted" strings' }
+    ]);
+    assert.deepEqual(parser.push(REVIEW.slice(end)), [{ title: 'Second', line: 4 }]);
+});
+
+test('parses the same issues whatever the chunk size', () => {
+    for (const size of [1, 3, 7, 64]) {
+        const parser = new IssueStreamParser();
+        const issues = [];
+        for (let offset = 0; offset < REVIEW.length; offset += size) {
+            issues.push(...parser.push(REVIEW.slice(offset, offset + size)));
+        }
+        assert.deepEqual(issues.map(issue => issue.title), ['First', 'Second'], `chunk size ${size}`);
+    }
+});
+
+test('waits for the issues key split across chunks', () => {
+    const parser = new IssueStreamParser();
+
+    assert.deepEqual(parser.push('{"summary": "x", "iss'), []);
+    assert.deepEqual(parser.push('ues": [{"title": "A"}]}'), [{ title: 'A' }]);
+});
+
+test('skips malformed issues and ignores objects after the array', () => {
+    const parser = new IssueStreamParser();
+
+    assert.deepEqual(parser.push('{"issues": [{"title": }, {"title": "B"}], "extra": {"title": "C"}}'), [{ title: 'B' }]);
+});
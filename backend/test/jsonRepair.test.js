@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractJsonObject, stripJsonNoise, parseJsonLenient } = require('../src/utils/jsonRepair');
+
+test('extracts the object from a json fence', () => {
+    const text = 'Here is the review:\n```json\n{"score": 1, "nested": {"a": "}"}}\n```\nThanks';
+
+    assert.equal(extractJsonObject(text), '{"score": 1, "nested": {"a": "}"}}');
+});
+
+test('extracts the first balanced object from prose', () => {
+    assert.equal(extractJsonObject('Result: {"a": {"b": 2}} and {"c": 3}'), '{"a": {"b": 2}}');
+    assert.equal(extractJsonObject('no json here'), null);
+});
+
+test('hands back truncated output for the repair pass', () => {
+    assert.equal(extractJsonObject('{"issues": [{"title": "cut'), '{"issues": [{"title": "cut');
+});
+
+test('strips comments and trailing commas outside strings', () => {
+    const json = '{\n  // note\n  "url": "http://x/*y*/", /* block */\n  "list": [1, 2,],\n}';
+
+    assert.deepEqual(JSON.parse(stripJsonNoise(json)), { url: 'http://x/*y*/', list: [1, 2] });
+});
+
+test('parses almost-JSON model output', () => {
+    assert.deepEqual(parseJsonLenient('```\n{"a": 1, // one\n "b": [true,],}\n```'), { a: 1, b: [true] });
+});
+
+test('throws when there is no object or it cannot be repaired', () => {
+    assert.throws(() => parseJsonLenient('I could not review this code.'), /No JSON found/);
+    assert.throws(() => parseJsonLenient('{"a": }'), SyntaxError);
+});
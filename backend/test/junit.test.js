@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getExporter } = require('../src/services/exporters');
+
+const junit = getExporter('junit');
+
+test('reports each issue as a failed test case of its file', () => {
+    const xml = junit.render({
+        issues: [{
+            category: 'SECURITY',
+            severity: 'CRITICAL',
+            title: 'Use of eval',
+            description: 'Runs arbitrary code',
+            codeSnippet: 'eval(x)',
+            suggestion: 'Parse x',
+            line: 3
+        }]
+    }, { fileName: 'app.js' });
+
+    assert.match(xml, /<testsuites name="Code Review AI" tests="1" failures="1">/);
+    assert.match(xml, /<testsuite name="app\.js" tests="1" failures="1">/);
+    assert.match(xml, /<testcase name="\[CRITICAL\] Use of eval \(line 3\)" classname="review\/security" file="app\.js" line="3">/);
+    assert.match(xml, /<failure message="Use of eval" type="CRITICAL">Runs arbitrary code\nCode: eval\(x\)\nSuggestion: Parse x<\/failure>/);
+});
+
+test('gives clean files one passing test case', () => {
+    const xml = junit.render({ files: [{ filePath: 'a.js' }, { filePath: 'b.js' }], issues: [] });
+
+    assert.match(xml, /<testsuites name="Code Review AI" tests="2" failures="0">/);
+    assert.equal([...xml.matchAll(/<testcase name="No issues found"/g)].length, 2);
+});
+
+test('lists cross-file findings in every file they name, without a line', () => {
+    const xml = junit.render({
+        files: [{ filePath: 'a.js' }, { filePath: 'b.js' }],
+        issues: [],
+        crossFile: { sharedAntiPatterns: [{ title: 'Copied validation', description: 'Same checks', severity: 'MEDIUM', files: ['a.js', 'b.js'] }] }
+    });
+
+    assert.match(xml, /tests="2" failures="2"/);
+    assert.equal([...xml.matchAll(/classname="cross-file\/shared-anti-pattern" file="(a|b)\.js">/g)].length, 2);
+});
@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const codeMetricsService = require('../src/services/metrics.services');
+const { findComments, countLines, findDuplicateBlocks } = require('../src/utils/codeMetrics');
+
+const JAVASCRIPT = [
+    '// Helpers',
+    'function grade(score) {',
+    '    if (score > 90) {',
+    "        return 'A';",
+    '    } else if (score > 80) {',
+    "        return 'B';",
+    '    }',
+    "    return score && 'C';",
+    '}',
+    '',
+    'const handler = () => {',
+    '    for (const x of [1]) {',
+    '        while (x) {',
+    '            if (x) { break; }',
+    '        }',
+    '    }',
+    '};',
+    ''
+].join('\n');
+
+test('measures each JavaScript function on its own', () => {
+    const metrics = codeMetricsService.compute(JAVASCRIPT, 'javascript');
+
+    assert.equal(metrics.collector, 'babel');
+    assert.deepEqual(metrics.lines, { total: 17, code: 15, comment: 1, blank: 1 });
+    assert.equal(metrics.commentRatio, 0.06);
+    assert.deepEqual(metrics.functions.items, [
+        { name: 'grade', line: 2, endLine: 9, length: 8, complexity: 4, nesting: 1 },
+        { name: 'handler', line: 11, endLine: 17, length: 7, complexity: 4, nesting: 3 }
+    ]);
+    assert.equal(metrics.functions.averageLength, 7.5);
+    assert.deepEqual(metrics.nesting, { max: 3, line: 14 });
+});
+
+test('measures Python functions and counts docstrings as comments', () => {
+    const code = 'def load(path):\n    """Read a file"""\n    if path and path.exists():\n        return 1\n    return 0\n';
+    const metrics = codeMetricsService.compute(code, 'python');
+
+    assert.equal(metrics.collector, 'python');
+    assert.deepEqual(metrics.lines, { total: 5, code: 4, comment: 1, blank: 0 });
+    assert.deepEqual(metrics.functions.items, [{ name: 'load', line: 1, endLine: 5, length: 5, complexity: 3, nesting: 1 }]);
+});
+
+test('gives languages without a collector the line metrics only', () => {
+    const metrics = codeMetricsService.compute('package main\n// c\nvar u = "http://x" // t\n', 'go');
+
+    assert.equal(metrics.collector, null);
+    assert.equal(metrics.functions, null);
+    assert.equal(metrics.nesting, null);
+    assert.deepEqual(metrics.lines, { total: 3, code: 2, comment: 1, blank: 0 });
+});
+
+test('finds comments by the comment syntax, skipping strings', () => {
+    const code = 'a = "http://x"; // one\n/* two\n three */ b = 1;';
+
+    assert.deepEqual(findComments(code, 'go').map(({ from, to }) => code.slice(from, to)), ['// one', '/* two\n three */']);
+    assert.deepEqual(countLines(code, findComments(code, 'go')), { total: 3, code: 2, comment: 1, blank: 0 });
+});
+
+test('finds duplicate blocks whatever their indentation', () => {
+    const block = ['a = 1', 'b = 2', 'c = 3', 'd = 4', 'e = 5'];
+    const code = [...block, 'x()', ...block.map(line => `    ${line}`), '}'].join('\n');
+
+    assert.deepEqual(findDuplicateBlocks(code, [], 5), [
+        { lines: 5, occurrences: [{ line: 1, endLine: 5 }, { line: 7, endLine: 11 }] }
+    ]);
+    assert.deepEqual(findDuplicateBlocks(code, [], 6), []);
+});
+
+test('reports duplicated lines against the code lines', () => {
+    const body = ['    const a = load();', '    const b = parse(a);', '    check(b);', '    save(b);', '    log(b);'];
+    const code = ['function one() {', ...body, '}', 'function two() {', ...body, '}'].join('\n');
+    const { duplicates } = codeMetricsService.compute(code, 'javascript');
+
+    assert.equal(duplicates.blocks, 1);
+    assert.equal(duplicates.duplicatedLines, 5);
+    assert.equal(duplicates.ratio, Math.round(5 / 14 * 100) / 100);
+});
@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getExporter } = require('../src/services/exporters');
+
+const html = getExporter('html');
+const markdown = getExporter('markdown');
+
+const REVIEW = {
+    language: 'javascript',
+    overallScore: 5,
+    summary: 'Uses <script> tags & "quotes"',
+    issues: [{
+        category: 'SECURITY',
+        severity: 'HIGH',
+        title: 'Unescaped <b>output</b>',
+        description: 'Writes el.innerHTML = "<img onerror=alert(1)>"',
+        codeSnippet: 'el.innerHTML = `<p>${name}</p>`;',
+        suggestion: 'Use textContent & escape',
+        line: 2
+    }],
+    positiveAspects: ['<i>small</i> functions'],
+    recommendations: []
+};
+
+test('escapes every model-written text in the HTML report', () => {
+    const page = html.render(REVIEW, { fileName: 'app.js' });
+
+    assert.match(page, /^<!DOCTYPE html>/);
+    assert.match(page, /<blockquote>Uses &lt;script&gt; tags &amp; &quot;quotes&quot;<\/blockquote>/);
+    assert.match(page, /<h5>Unescaped &lt;b&gt;output&lt;\/b&gt;<\/h5>/);
+    assert.match(page, /<code>el\.innerHTML = `&lt;p&gt;\$\{name\}&lt;\/p&gt;`;<\/code>/);
+    assert.match(page, /<li>&lt;i&gt;small&lt;\/i&gt; functions<\/li>/);
+    assert.doesNotMatch(page, /<img|<b>|<script>|<i>/);
+});
+
+test('escapes markup in Markdown headings and fences snippets with backticks', () => {
+    const text = markdown.render(REVIEW, { fileName: 'app.js' });
+
+    assert.match(text, /^# Code Review AI Report/);
+    assert.match(text, /##### Unescaped \\<b\\>output\\<\/b\\>/);
+    assert.match(text, /\n```javascript\nel\.innerHTML = `<p>\$\{name\}<\/p>`;\n```\n/);
+    assert.deepEqual(markdown.codeBlock('```js\nx\n```', 'markdown'), ['````markdown', '```js\nx\n```', '````']);
+});
+
+test('escapes pipes and line breaks in Markdown table cells', () => {
+    assert.equal(markdown.escapeCell('a | b\nc'), 'a \\| b c');
+});
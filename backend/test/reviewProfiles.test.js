@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const aiService = require('../src/services/ai.services');
+const {
+    getReviewProfile,
+    getFocusCategories,
+    isReportedByProfile,
+    applyReviewProfile,
+    mergeProfileSummaries
+} = require('../src/utils/reviewProfiles');
+
+test('looks up profiles by name', () => {
+    assert.equal(getReviewProfile('security-audit').name, 'security-audit');
+    assert.equal(getReviewProfile('security-audit').minSeverity, 'LOW');
+    assert.equal(getReviewProfile('unknown'), null);
+    assert.equal(getReviewProfile(undefined), null);
+});
+
+test('lists the focus categories by weight', () => {
+    assert.deepEqual(getFocusCategories(getReviewProfile('security-audit')), ['SECURITY', 'BUG']);
+    assert.deepEqual(getFocusCategories(getReviewProfile('readability')).slice(0, 2), ['MAINTAINABILITY', 'CODE_STYLE']);
+});
+
+test('reports only focus categories at or above the minimum severity', () => {
+    const beginner = getReviewProfile('beginner-friendly');
+
+    assert.equal(isReportedByProfile({ category: 'BUG', severity: 'HIGH' }, beginner), true);
+    assert.equal(isReportedByProfile({ category: 'BUG', severity: 'MEDIUM' }, beginner), true);
+    assert.equal(isReportedByProfile({ category: 'BUG', severity: 'LOW' }, beginner), false);
+    assert.equal(isReportedByProfile({ category: 'CODE_STYLE', severity: 'HIGH' }, getReviewProfile('security-audit')), false);
+    assert.equal(isReportedByProfile({ category: 'BUG', severity: 'UNKNOWN' }, beginner), false);
+    assert.equal(isReportedByProfile({ category: 'CODE_STYLE', severity: 'INFO' }, null), true);
+});
+
+test('filters a review and counts what was left out', () => {
+    const review = applyReviewProfile({
+        issues: [
+            { category: 'SECURITY', severity: 'CRITICAL' },
+            { category: 'PERFORMANCE', severity: 'HIGH' },
+            { category: 'BUG', severity: 'LOW' }
+        ]
+    }, getReviewProfile('security-audit'));
+
+    assert.equal(review.issues.length, 2);
+    assert.deepEqual(review.profile, { name: 'security-audit', minSeverity: 'LOW', categories: ['SECURITY', 'BUG'], filtered: 1 });
+    assert.deepEqual(applyReviewProfile({ issues: [] }, null), { issues: [] });
+});
+
+test('sums the filtered counts of several reviews', () => {
+    const profile = { name: 'strict', minSeverity: 'INFO', categories: [], filtered: 2 };
+
+    assert.deepEqual(mergeProfileSummaries([{ profile }, {}, { profile: { ...profile, filtered: 3 } }]), { ...profile, filtered: 5 });
+    assert.equal(mergeProfileSummaries([{}, {}]), null);
+});
+
+test('a profiled review keeps only the issues of its focus', async () => {
+    const code = 'var secret = 1;\nif (secret == 2) console.log(eval(input));\n';
+    const review = await aiService.generateContent(code, { language: 'javascript', profile: 'security-audit' });
+
+    assert.ok(review.issues.length > 0);
+    assert.ok(review.issues.every(issue => ['SECURITY', 'BUG'].includes(issue.category)));
+    assert.ok(review.issues.some(issue => issue.category === 'SECURITY'));
+    assert.equal(review.profile.name, 'security-audit');
+    assert.ok(review.profile.filtered > 0);
+});
@@ -0,0 +1,88 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const rulePackRegistry = require('../src/services/rulePack.services');
+
+const PACK = {
+    name: 'acme-style',
+    description: 'House style',
+    languages: ['javascript', 'typescript'],
+    rules: [
+        { id: 'ACME-001', title: 'No default exports', description: 'Use named exports', category: 'CODE_STYLE', severity: 'LOW' },
+        {
+            id: 'ACME-002',
+            title: 'Hooks at the top',
+            description: 'Call hooks before any return',
+            category: 'BUG',
+            severity: 'HIGH',
+            frameworks: ['react'],
+            examples: [{ bad: 'if (x) return;\nuseState();' }]
+        }
+    ]
+};
+
+test('registers a pack with defaults filled in and versions the registry', () => {
+    const before = rulePackRegistry.getVersion();
+    const pack = rulePackRegistry.register(structuredClone(PACK));
+
+    assert.deepEqual(pack.frameworks, []);
+    assert.deepEqual(pack.rules[0].examples, []);
+    assert.match(rulePackRegistry.getVersion(), /^[0-9a-f]{12}$/);
+    assert.notEqual(rulePackRegistry.getVersion(), before);
+    assert.deepEqual(rulePackRegistry.getStats().packs[0].rules, ['ACME-001', 'ACME-002']);
+});
+
+test('rejects invalid packs and rule IDs taken by another pack', () => {
+    assert.throws(() => rulePackRegistry.register({ name: 'Bad Name', rules: [] }), /^Error: Invalid rule pack: /);
+    assert.throws(() => rulePackRegistry.register({
+        name: 'other',
+        rules: [{ id: 'acme-001', title: 't', description: 'd', category: 'BUG', severity: 'LOW' }]
+    }), /Rule ID acme-001 is defined more than once/);
+});
+
+test('scopes rules to the language and framework of the review', () => {
+    rulePackRegistry.register(structuredClone(PACK));
+
+    assert.deepEqual(rulePackRegistry.getRules({ language: 'javascript' }).map(rule => rule.id), ['ACME-001']);
+    assert.deepEqual(rulePackRegistry.getRules({ language: 'typescript', framework: 'React' }).map(rule => rule.id), ['ACME-001', 'ACME-002']);
+    assert.deepEqual(rulePackRegistry.getRules({ language: 'python' }), []);
+    assert.equal(rulePackRegistry.getRules({ language: 'javascript' })[0].pack, 'acme-style');
+});
+
+test('attaches rules the model cited and drops unknown IDs', () => {
+    rulePackRegistry.register(structuredClone(PACK));
+    const rules = rulePackRegistry.getRules({ language: 'javascript' });
+    const issue = { category: 'BEST_PRACTICE', severity: 'MEDIUM', title: 'Default export', line: 1 };
+
+    assert.deepEqual(rulePackRegistry.attachRule({ ...issue, ruleId: ' acme-001 ' }, rules), {
+        ...issue,
+        category: 'CODE_STYLE',
+        severity: 'LOW',
+        ruleId: 'ACME-001',
+        rulePack: 'acme-style'
+    });
+    // ACME-002 is a React rule: out of scope here
+    assert.deepEqual(rulePackRegistry.attachRule({ ...issue, ruleId: 'ACME-002', rulePack: 'acme-style' }, rules), issue);
+    assert.deepEqual(rulePackRegistry.attachRule(issue, rules), issue);
+});
+
+test('loads the JSON packs of a directory and skips broken ones', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rule-packs-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const errors = t.mock.method(console, 'error', () => {});
+
+    fs.writeFileSync(path.join(dir, 'a.json'), JSON.stringify({
+        name: 'loaded',
+        rules: [{ id: 'LOAD-1', title: 't', description: 'd', category: 'TESTING', severity: 'INFO' }]
+    }));
+    fs.writeFileSync(path.join(dir, 'b.json'), '{ not json');
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'ignored');
+
+    rulePackRegistry._loadDirectory(dir);
+
+    assert.ok(rulePackRegistry.getPacks().some(pack => pack.name === 'loaded'));
+    assert.equal(errors.mock.callCount(), 1);
+    assert.match(errors.mock.calls[0].arguments[0], /Rule pack b\.json skipped/);
+});
@@ -0,0 +1,88 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getExporter, getExporterByMediaType } = require('../src/services/exporters');
+
+const sarif = getExporter('sarif');
+const render = (review, options) => JSON.parse(sarif.render(review, options));
+
+const REVIEW = {
+    language: 'javascript',
+    overallScore: 6,
+    summary: 'Two problems',
+    metadata: { provider: 'mock', model: 'mock-reviewer' },
+    issues: [
+        {
+            category: 'SECURITY',
+            severity: 'CRITICAL',
+            title: 'Use of eval',
+            description: 'Runs arbitrary code',
+            line: 4,
+            endLine: 5,
+            codeSnippet: 'eval(input);',
+            suggestion: 'Parse the input instead',
+            fingerprint: 'abc123',
+            changeType: 'introduced',
+            security: { cwe: 'CWE-95', owasp: 'A03:2021', score: 9.8 }
+        },
+        { category: 'CODE_STYLE', severity: 'LOW', title: 'Use of var', line: 0 }
+    ]
+};
+
+test('writes a SARIF 2.1.0 log with one rule per category', () => {
+    const log = render(REVIEW, { fileName: 'src/app.js' });
+    const [run] = log.runs;
+
+    assert.equal(log.version, '2.1.0');
+    assert.ok(run.tool.driver.rules.some(rule => rule.id === 'review/security' && rule.name === 'Security'));
+    assert.ok(run.tool.driver.rules.some(rule => rule.id === 'review/code-style' && rule.name === 'CodeStyle'));
+    assert.deepEqual(run.artifacts, [{ location: { uri: 'src/app.js' }, sourceLanguage: 'javascript' }]);
+    assert.deepEqual(run.properties, { overallScore: 6, summary: 'Two problems', provider: 'mock', model: 'mock-reviewer' });
+});
+
+test('maps issues to located results', () => {
+    const [security, style] = render(REVIEW, { fileName: 'src/app.js' }).runs[0].results;
+    const rules = render(REVIEW).runs[0].tool.driver.rules;
+
+    assert.equal(security.ruleId, 'review/security');
+    assert.equal(rules[security.ruleIndex].id, 'review/security');
+    assert.equal(security.level, 'error');
+    assert.equal(security.message.text, 'Use of eval: Runs arbitrary code');
+    assert.deepEqual(security.locations[0].physicalLocation.region, { startLine: 4, endLine: 5, snippet: { text: 'eval(input);' } });
+    assert.equal(security.baselineState, 'new');
+    assert.deepEqual(security.partialFingerprints, { 'reviewIssue/v1': 'abc123' });
+    assert.equal(security.fixes[0].description.text, 'Parse the input instead');
+
+    // Line 0 is not tied to a line: no region and no fix
+    assert.equal(style.level, 'note');
+    assert.equal(style.locations[0].physicalLocation.region, undefined);
+    assert.equal(style.fixes, undefined);
+});
+
+test('tags security results with their CWE and score', () => {
+    const [security] = render(REVIEW).runs[0].results;
+
+    assert.deepEqual(security.properties.tags, ['security', 'external/cwe/cwe-95']);
+    assert.equal(security.properties['security-severity'], '9.8');
+});
+
+test('locates project issues and cross-file findings in their files', () => {
+    const log = render({
+        files: [{ filePath: 'a b/x.py', language: 'python' }, { filePath: 'lib/y.py', language: 'python' }],
+        issues: [{ category: 'BUG', severity: 'MEDIUM', title: 'Off by one', line: 2, filePath: 'a b/x.py' }],
+        crossFile: {
+            riskyBoundaries: [{ title: 'Unchecked data', description: 'x passes raw input to y', severity: 'HIGH', files: ['a b/x.py', 'lib/y.py'] }]
+        }
+    });
+    const [run] = log.runs;
+    const [issue, crossFile] = run.results;
+
+    assert.deepEqual(run.artifacts.map(artifact => artifact.location.uri), ['a%20b/x.py', 'lib/y.py']);
+    assert.equal(issue.locations[0].physicalLocation.artifactLocation.index, 0);
+    assert.equal(crossFile.ruleId, 'cross-file/risky-boundary');
+    assert.deepEqual(crossFile.locations.map(location => location.physicalLocation.artifactLocation.index), [0, 1]);
+});
+
+test('is selected by its media type', () => {
+    assert.equal(getExporterByMediaType('application/sarif+json'), sarif);
+    assert.equal(sarif.contentType, 'application/sarif+json');
+});
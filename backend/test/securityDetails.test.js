@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeSecurityDetails, parseCwe, parseOwasp, getCweEntry } = require('../src/utils/securityDetails');
+
+const securityIssue = (security) => ({ category: 'SECURITY', severity: 'HIGH', title: 'SQL built from input', line: 3, security });
+
+test('reads CWE IDs in common spellings', () => {
+    for (const value of ['CWE-89', 'cwe 89', 'CWE:89', '89', 89, ' CWE-089 ']) {
+        assert.equal(parseCwe(value), 'CWE-89', String(value));
+    }
+    assert.equal(parseCwe('CWE-XSS'), null);
+    assert.equal(parseCwe(null), null);
+});
+
+test('reads OWASP Top 10 2021 categories only', () => {
+    assert.equal(parseOwasp('A03'), 'A03:2021');
+    assert.equal(parseOwasp('A3:2021'), 'A03:2021');
+    assert.equal(parseOwasp('A03:2021-Injection'), 'A03:2021');
+    assert.equal(parseOwasp('A1:2017'), null);
+    assert.equal(parseOwasp('A11'), null);
+    assert.equal(parseOwasp('Injection'), null);
+});
+
+test('completes a security block from the catalogue', () => {
+    const issue = normalizeSecurityDetails(securityIssue({
+        cwe: 'cwe-89',
+        owasp: 'A03',
+        exploitability: ' high ',
+        dataFlow: 'req.query.id -> db.query()',
+        score: 9.87
+    }));
+
+    assert.deepEqual(issue.security, {
+        cwe: 'CWE-89',
+        cweName: getCweEntry('CWE-89').name,
+        owasp: 'A03:2021',
+        owaspName: 'Injection',
+        exploitability: 'HIGH',
+        dataFlow: { source: 'req.query.id', sink: 'db.query()' },
+        score: 9.9,
+        verified: true,
+        corrections: []
+    });
+});
+
+test('lets the catalogue settle the OWASP category of known CWEs', () => {
+    const { security } = normalizeSecurityDetails(securityIssue({ cwe: 'CWE-89', owasp: 'A01:2021' }));
+
+    assert.equal(security.owasp, 'A03:2021');
+    assert.deepEqual(security.corrections, ['Replaced OWASP A01:2021 with A03:2021, the category CWE-89 maps to']);
+});
+
+test('records what it had to drop', () => {
+    const { security } = normalizeSecurityDetails(securityIssue({ cwe: 'SQLi', owasp: 'A1:2017', exploitability: 'extreme', score: 'n/a' }));
+
+    assert.equal(security.cwe, null);
+    assert.equal(security.owasp, null);
+    assert.equal(security.exploitability, null);
+    assert.equal(security.score, null);
+    assert.equal(security.verified, false);
+    assert.deepEqual(security.corrections, [
+        'Dropped malformed CWE ID "SQLi"',
+        'Dropped "A1:2017": not an OWASP Top 10 2021 category'
+    ]);
+});
+
+test('keeps unknown CWEs unverified and clamps scores', () => {
+    const { security } = normalizeSecurityDetails(securityIssue({ cwe: '99999', owasp: 'A04', score: 14, dataFlow: { sink: 'exec' } }));
+
+    assert.equal(security.cwe, 'CWE-99999');
+    assert.equal(security.cweName, null);
+    assert.equal(security.owasp, 'A04:2021');
+    assert.equal(security.verified, false);
+    assert.equal(security.score, 10);
+    assert.deepEqual(security.dataFlow, { source: null, sink: 'exec' });
+});
+
+test('gives every security issue a block and strips it from other issues', () => {
+    assert.equal(normalizeSecurityDetails(securityIssue(undefined)).security.cwe, null);
+    assert.equal('security' in normalizeSecurityDetails({ category: 'BUG', security: { cwe: 'CWE-89' } }), false);
+});
@@ -0,0 +1,103 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const staticAnalysisService = require('../src/services/staticAnalysis.services');
+const aiService = require('../src/services/ai.services');
+
+const CODE = [
+    'function check(a, b) {',
+    '    var result = a == b;',
+    '    if (result) console.log(a);',
+    '    return eval(b);',
+    '}',
+    'function unusedHelper() {}',
+    ''
+].join('\n');
+
+const rulesOf = (issues) => issues.map(issue => issue.analyzer.rule);
+
+test('reports ESLint findings as static issues', async () => {
+    const issues = await staticAnalysisService.analyze(CODE, 'javascript');
+
+    assert.deepEqual(rulesOf(issues), ['no-var', 'eqeqeq', 'no-eval']);
+    assert.ok(issues.every(issue => issue.source === 'static' && issue.analyzer.name === 'eslint'));
+    assert.deepEqual(issues.map(issue => issue.line), [2, 2, 4]);
+});
+
+test('does not flag top-level functions of a snippet as unused', async () => {
+    const issues = await staticAnalysisService.analyze('function helper() {}\nconst value = 1;\n', 'javascript');
+
+    assert.deepEqual(issues, []);
+});
+
+test('gives security findings a CWE and OWASP category', async () => {
+    const [evalIssue] = (await staticAnalysisService.analyze(CODE, 'javascript')).filter(issue => issue.category === 'SECURITY');
+
+    assert.equal(evalIssue.severity, 'HIGH');
+    assert.equal(evalIssue.security.cwe, 'CWE-95');
+    assert.equal(evalIssue.security.owasp, 'A03:2021');
+    assert.equal(evalIssue.security.verified, true);
+});
+
+test('keeps tool fixes only in fix mode', async () => {
+    const plain = await staticAnalysisService.analyze('var a = 1;\nconsole.log(a);\n', 'javascript');
+    const withFix = await staticAnalysisService.analyze('var a = 1;\nconsole.log(a);\n', 'javascript', { fix: true });
+
+    assert.equal(plain[0].fix, undefined);
+    assert.equal(plain[0].suggestion, 'let a = 1;');
+    assert.deepEqual(withFix[0].fix, { original: 'var a = 1;', replacement: 'let a = 1;' });
+});
+
+test('returns nothing for code no parser accepts or languages without an analyser', async () => {
+    assert.deepEqual(await staticAnalysisService.analyze('function (', 'javascript'), []);
+    assert.deepEqual(await staticAnalysisService.analyze('x := 1', 'go'), []);
+});
+
+test('drops model issues that name the finding on the same line, and keeps the rest', () => {
+    const staticIssues = [
+        { category: 'BEST_PRACTICE', severity: 'LOW', title: "Expected '===' and instead saw '=='.", line: 3, source: 'static', analyzer: { name: 'eslint', rule: 'eqeqeq' } },
+        { category: 'CODE_STYLE', severity: 'LOW', title: 'Unexpected var, use let or const instead.', line: 2, source: 'static', analyzer: { name: 'eslint', rule: 'no-var' } }
+    ];
+    const review = aiService._mergeStaticIssues({
+        issues: [
+            { category: 'BUG', severity: 'MEDIUM', title: 'Loose equality comparison', line: 3, source: 'ai' },
+            { category: 'BEST_PRACTICE', severity: 'LOW', title: 'Debug output left in code', line: 3, source: 'ai' },
+            { category: 'CODE_STYLE', severity: 'LOW', title: 'Use of var', line: 9, source: 'ai' }
+        ]
+    }, staticIssues);
+
+    assert.deepEqual(review.issues.map(issue => `${issue.line} ${issue.source} ${issue.title}`), [
+        '2 static Unexpected var, use let or const instead.',
+        "3 static Expected '===' and instead saw '=='.",
+        '3 ai Debug output left in code',
+        '9 ai Use of var'
+    ]);
+});
+
+test('keeps the triage details of a model security issue a finding replaces', async () => {
+    const staticIssues = (await staticAnalysisService.analyze(CODE, 'javascript')).filter(issue => issue.category === 'SECURITY');
+    const review = aiService._mergeStaticIssues({
+        issues: [{
+            category: 'SECURITY',
+            severity: 'CRITICAL',
+            title: 'Use of eval',
+            line: 4,
+            source: 'ai',
+            security: { cwe: 'CWE-95', exploitability: 'HIGH', dataFlow: { source: 'b', sink: 'eval()' }, score: 9.8 }
+        }]
+    }, staticIssues);
+
+    assert.equal(review.issues.length, 1);
+    assert.equal(review.issues[0].source, 'static');
+    assert.equal(review.issues[0].security.cwe, 'CWE-95');
+    assert.equal(review.issues[0].security.exploitability, 'HIGH');
+    assert.equal(review.issues[0].security.score, 9.8);
+});
+
+test('merges static findings into a review without repeating them', async () => {
+    const review = await aiService.generateContent(CODE, { language: 'javascript' });
+    const atLine = (line) => review.issues.filter(issue => issue.line === line);
+
+    assert.deepEqual(rulesOf(review.issues.filter(issue => issue.source === 'static')), ['no-var', 'eqeqeq', 'no-eval']);
+    assert.equal(review.issues.filter(issue => /eval/i.test(issue.title)).length, 1);
+    assert.ok(atLine(3).some(issue => issue.source === 'ai' && /debug/i.test(issue.title)));
+});
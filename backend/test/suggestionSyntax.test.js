@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getSyntaxChecker, getCheckedLanguages } = require('../src/services/syntaxCheckers');
+const { extractSuggestionCode, checkSuggestionSyntax } = require('../src/utils/suggestionSyntax');
+
+const check = (language, code) => getSyntaxChecker(language).check(code, language);
+
+test('has a checker for every language with a pure-JS parser', () => {
+    assert.deepEqual(getCheckedLanguages().sort(), ['css', 'html', 'javascript', 'json', 'python', 'sql', 'typescript']);
+    assert.equal(getSyntaxChecker('go'), null);
+});
+
+test('accepts valid code and fragments of every checked language', () => {
+    const valid = {
+        javascript: ['const a = 1;', 'return x;', '<div>{a}</div>'],
+        typescript: ['let a: number = 1;'],
+        python: ['def f():\n    return 1'],
+        json: ['{"a": 1}'],
+        css: ['color: red;', 'a { color: red; }'],
+        html: ['<div><p>x</p></div>'],
+        sql: ['SELECT id FROM users WHERE id = 1']
+    };
+
+    for (const [language, snippets] of Object.entries(valid)) {
+        for (const code of snippets) {
+            assert.deepEqual(check(language, code), { valid: true, error: null }, `${language}: ${code}`);
+        }
+    }
+});
+
+test('reports where invalid code breaks', () => {
+    assert.deepEqual(check('javascript', 'const a = ;'), { valid: false, error: { message: 'Unexpected token', line: 1, column: 11 } });
+    assert.deepEqual(check('typescript', 'let a: = 1;').error.column, 8);
+    assert.equal(check('python', 'def f(:\n  pass').error.line, 1);
+    assert.equal(check('json', '{a: 1}').valid, false);
+    assert.equal(check('css', 'a { color: red; ').valid, false);
+    assert.equal(check('html', '<div></span>').valid, false);
+    assert.equal(check('sql', 'SELEC id FROM').valid, false);
+});
+
+test('takes code from fences and leaves prose alone', () => {
+    assert.deepEqual(extractSuggestionCode('Use a constant:\n```js\n    const a = 1;\n```'), [{ code: 'const a = 1;', language: 'javascript' }]);
+    assert.deepEqual(extractSuggestionCode('Use strict equality (===) instead.'), []);
+    assert.deepEqual(extractSuggestionCode('if (a === b) {\n  run();\n}'), [{ code: 'if (a === b) {\n  run();\n}', language: null }]);
+    assert.deepEqual(extractSuggestionCode(''), []);
+});
+
+test('marks issues whose suggestion does not parse', () => {
+    const broken = checkSuggestionSyntax({ title: 't', suggestion: '```python\ndef f(:\n```' }, 'javascript');
+    assert.equal(broken.syntaxValid, false);
+    assert.equal(broken.syntaxError.language, 'python');
+
+    assert.equal(checkSuggestionSyntax({ title: 't', suggestion: 'const a = 1;' }, 'javascript').syntaxValid, true);
+    assert.equal(checkSuggestionSyntax({ title: 't', suggestion: 'Rename the variable.' }, 'javascript').syntaxValid, null);
+    assert.equal(checkSuggestionSyntax({ title: 't', suggestion: 'x := 1' }, 'go').syntaxValid, null);
+
+    // A stale verdict from the model is replaced
+    const fixed = checkSuggestionSyntax({ title: 't', suggestion: 'const a = 1;', syntaxValid: false, syntaxError: { message: 'old' } }, 'javascript');
+    assert.equal(fixed.syntaxValid, true);
+    assert.equal('syntaxError' in fixed, false);
+});
@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    CHANGE_TYPES,
+    parseUnifiedDiff,
+    formatFilePatch,
+    applyFilePatch,
+    buildChangeMap,
+    classifyIssueChange,
+    formatNumberedLines
+} = require('../src/utils/unifiedDiff');
+
+const ORIGINAL = 'one\ntwo\nthree\nfour\n';
+const PATCH = [
+    'diff --git a/src/app.js b/src/app.js',
+    'index 1111111..2222222 100644',
+    '--- a/src/app.js',
+    '+++ b/src/app.js',
+    '@@ -1,4 +1,5 @@ header',
+    ' one',
+    '-two',
+    '+TWO',
+    '+two and a half',
+    ' three',
+    ' four',
+    ''
+].join('\n');
+
+test('parses files, hunks and line numbers', () => {
+    const [file] = parseUnifiedDiff(PATCH);
+
+    assert.equal(file.oldPath, 'src/app.js');
+    assert.equal(file.newPath, 'src/app.js');
+    assert.equal(file.status, 'modified');
+    assert.equal(file.additions, 2);
+    assert.equal(file.deletions, 1);
+    assert.equal(file.hunks[0].section, 'header');
+    assert.deepEqual(file.hunks[0].lines.map(line => [line.type, line.oldLine, line.newLine]), [
+        ['context', 1, 1],
+        ['del', 2, undefined],
+        ['add', undefined, 2],
+        ['add', undefined, 3],
+        ['context', 3, 4],
+        ['context', 4, 5]
+    ]);
+});
+
+test('detects added, deleted and renamed files', () => {
+    const files = parseUnifiedDiff([
+        '--- /dev/null', '+++ b/new.js', '@@ -0,0 +1 @@', '+x',
+        '--- a/old.js', '+++ /dev/null', '@@ -1 +0,0 @@', '-y',
+        'diff --git a/a.js b/b.js', 'similarity index 100%', 'rename from a.js', 'rename to b.js'
+    ].join('\n'));
+
+    assert.deepEqual(files.map(file => [file.status, file.oldPath, file.newPath]), [
+        ['added', null, 'new.js'],
+        ['deleted', 'old.js', null],
+        ['renamed', 'a.js', 'b.js']
+    ]);
+});
+
+test('rejects text without patches and truncated hunks', () => {
+    assert.throws(() => parseUnifiedDiff('just text'), /no file patches/);
+    assert.throws(() => parseUnifiedDiff('--- a/x\n+++ b/x\n@@ -1,3 +1,3 @@\n a'), /truncated/);
+});
+
+test('applies a patch and renders it back', () => {
+    const [file] = parseUnifiedDiff(PATCH);
+
+    assert.equal(applyFilePatch(ORIGINAL, file), 'one\nTWO\ntwo and a half\nthree\nfour\n');
+    assert.deepEqual(parseUnifiedDiff(formatFilePatch(file))[0].hunks, file.hunks);
+});
+
+test('refuses a patch whose context does not match', () => {
+    const [file] = parseUnifiedDiff(PATCH);
+
+    assert.throws(() => applyFilePatch('one\nsomething else\nthree\nfour\n', file), /does not apply/);
+});
+
+test('classifies issues by what the change did to their lines', () => {
+    const changeMap = buildChangeMap(parseUnifiedDiff(PATCH)[0]);
+
+    assert.deepEqual([...changeMap.added], [2, 3]);
+    assert.equal(classifyIssueChange({ line: 2, endLine: 3 }, changeMap), CHANGE_TYPES.INTRODUCED);
+    assert.equal(classifyIssueChange({ line: 3, endLine: 4 }, changeMap), CHANGE_TYPES.TOUCHED);
+    assert.equal(classifyIssueChange({ line: 0 }, changeMap), CHANGE_TYPES.TOUCHED);
+    assert.equal(classifyIssueChange({ line: 5 }, changeMap), CHANGE_TYPES.PRE_EXISTING);
+});
+
+test('a pure deletion touches the lines around the gap', () => {
+    const changeMap = buildChangeMap(parseUnifiedDiff('--- a/x\n+++ b/x\n@@ -1,3 +1,2 @@\n a\n-b\n c\n')[0]);
+
+    assert.equal(classifyIssueChange({ line: 1 }, changeMap), CHANGE_TYPES.TOUCHED);
+    assert.equal(classifyIssueChange({ line: 2 }, changeMap), CHANGE_TYPES.TOUCHED);
+});
+
+test('numbers lines and marks gaps', () => {
+    const listing = formatNumberedLines([{ number: 9, text: 'a' }, { number: 10, text: 'b' }, { number: 14, text: 'c' }]);
+
+    assert.equal(listing, ' 9 | a\n10 | b\n...\n14 | c');
+});